@@ -17,6 +17,10 @@ class AddInstanceCommand extends Command {
     this.instanceData = instanceData;
   }
 
+  get label() {
+    return `Add instance ${this.instanceId}`;
+  }
+
   execute(get, set) {
     const state = get();
 
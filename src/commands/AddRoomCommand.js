@@ -19,14 +19,20 @@ export class AddRoomCommand extends Command {
     this.roomData = roomData;
   }
 
+  get label() {
+    return `Add room ${this.roomId}`;
+  }
+
   execute(get, set) {
     const state = get();
 
-    // Add vertices if they don't exist
+    // Add vertices if they don't exist (existing IDs are shared vertices)
     const newVertices = { ...state.vertices };
+    this.createdVertexIds = [];
     for (let i = 0; i < this.vertexIds.length; i++) {
       if (!newVertices[this.vertexIds[i]]) {
         newVertices[this.vertexIds[i]] = this.vertexData[i];
+        this.createdVertexIds.push(this.vertexIds[i]);
       }
     }
 
@@ -49,22 +55,10 @@ export class AddRoomCommand extends Command {
     const newRooms = { ...state.rooms };
     delete newRooms[this.roomId];
 
-    // Check if vertices are used by other rooms or walls
+    // Remove only the vertices this command created
     const newVertices = { ...state.vertices };
-    for (const vId of this.vertexIds) {
-      // Check if used by other rooms
-      const usedByRoom = Object.values(newRooms).some((room) =>
-        room.vertices.includes(vId)
-      );
-
-      // Check if used by walls
-      const usedByWall = Object.values(state.walls).some(
-        (wall) => wall.vStart === vId || wall.vEnd === vId
-      );
-
-      if (!usedByRoom && !usedByWall) {
-        delete newVertices[vId];
-      }
+    for (const vId of this.createdVertexIds) {
+      delete newVertices[vId];
     }
 
     set({
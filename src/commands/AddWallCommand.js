@@ -23,16 +23,23 @@ export class AddWallCommand extends Command {
     this.wallData = wallData;
   }
 
+  get label() {
+    return `Add wall ${this.wallId}`;
+  }
+
   execute(get, set) {
     const state = get();
 
-    // Add vertices if they don't exist
+    // Add vertices if they don't exist (existing IDs are shared vertices)
     const newVertices = { ...state.vertices };
+    this.createdVertexIds = [];
     if (!newVertices[this.v1Id]) {
       newVertices[this.v1Id] = this.v1Data;
+      this.createdVertexIds.push(this.v1Id);
     }
     if (!newVertices[this.v2Id]) {
       newVertices[this.v2Id] = this.v2Data;
+      this.createdVertexIds.push(this.v2Id);
     }
 
     // Add wall
@@ -54,20 +61,10 @@ export class AddWallCommand extends Command {
     const newWalls = { ...state.walls };
     delete newWalls[this.wallId];
 
-    // Check if vertices are used by other walls
-    const v1Used = Object.values(newWalls).some(
-      (wall) => wall.vStart === this.v1Id || wall.vEnd === this.v1Id
-    );
-    const v2Used = Object.values(newWalls).some(
-      (wall) => wall.vStart === this.v2Id || wall.vEnd === this.v2Id
-    );
-
+    // Remove only the vertices this command created
     const newVertices = { ...state.vertices };
-    if (!v1Used) {
-      delete newVertices[this.v1Id];
-    }
-    if (!v2Used) {
-      delete newVertices[this.v2Id];
+    for (const vId of this.createdVertexIds) {
+      delete newVertices[vId];
     }
 
     set({
@@ -0,0 +1,262 @@
+/**
+ * CleanupGeometryCommand
+ * Repairs the wall graph as one undoable step
+ * - Vertices within the tolerance are welded; walls and rooms use the kept one
+ * - Walls with no length are deleted
+ * - Collinear walls with the same props that overlap, or meet end to end at
+ *   a vertex nothing else uses (see findNextWallJoin), become one wall
+ * - Vertices no wall or room uses are deleted
+ * Instances on merged walls are re-anchored so they keep their position;
+ * those on deleted walls or rooms are removed or detached (policy)
+ * Children (UpdateObjectCommand, DeleteCommand) are resolved once, see resolve()
+ * Supports undo/redo
+ */
+
+import CompositeCommand from "./CompositeCommand";
+import DeleteCommand from "./DeleteCommand";
+import UpdateObjectCommand from "./UpdateObjectCommand";
+import {
+  OBJECT_COLLECTIONS,
+  ORPHAN_INSTANCE_POLICIES,
+} from "../utils/constants";
+import { detachInstance } from "../utils/deleteCascade";
+import {
+  findDegenerateWalls,
+  findNextWallJoin,
+  findNextWallOverlap,
+  findUnusedVertices,
+  findVertexWelds,
+  getOffsetAlongLine,
+} from "../utils/geometryCleanup";
+import { calculateInstancePosition } from "../utils/instanceUtils";
+
+/**
+ * Drop a corner of a room, keeping its walls aligned with its edges
+ * (walls[i] runs from vertex i to vertex i + 1: the wall of the edge out of
+ * the corner goes, the edge into it now reaches the next corner)
+ * @param {Object} room - Room object
+ * @param {number} index - Corner to drop
+ * @returns {Object} Room without the corner
+ */
+const removeRoomCorner = (room, index) => ({
+  ...room,
+  vertices: room.vertices.filter((_, i) => i !== index),
+  ...(room.walls && { walls: room.walls.filter((_, i) => i !== index) }),
+});
+
+class CleanupGeometryCommand extends CompositeCommand {
+  /**
+   * @param {number} tolerance - Weld / collinearity distance (mm)
+   * @param {Object} policy - { orphanInstances } (see DEFAULT_DELETE_POLICY)
+   */
+  constructor(tolerance, policy) {
+    super();
+    this.tolerance = tolerance;
+    this.policy = policy;
+    this.isResolved = false;
+    this.selection = null;
+    this.report = null; // { weldedVertices, degenerateWalls, overlappingWalls, joinedWalls, unusedVertices, deletedRooms }
+  }
+
+  get label() {
+    return "Clean up geometry";
+  }
+
+  /**
+   * Build the children against a scratch copy of the state
+   * (the store is untouched, so this doubles as a dry run: callers can show
+   * the report and only execute if the user applies it)
+   * @param {Object} state - Editor state
+   */
+  resolve(state) {
+    this.isResolved = true;
+
+    let scratch = state;
+    const get = () => scratch;
+    const set = (changes) => {
+      scratch = { ...scratch, ...changes };
+    };
+    const run = (command) => {
+      command.execute(get, set);
+      this.add(command);
+    };
+    const update = (type, id, data) => {
+      const collection = OBJECT_COLLECTIONS[type];
+      run(new UpdateObjectCommand(type, id, scratch[collection][id], data));
+    };
+    const remove = (type, id) => {
+      const collection = OBJECT_COLLECTIONS[type];
+      run(new DeleteCommand(type, id, scratch[collection][id]));
+    };
+
+    // Deleted walls and rooms take their instances along (or leave them free)
+    const removeWithInstances = (type, id) => {
+      for (const [instanceId, instance] of Object.entries(scratch.instances)) {
+        const attachTo = instance.constraint?.attachTo;
+        if (attachTo?.kind !== type || attachTo.id !== id) continue;
+
+        if (this.policy?.orphanInstances === ORPHAN_INSTANCE_POLICIES.DETACH) {
+          update("instance", instanceId, detachInstance(instance, scratch));
+        } else {
+          remove("instance", instanceId);
+        }
+      }
+      remove(type, id);
+    };
+
+    const report = {
+      weldedVertices: [],
+      degenerateWalls: [],
+      overlappingWalls: [],
+      joinedWalls: [],
+      unusedVertices: [],
+      deletedRooms: [],
+    };
+
+    // Weld near-duplicate vertices
+    const welds = findVertexWelds(scratch.vertices, this.tolerance);
+    const weld = (id) => welds.get(id) || id;
+
+    for (const [wallId, wall] of Object.entries(scratch.walls)) {
+      if (welds.has(wall.vStart) || welds.has(wall.vEnd)) {
+        update("wall", wallId, {
+          ...wall,
+          vStart: weld(wall.vStart),
+          vEnd: weld(wall.vEnd),
+        });
+      }
+    }
+
+    // Rooms: rewrite corners and drop the edges that collapsed
+    for (const [roomId, original] of Object.entries(scratch.rooms)) {
+      let room = { ...original, vertices: original.vertices.map(weld) };
+      let index = room.vertices.findIndex(
+        (id, i) => id === room.vertices[(i + 1) % room.vertices.length]
+      );
+      while (index >= 0 && room.vertices.length > 1) {
+        room = removeRoomCorner(room, index);
+        index = room.vertices.findIndex(
+          (id, i) => id === room.vertices[(i + 1) % room.vertices.length]
+        );
+      }
+
+      if (room.vertices.length < 3) {
+        removeWithInstances("room", roomId);
+        report.deletedRooms.push(roomId);
+      } else if (
+        room.vertices.length !== original.vertices.length ||
+        room.vertices.some((id, i) => id !== original.vertices[i])
+      ) {
+        update("room", roomId, room);
+      }
+    }
+
+    for (const vertexId of welds.keys()) {
+      remove("vertex", vertexId);
+      report.weldedVertices.push(vertexId);
+    }
+
+    // Walls with no length
+    for (const wallId of findDegenerateWalls(scratch, this.tolerance)) {
+      for (const [roomId, room] of Object.entries(scratch.rooms)) {
+        if (room.walls?.includes(wallId)) {
+          update("room", roomId, {
+            ...room,
+            walls: room.walls.filter((id) => id !== wallId),
+          });
+        }
+      }
+      removeWithInstances("wall", wallId);
+      report.degenerateWalls.push(wallId);
+    }
+
+    // One wall takes over the span of the other
+    const merge = ({ keepId, removeId, vStart, vEnd }) => {
+      const wall = { ...scratch.walls[keepId], vStart, vEnd };
+      const start = [scratch.vertices[vStart].x, scratch.vertices[vStart].y];
+      const end = [scratch.vertices[vEnd].x, scratch.vertices[vEnd].y];
+
+      for (const [instanceId, instance] of Object.entries(scratch.instances)) {
+        const attachTo = instance.constraint?.attachTo;
+        if (
+          attachTo?.kind !== "wall" ||
+          (attachTo.id !== keepId && attachTo.id !== removeId)
+        ) {
+          continue;
+        }
+
+        const { position } = calculateInstancePosition(instance, scratch);
+        update("instance", instanceId, {
+          ...instance,
+          constraint: {
+            ...instance.constraint,
+            attachTo: { kind: "wall", id: keepId },
+            offsetFromStart: getOffsetAlongLine(position, start, end),
+          },
+        });
+      }
+      update("wall", keepId, wall);
+
+      for (const [roomId, room] of Object.entries(scratch.rooms)) {
+        if (!room.walls?.includes(removeId)) continue;
+
+        update("room", roomId, {
+          ...room,
+          walls: room.walls.map((id) => (id === removeId ? keepId : id)),
+        });
+      }
+      remove("wall", removeId);
+    };
+
+    // Each merge deletes a wall, so these loops end
+    let overlap = findNextWallOverlap(scratch, this.tolerance);
+    while (overlap) {
+      merge(overlap);
+      report.overlappingWalls.push(overlap.removeId);
+      overlap = findNextWallOverlap(scratch, this.tolerance);
+    }
+
+    let join = findNextWallJoin(scratch, this.tolerance);
+    while (join) {
+      merge(join);
+      report.joinedWalls.push(join.removeId);
+      join = findNextWallJoin(scratch, this.tolerance);
+    }
+
+    // Vertices left over (including joints of merged walls)
+    for (const vertexId of findUnusedVertices(scratch)) {
+      remove("vertex", vertexId);
+      report.unusedVertices.push(vertexId);
+    }
+
+    this.report = report;
+  }
+
+  execute(get, set) {
+    if (!this.isResolved) {
+      this.resolve(get());
+    }
+    this.selection = get().selection;
+
+    super.execute(get, set);
+
+    // Keep the selection minus what was deleted
+    const state = get();
+    set({
+      selection: this.selection.filter(
+        (item) => state[OBJECT_COLLECTIONS[item.type]]?.[item.id]
+      ),
+    });
+  }
+
+  undo(get, set) {
+    super.undo(get, set);
+    set({ selection: this.selection || [] });
+  }
+
+  redo(get, set) {
+    this.execute(get, set);
+  }
+}
+
+export default CleanupGeometryCommand;
@@ -0,0 +1,113 @@
+/**
+ * Clean up geometry dry runs (resolve against a state, nothing applied)
+ */
+
+import { describe, expect, it } from "vitest";
+import CleanupGeometryCommand from "./CleanupGeometryCommand";
+import { DEFAULT_DELETE_POLICY } from "../utils/constants";
+import { recalculateAllRoomAreas } from "../utils/roomUtils";
+import { sampleFloorPlan3 } from "../utils/sampleData3";
+
+/**
+ * Resolve a cleanup against a state
+ * @param {Object} state - Editor state
+ * @returns {CleanupGeometryCommand} Resolved command (report and children)
+ */
+const dryRun = (state) => {
+  const command = new CleanupGeometryCommand(5, DEFAULT_DELETE_POLICY);
+  command.resolve(state);
+  return command;
+};
+
+describe("CleanupGeometryCommand", () => {
+  it("leaves the sample apartment alone", () => {
+    const command = dryRun(sampleFloorPlan3);
+
+    // w6 and w7 meet at v8 in the middle of w5, where the rooms have corners
+    expect(command.report).toEqual({
+      weldedVertices: [],
+      degenerateWalls: [],
+      overlappingWalls: [],
+      joinedWalls: [],
+      unusedVertices: [],
+      deletedRooms: [],
+    });
+    expect(command.commands).toHaveLength(0);
+  });
+
+  it("keeps the sample rooms' net areas once applied", () => {
+    let state = { ...sampleFloorPlan3, selection: [] };
+    const get = () => state;
+    const set = (changes) => {
+      state = { ...state, ...changes };
+    };
+    dryRun(state).execute(get, set);
+
+    // Each room inside half an outer (100) and half an inner (75) wall
+    const rooms = recalculateAllRoomAreas(
+      state.rooms,
+      state.vertices,
+      state.walls
+    );
+    for (const room of Object.values(rooms)) {
+      expect(room.area).toBe(3825 * 2825);
+    }
+  });
+
+  it("joins collinear walls at a joint nothing else uses", () => {
+    const state = {
+      vertices: {
+        a: { x: 0, y: 0 },
+        m: { x: 1000, y: 0 },
+        b: { x: 2000, y: 0 },
+      },
+      walls: {
+        w1: { vStart: "a", vEnd: "m", thickness: 100 },
+        w2: { vStart: "m", vEnd: "b", thickness: 100 },
+      },
+      rooms: {},
+      instances: {},
+    };
+
+    const { report } = dryRun(state);
+    expect(report.joinedWalls).toEqual(["w2"]);
+    expect(report.unusedVertices).toEqual(["m"]);
+  });
+
+  it("keeps joints that are room corners or instance anchors", () => {
+    const state = {
+      vertices: {
+        a: { x: 0, y: 0 },
+        m: { x: 1000, y: 0 },
+        b: { x: 2000, y: 0 },
+        c: { x: 1000, y: 1000 },
+      },
+      walls: {
+        w1: { vStart: "a", vEnd: "m", thickness: 100 },
+        w2: { vStart: "m", vEnd: "b", thickness: 100 },
+      },
+      rooms: {},
+      instances: {},
+    };
+
+    const withRoom = {
+      ...state,
+      rooms: { r1: { name: "Room", type: "other", vertices: ["a", "m", "c"] } },
+    };
+    expect(dryRun(withRoom).report.joinedWalls).toEqual([]);
+
+    const withInstance = {
+      ...state,
+      instances: {
+        d1: {
+          symbol: "door.single",
+          constraint: {
+            attachTo: { kind: "wall", id: "w2" },
+            offsetFromStart: 200,
+          },
+        },
+      },
+    };
+    expect(dryRun(withInstance).report.joinedWalls).toEqual([]);
+  });
+});
@@ -3,6 +3,15 @@
  * All commands must extend this class and implement execute/undo methods
  */
 class Command {
+  /**
+   * Human-readable description shown in the History panel
+   * Subclasses describe their edit, e.g. "Move vertex v12"
+   * @returns {string}
+   */
+  get label() {
+    return "Edit";
+  }
+
   /**
    * Execute the command
    * @param {Function} get - Zustand get function to read state
@@ -0,0 +1,53 @@
+/**
+ * CompositeCommand
+ * Groups child commands into a single undo step
+ * Children run in order and are undone in reverse order
+ * Supports undo/redo
+ */
+
+import Command from "./Command";
+
+class CompositeCommand extends Command {
+  /**
+   * @param {Array<Command>} commands - Child commands (already built)
+   * @param {string} label - Description of the whole step
+   */
+  constructor(commands = [], label = "") {
+    super();
+    this.commands = commands;
+    this.description = label;
+  }
+
+  get label() {
+    return this.description || `${this.commands.length} edits`;
+  }
+
+  /**
+   * Append a child that has already been executed
+   * (used by transactions, which run commands as they are recorded)
+   * @param {Command} command - Executed child command
+   */
+  add(command) {
+    this.commands.push(command);
+  }
+
+  execute(get, set) {
+    for (const command of this.commands) {
+      command.execute(get, set);
+    }
+  }
+
+  undo(get, set) {
+    for (const command of [...this.commands].reverse()) {
+      command.undo(get, set);
+    }
+  }
+
+  redo(get, set) {
+    for (const command of this.commands) {
+      command.redo(get, set);
+    }
+  }
+}
+
+export default CompositeCommand;
@@ -5,6 +5,7 @@
  */
 
 import Command from "./Command";
+import { OBJECT_COLLECTIONS } from "../utils/constants";
 
 class DeleteCommand extends Command {
   /**
@@ -19,96 +20,43 @@ class DeleteCommand extends Command {
     this.objectData = objectData;
   }
 
-  execute(get, set) {
-    const state = get();
-
-    switch (this.objectType) {
-      case "room": {
-        const { [this.objectId]: removed, ...remainingRooms } = state.rooms;
-        set({ rooms: remainingRooms });
-        break;
-      }
+  get label() {
+    return `Delete ${this.objectType} ${this.objectId}`;
+  }
 
-      case "wall": {
-        const { [this.objectId]: removed, ...remainingWalls } = state.walls;
-        set({ walls: remainingWalls });
-        break;
-      }
+  execute(get, set) {
+    const collection = OBJECT_COLLECTIONS[this.objectType];
+    if (!collection) {
+      console.warn(`Unknown object type: ${this.objectType}`);
+      return;
+    }
 
-      case "instance": {
-        const { [this.objectId]: removed, ...remainingInstances } =
-          state.instances;
-        set({ instances: remainingInstances });
-        break;
-      }
+    const items = get()[collection];
 
-      case "vertex": {
-        const { [this.objectId]: removed, ...remainingVertices } =
-          state.vertices;
-        set({ vertices: remainingVertices });
-        break;
-      }
+    // Remember the position so undo puts the object back in place
+    this.index = Object.keys(items).indexOf(this.objectId);
 
-      default:
-        console.warn(`Unknown object type: ${this.objectType}`);
-    }
+    const { [this.objectId]: removed, ...remaining } = items;
+    set({ [collection]: remaining });
 
     // Clear selection after delete
-    set({
-      selectedIds: [],
-      selectedType: null,
-    });
+    set({ selection: [] });
   }
 
   undo(get, set) {
-    const state = get();
-
-    switch (this.objectType) {
-      case "room":
-        set({
-          rooms: {
-            ...state.rooms,
-            [this.objectId]: this.objectData,
-          },
-        });
-        break;
-
-      case "wall":
-        set({
-          walls: {
-            ...state.walls,
-            [this.objectId]: this.objectData,
-          },
-        });
-        break;
-
-      case "instance":
-        set({
-          instances: {
-            ...state.instances,
-            [this.objectId]: this.objectData,
-          },
-        });
-        break;
-
-      case "vertex":
-        set({
-          vertices: {
-            ...state.vertices,
-            [this.objectId]: this.objectData,
-          },
-        });
-        break;
-
-      default:
-        console.warn(`Unknown object type: ${this.objectType}`);
+    const collection = OBJECT_COLLECTIONS[this.objectType];
+    if (!collection) {
+      console.warn(`Unknown object type: ${this.objectType}`);
+      return;
     }
 
+    const entries = Object.entries(get()[collection]);
+    const index = this.index >= 0 ? this.index : entries.length;
+    entries.splice(index, 0, [this.objectId, this.objectData]);
+    set({ [collection]: Object.fromEntries(entries) });
+
     // Restore selection
-    set({
-      selectedIds: [this.objectId],
-      selectedType: this.objectType,
-    });
+    set({ selection: [{ type: this.objectType, id: this.objectId }] });
   }
 }
 
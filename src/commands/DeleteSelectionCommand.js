@@ -0,0 +1,85 @@
+/**
+ * DeleteSelectionCommand
+ * Deletes several objects at once together with everything depending on them
+ * (see computeDeletion) as one undoable step
+ * Children (UpdateObjectCommand, DeleteCommand) are resolved on first execute
+ * Supports undo/redo
+ */
+
+import CompositeCommand from "./CompositeCommand";
+import DeleteCommand from "./DeleteCommand";
+import UpdateObjectCommand from "./UpdateObjectCommand";
+import { computeDeletion } from "../utils/deleteCascade";
+
+// Dependents go first, so undo restores what they reference before them
+const DELETE_ORDER = [
+  ["instance", "instances"],
+  ["room", "rooms"],
+  ["wall", "walls"],
+  ["vertex", "vertices"],
+];
+const UPDATE_ORDER = [
+  ["room", "rooms"],
+  ["instance", "instances"],
+];
+
+class DeleteSelectionCommand extends CompositeCommand {
+  /**
+   * @param {Array<{type: string, id: string}>} targets - Objects to delete
+   * @param {Object} policy - { orphanInstances, affectedRooms } (see DEFAULT_DELETE_POLICY)
+   */
+  constructor(targets, policy) {
+    super();
+    this.targets = targets;
+    this.policy = policy;
+    this.selection = null;
+  }
+
+  get label() {
+    if (this.targets.length === 1) {
+      const [{ type, id }] = this.targets;
+      return `Delete ${type} ${id}`;
+    }
+    return `Delete ${this.targets.length} objects`;
+  }
+
+  execute(get, set) {
+    const state = get();
+
+    // Resolve the cascade once: redo replays the same children
+    if (!this.selection) {
+      this.selection = state.selection;
+
+      const { deleted, updated } = computeDeletion(
+        state,
+        this.targets,
+        this.policy
+      );
+
+      for (const [type, collection] of UPDATE_ORDER) {
+        for (const [id, data] of Object.entries(updated[collection])) {
+          this.add(
+            new UpdateObjectCommand(type, id, state[collection][id], data)
+          );
+        }
+      }
+      for (const [type, collection] of DELETE_ORDER) {
+        for (const id of deleted[collection]) {
+          this.add(new DeleteCommand(type, id, state[collection][id]));
+        }
+      }
+    }
+
+    super.execute(get, set);
+  }
+
+  undo(get, set) {
+    super.undo(get, set);
+
+    if (this.selection) {
+      set({ selection: this.selection });
+    }
+  }
+}
+
+export default DeleteSelectionCommand;
@@ -0,0 +1,198 @@
+/**
+ * DetectRoomsCommand
+ * Turns the enclosed areas of the wall graph into rooms as one undoable step
+ * - Walls are split where they cross or where a wall ends on another wall
+ * - Each minimal enclosed face becomes a room on the wall vertices
+ * - Existing rooms with the same footprint are reshaped (name, type and ID kept)
+ * Children (SplitWallCommand, UpdateObjectCommand, AddRoomCommand,
+ * DeleteCommand) are resolved once, see resolve()
+ * Supports undo/redo
+ */
+
+import CompositeCommand from "./CompositeCommand";
+import { AddRoomCommand } from "./AddRoomCommand";
+import DeleteCommand from "./DeleteCommand";
+import SplitWallCommand from "./SplitWallCommand";
+import UpdateObjectCommand from "./UpdateObjectCommand";
+import {
+  ROOM_DETECT_MAX_SPLITS,
+  ROOM_MATCH_RATIO,
+  ROOM_MIN_AREA,
+} from "../utils/constants";
+import {
+  findMatchingRoom,
+  findNextWallSplit,
+  findWallFaces,
+  findWallGaps,
+} from "../utils/roomDetection";
+
+/**
+ * Check whether two ID lists are the same
+ * @param {string[]} a - IDs
+ * @param {string[]} b - IDs
+ * @returns {boolean} True if equal
+ */
+const isSameList = (a = [], b = []) =>
+  a.length === b.length && a.every((id, i) => id === b[i]);
+
+class DetectRoomsCommand extends CompositeCommand {
+  /**
+   * @param {number} tolerance - Distance (mm) within which walls join
+   * @param {number} gapTolerance - Open wall ends up to this distance (mm) are reported
+   */
+  constructor(tolerance, gapTolerance) {
+    super();
+    this.tolerance = tolerance;
+    this.gapTolerance = gapTolerance;
+    this.isResolved = false;
+    this.selection = null;
+    this.report = null; // { created, updated, gaps }
+  }
+
+  get label() {
+    if (!this.report) return "Detect rooms";
+
+    const count = this.report.created.length + this.report.updated.length;
+    return count === 1 ? "Detect 1 room" : `Detect ${count} rooms`;
+  }
+
+  /**
+   * Build the children against a scratch copy of the state
+   * (the store is untouched apart from ID allocation, so callers can skip
+   * executing when there is nothing to change)
+   * @param {Object} state - Editor state
+   */
+  resolve(state) {
+    this.isResolved = true;
+
+    let scratch = state;
+    const get = () => scratch;
+    const set = (changes) => {
+      scratch = { ...scratch, ...changes };
+    };
+    const run = (command) => {
+      command.execute(get, set);
+      this.add(command);
+    };
+
+    // Make the graph planar
+    for (let i = 0; i < ROOM_DETECT_MAX_SPLITS; i++) {
+      const split = findNextWallSplit(scratch, this.tolerance);
+      if (!split) break;
+
+      const vertexId = split.vertexId || state.allocateId("vertices", "v");
+      for (const wallId of split.wallIds) {
+        run(
+          new SplitWallCommand(
+            wallId,
+            vertexId,
+            state.allocateId("walls", "w"),
+            split.point
+          )
+        );
+      }
+    }
+
+    const faces = findWallFaces(scratch, ROOM_MIN_AREA);
+    const candidates = { ...scratch.rooms };
+    const created = [];
+    const updated = [];
+    const replacedVertexIds = new Set();
+    let roomCount = Object.keys(scratch.rooms).length;
+
+    for (const face of faces) {
+      const polygon = face.vertices.map((id) => [
+        scratch.vertices[id].x,
+        scratch.vertices[id].y,
+      ]);
+      const matchId = findMatchingRoom(
+        polygon,
+        candidates,
+        scratch.vertices,
+        ROOM_MATCH_RATIO
+      );
+
+      if (matchId) {
+        delete candidates[matchId];
+        const room = scratch.rooms[matchId];
+        if (
+          isSameList(room.vertices, face.vertices) &&
+          isSameList(room.walls, face.walls)
+        ) {
+          continue;
+        }
+
+        room.vertices.forEach((id) => replacedVertexIds.add(id));
+        run(
+          new UpdateObjectCommand("room", matchId, room, {
+            ...room,
+            vertices: face.vertices,
+            walls: face.walls,
+            area: face.area,
+          })
+        );
+        updated.push(matchId);
+      } else {
+        roomCount += 1;
+        const roomId = state.allocateId("rooms", "r");
+        run(
+          new AddRoomCommand(
+            roomId,
+            face.vertices,
+            face.vertices.map((id) => scratch.vertices[id]),
+            {
+              name: `Room ${roomCount}`,
+              vertices: face.vertices,
+              walls: face.walls,
+              type: "other",
+              area: face.area,
+            }
+          )
+        );
+        created.push(roomId);
+      }
+    }
+
+    // Hand-drawn outlines of reshaped rooms are left unused
+    const usedVertexIds = new Set();
+    for (const wall of Object.values(scratch.walls)) {
+      usedVertexIds.add(wall.vStart);
+      usedVertexIds.add(wall.vEnd);
+    }
+    for (const room of Object.values(scratch.rooms)) {
+      (room.vertices || []).forEach((id) => usedVertexIds.add(id));
+    }
+    for (const id of replacedVertexIds) {
+      if (!usedVertexIds.has(id) && scratch.vertices[id]) {
+        run(new DeleteCommand("vertex", id, scratch.vertices[id]));
+      }
+    }
+
+    this.report = {
+      created,
+      updated,
+      gaps: findWallGaps(scratch, this.gapTolerance),
+    };
+  }
+
+  execute(get, set) {
+    if (!this.isResolved) {
+      this.resolve(get());
+    }
+    this.selection = get().selection;
+
+    super.execute(get, set);
+    set({ selection: this.selection });
+  }
+
+  undo(get, set) {
+    super.undo(get, set);
+    set({ selection: this.selection || [] });
+  }
+
+  redo(get, set) {
+    this.execute(get, set);
+  }
+}
+
+export default DetectRoomsCommand;
@@ -0,0 +1,113 @@
+/**
+ * DrawShapeCommand
+ * Adds the outline of a drawn shape (rectangle, polygon, circle) as one
+ * undoable step: a room, a closed loop of walls, or both
+ * - Walls join existing vertices and walls like Draw Wall (DrawWallsCommand),
+ *   but every corner of the outline is kept, however close the corners are
+ * - With walls, the room sits on their vertices and lists them as its walls
+ * Children (DrawWallsCommand, AddRoomCommand) are resolved on first execute
+ * Supports undo/redo
+ */
+
+import CompositeCommand from "./CompositeCommand";
+import { AddRoomCommand } from "./AddRoomCommand";
+import DrawWallsCommand from "./DrawWallsCommand";
+import { SHAPE_OUTPUTS } from "../utils/constants";
+import { getRoomWallIds } from "../utils/roomBoolean";
+import { getRoomMeasurements } from "../utils/roomUtils";
+
+class DrawShapeCommand extends CompositeCommand {
+  /**
+   * @param {string} shape - Shape name for the label, e.g. "rectangle"
+   * @param {Array<[number, number]>} outline - Corners in world coordinates
+   * @param {string} output - SHAPE_OUTPUTS value
+   * @param {Object} roomProps - Properties of the new room {name, type}
+   * @param {Object} wallProps - Properties of the new walls {thickness, isOuter, justification}
+   * @param {number} tolerance - Distance (mm) within which a corner joins a vertex or wall
+   */
+  constructor(shape, outline, output, roomProps, wallProps, tolerance) {
+    super();
+    this.shape = shape;
+    this.outline = outline;
+    this.output = output;
+    this.roomProps = roomProps;
+    this.wallProps = wallProps;
+    this.tolerance = tolerance;
+    this.isResolved = false;
+  }
+
+  get label() {
+    switch (this.output) {
+      case SHAPE_OUTPUTS.WALLS:
+        return `Draw ${this.shape} walls`;
+      case SHAPE_OUTPUTS.ROOM_AND_WALLS:
+        return `Draw ${this.shape} room and walls`;
+      default:
+        return `Draw ${this.shape} room`;
+    }
+  }
+
+  execute(get, set) {
+    if (this.isResolved) {
+      // Replay the same children (same IDs)
+      super.execute(get, set);
+      return;
+    }
+
+    this.isResolved = true;
+    const hasWalls = this.output !== SHAPE_OUTPUTS.ROOM;
+    const hasRoom = this.output !== SHAPE_OUTPUTS.WALLS;
+
+    let vertexIds;
+    if (hasWalls) {
+      const step = new DrawWallsCommand(
+        [...this.outline, this.outline[0]],
+        this.wallProps,
+        this.tolerance,
+        true
+      );
+      step.execute(get, set);
+      this.add(step);
+
+      // The vertices the walls went through (existing ones included)
+      vertexIds = step.vertexIds
+        .slice(0, -1)
+        .filter((id, i, ids) => id !== ids[(i + 1) % ids.length]);
+    } else {
+      vertexIds = get().allocateIds("vertices", "v", this.outline.length);
+    }
+
+    if (!hasRoom || vertexIds.length < 3) return;
+
+    const { vertices, walls } = get();
+    const vertexData = vertexIds.map(
+      (id, i) =>
+        vertices[id] || {
+          x: Math.round(this.outline[i][0]),
+          y: Math.round(this.outline[i][1]),
+        }
+    );
+
+    const room = { ...this.roomProps, vertices: vertexIds };
+    const wallIds = hasWalls && getRoomWallIds(vertexIds, walls, vertices);
+    if (wallIds) room.walls = wallIds;
+
+    const corners = Object.fromEntries(
+      vertexIds.map((id, i) => [id, vertexData[i]])
+    );
+    room.area = Math.round(
+      getRoomMeasurements(room, { ...vertices, ...corners }, walls).netArea
+    );
+
+    const step = new AddRoomCommand(
+      get().allocateId("rooms", "r"),
+      vertexIds,
+      vertexData,
+      room
+    );
+    step.execute(get, set);
+    this.add(step);
+  }
+}
+
+export default DrawShapeCommand;
@@ -0,0 +1,91 @@
+/**
+ * Shape outlines drawn as rooms and walls, through the editor store
+ */
+
+import { beforeEach, describe, expect, it } from "vitest";
+import DrawShapeCommand from "./DrawShapeCommand";
+import useEditorStore from "../store/editorStore";
+import { SHAPE_OUTPUTS, TOOLS } from "../utils/constants";
+import { getShapePoints } from "../utils/shapes";
+
+const WALL_PROPS = { thickness: 100, isOuter: false, justification: "center" };
+const ROOM_PROPS = { name: "Room 1", type: "other" };
+
+/**
+ * Draw a shape as a room with walls
+ * @param {Array<[number, number]>} outline - Corners
+ * @param {number} tolerance - Join distance (mm)
+ * @returns {Object} Store state after drawing
+ */
+const drawShape = (outline, tolerance) => {
+  useEditorStore
+    .getState()
+    .executeCommand(
+      new DrawShapeCommand(
+        "circle",
+        outline,
+        SHAPE_OUTPUTS.ROOM_AND_WALLS,
+        ROOM_PROPS,
+        WALL_PROPS,
+        tolerance
+      )
+    );
+  return useEditorStore.getState();
+};
+
+describe("DrawShapeCommand", () => {
+  beforeEach(() => {
+    useEditorStore.getState().loadJSON({
+      version: 1,
+      units: "mm",
+      vertices: {},
+      walls: {},
+      rooms: {},
+      symbols: {},
+      instances: {},
+    });
+  });
+
+  it("keeps every segment of a circle smaller than the join distance", () => {
+    // Corners 118mm apart, joined within 200mm
+    const outline = getShapePoints(
+      TOOLS.DRAW_CIRCLE,
+      [
+        [0, 0],
+        [600, 0],
+      ],
+      { segments: 32 }
+    );
+    const { walls, rooms } = drawShape(outline, 200);
+
+    expect(Object.keys(walls)).toHaveLength(32);
+    expect(Object.values(rooms)[0].vertices).toHaveLength(32);
+  });
+
+  it("joins the outline to existing walls", () => {
+    drawShape(
+      [
+        [0, 0],
+        [2000, 0],
+        [2000, 2000],
+        [0, 2000],
+      ],
+      50
+    );
+    // Shares the right edge: corners within 50mm of the first square
+    const { walls, rooms } = drawShape(
+      [
+        [2030, 0],
+        [4000, 0],
+        [4000, 2000],
+        [2030, 2000],
+      ],
+      50
+    );
+
+    const [first, second] = Object.values(rooms);
+    expect(second.vertices[0]).toBe(first.vertices[1]);
+    expect(second.vertices[3]).toBe(first.vertices[2]);
+    expect(Object.keys(walls)).toHaveLength(7);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * DrawWallsCommand
+ * Adds a run of walls through the drawn points as one undoable step
+ * Points on an existing vertex reuse it; points on an existing wall split it
+ * Outlines (shape tools) only join geometry that was there before: their
+ * own points never merge, however close (a repeated point closes the loop)
+ * Children (AddWallCommand, SplitWallCommand) are resolved on first execute
+ * Supports undo/redo
+ */
+
+import CompositeCommand from "./CompositeCommand";
+import { AddWallCommand } from "./AddWallCommand";
+import SplitWallCommand from "./SplitWallCommand";
+import { findVertexAt, findWallAt, findWallBetween } from "../utils/wallGraph";
+
+class DrawWallsCommand extends CompositeCommand {
+  /**
+   * @param {Array<[number, number]>} points - Drawn points in world coordinates
+   * @param {Object} wallProps - Properties of the new walls {thickness, isOuter, justification}
+   * @param {number} tolerance - Distance (mm) within which a point joins a vertex or wall
+   * @param {boolean} isOutline - Keep every drawn point (see above)
+   */
+  constructor(points, wallProps, tolerance, isOutline = false) {
+    super();
+    this.points = points;
+    this.wallProps = wallProps;
+    this.tolerance = tolerance;
+    this.isOutline = isOutline;
+    this.isResolved = false;
+    this.vertexIds = []; // Vertex of each drawn point
+  }
+
+  get label() {
+    const count = this.commands.filter(
+      (command) => command instanceof AddWallCommand
+    ).length;
+    return count === 1 ? "Draw 1 wall" : `Draw ${count} walls`;
+  }
+
+  execute(get, set) {
+    if (this.isResolved) {
+      // Replay the same children (same IDs)
+      super.execute(get, set);
+      return;
+    }
+
+    // Resolve points one by one against the live graph, so later points
+    // see vertices and splits created by earlier ones
+    this.isResolved = true;
+    const { vertices, walls } = get();
+    const joinable = this.isOutline
+      ? {
+          vertexIds: new Set(Object.keys(vertices)),
+          wallIds: new Set(Object.keys(walls)),
+        }
+      : null;
+    const resolved = []; // { id, data } per point
+    let previous = null;
+
+    this.points.forEach((point, i) => {
+      // A repeated outline point is the vertex it had before
+      const repeat = this.isOutline
+        ? this.points.findIndex((p) => p[0] === point[0] && p[1] === point[1])
+        : i;
+      const current =
+        repeat < i
+          ? resolved[repeat]
+          : this.resolvePoint(point, get, set, joinable);
+      resolved.push(current);
+      this.vertexIds.push(current.id);
+
+      // Skip zero-length segments and walls that already exist
+      if (
+        previous &&
+        previous.id !== current.id &&
+        (previous.data.x !== current.data.x ||
+          previous.data.y !== current.data.y) &&
+        !findWallBetween(previous.id, current.id, get().walls)
+      ) {
+        const step = new AddWallCommand(
+          get().allocateId("walls", "w"),
+          previous.id,
+          current.id,
+          previous.data,
+          current.data,
+          { vStart: previous.id, vEnd: current.id, ...this.wallProps }
+        );
+        step.execute(get, set);
+        this.add(step);
+      }
+
+      previous = current;
+    });
+  }
+
+  /**
+   * Find or create the vertex for a drawn point
+   * @param {[number, number]} point - Drawn point
+   * @param {Function} get - Store getter
+   * @param {Function} set - Store setter
+   * @param {{vertexIds: Set<string>, wallIds: Set<string>} | null} joinable -
+   *   What an outline point may join (null: anything)
+   * @returns {{id: string, data: {x: number, y: number}}}
+   */
+  resolvePoint(point, get, set, joinable) {
+    const state = get();
+    const pick = (collection, ids) =>
+      ids
+        ? Object.fromEntries([...ids].map((id) => [id, collection[id]]))
+        : collection;
+    const vertices = pick(state.vertices, joinable?.vertexIds);
+    const walls = pick(state.walls, joinable?.wallIds);
+
+    const vertexId = findVertexAt(point, vertices, this.tolerance);
+    if (vertexId) {
+      // Each existing vertex takes one outline point at most
+      joinable?.vertexIds.delete(vertexId);
+      return { id: vertexId, data: state.vertices[vertexId] };
+    }
+
+    const id = state.allocateId("vertices", "v");
+
+    const wallHit = findWallAt(point, walls, state.vertices, this.tolerance);
+    if (wallHit) {
+      const newWallId = state.allocateId("walls", "w");
+      const step = new SplitWallCommand(
+        wallHit.wallId,
+        id,
+        newWallId,
+        wallHit.point
+      );
+      step.execute(get, set);
+      this.add(step);
+      // The second half of a wall that was there stays joinable
+      joinable?.wallIds.add(newWallId);
+      return { id, data: get().vertices[id] };
+    }
+
+    // New vertex, created with its first wall
+    return { id, data: { x: Math.round(point[0]), y: Math.round(point[1]) } };
+  }
+}
+
+export default DrawWallsCommand;
@@ -0,0 +1,90 @@
+/**
+ * ExtendWallCommand
+ * Extends a wall end to a boundary wall (Extend tool) as one undoable step
+ * - The end moves along the wall's line (MoveWallEndCommand)
+ * - Landing mid-span, the boundary is split through the moved end vertex
+ *   (SplitWallCommand), so the two walls meet at a T-junction
+ * Children are resolved on first execute
+ * Supports undo/redo
+ */
+
+import CompositeCommand from "./CompositeCommand";
+import MoveWallEndCommand from "./MoveWallEndCommand";
+import SplitWallCommand from "./SplitWallCommand";
+import { WALL_EDGE_TOLERANCE } from "../utils/constants";
+import { distance } from "../utils/geometry";
+
+class ExtendWallCommand extends CompositeCommand {
+  /**
+   * @param {string} wallId - Wall to extend
+   * @param {"vStart" | "vEnd"} end - End to move
+   * @param {[number, number]} point - New end point on the boundary
+   * @param {string} boundaryId - Wall extended to
+   * @param {string} vertexId - ID for the new vertex if the end is shared
+   * @param {Object} policy - { orphanInstances } (see DEFAULT_DELETE_POLICY)
+   */
+  constructor(wallId, end, point, boundaryId, vertexId, policy) {
+    super();
+    this.wallId = wallId;
+    this.end = end;
+    this.point = point;
+    this.boundaryId = boundaryId;
+    this.vertexId = vertexId;
+    this.policy = policy;
+    this.isResolved = false;
+  }
+
+  get label() {
+    return `Extend wall ${this.wallId}`;
+  }
+
+  execute(get, set) {
+    if (this.isResolved) {
+      // Replay the same children (same IDs)
+      super.execute(get, set);
+      return;
+    }
+
+    this.isResolved = true;
+    const move = new MoveWallEndCommand(
+      "Extend",
+      this.wallId,
+      this.end,
+      this.point,
+      this.vertexId,
+      this.policy
+    );
+    move.execute(get, set);
+    this.add(move);
+    if (!move.oldWall) return;
+
+    // The end vertex as moved (a new one if the old end was shared)
+    const state = get();
+    const movedId = state.walls[this.wallId]?.[this.end];
+    const boundary = state.walls[this.boundaryId];
+    const moved = state.vertices[movedId];
+    if (!moved || !boundary) return;
+
+    const isAtEnd = [boundary.vStart, boundary.vEnd].some((id) => {
+      const vertex = state.vertices[id];
+      return (
+        distance([vertex.x, vertex.y], [moved.x, moved.y]) <=
+        WALL_EDGE_TOLERANCE
+      );
+    });
+    if (isAtEnd) return;
+
+    const newWallId = state.allocateId("walls", "w");
+    const split = new SplitWallCommand(this.boundaryId, movedId, newWallId, [
+      moved.x,
+      moved.y,
+    ]);
+    split.execute(get, set);
+    // Refused inside a door or window opening: the end stays free
+    if (get().walls[newWallId]) {
+      this.add(split);
+    }
+  }
+}
+
+export default ExtendWallCommand;
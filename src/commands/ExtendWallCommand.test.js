@@ -0,0 +1,74 @@
+/**
+ * Extend tool moves, through the editor store
+ */
+
+import { beforeEach, describe, expect, it } from "vitest";
+import ExtendWallCommand from "./ExtendWallCommand";
+import useEditorStore from "../store/editorStore";
+import { DEFAULT_DELETE_POLICY } from "../utils/constants";
+import { getExtendPoint } from "../utils/wallEdit";
+
+// w1 points down at the boundary w2, 500mm short of it
+const document = {
+  version: 1,
+  units: "mm",
+  vertices: {
+    v1: { x: 1000, y: 0 },
+    v2: { x: 1000, y: 500 },
+    v3: { x: 0, y: 1000 },
+    v4: { x: 2000, y: 1000 },
+  },
+  walls: {
+    w1: { vStart: "v1", vEnd: "v2", thickness: 100 },
+    w2: { vStart: "v3", vEnd: "v4", thickness: 100 },
+  },
+  rooms: {},
+  symbols: {},
+  instances: {},
+};
+
+/**
+ * Extend the end of w1 to w2
+ * @returns {Object} Store state after the extend
+ */
+const extend = () => {
+  const { executeCommand } = useEditorStore.getState();
+  const point = getExtendPoint(useEditorStore.getState(), "w1", "vEnd", "w2");
+  executeCommand(
+    new ExtendWallCommand(
+      "w1",
+      "vEnd",
+      point,
+      "w2",
+      "v9",
+      DEFAULT_DELETE_POLICY
+    )
+  );
+  return useEditorStore.getState();
+};
+
+describe("ExtendWallCommand", () => {
+  beforeEach(() => {
+    useEditorStore.getState().loadJSON(document);
+  });
+
+  it("splits the boundary through the extended end", () => {
+    const { vertices, walls } = extend();
+
+    expect(vertices.v2).toEqual({ x: 1000, y: 1000 });
+    expect(walls.w2.vEnd).toBe("v2");
+    const [, newWall] = Object.entries(walls).find(
+      ([id]) => !document.walls[id]
+    );
+    expect(newWall).toMatchObject({ vStart: "v2", vEnd: "v4" });
+  });
+
+  it("undoes as one step", () => {
+    extend();
+    useEditorStore.getState().undo();
+
+    const { vertices, walls } = useEditorStore.getState();
+    expect(vertices).toEqual(document.vertices);
+    expect(walls).toEqual(document.walls);
+  });
+});
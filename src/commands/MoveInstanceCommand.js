@@ -19,6 +19,10 @@ class MoveInstanceCommand extends Command {
     this.newOffset = newOffset;
   }
 
+  get label() {
+    return `Move instance ${this.instanceId}`;
+  }
+
   execute(get, set) {
     const state = get();
     const instance = state.instances[this.instanceId];
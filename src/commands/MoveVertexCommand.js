@@ -19,6 +19,10 @@ class MoveVertexCommand extends Command {
     this.newPosition = newPosition;
   }
 
+  get label() {
+    return `Move vertex ${this.vertexId}`;
+  }
+
   execute(get, set) {
     const state = get();
     const vertex = state.vertices[this.vertexId];
@@ -0,0 +1,128 @@
+/**
+ * MoveWallEndCommand
+ * Moves one end of a wall along its line (Trim and Extend tools)
+ * - A free end vertex moves; an end shared with other walls or rooms stays
+ *   and the wall is reconnected to a new vertex instead
+ * - Instances on the wall are re-anchored so they keep their position;
+ *   those left off the shortened wall are removed or detached (policy)
+ * - A move that would leave the wall shorter than WALL_MIN_LENGTH does nothing
+ * Supports undo/redo
+ */
+
+import Command from "./Command";
+import { ORPHAN_INSTANCE_POLICIES, WALL_MIN_LENGTH } from "../utils/constants";
+import { detachInstance } from "../utils/deleteCascade";
+import { distance } from "../utils/geometry";
+import { getInstancesOnWall } from "../utils/instanceUtils";
+
+class MoveWallEndCommand extends Command {
+  /**
+   * @param {string} verb - What the move does, for the label ("Trim", "Extend")
+   * @param {string} wallId - Wall to change
+   * @param {"vStart" | "vEnd"} end - End to move
+   * @param {[number, number]} point - New end point on the wall's line
+   * @param {string} vertexId - ID for the new vertex if the end is shared
+   * @param {Object} policy - { orphanInstances } (see DEFAULT_DELETE_POLICY)
+   */
+  constructor(verb, wallId, end, point, vertexId, policy) {
+    super();
+    this.verb = verb;
+    this.wallId = wallId;
+    this.end = end;
+    this.point = point;
+    this.vertexId = vertexId;
+    this.policy = policy;
+  }
+
+  get label() {
+    return `${this.verb} wall ${this.wallId}`;
+  }
+
+  execute(get, set) {
+    const state = get();
+    const wall = state.walls[this.wallId];
+    if (!wall) return;
+
+    const endId = wall[this.end];
+    const isShared =
+      Object.entries(state.walls).some(
+        ([id, other]) =>
+          id !== this.wallId && (other.vStart === endId || other.vEnd === endId)
+      ) ||
+      Object.values(state.rooms).some((room) =>
+        (room.vertices || []).includes(endId)
+      );
+
+    const movedId = isShared ? this.vertexId : endId;
+    const moved = {
+      ...(isShared ? {} : state.vertices[endId]),
+      x: Math.round(this.point[0]),
+      y: Math.round(this.point[1]),
+    };
+    const newWall = { ...wall, [this.end]: movedId };
+
+    // Offsets run from vStart: moving it shifts every instance
+    const oldStart = state.vertices[wall.vStart];
+    const newStart = this.end === "vStart" ? moved : oldStart;
+    const newEnd = this.end === "vEnd" ? moved : state.vertices[wall.vEnd];
+    const newLength = distance([newStart.x, newStart.y], [newEnd.x, newEnd.y]);
+    if (newLength < WALL_MIN_LENGTH) return;
+
+    // Keep originals for undo
+    this.oldWall = wall;
+    this.oldVertex = state.vertices[endId];
+    this.isNewVertex = isShared;
+    this.oldInstances = {};
+
+    const shift =
+      ((newStart.x - oldStart.x) * (newEnd.x - newStart.x) +
+        (newStart.y - oldStart.y) * (newEnd.y - newStart.y)) /
+      newLength;
+
+    const newInstances = { ...state.instances };
+    for (const { id } of getInstancesOnWall(this.wallId, state.instances)) {
+      const instance = state.instances[id];
+      const offset = instance.constraint.offsetFromStart - shift;
+      this.oldInstances[id] = instance;
+
+      if (offset >= 0 && offset <= newLength) {
+        newInstances[id] = {
+          ...instance,
+          constraint: { ...instance.constraint, offsetFromStart: offset },
+        };
+      } else if (
+        this.policy?.orphanInstances === ORPHAN_INSTANCE_POLICIES.DETACH
+      ) {
+        newInstances[id] = detachInstance(instance, state);
+      } else {
+        delete newInstances[id];
+      }
+    }
+
+    set({
+      vertices: { ...state.vertices, [movedId]: moved },
+      walls: { ...state.walls, [this.wallId]: newWall },
+      instances: newInstances,
+    });
+  }
+
+  undo(get, set) {
+    const state = get();
+    if (!this.oldWall) return;
+
+    const newVertices = { ...state.vertices };
+    if (this.isNewVertex) {
+      delete newVertices[this.vertexId];
+    } else {
+      newVertices[this.oldWall[this.end]] = this.oldVertex;
+    }
+
+    set({
+      vertices: newVertices,
+      walls: { ...state.walls, [this.wallId]: this.oldWall },
+      instances: { ...state.instances, ...this.oldInstances },
+    });
+  }
+}
+
+export default MoveWallEndCommand;
@@ -0,0 +1,75 @@
+/**
+ * Trim / Extend moves of a wall end
+ */
+
+import { describe, expect, it } from "vitest";
+import MoveWallEndCommand from "./MoveWallEndCommand";
+import { DEFAULT_DELETE_POLICY } from "../utils/constants";
+
+/**
+ * Run a command against a plain state object
+ * @param {Object} initial - Editor state
+ * @returns {{get: Function, set: Function}} Store accessors
+ */
+const createStore = (initial) => {
+  let state = initial;
+  return {
+    get: () => state,
+    set: (changes) => {
+      state = { ...state, ...changes };
+    },
+  };
+};
+
+const initialState = {
+  vertices: { a: { x: 0, y: 0 }, b: { x: 2000, y: 0 } },
+  walls: { w1: { vStart: "a", vEnd: "b", thickness: 100 } },
+  rooms: {},
+  instances: {
+    d1: {
+      symbol: "door.single",
+      constraint: {
+        attachTo: { kind: "wall", id: "w1" },
+        offsetFromStart: 500,
+      },
+    },
+  },
+};
+
+/**
+ * Move the start of w1
+ * @param {[number, number]} point - New start point
+ * @returns {{command: MoveWallEndCommand, store: Object}} Executed command and store
+ */
+const moveStart = (point) => {
+  const store = createStore(initialState);
+  const command = new MoveWallEndCommand(
+    "Trim",
+    "w1",
+    "vStart",
+    point,
+    "v9",
+    DEFAULT_DELETE_POLICY
+  );
+  command.execute(store.get, store.set);
+  return { command, store };
+};
+
+describe("MoveWallEndCommand", () => {
+  it("re-anchors instances when the start moves", () => {
+    const { command, store } = moveStart([200, 0]);
+    expect(store.get().vertices.a).toEqual({ x: 200, y: 0 });
+    expect(store.get().instances.d1.constraint.offsetFromStart).toBe(300);
+
+    command.undo(store.get, store.set);
+    expect(store.get()).toEqual(initialState);
+  });
+
+  it("refuses to move an end onto the other one", () => {
+    const { command, store } = moveStart([2000, 0.4]);
+    expect(store.get()).toBe(initialState);
+
+    command.undo(store.get, store.set);
+    expect(store.get()).toBe(initialState);
+  });
+});
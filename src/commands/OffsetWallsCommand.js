@@ -0,0 +1,77 @@
+/**
+ * OffsetWallsCommand
+ * Adds a parallel copy of a wall chain at a distance as one undoable step
+ * The copy gets its own vertices, mitered at the corners (see
+ * getOffsetChainPoints); each new wall keeps the thickness, isOuter and
+ * justification of the wall it copies
+ * Children (AddWallCommand) are resolved on first execute
+ * Supports undo/redo
+ */
+
+import CompositeCommand from "./CompositeCommand";
+import { AddWallCommand } from "./AddWallCommand";
+import { getOffsetChainPoints } from "../utils/wallOffset";
+
+class OffsetWallsCommand extends CompositeCommand {
+  /**
+   * @param {Object} chain - Wall chain to copy {vertices, walls, isClosed} (see getWallChain)
+   * @param {number} distance - Signed offset in mm (positive = right of the chain direction)
+   */
+  constructor(chain, distance) {
+    super();
+    this.chain = chain;
+    this.distance = distance;
+    this.isResolved = false;
+  }
+
+  get label() {
+    const count = this.chain.walls.length;
+    return count === 1 ? "Offset 1 wall" : `Offset ${count} walls`;
+  }
+
+  execute(get, set) {
+    if (this.isResolved) {
+      // Replay the same children (same IDs)
+      super.execute(get, set);
+      return;
+    }
+
+    this.isResolved = true;
+    const state = get();
+    const points = getOffsetChainPoints(
+      this.chain,
+      state.vertices,
+      this.distance
+    );
+    if (!points) return;
+
+    // New vertex per chain vertex
+    const copies = {};
+    this.chain.vertices.forEach((vertexId, i) => {
+      copies[vertexId] = {
+        id: state.allocateId("vertices", "v"),
+        data: { x: Math.round(points[i][0]), y: Math.round(points[i][1]) },
+      };
+    });
+
+    for (const wallId of this.chain.walls) {
+      const wall = get().walls[wallId];
+      const start = copies[wall.vStart];
+      const end = copies[wall.vEnd];
+
+      // Same direction as the source, so the justification side holds
+      const step = new AddWallCommand(
+        state.allocateId("walls", "w"),
+        start.id,
+        end.id,
+        start.data,
+        end.data,
+        { ...wall, vStart: start.id, vEnd: end.id }
+      );
+      step.execute(get, set);
+      this.add(step);
+    }
+  }
+}
+
+export default OffsetWallsCommand;
@@ -0,0 +1,72 @@
+/**
+ * PasteCommand
+ * Adds a remapped plan fragment (see remapFragment) and selects it
+ * Supports undo/redo
+ */
+
+import Command from "./Command";
+
+// Collections of a fragment, in the order they are added
+const COLLECTIONS = ["symbols", "vertices", "walls", "rooms", "instances"];
+
+// Pasted objects that end up selected
+const SELECTABLE = [
+  ["wall", "walls"],
+  ["room", "rooms"],
+  ["instance", "instances"],
+];
+
+class PasteCommand extends Command {
+  /**
+   * @param {Object} data - New objects per collection, keyed by their new IDs
+   */
+  constructor(data) {
+    super();
+    this.data = data;
+    this.selection = null;
+  }
+
+  get label() {
+    const count = SELECTABLE.reduce(
+      (sum, [, collection]) => sum + Object.keys(this.data[collection]).length,
+      0
+    );
+    return count === 1 ? "Paste 1 object" : `Paste ${count} objects`;
+  }
+
+  execute(get, set) {
+    const state = get();
+    this.selection = state.selection;
+
+    const changes = {};
+    for (const collection of COLLECTIONS) {
+      changes[collection] = {
+        ...state[collection],
+        ...this.data[collection],
+      };
+    }
+
+    changes.selection = SELECTABLE.flatMap(([type, collection]) =>
+      Object.keys(this.data[collection]).map((id) => ({ type, id }))
+    );
+
+    set(changes);
+  }
+
+  undo(get, set) {
+    const state = get();
+
+    const changes = {};
+    for (const collection of COLLECTIONS) {
+      const remaining = { ...state[collection] };
+      for (const id of Object.keys(this.data[collection])) {
+        delete remaining[id];
+      }
+      changes[collection] = remaining;
+    }
+
+    set({ ...changes, selection: this.selection || [] });
+  }
+}
+
+export default PasteCommand;
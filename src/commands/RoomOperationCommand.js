@@ -0,0 +1,214 @@
+/**
+ * RoomOperationCommand
+ * Merges, splits or subtracts rooms as one undoable step
+ * - Result outlines are written back as rooms on vertex IDs, reusing the
+ *   vertices they pass through (new vertices only where edges cross)
+ * - The largest piece keeps the first room (ID, name, type); other pieces
+ *   are new rooms with the same name and type
+ * - Instances on rooms merged away move to the merged room
+ * - Vertices the old outlines leave unused are deleted
+ * Children (UpdateObjectCommand, AddRoomCommand, DeleteCommand) are
+ * resolved once, see resolve()
+ * Supports undo/redo
+ */
+
+import CompositeCommand from "./CompositeCommand";
+import { AddRoomCommand } from "./AddRoomCommand";
+import DeleteCommand from "./DeleteCommand";
+import UpdateObjectCommand from "./UpdateObjectCommand";
+import { getRoomTypeName, ROOM_OPERATIONS } from "../utils/constants";
+import { calculateSignedArea } from "../utils/geometry";
+import {
+  getPolygonCorners,
+  getRoomOperationResult,
+  getRoomWallIds,
+} from "../utils/roomBoolean";
+import { getRoomMeasurements, getRoomPolygon } from "../utils/roomUtils";
+
+class RoomOperationCommand extends CompositeCommand {
+  /**
+   * @param {string} operation - ROOM_OPERATIONS value
+   * @param {string[]} roomIds - Rooms in selection order (the first one is kept)
+   * @param {[[number, number], [number, number]] | null} line - Cut line (split)
+   * @param {number} tolerance - Distance (mm) within which corners reuse a vertex
+   */
+  constructor(operation, roomIds, line, tolerance) {
+    super();
+    this.operation = operation;
+    this.roomIds = roomIds;
+    this.line = line;
+    this.tolerance = tolerance;
+    this.isResolved = false;
+    this.selection = null;
+    this.error = null; // why nothing changes, if the operation can't run
+    this.resultRoomIds = [];
+  }
+
+  get label() {
+    const [first, second] = this.roomIds;
+    switch (this.operation) {
+      case ROOM_OPERATIONS.MERGE:
+        return `Merge ${this.roomIds.length} rooms`;
+      case ROOM_OPERATIONS.SPLIT:
+        return `Split room ${first}`;
+      case ROOM_OPERATIONS.SUBTRACT:
+        return `Subtract room ${second} from ${first}`;
+      default:
+        return "Room operation";
+    }
+  }
+
+  /**
+   * Build the children against a scratch copy of the state
+   * (the store is untouched apart from ID allocation; on failure there are
+   * no children and error says why)
+   * @param {Object} state - Editor state
+   */
+  resolve(state) {
+    this.isResolved = true;
+
+    const result = getRoomOperationResult(
+      state,
+      this.operation,
+      this.roomIds,
+      this.line
+    );
+    if (result.error) {
+      this.error = result.error;
+      return;
+    }
+
+    let scratch = state;
+    const get = () => scratch;
+    const set = (changes) => {
+      scratch = { ...scratch, ...changes };
+    };
+    const run = (command) => {
+      command.execute(get, set);
+      this.add(command);
+    };
+
+    const sourceRooms = this.roomIds.map((id) => state.rooms[id]);
+    const sourceVertexIds = sourceRooms.flatMap((room) => room.vertices);
+    const [keptRoom] = sourceRooms;
+    const isClockwise =
+      calculateSignedArea(getRoomPolygon(keptRoom, state.vertices)) > 0;
+
+    result.pieces.forEach(({ roomId, polygon }, index) => {
+      // Same winding as the room it came from
+      const outline =
+        calculateSignedArea(polygon) > 0 === isClockwise
+          ? polygon
+          : [...polygon].reverse();
+
+      const vertexIds = getPolygonCorners(
+        outline,
+        scratch.vertices,
+        sourceVertexIds,
+        this.tolerance
+      ).map(({ id, point }) => {
+        if (id) return id;
+
+        const vertexId = state.allocateId("vertices", "v");
+        run(
+          new UpdateObjectCommand("vertex", vertexId, undefined, {
+            x: Math.round(point[0]),
+            y: Math.round(point[1]),
+          })
+        );
+        return vertexId;
+      });
+
+      const room = {
+        ...keptRoom,
+        vertices: vertexIds,
+        ...(index > 0 && {
+          name: `${keptRoom.name || getRoomTypeName(keptRoom.type)} (${index + 1})`,
+        }),
+      };
+      delete room.walls;
+      const wallIds =
+        keptRoom.walls &&
+        getRoomWallIds(vertexIds, state.walls, scratch.vertices);
+      if (wallIds) room.walls = wallIds;
+      room.area = getRoomMeasurements(
+        room,
+        scratch.vertices,
+        state.walls
+      ).netArea;
+
+      if (roomId) {
+        run(new UpdateObjectCommand("room", roomId, keptRoom, room));
+        this.resultRoomIds.push(roomId);
+      } else {
+        const newRoomId = state.allocateId("rooms", "r");
+        run(
+          new AddRoomCommand(
+            newRoomId,
+            vertexIds,
+            vertexIds.map((id) => scratch.vertices[id]),
+            room
+          )
+        );
+        this.resultRoomIds.push(newRoomId);
+      }
+    });
+
+    // Rooms merged away hand their instances to the kept room
+    for (const removedId of result.removedRoomIds) {
+      for (const [instanceId, instance] of Object.entries(scratch.instances)) {
+        const attachTo = instance.constraint?.attachTo;
+        if (attachTo?.kind !== "room" || attachTo.id !== removedId) continue;
+
+        run(
+          new UpdateObjectCommand("instance", instanceId, instance, {
+            ...instance,
+            constraint: {
+              ...instance.constraint,
+              attachTo: { kind: "room", id: this.roomIds[0] },
+            },
+          })
+        );
+      }
+      run(new DeleteCommand("room", removedId, scratch.rooms[removedId]));
+    }
+
+    // Old corners nothing uses any more
+    const usedVertexIds = new Set();
+    for (const wall of Object.values(scratch.walls)) {
+      usedVertexIds.add(wall.vStart);
+      usedVertexIds.add(wall.vEnd);
+    }
+    for (const room of Object.values(scratch.rooms)) {
+      room.vertices.forEach((id) => usedVertexIds.add(id));
+    }
+    for (const id of new Set(sourceVertexIds)) {
+      if (!usedVertexIds.has(id) && scratch.vertices[id]) {
+        run(new DeleteCommand("vertex", id, scratch.vertices[id]));
+      }
+    }
+  }
+
+  execute(get, set) {
+    if (!this.isResolved) {
+      this.resolve(get());
+    }
+    this.selection = get().selection;
+
+    super.execute(get, set);
+    set({
+      selection: this.resultRoomIds.map((id) => ({ type: "room", id })),
+    });
+  }
+
+  undo(get, set) {
+    super.undo(get, set);
+    set({ selection: this.selection || [] });
+  }
+
+  redo(get, set) {
+    this.execute(get, set);
+  }
+}
+
+export default RoomOperationCommand;
@@ -0,0 +1,180 @@
+/**
+ * SplitWallCommand
+ * Splits a wall in two at a point on it, through a new vertex
+ * (or through an existing vertex lying on the wall, e.g. a T-junction)
+ * - Instances past the split point move to the second wall, keeping their
+ *   position; a split inside a door or window opening does nothing
+ * - Rooms with an edge along the wall get the split vertex as a corner, and
+ *   their walls list names the half each edge runs along
+ * Supports undo/redo
+ */
+
+import Command from "./Command";
+import { WALL_EDGE_TOLERANCE } from "../utils/constants";
+import { distance, midpoint, pointToLineDistance } from "../utils/geometry";
+import { getInstancesOnWall } from "../utils/instanceUtils";
+import { getWallOpenings } from "../utils/wallGeometry";
+
+class SplitWallCommand extends Command {
+  /**
+   * @param {string} wallId - ID of the wall to split
+   * @param {string} vertexId - ID for the new vertex at the split point (an existing vertex is reused)
+   * @param {string} newWallId - ID for the second half (split point → old end)
+   * @param {[number, number]} point - Split point on the wall
+   */
+  constructor(wallId, vertexId, newWallId, point) {
+    super();
+    this.wallId = wallId;
+    this.vertexId = vertexId;
+    this.newWallId = newWallId;
+    this.point = point;
+  }
+
+  get label() {
+    return `Split wall ${this.wallId}`;
+  }
+
+  execute(get, set) {
+    const state = get();
+    const wall = state.walls[this.wallId];
+    if (!wall) return;
+
+    // Existing vertices stay where they are (and survive undo)
+    this.isNewVertex = !state.vertices[this.vertexId];
+    const vertex = this.isNewVertex
+      ? { x: Math.round(this.point[0]), y: Math.round(this.point[1]) }
+      : state.vertices[this.vertexId];
+    const vStart = state.vertices[wall.vStart];
+    const vEnd = state.vertices[wall.vEnd];
+    const start = [vStart.x, vStart.y];
+    const end = [vEnd.x, vEnd.y];
+    const split = [vertex.x, vertex.y];
+    const splitOffset = distance(start, split);
+
+    // Openings would have to move off their position (see getSplitPoint)
+    const openings = getWallOpenings(
+      this.wallId,
+      state.instances,
+      state.symbols || {}
+    );
+    if (openings.some(([from, to]) => splitOffset > from && splitOffset < to)) {
+      return;
+    }
+
+    // Keep originals for undo
+    this.oldWall = wall;
+    this.oldInstances = {};
+    this.oldRooms = {};
+
+    // Re-anchor instances past the split point to the second half
+    const newInstances = { ...state.instances };
+    for (const { id, ...instance } of getInstancesOnWall(
+      this.wallId,
+      state.instances
+    )) {
+      const offset = instance.constraint.offsetFromStart;
+      if (offset <= splitOffset) continue;
+
+      this.oldInstances[id] = state.instances[id];
+      newInstances[id] = {
+        ...instance,
+        constraint: {
+          ...instance.constraint,
+          attachTo: { kind: "wall", id: this.newWallId },
+          offsetFromStart: offset - splitOffset,
+        },
+      };
+    }
+
+    // Rooms along the wall: the split vertex becomes a corner of the edge
+    // it lies on, and each edge keeps the half it runs along
+    const getPoint = (id) => [state.vertices[id].x, state.vertices[id].y];
+    const isAlongWall = (id) =>
+      state.vertices[id] &&
+      pointToLineDistance(getPoint(id), start, end) <= WALL_EDGE_TOLERANCE;
+    const getHalf = (point) =>
+      distance(start, point) > splitOffset ? this.newWallId : this.wallId;
+
+    const newRooms = { ...state.rooms };
+    for (const [roomId, room] of Object.entries(state.rooms)) {
+      const count = room.vertices.length;
+      const vertexIds = [];
+      const wallIds = [];
+
+      room.vertices.forEach((a, i) => {
+        const b = room.vertices[(i + 1) % count];
+        const wallId = room.walls?.[i];
+        const isOnWall = isAlongWall(a) && isAlongWall(b);
+        const isSplit =
+          isOnWall &&
+          a !== this.vertexId &&
+          b !== this.vertexId &&
+          pointToLineDistance(split, getPoint(a), getPoint(b)) <=
+            WALL_EDGE_TOLERANCE &&
+          distance(split, getPoint(a)) > WALL_EDGE_TOLERANCE &&
+          distance(split, getPoint(b)) > WALL_EDGE_TOLERANCE;
+
+        vertexIds.push(a);
+        if (isSplit) {
+          vertexIds.push(this.vertexId);
+        }
+
+        if (wallId !== this.wallId || !isOnWall) {
+          wallIds.push(...(isSplit ? [wallId, wallId] : [wallId]));
+        } else if (isSplit) {
+          wallIds.push(getHalf(getPoint(a)), getHalf(getPoint(b)));
+        } else {
+          wallIds.push(getHalf(midpoint(getPoint(a), getPoint(b))));
+        }
+      });
+
+      const isChanged =
+        vertexIds.length !== count ||
+        (room.walls && wallIds.some((id, i) => id !== room.walls[i]));
+      if (!isChanged) continue;
+
+      this.oldRooms[roomId] = room;
+      newRooms[roomId] = {
+        ...room,
+        vertices: vertexIds,
+        ...(room.walls && { walls: wallIds }),
+      };
+    }
+
+    set({
+      vertices: {
+        ...state.vertices,
+        [this.vertexId]: vertex,
+      },
+      walls: {
+        ...state.walls,
+        [this.wallId]: { ...wall, vEnd: this.vertexId },
+        [this.newWallId]: { ...wall, vStart: this.vertexId },
+      },
+      rooms: newRooms,
+      instances: newInstances,
+    });
+  }
+
+  undo(get, set) {
+    const state = get();
+    if (!this.oldWall) return;
+
+    const newVertices = { ...state.vertices };
+    if (this.isNewVertex !== false) {
+      delete newVertices[this.vertexId];
+    }
+
+    const newWalls = { ...state.walls, [this.wallId]: this.oldWall };
+    delete newWalls[this.newWallId];
+
+    set({
+      vertices: newVertices,
+      walls: newWalls,
+      rooms: { ...state.rooms, ...this.oldRooms },
+      instances: { ...state.instances, ...this.oldInstances },
+    });
+  }
+}
+
+export default SplitWallCommand;
@@ -0,0 +1,89 @@
+/**
+ * Splitting walls of the sample apartment (w1 runs along the top of the
+ * Living Room r1 and the Kitchen r2, door d1 opens 1500-2400 along it)
+ */
+
+import { describe, expect, it } from "vitest";
+import SplitWallCommand from "./SplitWallCommand";
+import { calculateInstancePosition } from "../utils/instanceUtils";
+import { getRoomWallIds } from "../utils/roomBoolean";
+import { getRoomMeasurements } from "../utils/roomUtils";
+import { sampleFloorPlan3 } from "../utils/sampleData3";
+
+/**
+ * Sample state with each room listing its walls
+ * @returns {Object} Editor state
+ */
+const createState = () => {
+  const { vertices, walls, rooms } = sampleFloorPlan3;
+  return {
+    ...sampleFloorPlan3,
+    rooms: Object.fromEntries(
+      Object.entries(rooms).map(([id, room]) => [
+        id,
+        { ...room, walls: getRoomWallIds(room.vertices, walls, vertices) },
+      ])
+    ),
+  };
+};
+
+/**
+ * Split w1 at a point
+ * @param {[number, number]} point - Split point
+ * @returns {{command: SplitWallCommand, get: Function, set: Function, initial: Object}}
+ */
+const splitTopWall = (point) => {
+  const initial = createState();
+  let state = initial;
+  const get = () => state;
+  const set = (changes) => {
+    state = { ...state, ...changes };
+  };
+
+  const command = new SplitWallCommand("w1", "v10", "w8", point);
+  command.execute(get, set);
+  return { command, get, set, initial };
+};
+
+describe("SplitWallCommand", () => {
+  it("adds the split vertex to rooms along the wall", () => {
+    const { get } = splitTopWall([3000, 0]);
+    const { rooms, vertices, walls } = get();
+
+    expect(rooms.r1.vertices).toEqual(["v1", "v10", "v5", "v8", "v7"]);
+    expect(rooms.r1.walls).toEqual(["w1", "w8", "w5", "w6", "w4"]);
+    expect(rooms.r2.vertices).toEqual(["v5", "v2", "v9", "v8"]);
+    expect(rooms.r2.walls).toEqual(["w8", "w2", "w7", "w5"]);
+
+    // Still measured inside the same wall faces
+    expect(getRoomMeasurements(rooms.r1, vertices, walls).netArea).toBeCloseTo(
+      3825 * 2825
+    );
+  });
+
+  it.each([
+    ["after", 1000, "w8"],
+    ["before", 3000, "w1"],
+  ])("keeps doors %s the split where they are", (_, x, wallId) => {
+    const { get, initial } = splitTopWall([x, 0]);
+    const { d1 } = get().instances;
+
+    expect(d1.constraint.attachTo.id).toBe(wallId);
+    expect(calculateInstancePosition(d1, get()).position).toEqual(
+      calculateInstancePosition(initial.instances.d1, initial).position
+    );
+  });
+
+  it("refuses to split inside a door opening", () => {
+    // d1 opens 1500-2400
+    const { get, initial } = splitTopWall([2000, 0]);
+    expect(get()).toBe(initial);
+  });
+
+  it("restores walls, rooms and instances on undo", () => {
+    const { command, get, set, initial } = splitTopWall([3000, 0]);
+    command.undo(get, set);
+
+    expect(get()).toEqual(initial);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * UpdateObjectCommand
+ * Command for replacing the data of an object (room, wall, instance, vertex)
+ * Supports undo/redo
+ */
+
+import Command from "./Command";
+import { OBJECT_COLLECTIONS } from "../utils/constants";
+
+class UpdateObjectCommand extends Command {
+  /**
+   * @param {string} objectType - Type of object ('room', 'wall', 'instance', 'vertex')
+   * @param {string} objectId - ID of the object to update
+   * @param {Object} oldData - Object data before the change (undefined: created)
+   * @param {Object} newData - Object data after the change (undefined: removed)
+   */
+  constructor(objectType, objectId, oldData, newData) {
+    super();
+    this.objectType = objectType;
+    this.objectId = objectId;
+    this.oldData = oldData;
+    this.newData = newData;
+  }
+
+  get label() {
+    return `Edit ${this.objectType} ${this.objectId}`;
+  }
+
+  execute(get, set) {
+    this.apply(get, set, this.newData);
+  }
+
+  undo(get, set) {
+    this.apply(get, set, this.oldData);
+  }
+
+  /**
+   * Write object data into its collection
+   */
+  apply(get, set, data) {
+    const collection = OBJECT_COLLECTIONS[this.objectType];
+    if (!collection) {
+      console.warn(`Unknown object type: ${this.objectType}`);
+      return;
+    }
+
+    // No data: the object doesn't exist on this side of the change
+    const items = { ...get()[collection] };
+    if (data === undefined) {
+      delete items[this.objectId];
+    } else {
+      items[this.objectId] = data;
+    }
+    set({ [collection]: items });
+  }
+}
+
+export default UpdateObjectCommand;
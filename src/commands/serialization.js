@@ -0,0 +1,139 @@
+/**
+ * Command history serialization
+ * Converts commands to plain JSON (for persisting history with autosave)
+ * and back into command instances
+ *
+ * Commands are stored as { type, data } where data holds the command's own
+ * fields (constructor arguments and what it recorded on execute);
+ * composite children are stored recursively in data.commands
+ */
+
+import CompositeCommand from "./CompositeCommand";
+import AddInstanceCommand from "./AddInstanceCommand";
+import { AddRoomCommand } from "./AddRoomCommand";
+import { AddWallCommand } from "./AddWallCommand";
+import CleanupGeometryCommand from "./CleanupGeometryCommand";
+import DeleteCommand from "./DeleteCommand";
+import DeleteSelectionCommand from "./DeleteSelectionCommand";
+import DetectRoomsCommand from "./DetectRoomsCommand";
+import DrawShapeCommand from "./DrawShapeCommand";
+import DrawWallsCommand from "./DrawWallsCommand";
+import ExtendWallCommand from "./ExtendWallCommand";
+import MoveInstanceCommand from "./MoveInstanceCommand";
+import MoveVertexCommand from "./MoveVertexCommand";
+import MoveWallEndCommand from "./MoveWallEndCommand";
+import OffsetWallsCommand from "./OffsetWallsCommand";
+import PasteCommand from "./PasteCommand";
+import RoomOperationCommand from "./RoomOperationCommand";
+import SplitWallCommand from "./SplitWallCommand";
+import TransformSelectionCommand from "./TransformSelectionCommand";
+import UpdateObjectCommand from "./UpdateObjectCommand";
+
+export const HISTORY_FORMAT_VERSION = 2; // 2: selection recorded as [{type, id}]
+
+// Stable type names (class names don't survive minification)
+const COMMAND_TYPES = {
+  composite: CompositeCommand,
+  addInstance: AddInstanceCommand,
+  addRoom: AddRoomCommand,
+  addWall: AddWallCommand,
+  cleanupGeometry: CleanupGeometryCommand,
+  delete: DeleteCommand,
+  deleteSelection: DeleteSelectionCommand,
+  detectRooms: DetectRoomsCommand,
+  drawShape: DrawShapeCommand,
+  drawWalls: DrawWallsCommand,
+  extendWall: ExtendWallCommand,
+  moveInstance: MoveInstanceCommand,
+  moveVertex: MoveVertexCommand,
+  moveWallEnd: MoveWallEndCommand,
+  offsetWalls: OffsetWallsCommand,
+  paste: PasteCommand,
+  roomOperation: RoomOperationCommand,
+  splitWall: SplitWallCommand,
+  transformSelection: TransformSelectionCommand,
+  updateObject: UpdateObjectCommand,
+};
+
+/**
+ * Get the stable type name of a command
+ * @param {Command} command - Command instance
+ * @returns {string} Type name
+ */
+const getCommandType = (command) => {
+  for (const [type, CommandClass] of Object.entries(COMMAND_TYPES)) {
+    if (command.constructor === CommandClass) return type;
+  }
+  throw new Error(`Command ${command.label} is not serializable`);
+};
+
+/**
+ * Convert a command to plain JSON
+ * @param {Command} command - Command instance
+ * @returns {{type: string, data: Object}} Serialized command
+ */
+export const serializeCommand = (command) => {
+  const data = { ...command };
+  if (command instanceof CompositeCommand) {
+    data.commands = command.commands.map(serializeCommand);
+  }
+
+  return { type: getCommandType(command), data };
+};
+
+/**
+ * Rebuild a command from plain JSON
+ * @param {{type: string, data: Object}} json - Serialized command
+ * @returns {Command} Command instance
+ */
+export const deserializeCommand = (json) => {
+  const CommandClass = COMMAND_TYPES[json?.type];
+  if (!CommandClass) {
+    throw new Error(`Unknown command type "${json?.type}"`);
+  }
+
+  // Restore fields without running the constructor
+  const command = Object.assign(
+    Object.create(CommandClass.prototype),
+    json.data
+  );
+  if (command instanceof CompositeCommand) {
+    command.commands = (json.data.commands || []).map(deserializeCommand);
+  }
+
+  return command;
+};
+
+/**
+ * Serialize a command history
+ * @param {Array<Command>} commands - Command history
+ * @param {number} index - Current history index
+ * @returns {{version: number, index: number, commands: Array}} Serialized history
+ */
+export const serializeHistory = (commands, index) => ({
+  version: HISTORY_FORMAT_VERSION,
+  index,
+  commands: commands.map(serializeCommand),
+});
+
+/**
+ * Rebuild a command history
+ * @param {Object} json - Serialized history (from serializeHistory)
+ * @returns {{commands: Array<Command>, index: number}} Command history and index
+ * @throws {Error} If the history is malformed or from an unknown version
+ */
+export const deserializeHistory = (json) => {
+  if (json?.version !== HISTORY_FORMAT_VERSION) {
+    throw new Error(`Unsupported history version ${json?.version}`);
+  }
+  if (!Array.isArray(json.commands)) {
+    throw new Error("History has no commands");
+  }
+
+  const commands = json.commands.map(deserializeCommand);
+  const index = Number.isInteger(json.index)
+    ? Math.min(Math.max(json.index, -1), commands.length - 1)
+    : commands.length - 1;
+
+  return { commands, index };
+};
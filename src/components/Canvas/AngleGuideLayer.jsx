@@ -0,0 +1,39 @@
+/**
+ * AngleGuideLayer - Renders the locked direction while Ortho / Shift is active
+ * Dashed line through the segment start, extended across the canvas
+ */
+
+import React from "react";
+import { Layer, Line } from "react-konva";
+import useEditorStore from "../../store/editorStore";
+import { ANGLE_GUIDE_COLOR } from "../../utils/constants";
+
+const AngleGuideLayer = ({ viewport, width, height }) => {
+  const angleGuide = useEditorStore((state) => state.angleGuide);
+
+  if (!angleGuide) {
+    return null;
+  }
+
+  const x = angleGuide.origin[0] * viewport.scale + viewport.x;
+  const y = angleGuide.origin[1] * viewport.scale + viewport.y;
+
+  // Long enough to leave the canvas from any origin on screen
+  const reach = width + height;
+  const dx = Math.cos(angleGuide.angle) * reach;
+  const dy = Math.sin(angleGuide.angle) * reach;
+
+  return (
+    <Layer listening={false}>
+      <Line
+        points={[x - dx, y - dy, x + dx, y + dy]}
+        stroke={ANGLE_GUIDE_COLOR}
+        strokeWidth={1}
+        dash={[6, 4]}
+        opacity={0.8}
+      />
+    </Layer>
+  );
+};
+
+export default AngleGuideLayer;
@@ -0,0 +1,97 @@
+/**
+ * DimensionInput - Inline box for typed coordinates while drawing
+ * Opens next to the cursor when a digit or format character is typed;
+ * Enter adds the point through addTempPoint, Escape or blur closes it
+ * Other tools pass onSubmit (and their own anchor/placeholder) to take
+ * a typed value instead, e.g. the Offset tool's distance
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import useEditorStore from "../../store/editorStore";
+import { parseDimensionInput } from "../../utils/dimensionInput";
+
+const INPUT_OFFSET = 16; // Screen pixels from the cursor
+
+const DimensionInput = ({
+  viewport,
+  initialText,
+  onClose,
+  onSubmit = null, // (text) => error message or null
+  anchor: anchorPoint = null,
+  placeholder = "length, length<angle, @dx,dy, x,y",
+}) => {
+  const tempPoints = useEditorStore((state) => state.tempPoints);
+  const cursorPoint = useEditorStore((state) => state.cursorPoint);
+  const addTempPoint = useEditorStore((state) => state.addTempPoint);
+  const setCursorPoint = useEditorStore((state) => state.setCursorPoint);
+
+  const [text, setText] = useState(initialText);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  // Focus with the caret after the character that opened the input
+  useEffect(() => {
+    const input = inputRef.current;
+    input.focus();
+    input.setSelectionRange(input.value.length, input.value.length);
+  }, []);
+
+  const fromPoint = tempPoints[tempPoints.length - 1] || null;
+  const anchor = anchorPoint || cursorPoint || fromPoint || [0, 0];
+  const left = anchor[0] * viewport.scale + viewport.x + INPUT_OFFSET;
+  const top = anchor[1] * viewport.scale + viewport.y + INPUT_OFFSET;
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && onSubmit) {
+      e.preventDefault();
+      const submitError = onSubmit(text);
+      if (submitError) {
+        setError(submitError);
+        return;
+      }
+
+      onClose();
+      return;
+    }
+
+    if (e.key === "Enter") {
+      e.preventDefault();
+      const result = parseDimensionInput(text, fromPoint, cursorPoint);
+      if (result.error) {
+        setError(result.error);
+        return;
+      }
+
+      addTempPoint(result.point);
+      setCursorPoint(result.point);
+      onClose();
+      return;
+    }
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="dimension-input" style={{ left, top }}>
+      <input
+        ref={inputRef}
+        className={error ? "invalid" : ""}
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setError(null);
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={onClose}
+        placeholder={placeholder}
+        spellCheck={false}
+      />
+      {error && <div className="dimension-input-error">{error}</div>}
+    </div>
+  );
+};
+
+export default DimensionInput;
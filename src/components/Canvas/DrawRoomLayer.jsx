@@ -1,10 +1,12 @@
 /**
  * DrawRoomLayer - Renders temporary lines and points while drawing rooms
+ * plus the rubber band to the cursor
  */
 
 import React from "react";
 import { Layer, Line, Circle } from "react-konva";
 import useEditorStore from "../../store/editorStore";
+import RubberBand from "./RubberBand";
 import { VERTEX_COLOR } from "../../utils/constants";
 
 const DrawRoomLayer = ({ viewport }) => {
@@ -101,6 +103,7 @@ const DrawRoomLayer = ({ viewport }) => {
     <Layer listening={false}>
       {polygonElement}
       {lineElements}
+      <RubberBand viewport={viewport} stroke="#90caf9" strokeWidth={2} />
       {pointElements}
     </Layer>
   );
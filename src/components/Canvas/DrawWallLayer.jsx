@@ -1,17 +1,57 @@
 /**
  * DrawWallLayer - Renders temporary lines and points while drawing walls
+ * plus the rubber band to the cursor, over a preview of the wall bodies
+ * (thickness and justification of the walls about to be created)
  */
 
 import React from "react";
 import { Layer, Line, Circle } from "react-konva";
 import useEditorStore from "../../store/editorStore";
-import { WALL_COLOR, VERTEX_COLOR } from "../../utils/constants";
+import RubberBand from "./RubberBand";
+import {
+  TOOLS,
+  WALL_COLOR,
+  WALL_DEFAULT_THICKNESS,
+  VERTEX_COLOR,
+} from "../../utils/constants";
+import { getWallOutlines } from "../../utils/wallGeometry";
+
+/**
+ * Build throwaway walls along the drawn chain (and on to the cursor)
+ * @param {Array<[number, number]>} points - Chain points
+ * @param {string} justification - Justification of the new walls
+ * @returns {{vertices: Object, walls: Object}} Wall graph for getWallOutlines
+ */
+const buildPreviewWalls = (points, justification) => {
+  const vertices = {};
+  const walls = {};
+  points.forEach(([x, y], i) => {
+    vertices[`p${i}`] = { x, y };
+    if (i > 0) {
+      walls[`w${i}`] = {
+        vStart: `p${i - 1}`,
+        vEnd: `p${i}`,
+        thickness: WALL_DEFAULT_THICKNESS,
+        justification,
+      };
+    }
+  });
+  return { vertices, walls };
+};
 
 const DrawWallLayer = ({ viewport }) => {
   const tempPoints = useEditorStore((state) => state.tempPoints);
   const isDrawing = useEditorStore((state) => state.isDrawing);
+  const cursorPoint = useEditorStore((state) => state.cursorPoint);
+  const wallJustification = useEditorStore((state) => state.wallJustification);
+  const currentTool = useEditorStore((state) => state.currentTool);
 
-  if (!isDrawing || tempPoints.length === 0) {
+  // Only show when drawing walls
+  if (
+    !isDrawing ||
+    tempPoints.length === 0 ||
+    currentTool !== TOOLS.DRAW_WALL
+  ) {
     return null;
   }
 
@@ -23,6 +63,23 @@ const DrawWallLayer = ({ viewport }) => {
     ];
   };
 
+  // Wall bodies as they will be created
+  const { vertices, walls } = buildPreviewWalls(
+    cursorPoint ? [...tempPoints, cursorPoint] : tempPoints,
+    wallJustification
+  );
+  const bodyElements = Object.entries(getWallOutlines(walls, vertices)).map(
+    ([wallId, outline]) => (
+      <Line
+        key={`temp-body-${wallId}`}
+        points={outline.flatMap((point) => worldToScreen(point))}
+        closed
+        fill={WALL_COLOR}
+        opacity={0.25}
+      />
+    )
+  );
+
   // Render existing points
   const pointElements = tempPoints.map((point, index) => {
     const screenPos = worldToScreen(point);
@@ -59,7 +116,9 @@ const DrawWallLayer = ({ viewport }) => {
 
   return (
     <Layer listening={false}>
+      {bodyElements}
       {lineElements}
+      <RubberBand viewport={viewport} stroke={WALL_COLOR} strokeWidth={3} />
       {pointElements}
     </Layer>
   );
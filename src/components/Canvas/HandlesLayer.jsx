@@ -7,22 +7,24 @@
 import React, { useMemo, useState, useRef } from "react";
 import { Layer, Circle } from "react-konva";
 import useEditorStore from "../../store/editorStore";
-import { snapToGrid } from "../../utils/snapping";
+import useSnapping from "../../hooks/useSnapping";
+import useAngleLock from "../../hooks/useAngleLock";
+import { getAdjacentVertexIds } from "../../utils/wallGraph";
 import MoveVertexCommand from "../../commands/MoveVertexCommand";
 
 const HANDLE_RADIUS = 6; // Screen pixels
 const HANDLE_COLOR = "#1565c0"; // Dark blue
 const HANDLE_HOVER_COLOR = "#64b5f6"; // Light blue
 const HANDLE_STROKE = "#ffffff";
-const GRID_SIZE = 500; // Snap to 500mm grid
 
 const HandlesLayer = ({ viewport }) => {
   const vertices = useEditorStore((state) => state.vertices);
   const walls = useEditorStore((state) => state.walls);
   const rooms = useEditorStore((state) => state.rooms);
-  const selectedIds = useEditorStore((state) => state.selectedIds);
-  const selectedType = useEditorStore((state) => state.selectedType);
+  const selection = useEditorStore((state) => state.selection);
   const executeCommand = useEditorStore((state) => state.executeCommand);
+  const { snapPoint, findSnapAt, clearSnap } = useSnapping();
+  const { lockPoint, clearGuide } = useAngleLock();
 
   const [draggingVertexId, setDraggingVertexId] = useState(null);
   const [hoveredVertexId, setHoveredVertexId] = useState(null);
@@ -30,31 +32,35 @@ const HandlesLayer = ({ viewport }) => {
   // Store the original position when drag starts
   const dragStartPositionRef = useRef(null);
 
+  // Neighbour positions the dragged vertex is angle-locked to
+  const dragOriginsRef = useRef([]);
+
   // Get vertices to show handles for
   const visibleVertexIds = useMemo(() => {
     const vertexSet = new Set();
 
-    if (selectedType === "room") {
-      // Show vertices of selected rooms
-      for (const roomId of selectedIds) {
-        const room = rooms[roomId];
+    for (const { type, id } of selection) {
+      if (type === "room") {
+        // Show vertices of selected rooms
+        const room = rooms[id];
         if (room && room.vertices) {
           room.vertices.forEach((vId) => vertexSet.add(vId));
         }
-      }
-    } else if (selectedType === "wall") {
-      // Show vertices of selected walls
-      for (const wallId of selectedIds) {
-        const wall = walls[wallId];
+      } else if (type === "wall") {
+        // Show vertices of selected walls
+        const wall = walls[id];
         if (wall) {
           vertexSet.add(wall.vStart);
           vertexSet.add(wall.vEnd);
         }
+      } else if (type === "vertex" && vertices[id]) {
+        // Show selected vertices themselves
+        vertexSet.add(id);
       }
     }
 
     return Array.from(vertexSet);
-  }, [selectedIds, selectedType, rooms, walls]);
+  }, [selection, rooms, walls, vertices]);
 
   // Convert vertices to screen coordinates
   const handles = useMemo(() => {
@@ -92,6 +98,11 @@ const HandlesLayer = ({ viewport }) => {
         y: vertex.y,
       };
     }
+
+    dragOriginsRef.current = getAdjacentVertexIds(vertexId, walls, rooms)
+      .map((id) => vertices[id])
+      .filter(Boolean)
+      .map((v) => [v.x, v.y]);
   };
 
   // Handle drag move
@@ -105,8 +116,26 @@ const HandlesLayer = ({ viewport }) => {
     let worldX = (screenX - viewport.x) / viewport.scale;
     let worldY = (screenY - viewport.y) / viewport.scale;
 
-    // Apply snap to grid (500mm intervals)
-    const snapped = snapToGrid([worldX, worldY], GRID_SIZE);
+    // Lock the angle to a neighbour (Ortho / Shift), then snap to other
+    // vertices and walls (not to itself); the grid only applies unlocked
+    let snapped = lockPoint([worldX, worldY], {
+      origins: dragOriginsRef.current,
+      shiftKey: e.evt.shiftKey,
+    });
+    if (snapped) {
+      const snap = findSnapAt([worldX, worldY], {
+        excludeVertexIds: [vertexId],
+        allowGrid: false,
+      });
+      if (snap) {
+        clearGuide();
+        snapped = snap.point;
+      }
+    } else {
+      snapped = snapPoint([worldX, worldY], {
+        excludeVertexIds: [vertexId],
+      });
+    }
     worldX = snapped[0];
     worldY = snapped[1];
 
@@ -132,6 +161,9 @@ const HandlesLayer = ({ viewport }) => {
   // Handle drag end
   const handleDragEnd = (vertexId) => {
     setDraggingVertexId(null);
+    clearSnap();
+    clearGuide();
+    dragOriginsRef.current = [];
 
     // Get final position
     const vertex = vertices[vertexId];
@@ -167,8 +199,8 @@ const HandlesLayer = ({ viewport }) => {
               isDragging
                 ? "#0d47a1"
                 : isHovered
-                ? HANDLE_HOVER_COLOR
-                : HANDLE_COLOR
+                  ? HANDLE_HOVER_COLOR
+                  : HANDLE_COLOR
             }
             stroke={HANDLE_STROKE}
             strokeWidth={2}
@@ -12,39 +12,36 @@ function InstanceHandlesLayer() {
   const instances = useEditorStore((state) => state.instances);
   const walls = useEditorStore((state) => state.walls);
   const vertices = useEditorStore((state) => state.vertices);
-  const selectedIds = useEditorStore((state) => state.selectedIds);
-  const selectedType = useEditorStore((state) => state.selectedType);
+  const selection = useEditorStore((state) => state.selection);
   const updateInstance = useEditorStore((state) => state.updateInstance);
   const executeCommand = useEditorStore((state) => state.executeCommand);
 
   // Store original position for undo
   const dragStartPositionRef = useRef(null);
 
+  // First selected instance gets the handle
+  const selectedId = selection.find((item) => item.type === "instance")?.id;
+
   console.log("InstanceHandlesLayer called:", {
-    selectedType,
-    selectedIds,
+    selection,
     instanceCount: Object.keys(instances).length,
-    firstSelectedId: selectedIds[0],
+    firstSelectedId: selectedId,
   });
 
   // Only show handles for selected instances
-  if (selectedType !== "instance" || selectedIds.length === 0) {
-    console.log("Early return because:", {
-      selectedType,
-      isInstance: selectedType === "instance",
-      hasSelection: selectedIds.length > 0,
-    });
+  if (!selectedId) {
+    console.log("Early return because no instance is selected");
     return null;
   }
 
-  const selectedInstance = instances[selectedIds[0]];
+  const selectedInstance = instances[selectedId];
   console.log("Selected instance data:", {
-    id: selectedIds[0],
+    id: selectedId,
     instance: selectedInstance,
   });
 
   if (!selectedInstance) {
-    console.log("No instance found for ID:", selectedIds[0]);
+    console.log("No instance found for ID:", selectedId);
     return null;
   }
 
@@ -113,7 +110,7 @@ function InstanceHandlesLayer() {
     const newOffset = Math.max(0, Math.min(1, projection));
 
     // Update instance position
-    updateInstance(selectedIds[0], {
+    updateInstance(selectedId, {
       constraint: {
         ...selectedInstance.constraint,
         offsetFromStart: newOffset,
@@ -139,7 +136,7 @@ function InstanceHandlesLayer() {
       import("../../commands/MoveInstanceCommand").then((module) => {
         const MoveInstanceCommand = module.default;
         const command = new MoveInstanceCommand(
-          selectedIds[0],
+          selectedId,
           oldOffset,
           newOffset
         );
@@ -151,8 +148,7 @@ function InstanceHandlesLayer() {
   };
 
   console.log("InstanceHandlesLayer render:", {
-    selectedType,
-    selectedIds,
+    selection,
     hasInstance: !!selectedInstance,
     hasWall: !!wall,
     handlePos: { x: handleX, y: handleY },
@@ -249,8 +249,7 @@ const InstanceLayer = ({ viewport }) => {
   const symbols = useEditorStore((state) => state.symbols);
   const walls = useEditorStore((state) => state.walls);
   const vertices = useEditorStore((state) => state.vertices);
-  const selectedIds = useEditorStore((state) => state.selectedIds);
-  const selectedType = useEditorStore((state) => state.selectedType);
+  const selection = useEditorStore((state) => state.selection);
   const hoveredId = useEditorStore((state) => state.hoveredId);
   const hoveredType = useEditorStore((state) => state.hoveredType);
   const executeCommand = useEditorStore((state) => state.executeCommand);
@@ -281,8 +280,9 @@ const InstanceLayer = ({ viewport }) => {
       const screenY = position[1] * viewport.scale + viewport.y;
 
       // Check if selected or hovered
-      const isSelected =
-        selectedType === "instance" && selectedIds.includes(instId);
+      const isSelected = selection.some(
+        (item) => item.type === "instance" && item.id === instId
+      );
       const isHovered = hoveredType === "instance" && hoveredId === instId;
 
       result.push({
@@ -305,12 +305,16 @@ const InstanceLayer = ({ viewport }) => {
     walls,
     vertices,
     viewport,
-    selectedIds,
-    selectedType,
+    selection,
     hoveredId,
     hoveredType,
   ]);
 
+  // First selected instance gets the handle
+  const selectedInstanceId = selection.find(
+    (item) => item.type === "instance"
+  )?.id;
+
   return (
     <Layer name="instances">
       {renderableInstances.map((item) => {
@@ -319,10 +323,9 @@ const InstanceLayer = ({ viewport }) => {
       })}
 
       {/* Draggable handle for selected instance */}
-      {selectedType === "instance" &&
-        selectedIds.length > 0 &&
+      {selectedInstanceId &&
         (() => {
-          const selectedId = selectedIds[0];
+          const selectedId = selectedInstanceId;
           const instance = instances[selectedId];
 
           if (!instance || !instance.constraint?.attachTo) return null;
@@ -11,18 +11,81 @@ import RoomLayer from "./RoomLayer";
 import InstanceLayer from "./InstanceLayer";
 import HandlesLayer from "./HandlesLayer";
 import PlacementPreviewLayer from "./PlacementPreviewLayer";
+import PastePreviewLayer from "./PastePreviewLayer";
 import DrawWallLayer from "./DrawWallLayer";
 import DrawRoomLayer from "./DrawRoomLayer";
+import SnapIndicatorLayer from "./SnapIndicatorLayer";
+import AngleGuideLayer from "./AngleGuideLayer";
+import SelectionRegionLayer from "./SelectionRegionLayer";
+import TransformGizmoLayer from "./TransformGizmoLayer";
+import OffsetWallLayer from "./OffsetWallLayer";
+import WallEditLayer from "./WallEditLayer";
+import RoomCutLayer from "./RoomCutLayer";
+import ShapePreviewLayer from "./ShapePreviewLayer";
+import DimensionInput from "./DimensionInput";
 import useEditorStore from "../../store/editorStore";
 import useTransform from "../../hooks/useTransform";
-import { CANVAS_BACKGROUND, ZOOM_SPEED, TOOLS } from "../../utils/constants";
+import useSnapping from "../../hooks/useSnapping";
+import useAngleLock from "../../hooks/useAngleLock";
+import { isDimensionInputKey } from "../../utils/dimensionInput";
+import {
+  extractFragment,
+  parseFragment,
+  remapFragment,
+} from "../../utils/clipboard";
+import {
+  CANVAS_BACKGROUND,
+  ZOOM_SPEED,
+  TOOLS,
+  SNAP_THRESHOLD,
+  SNAP_TYPES,
+  WALL_DEFAULT_THICKNESS,
+  SELECTION_MODES,
+  REGION_SELECT_MODES,
+  REGION_SELECT_MIN_DRAG,
+  ROOM_OPERATIONS,
+  ROOM_OPERATION_TOLERANCE,
+  SHAPE_MIN_DRAG,
+} from "../../utils/constants";
 import { calculateFloorPlanBounds } from "../../utils/floorPlanUtils";
-import { findHitObject } from "../../utils/hitTest";
-import DeleteCommand from "../../commands/DeleteCommand";
+import {
+  findHitObject,
+  findObjectsInRegion,
+  getRegionPolygon,
+  isCrossingRegion,
+} from "../../utils/hitTest";
+import DeleteSelectionCommand from "../../commands/DeleteSelectionCommand";
 import AddInstanceCommand from "../../commands/AddInstanceCommand";
-import { AddWallCommand } from "../../commands/AddWallCommand";
+import DrawWallsCommand from "../../commands/DrawWallsCommand";
+import DrawShapeCommand from "../../commands/DrawShapeCommand";
+import OffsetWallsCommand from "../../commands/OffsetWallsCommand";
+import MoveWallEndCommand from "../../commands/MoveWallEndCommand";
+import ExtendWallCommand from "../../commands/ExtendWallCommand";
+import SplitWallCommand from "../../commands/SplitWallCommand";
+import RoomOperationCommand from "../../commands/RoomOperationCommand";
+import PasteCommand from "../../commands/PasteCommand";
 import { AddRoomCommand } from "../../commands/AddRoomCommand";
-import { calculateArea } from "../../utils/geometry";
+import { calculateArea, distance } from "../../utils/geometry";
+import { getWallChain } from "../../utils/wallGraph";
+import { getRoomOperationResult } from "../../utils/roomBoolean";
+import {
+  SHAPE_TOOLS,
+  getShapePointCount,
+  getShapePoints,
+  getShapeSizePrompt,
+  isShapeTool,
+  parseShapeSize,
+} from "../../utils/shapes";
+import {
+  getChainOffsetDistance,
+  getOffsetChainPoints,
+} from "../../utils/wallOffset";
+import {
+  getExtendPoint,
+  getNearestWallEnd,
+  getSplitPoint,
+  getTrimPoint,
+} from "../../utils/wallEdit";
 import "./KonvaCanvas.css";
 
 const KonvaCanvas = () => {
@@ -33,9 +96,16 @@ const KonvaCanvas = () => {
   const [panStart, setPanStart] = useState({ x: 0, y: 0 });
   const [cursor, setCursor] = useState("default");
   const [hasAutoFitted, setHasAutoFitted] = useState(false);
+  const [dimensionInputText, setDimensionInputText] = useState(null); // null = closed
+  const [selectionRegion, setSelectionRegion] = useState(null); // Select tool press/drag
+  const [roomCutError, setRoomCutError] = useState(null); // last Split Room miss
+  const cursorWorldRef = useRef(null); // last cursor position (world coords)
+  const shapePressRef = useRef(null); // shape tool press (screen coords), to tell drags from clicks
 
   const { viewport, screenToWorld, zoom, pan, fitToScreen, getZoomPercentage } =
     useTransform();
+  const { snapPoint, findSnapAt, clearSnap } = useSnapping();
+  const { lockPoint, clearGuide } = useAngleLock();
   const gridVisible = useEditorStore((state) => state.gridVisible);
   const currentTool = useEditorStore((state) => state.currentTool);
   const setTool = useEditorStore((state) => state.setTool);
@@ -44,7 +114,7 @@ const KonvaCanvas = () => {
   const rooms = useEditorStore((state) => state.rooms);
   const instances = useEditorStore((state) => state.instances);
   const symbols = useEditorStore((state) => state.symbols);
-  const selectItem = useEditorStore((state) => state.selectItem);
+  const setSelection = useEditorStore((state) => state.setSelection);
   const clearSelection = useEditorStore((state) => state.clearSelection);
   const setHovered = useEditorStore((state) => state.setHovered);
   const clearHovered = useEditorStore((state) => state.clearHovered);
@@ -53,18 +123,45 @@ const KonvaCanvas = () => {
   const canUndo = useEditorStore((state) => state.canUndo);
   const canRedo = useEditorStore((state) => state.canRedo);
   const executeCommand = useEditorStore((state) => state.executeCommand);
-  const selectedIds = useEditorStore((state) => state.selectedIds);
-  const selectedType = useEditorStore((state) => state.selectedType);
+  const allocateId = useEditorStore((state) => state.allocateId);
+  const allocateIds = useEditorStore((state) => state.allocateIds);
+  const selection = useEditorStore((state) => state.selection);
+  const regionSelectMode = useEditorStore((state) => state.regionSelectMode);
   const placementMode = useEditorStore((state) => state.placementMode);
   const updatePlacementPreview = useEditorStore(
     (state) => state.updatePlacementPreview
   );
   const cancelPlacement = useEditorStore((state) => state.cancelPlacement);
+  const pasteMode = useEditorStore((state) => state.pasteMode);
+  const startPaste = useEditorStore((state) => state.startPaste);
+  const updatePastePosition = useEditorStore(
+    (state) => state.updatePastePosition
+  );
+  const cancelPaste = useEditorStore((state) => state.cancelPaste);
+  const offsetWall = useEditorStore((state) => state.offsetWall);
+  const startOffsetWall = useEditorStore((state) => state.startOffsetWall);
+  const updateOffsetDistance = useEditorStore(
+    (state) => state.updateOffsetDistance
+  );
+  const cancelOffsetWall = useEditorStore((state) => state.cancelOffsetWall);
+  const wallEditBoundary = useEditorStore((state) => state.wallEditBoundary);
+  const setWallEditBoundary = useEditorStore(
+    (state) => state.setWallEditBoundary
+  );
   const addTempPoint = useEditorStore((state) => state.addTempPoint);
   const clearTempPoints = useEditorStore((state) => state.clearTempPoints);
   const finishDrawing = useEditorStore((state) => state.finishDrawing);
+  const setCursorPoint = useEditorStore((state) => state.setCursorPoint);
+  const deletePolicy = useEditorStore((state) => state.deletePolicy);
   const tempPoints = useEditorStore((state) => state.tempPoints);
   const isDrawing = useEditorStore((state) => state.isDrawing);
+  const loadCount = useEditorStore((state) => state.loadCount);
+  const toggleOrtho = useEditorStore((state) => state.toggleOrtho);
+  const wallJustification = useEditorStore((state) => state.wallJustification);
+  const cycleWallJustification = useEditorStore(
+    (state) => state.cycleWallJustification
+  );
+  const shapeSettings = useEditorStore((state) => state.shapeSettings);
 
   // Handle canvas resize
   useEffect(() => {
@@ -82,6 +179,11 @@ const KonvaCanvas = () => {
     return () => window.removeEventListener("resize", updateDimensions);
   }, []);
 
+  // Fit again whenever a new document is loaded
+  useEffect(() => {
+    setHasAutoFitted(false);
+  }, [loadCount]);
+
   // Auto fit to screen when data loads or dimensions change
   // Only run once on initial load, not when vertices are being edited
   useEffect(() => {
@@ -111,6 +213,35 @@ const KonvaCanvas = () => {
         return;
       }
 
+      // Digits and format characters: open the dimensional input while drawing
+      if (
+        (currentTool === TOOLS.DRAW_ROOM ||
+          currentTool === TOOLS.DRAW_WALL ||
+          isShapeTool(currentTool)) &&
+        !e.ctrlKey &&
+        !e.altKey &&
+        !e.metaKey &&
+        isDimensionInputKey(e.key)
+      ) {
+        e.preventDefault();
+        setDimensionInputText(e.key);
+        return;
+      }
+
+      // Offset tool: type the distance once walls are picked
+      if (
+        currentTool === TOOLS.OFFSET_WALL &&
+        offsetWall &&
+        !e.ctrlKey &&
+        !e.altKey &&
+        !e.metaKey &&
+        /^[0-9.-]$/.test(e.key)
+      ) {
+        e.preventDefault();
+        setDimensionInputText(e.key);
+        return;
+      }
+
       // Tool switching shortcuts (lowercase only, no modifiers)
       if (!e.ctrlKey && !e.shiftKey && !e.altKey && !e.metaKey) {
         switch (e.key.toLowerCase()) {
@@ -130,9 +261,74 @@ const KonvaCanvas = () => {
             e.preventDefault();
             setTool(TOOLS.DRAW_WALL);
             return;
+          case "t":
+            e.preventDefault();
+            setTool(TOOLS.TRANSFORM);
+            return;
+          case "o":
+            e.preventDefault();
+            setTool(TOOLS.OFFSET_WALL);
+            return;
+          case "x":
+            e.preventDefault();
+            setTool(TOOLS.TRIM_WALL);
+            return;
+          case "e":
+            e.preventDefault();
+            setTool(TOOLS.EXTEND_WALL);
+            return;
+          case "s":
+            e.preventDefault();
+            setTool(TOOLS.SPLIT_WALL);
+            return;
+          case "k":
+            e.preventDefault();
+            setTool(TOOLS.SPLIT_ROOM);
+            return;
+          case "r":
+            e.preventDefault();
+            setTool(TOOLS.DRAW_RECTANGLE);
+            return;
+          case "a":
+            e.preventDefault();
+            setTool(TOOLS.DRAW_ROTATED_RECTANGLE);
+            return;
+          case "g":
+            e.preventDefault();
+            setTool(TOOLS.DRAW_POLYGON);
+            return;
+          case "c":
+            e.preventDefault();
+            setTool(TOOLS.DRAW_CIRCLE);
+            return;
+          case "j":
+            // Justification of the walls being drawn (also mid-chain)
+            if (currentTool === TOOLS.DRAW_WALL || isShapeTool(currentTool)) {
+              e.preventDefault();
+              cycleWallJustification();
+              return;
+            }
+            break;
         }
       }
 
+      // F8: Toggle Ortho mode
+      if (e.key === "F8") {
+        e.preventDefault();
+        toggleOrtho();
+        return;
+      }
+
+      // Duplicate: Ctrl+D places a copy of the selection
+      if (e.ctrlKey && e.key === "d") {
+        e.preventDefault();
+        const fragment = extractFragment(useEditorStore.getState(), selection);
+        if (fragment) {
+          startPaste(fragment, cursorWorldRef.current);
+        }
+        return;
+      }
+
       // Undo: Ctrl+Z
       if (e.ctrlKey && e.key === "z" && !e.shiftKey) {
         e.preventDefault();
@@ -159,6 +355,14 @@ const KonvaCanvas = () => {
         e.preventDefault();
         if (isDrawing) {
           clearTempPoints();
+        } else if (selectionRegion) {
+          setSelectionRegion(null);
+        } else if (pasteMode) {
+          cancelPaste();
+        } else if (offsetWall) {
+          cancelOffsetWall();
+        } else if (wallEditBoundary) {
+          setWallEditBoundary(null);
         } else if (placementMode) {
           cancelPlacement();
         } else {
@@ -177,30 +381,22 @@ const KonvaCanvas = () => {
             const points = tempPoints;
 
             // Generate unique IDs
-            const vertexCount = Object.keys(vertices).length;
-            const roomCount = Object.keys(rooms).length;
-
-            // Create vertex IDs and data
-            const vertexIds = [];
-            const vertexData = [];
-
-            for (let i = 0; i < points.length; i++) {
-              const vId = `v${vertexCount + i + 1}`;
-              vertexIds.push(vId);
-              vertexData.push({
-                x: Math.round(points[i][0]),
-                y: Math.round(points[i][1]),
-              });
-            }
+            const vertexIds = allocateIds("vertices", "v", points.length);
+            const roomId = allocateId("rooms", "r");
+
+            // Create vertex data
+            const vertexData = points.map((p) => ({
+              x: Math.round(p[0]),
+              y: Math.round(p[1]),
+            }));
 
             // Calculate area
             const polygon = points.map((p) => [p[0], p[1]]);
             const area = calculateArea(polygon);
 
             // Create room data
-            const roomId = `r${roomCount + 1}`;
             const roomData = {
-              name: `Room ${roomCount + 1}`,
+              name: `Room ${Object.keys(rooms).length + 1}`,
               vertices: vertexIds,
               type: "other",
               area: area,
@@ -221,45 +417,19 @@ const KonvaCanvas = () => {
 
           // Handle DRAW_WALL mode
           if (currentTool === TOOLS.DRAW_WALL) {
-            // Create walls from temp points
+            // Create walls from temp points, joining existing vertices/walls
             const points = tempPoints;
 
-            // Generate unique IDs
-            const vertexCount = Object.keys(vertices).length;
-            const wallCount = Object.keys(walls).length;
-
-            // Create vertices and walls
-            for (let i = 0; i < points.length - 1; i++) {
-              const v1Id = `v${vertexCount + i + 1}`;
-              const v2Id = `v${vertexCount + i + 2}`;
-              const wallId = `w${wallCount + i + 1}`;
-
-              const v1Data = {
-                x: Math.round(points[i][0]),
-                y: Math.round(points[i][1]),
-              };
-              const v2Data = {
-                x: Math.round(points[i + 1][0]),
-                y: Math.round(points[i + 1][1]),
-              };
-
-              const wallData = {
-                vStart: v1Id,
-                vEnd: v2Id,
-                thickness: 200,
+            const command = new DrawWallsCommand(
+              points,
+              {
+                thickness: WALL_DEFAULT_THICKNESS,
                 isOuter: false,
-              };
-
-              const command = new AddWallCommand(
-                wallId,
-                v1Id,
-                v2Id,
-                v1Data,
-                v2Data,
-                wallData
-              );
-              executeCommand(command);
-            }
+                justification: wallJustification,
+              },
+              SNAP_THRESHOLD / viewport.scale
+            );
+            executeCommand(command);
 
             console.log(`Created ${points.length - 1} walls`);
             finishDrawing();
@@ -268,40 +438,12 @@ const KonvaCanvas = () => {
         return;
       }
 
-      // Delete: Delete selected object
+      // Delete: Delete the selection and everything depending on it
       if (e.key === "Delete" || e.key === "Backspace") {
         e.preventDefault();
 
-        // Check if anything is selected
-        if (selectedIds.length > 0 && selectedType) {
-          // For now, only delete the first selected item (single selection)
-          const objectId = selectedIds[0];
-          let objectData = null;
-
-          // Get object data for backup
-          switch (selectedType) {
-            case "room":
-              objectData = rooms[objectId];
-              break;
-            case "wall":
-              objectData = walls[objectId];
-              break;
-            case "instance":
-              objectData = instances[objectId];
-              break;
-            case "vertex":
-              objectData = vertices[objectId];
-              break;
-          }
-
-          if (objectData) {
-            const command = new DeleteCommand(
-              selectedType,
-              objectId,
-              objectData
-            );
-            executeCommand(command);
-          }
+        if (selection.length > 0) {
+          executeCommand(new DeleteSelectionCommand(selection, deletePolicy));
         }
         return;
       }
@@ -341,9 +483,23 @@ const KonvaCanvas = () => {
     canRedo,
     clearSelection,
     setTool,
+    toggleOrtho,
+    wallJustification,
+    cycleWallJustification,
     executeCommand,
-    selectedIds,
-    selectedType,
+    deletePolicy,
+    allocateId,
+    allocateIds,
+    viewport,
+    selection,
+    selectionRegion,
+    pasteMode,
+    startPaste,
+    cancelPaste,
+    offsetWall,
+    cancelOffsetWall,
+    wallEditBoundary,
+    setWallEditBoundary,
     rooms,
     walls,
     instances,
@@ -357,6 +513,86 @@ const KonvaCanvas = () => {
     currentTool,
   ]);
 
+  // Clipboard: copy / cut / paste plan fragments as JSON (DATA_FORMAT shape)
+  useEffect(() => {
+    const isTyping = () => {
+      const tagName = document.activeElement?.tagName;
+      return tagName === "INPUT" || tagName === "TEXTAREA";
+    };
+
+    // Put the selection on the clipboard; returns false if nothing was copied
+    const copySelection = (e) => {
+      const state = useEditorStore.getState();
+      const fragment = extractFragment(state, state.selection);
+      if (!fragment) return false;
+
+      e.preventDefault();
+      e.clipboardData.setData("text/plain", JSON.stringify(fragment, null, 2));
+      return true;
+    };
+
+    const handleCopy = (e) => {
+      if (isTyping()) return;
+      copySelection(e);
+    };
+
+    const handleCut = (e) => {
+      if (isTyping() || !copySelection(e)) return;
+
+      const state = useEditorStore.getState();
+      executeCommand(
+        new DeleteSelectionCommand(state.selection, state.deletePolicy)
+      );
+    };
+
+    const handlePaste = (e) => {
+      if (isTyping()) return;
+
+      const fragment = parseFragment(e.clipboardData.getData("text/plain"));
+      if (!fragment) return;
+
+      e.preventDefault();
+      startPaste(fragment, cursorWorldRef.current);
+    };
+
+    window.addEventListener("copy", handleCopy);
+    window.addEventListener("cut", handleCut);
+    window.addEventListener("paste", handlePaste);
+    return () => {
+      window.removeEventListener("copy", handleCopy);
+      window.removeEventListener("cut", handleCut);
+      window.removeEventListener("paste", handlePaste);
+    };
+  }, [executeCommand, startPaste]);
+
+  /**
+   * Resolve the point placed by a drawing tool for a cursor position
+   * Object snaps win, then the angle lock (Ortho / Shift), then the grid
+   * @param {[number, number]} worldPoint - Cursor position (world coords)
+   * @param {boolean} shiftKey - Shift held (temporary angle lock)
+   * @returns {[number, number]} Point to place
+   */
+  const getDrawingPoint = (worldPoint, shiftKey) => {
+    const fromPoint = tempPoints[tempPoints.length - 1] || null;
+
+    const lockedPoint = lockPoint(worldPoint, {
+      origins: fromPoint ? [fromPoint] : [],
+      previous: tempPoints[tempPoints.length - 2] || null,
+      shiftKey,
+    });
+    if (!lockedPoint) {
+      return snapPoint(worldPoint, { fromPoint });
+    }
+
+    const snap = findSnapAt(worldPoint, { fromPoint, allowGrid: false });
+    if (snap) {
+      clearGuide();
+      return snap.point;
+    }
+
+    return lockedPoint;
+  };
+
   // Handle wheel zoom
   const handleWheel = (e) => {
     e.evt.preventDefault();
@@ -370,6 +606,68 @@ const KonvaCanvas = () => {
     zoom(delta, [pointer.x, pointer.y]);
   };
 
+  /**
+   * Create the offset copy of the picked walls and drop the pick
+   * @param {number} distance - Signed offset in mm (see getChainOffsetDistance)
+   * @returns {string | null} Why nothing was created, or null
+   */
+  const applyOffset = (distance) => {
+    if (!offsetWall) return null;
+    if (!Number.isFinite(distance) || distance === 0) {
+      return "Enter a distance in mm";
+    }
+    if (!getOffsetChainPoints(offsetWall.chain, vertices, distance)) {
+      return "Too far: the walls would fold over";
+    }
+
+    executeCommand(new OffsetWallsCommand(offsetWall.chain, distance));
+    cancelOffsetWall();
+    return null;
+  };
+
+  /**
+   * Create the shape of the current shape tool through its picked points
+   * @param {Array<[number, number]>} points - All of the tool's points
+   * @returns {string | null} Why nothing was created, or null
+   */
+  const drawShape = (points) => {
+    const outline = getShapePoints(currentTool, points, shapeSettings);
+    if (!outline) return "The shape has no area";
+
+    executeCommand(
+      new DrawShapeCommand(
+        SHAPE_TOOLS[currentTool].name,
+        outline,
+        shapeSettings.output,
+        { name: `Room ${Object.keys(rooms).length + 1}`, type: "other" },
+        {
+          thickness: shapeSettings.thickness,
+          isOuter: false,
+          justification: wallJustification,
+        },
+        SNAP_THRESHOLD / viewport.scale
+      )
+    );
+    finishDrawing();
+    return null;
+  };
+
+  /**
+   * Pick the next point of the current shape tool (the last one draws it)
+   * @param {[number, number]} point - World position
+   * @returns {boolean} True if the point was kept and the shape goes on
+   */
+  const placeShapePoint = (point) => {
+    const points = [...useEditorStore.getState().tempPoints, point];
+    if (points.length < getShapePointCount(currentTool)) {
+      addTempPoint(point);
+      return true;
+    }
+
+    drawShape(points);
+    return false;
+  };
+
   // Handle mouse down
   const handleMouseDown = (e) => {
     const stage = stageRef.current;
@@ -402,7 +700,26 @@ const KonvaCanvas = () => {
       }
 
       // Convert screen → world coordinates
-      const worldPoint = screenToWorld([pointer.x, pointer.y]);
+      let worldPoint = screenToWorld([pointer.x, pointer.y]);
+
+      // Drawing tools place points on the active snap
+      if (
+        currentTool === TOOLS.DRAW_ROOM ||
+        currentTool === TOOLS.DRAW_WALL ||
+        currentTool === TOOLS.SPLIT_ROOM ||
+        isShapeTool(currentTool)
+      ) {
+        worldPoint = getDrawingPoint(worldPoint, e.evt.shiftKey);
+      }
+
+      // Shape tools: each click picks a point; dragging picks the next one
+      // on release (two-corner drag)
+      if (isShapeTool(currentTool)) {
+        shapePressRef.current = placeShapePoint(worldPoint)
+          ? { x: pointer.x, y: pointer.y }
+          : null;
+        return;
+      }
 
       // Handle DRAW_ROOM mode
       if (currentTool === TOOLS.DRAW_ROOM) {
@@ -439,6 +756,60 @@ const KonvaCanvas = () => {
         return;
       }
 
+      // Split Room: the first click starts the cut line, the second cuts
+      if (currentTool === TOOLS.SPLIT_ROOM) {
+        if (tempPoints.length === 0) {
+          addTempPoint(worldPoint);
+          setRoomCutError(null);
+          return;
+        }
+
+        // The selected room first, otherwise the first room the line cuts
+        const state = useEditorStore.getState();
+        const line = [tempPoints[0], worldPoint];
+        const roomId = [
+          ...selection
+            .filter((item) => item.type === "room")
+            .map((item) => item.id),
+          ...Object.keys(rooms),
+        ].find(
+          (id) =>
+            !getRoomOperationResult(state, ROOM_OPERATIONS.SPLIT, [id], line)
+              .error
+        );
+        finishDrawing();
+
+        if (roomId) {
+          executeCommand(
+            new RoomOperationCommand(
+              ROOM_OPERATIONS.SPLIT,
+              [roomId],
+              line,
+              ROOM_OPERATION_TOLERANCE
+            )
+          );
+        } else {
+          setRoomCutError("The line must cross a room from side to side");
+        }
+        return;
+      }
+
+      // If in paste mode, place the fragment (merging coincident vertices)
+      if (pasteMode) {
+        const position = snapPoint(worldPoint);
+        const data = remapFragment(
+          pasteMode.fragment,
+          useEditorStore.getState(),
+          position,
+          SNAP_THRESHOLD / viewport.scale,
+          allocateIds
+        );
+        executeCommand(new PasteCommand(data));
+        cancelPaste();
+        clearSnap();
+        return;
+      }
+
       // If in placement mode, place instance
       if (placementMode) {
         const symbol = symbols[placementMode.symbolId];
@@ -472,10 +843,10 @@ const KonvaCanvas = () => {
               const offsetFromStart = clampedProjection * wallLength;
 
               // Generate unique instance ID
-              const instanceCount = Object.keys(instances).length;
-              const instanceId = `${placementMode.objectType}${
-                instanceCount + 1
-              }`;
+              const instanceId = allocateId(
+                "instances",
+                placementMode.objectType
+              );
 
               const defaultWidth = symbol?.geometry?.width || 900;
 
@@ -510,8 +881,7 @@ const KonvaCanvas = () => {
           }
         } else {
           // Free placement (stairs, furniture)
-          const instanceCount = Object.keys(instances).length;
-          const instanceId = `${placementMode.objectType}${instanceCount + 1}`;
+          const instanceId = allocateId("instances", placementMode.objectType);
 
           // Create instance data with transform
           const instanceData = {
@@ -540,17 +910,219 @@ const KonvaCanvas = () => {
         return;
       }
 
-      // Normal selection
+      // Offset tool: pick a wall chain (Shift: one wall), then click its side
+      if (currentTool === TOOLS.OFFSET_WALL) {
+        if (offsetWall) {
+          applyOffset(offsetWall.distance);
+          return;
+        }
+
+        const hit = findHitObject(worldPoint, useEditorStore.getState());
+        if (hit?.type === "wall") {
+          const wall = walls[hit.id];
+          startOffsetWall(
+            hit.id,
+            e.evt.shiftKey
+              ? {
+                  vertices: [wall.vStart, wall.vEnd],
+                  walls: [hit.id],
+                  isClosed: false,
+                }
+              : getWallChain(hit.id, walls)
+          );
+        }
+        return;
+      }
+
+      // Trim / Extend: pick the cutting edge / boundary, then click walls
+      if (
+        currentTool === TOOLS.TRIM_WALL ||
+        currentTool === TOOLS.EXTEND_WALL
+      ) {
+        const state = useEditorStore.getState();
+        const hit = findHitObject(worldPoint, state);
+        if (hit?.type !== "wall") return;
+
+        if (!wallEditBoundary) {
+          setWallEditBoundary(hit.id);
+          return;
+        }
+
+        if (currentTool === TOOLS.TRIM_WALL) {
+          const change = getTrimPoint(
+            state,
+            hit.id,
+            wallEditBoundary,
+            worldPoint
+          );
+          if (change) {
+            executeCommand(
+              new MoveWallEndCommand(
+                "Trim",
+                hit.id,
+                change.end,
+                change.point,
+                allocateId("vertices", "v"),
+                deletePolicy
+              )
+            );
+          }
+          return;
+        }
+
+        // Extend: the end joins the boundary
+        const end = getNearestWallEnd(walls[hit.id], vertices, worldPoint);
+        const point = getExtendPoint(state, hit.id, end, wallEditBoundary);
+        if (point) {
+          executeCommand(
+            new ExtendWallCommand(
+              hit.id,
+              end,
+              point,
+              wallEditBoundary,
+              allocateId("vertices", "v"),
+              deletePolicy
+            )
+          );
+        }
+        return;
+      }
+
+      // Split: divide the clicked wall at the (snapped) point
+      if (currentTool === TOOLS.SPLIT_WALL) {
+        const state = useEditorStore.getState();
+        const hit = findHitObject(worldPoint, state);
+        if (hit?.type !== "wall") return;
+
+        const snap = findSnapAt(worldPoint);
+        const point = getSplitPoint(
+          state,
+          hit.id,
+          snap?.point || worldPoint,
+          SNAP_THRESHOLD / viewport.scale
+        );
+        if (point) {
+          // A vertex lying on the wall (e.g. a T-junction) is reused, not duplicated
+          const isOnVertex =
+            snap?.type === SNAP_TYPES.ENDPOINT &&
+            distance(point, snap.point) < 1;
+          executeCommand(
+            new SplitWallCommand(
+              hit.id,
+              isOnVertex ? snap.entityId : allocateId("vertices", "v"),
+              allocateId("walls", "w"),
+              point
+            )
+          );
+        }
+        return;
+      }
+
+      // Selection: click or drag a region, resolved on mouse up
+      if (currentTool === TOOLS.SELECT || currentTool === TOOLS.TRANSFORM) {
+        setSelectionRegion({
+          mode: regionSelectMode,
+          origin: [pointer.x, pointer.y],
+          points: [worldPoint],
+          isDragging: false,
+        });
+        return;
+      }
+
+      // Other tools: plain click selection
       const hit = findHitObject(worldPoint, useEditorStore.getState());
 
       if (hit) {
-        selectItem(hit.id, hit.type);
+        setSelection([hit]);
       } else {
         clearSelection();
       }
     }
   };
 
+  /**
+   * Get how a click or region applies to the selection
+   * Shift adds, Ctrl (Cmd) toggles, otherwise the selection is replaced
+   * @param {MouseEvent} evt - Mouse event
+   * @returns {string} One of SELECTION_MODES
+   */
+  const getSelectionMode = (evt) => {
+    if (evt.ctrlKey || evt.metaKey) return SELECTION_MODES.TOGGLE;
+    if (evt.shiftKey) return SELECTION_MODES.ADD;
+    return SELECTION_MODES.REPLACE;
+  };
+
+  /**
+   * Extend the selection region to the cursor
+   * @param {{x: number, y: number}} pointer - Cursor position (screen coords)
+   */
+  const updateSelectionRegion = (pointer) => {
+    const { origin, points, mode, isDragging } = selectionRegion;
+
+    // Short presses stay clicks
+    if (
+      !isDragging &&
+      Math.hypot(pointer.x - origin[0], pointer.y - origin[1]) <
+        REGION_SELECT_MIN_DRAG
+    ) {
+      return;
+    }
+
+    const worldPoint = screenToWorld([pointer.x, pointer.y]);
+    const lastPoint = points[points.length - 1];
+    const minStep = REGION_SELECT_MIN_DRAG / viewport.scale;
+
+    let nextPoints;
+    if (mode === REGION_SELECT_MODES.LASSO) {
+      nextPoints =
+        Math.hypot(
+          worldPoint[0] - lastPoint[0],
+          worldPoint[1] - lastPoint[1]
+        ) >= minStep
+          ? [...points, worldPoint]
+          : points;
+    } else {
+      nextPoints = [points[0], worldPoint];
+    }
+
+    setSelectionRegion({
+      ...selectionRegion,
+      points: nextPoints,
+      isDragging: true,
+    });
+  };
+
+  /**
+   * Apply the Select tool click or region to the selection
+   * @param {MouseEvent} evt - Mouse up event
+   */
+  const finishSelectionRegion = (evt) => {
+    const { mode, points, isDragging } = selectionRegion;
+    const selectionMode = getSelectionMode(evt);
+    const state = useEditorStore.getState();
+    setSelectionRegion(null);
+
+    // Click: pick the object under the cursor
+    if (!isDragging) {
+      const hit = findHitObject(points[0], state);
+
+      if (hit) {
+        setSelection([hit], selectionMode);
+      } else if (selectionMode === SELECTION_MODES.REPLACE) {
+        clearSelection();
+      }
+      return;
+    }
+
+    // Drag: window or crossing selection
+    const items = findObjectsInRegion(
+      getRegionPolygon(mode, points),
+      state,
+      isCrossingRegion(mode, points)
+    );
+    setSelection(items, selectionMode);
+  };
+
   // Handle mouse move
   const handleMouseMove = (e) => {
     const stage = stageRef.current;
@@ -567,6 +1139,15 @@ const KonvaCanvas = () => {
       return;
     }
 
+    // Selection region follows the cursor
+    if (selectionRegion) {
+      updateSelectionRegion(pointer);
+      if (selectionRegion.isDragging) {
+        clearHovered();
+        return;
+      }
+    }
+
     // Skip hover detection if hovering over draggable element
     if (e.target.draggable && e.target.draggable()) {
       return;
@@ -574,6 +1155,14 @@ const KonvaCanvas = () => {
 
     // Convert screen → world coordinates
     const worldPoint = screenToWorld([pointer.x, pointer.y]);
+    cursorWorldRef.current = worldPoint;
+
+    // If in paste mode, the fragment follows the (snapped) cursor
+    if (pasteMode) {
+      updatePastePosition(snapPoint(worldPoint));
+      setCursor("crosshair");
+      return;
+    }
 
     // If in placement mode, update preview
     if (placementMode) {
@@ -621,6 +1210,73 @@ const KonvaCanvas = () => {
       return;
     }
 
+    // Wall editing tools: highlight the wall under the cursor
+    if (
+      currentTool === TOOLS.TRIM_WALL ||
+      currentTool === TOOLS.EXTEND_WALL ||
+      currentTool === TOOLS.SPLIT_WALL
+    ) {
+      if (currentTool === TOOLS.SPLIT_WALL) {
+        snapPoint(worldPoint);
+      } else {
+        clearSnap();
+      }
+
+      const hit = findHitObject(worldPoint, useEditorStore.getState());
+      if (hit?.type === "wall") {
+        setHovered(hit.id, hit.type);
+        setCursor("crosshair");
+      } else {
+        clearHovered();
+        setCursor("default");
+      }
+      return;
+    }
+
+    // Offset tool: the (snapped) cursor sets the side and distance
+    if (currentTool === TOOLS.OFFSET_WALL) {
+      if (offsetWall) {
+        const { chain, wallId } = offsetWall;
+        updateOffsetDistance(
+          Math.round(
+            getChainOffsetDistance(
+              chain,
+              vertices,
+              wallId,
+              snapPoint(worldPoint)
+            )
+          )
+        );
+        clearHovered();
+        setCursor("crosshair");
+        return;
+      }
+
+      clearSnap();
+      const hit = findHitObject(worldPoint, useEditorStore.getState());
+      if (hit?.type === "wall") {
+        setHovered(hit.id, hit.type);
+        setCursor("pointer");
+      } else {
+        clearHovered();
+        setCursor("default");
+      }
+      return;
+    }
+
+    // Drawing tools: show the snap under the cursor
+    if (
+      currentTool === TOOLS.DRAW_ROOM ||
+      currentTool === TOOLS.DRAW_WALL ||
+      currentTool === TOOLS.SPLIT_ROOM ||
+      isShapeTool(currentTool)
+    ) {
+      setCursorPoint(getDrawingPoint(worldPoint, e.evt.shiftKey));
+    } else {
+      clearSnap();
+      clearGuide();
+    }
+
     // Set cursor based on current tool
     let toolCursor = "default";
     switch (currentTool) {
@@ -632,14 +1288,19 @@ const KonvaCanvas = () => {
         break;
       case TOOLS.DRAW_ROOM:
       case TOOLS.DRAW_WALL:
+      case TOOLS.SPLIT_ROOM:
+      case TOOLS.DRAW_RECTANGLE:
+      case TOOLS.DRAW_ROTATED_RECTANGLE:
+      case TOOLS.DRAW_POLYGON:
+      case TOOLS.DRAW_CIRCLE:
         toolCursor = "crosshair";
         break;
       default:
         toolCursor = "default";
     }
 
-    // Otherwise, check for hover (only in SELECT mode)
-    if (currentTool === TOOLS.SELECT) {
+    // Otherwise, check for hover (only in SELECT / TRANSFORM mode)
+    if (currentTool === TOOLS.SELECT || currentTool === TOOLS.TRANSFORM) {
       const worldPoint = screenToWorld([pointer.x, pointer.y]);
       const hit = findHitObject(worldPoint, useEditorStore.getState());
 
@@ -669,11 +1330,35 @@ const KonvaCanvas = () => {
       setIsPanning(false);
       setCursor("grab");
     }
+
+    // Finish click or region selection
+    if (e.evt.button === 0 && selectionRegion) {
+      finishSelectionRegion(e.evt);
+    }
+
+    // Shape tools: the end of a drag is the next point
+    const press = shapePressRef.current;
+    if (e.evt.button === 0 && press) {
+      shapePressRef.current = null;
+
+      const pointer = stageRef.current.getPointerPosition();
+      const { cursorPoint } = useEditorStore.getState();
+      if (
+        isShapeTool(currentTool) &&
+        cursorPoint &&
+        distance([pointer.x, pointer.y], [press.x, press.y]) >= SHAPE_MIN_DRAG
+      ) {
+        placeShapePoint(cursorPoint);
+      }
+    }
   };
 
   // Handle mouse leave
   const handleMouseLeave = () => {
     clearHovered();
+    clearSnap();
+    clearGuide();
+    setSelectionRegion(null);
     if (isPanning) {
       setIsPanning(false);
       // Reset cursor based on current tool
@@ -707,6 +1392,9 @@ const KonvaCanvas = () => {
     }
   }, [cursor]);
 
+  // What the shape tool's next typed value is (null: a coordinate)
+  const shapeSizePrompt = getShapeSizePrompt(currentTool, tempPoints.length);
+
   return (
     <div ref={containerRef} className="konva-canvas-container">
       <Stage
@@ -746,10 +1434,89 @@ const KonvaCanvas = () => {
         {/* Draw room layer (temporary polygon while drawing) */}
         <DrawRoomLayer viewport={viewport} />
 
+        {/* Split Room tool: cut line while drawing */}
+        <RoomCutLayer viewport={viewport} />
+
+        {/* Shape tools: outline from the picked points to the cursor */}
+        <ShapePreviewLayer viewport={viewport} />
+
         {/* Placement preview layer */}
         <PlacementPreviewLayer viewport={viewport} />
+
+        {/* Pasted fragment following the cursor */}
+        <PastePreviewLayer viewport={viewport} />
+
+        {/* Locked direction guide line (Ortho / Shift) */}
+        <AngleGuideLayer
+          viewport={viewport}
+          width={dimensions.width}
+          height={dimensions.height}
+        />
+
+        {/* Offset tool: picked walls and their copy */}
+        <OffsetWallLayer viewport={viewport} />
+
+        {/* Trim / Extend tools: cutting edge / boundary */}
+        <WallEditLayer viewport={viewport} />
+
+        {/* Transform tool handles (move, rotate, scale) */}
+        <TransformGizmoLayer viewport={viewport} />
+
+        {/* Select tool drag region (box / lasso) */}
+        <SelectionRegionLayer viewport={viewport} region={selectionRegion} />
+
+        {/* Snap glyph (drawing, vertex drag) */}
+        <SnapIndicatorLayer viewport={viewport} />
       </Stage>
 
+      {/* Typed coordinates while drawing */}
+      {dimensionInputText !== null &&
+        (currentTool === TOOLS.DRAW_ROOM ||
+          currentTool === TOOLS.DRAW_WALL ||
+          (isShapeTool(currentTool) && !shapeSizePrompt)) && (
+          <DimensionInput
+            viewport={viewport}
+            initialText={dimensionInputText}
+            onClose={() => setDimensionInputText(null)}
+          />
+        )}
+
+      {/* Typed size of the shape being drawn */}
+      {dimensionInputText !== null && shapeSizePrompt && (
+        <DimensionInput
+          viewport={viewport}
+          initialText={dimensionInputText}
+          onClose={() => setDimensionInputText(null)}
+          onSubmit={(text) => {
+            const result = parseShapeSize(
+              currentTool,
+              text,
+              tempPoints,
+              useEditorStore.getState().cursorPoint
+            );
+            return result.error || drawShape([...tempPoints, result.point]);
+          }}
+          placeholder={shapeSizePrompt}
+        />
+      )}
+
+      {/* Typed offset distance */}
+      {dimensionInputText !== null &&
+        currentTool === TOOLS.OFFSET_WALL &&
+        offsetWall && (
+          <DimensionInput
+            viewport={viewport}
+            initialText={dimensionInputText}
+            onClose={() => setDimensionInputText(null)}
+            // Typed distances go to the cursor's side (negative: the other side)
+            onSubmit={(text) =>
+              applyOffset(Number(text) * (Math.sign(offsetWall.distance) || 1))
+            }
+            anchor={cursorWorldRef.current}
+            placeholder="distance (mm)"
+          />
+        )}
+
       {/* Canvas info overlay */}
       <div className="canvas-info">
         <div>Zoom: {getZoomPercentage()}%</div>
@@ -758,13 +1525,87 @@ const KonvaCanvas = () => {
           <div style={{ color: "#4CAF50", fontWeight: "bold" }}>
             Drawing wall... Points: {tempPoints.length}
             <br />
+            Type a length for exact input
+            <br />
             Press Enter/Space to finish, Esc to cancel
           </div>
         )}
+        {currentTool === TOOLS.OFFSET_WALL && (
+          <div style={{ color: "#1565c0", fontWeight: "bold" }}>
+            {offsetWall ? (
+              <>
+                Offsetting{" "}
+                {offsetWall.chain.walls.length === 1
+                  ? "1 wall"
+                  : `${offsetWall.chain.walls.length} walls`}
+                ...
+                <br />
+                Click the side or type a distance, Esc to cancel
+              </>
+            ) : (
+              <>Click a wall to offset its chain (Shift: single wall)</>
+            )}
+          </div>
+        )}
+        {(currentTool === TOOLS.TRIM_WALL ||
+          currentTool === TOOLS.EXTEND_WALL) && (
+          <div style={{ color: "#f08c00", fontWeight: "bold" }}>
+            {!wallEditBoundary
+              ? `Click the ${
+                  currentTool === TOOLS.TRIM_WALL ? "cutting" : "boundary"
+                } wall`
+              : currentTool === TOOLS.TRIM_WALL
+                ? "Click the part of a wall to cut away"
+                : "Click a wall near the end to extend"}
+            {wallEditBoundary && (
+              <>
+                <br />
+                Esc to pick another wall
+              </>
+            )}
+          </div>
+        )}
+        {currentTool === TOOLS.SPLIT_ROOM && (
+          <div style={{ color: "#f08c00", fontWeight: "bold" }}>
+            {isDrawing
+              ? "Click the end of the cut line, Esc to cancel"
+              : "Click the start of a line across the room to split"}
+            {!isDrawing && roomCutError && (
+              <>
+                <br />
+                {roomCutError}
+              </>
+            )}
+          </div>
+        )}
+        {isShapeTool(currentTool) && (
+          <div style={{ color: "#4CAF50", fontWeight: "bold" }}>
+            {SHAPE_TOOLS[currentTool].steps[tempPoints.length]}
+            {shapeSizePrompt && <> or type the {shapeSizePrompt}</>}
+            {isDrawing && (
+              <>
+                <br />
+                Esc to cancel
+              </>
+            )}
+          </div>
+        )}
+        {currentTool === TOOLS.SPLIT_WALL && (
+          <div style={{ color: "#f08c00", fontWeight: "bold" }}>
+            Click a wall where it should be split
+          </div>
+        )}
+        {pasteMode && (
+          <div style={{ color: "#1565c0", fontWeight: "bold" }}>
+            Pasting... Click to place, Esc to cancel
+          </div>
+        )}
         {isDrawing && currentTool === TOOLS.DRAW_ROOM && (
           <div style={{ color: "#4CAF50", fontWeight: "bold" }}>
             Drawing room... Points: {tempPoints.length}
             <br />
+            Type a length for exact input
+            <br />
             Press Enter/Space to finish (min 3 points), Esc to cancel
           </div>
         )}
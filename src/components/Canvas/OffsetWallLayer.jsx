@@ -0,0 +1,114 @@
+/**
+ * OffsetWallLayer
+ * Offset tool: highlights the picked walls and shows their parallel copy
+ * at the current distance, labelled with it
+ */
+
+import React, { useMemo } from "react";
+import { Layer, Line, Text } from "react-konva";
+import useEditorStore from "../../store/editorStore";
+import { getWallOutlines } from "../../utils/wallGeometry";
+import { getOffsetChainPoints } from "../../utils/wallOffset";
+
+const PREVIEW_COLOR = "#1565c0";
+const INVALID_COLOR = "#e03131"; // distance folds a wall over
+const LABEL_OFFSET = 12; // Screen pixels from the copied wall midpoint
+
+const OffsetWallLayer = ({ viewport }) => {
+  const offsetWall = useEditorStore((state) => state.offsetWall);
+  const vertices = useEditorStore((state) => state.vertices);
+  const walls = useEditorStore((state) => state.walls);
+
+  // Picked walls and their copy (world coords)
+  const preview = useMemo(() => {
+    if (!offsetWall) return null;
+
+    const { wallId, chain, distance } = offsetWall;
+    const isIntact =
+      chain.walls.every((id) => walls[id]) &&
+      chain.vertices.every((id) => vertices[id]);
+    if (!isIntact) return null;
+
+    const picked = chain.walls.map((id) => [
+      vertices[walls[id].vStart],
+      vertices[walls[id].vEnd],
+    ]);
+
+    const points =
+      distance !== 0 ? getOffsetChainPoints(chain, vertices, distance) : null;
+    if (!points) {
+      return { picked, copy: [], label: null, isValid: distance === 0 };
+    }
+
+    // Same walls on the offset vertices (the chain vertex IDs stay unique)
+    const copyVertices = {};
+    chain.vertices.forEach((id, i) => {
+      copyVertices[id] = { x: points[i][0], y: points[i][1] };
+    });
+    const copyWalls = Object.fromEntries(
+      chain.walls.map((id) => [id, walls[id]])
+    );
+
+    const index = chain.walls.indexOf(wallId);
+    const from = points[index];
+    const to = points[(index + 1) % points.length];
+
+    return {
+      picked,
+      copy: Object.values(getWallOutlines(copyWalls, copyVertices)),
+      label: {
+        at: [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2],
+        text: `${Math.round(Math.abs(distance))} mm`,
+      },
+      isValid: true,
+    };
+  }, [offsetWall, vertices, walls]);
+
+  if (!preview) return null;
+
+  const toScreen = ([x, y]) => [
+    x * viewport.scale + viewport.x,
+    y * viewport.scale + viewport.y,
+  ];
+  const color = preview.isValid ? PREVIEW_COLOR : INVALID_COLOR;
+
+  return (
+    <Layer listening={false}>
+      {preview.picked.map(([a, b], index) => (
+        <Line
+          key={`picked-${index}`}
+          points={[...toScreen([a.x, a.y]), ...toScreen([b.x, b.y])]}
+          stroke={color}
+          strokeWidth={3}
+          lineCap="round"
+        />
+      ))}
+
+      {preview.copy.map((outline, index) => (
+        <Line
+          key={`copy-${index}`}
+          points={outline.flatMap(toScreen)}
+          closed
+          fill={PREVIEW_COLOR}
+          opacity={0.3}
+          stroke={PREVIEW_COLOR}
+          strokeWidth={1}
+          dash={[6, 4]}
+        />
+      ))}
+
+      {preview.label && (
+        <Text
+          x={toScreen(preview.label.at)[0] + LABEL_OFFSET}
+          y={toScreen(preview.label.at)[1] + LABEL_OFFSET}
+          text={preview.label.text}
+          fontSize={12}
+          fill="#212529"
+          padding={2}
+        />
+      )}
+    </Layer>
+  );
+};
+
+export default OffsetWallLayer;
@@ -0,0 +1,105 @@
+/**
+ * PastePreviewLayer
+ * Shows the pasted plan fragment at the cursor until it is placed
+ */
+
+import React, { useMemo } from "react";
+import { Layer, Line, Circle } from "react-konva";
+import useEditorStore from "../../store/editorStore";
+import { getFragmentAnchor } from "../../utils/clipboard";
+import { calculateInstancePosition } from "../../utils/instanceUtils";
+
+const PREVIEW_COLOR = "#1565c0";
+
+const PastePreviewLayer = ({ viewport }) => {
+  const pasteMode = useEditorStore((state) => state.pasteMode);
+
+  // Fragment moved so its anchor sits on the cursor (world coords)
+  const preview = useMemo(() => {
+    if (!pasteMode?.position) {
+      return null;
+    }
+
+    const { fragment, position } = pasteMode;
+    const anchor = getFragmentAnchor(fragment);
+    const dx = position[0] - anchor[0];
+    const dy = position[1] - anchor[1];
+
+    const vertices = {};
+    for (const [id, v] of Object.entries(fragment.vertices)) {
+      vertices[id] = { x: v.x + dx, y: v.y + dy };
+    }
+
+    const walls = Object.values(fragment.walls)
+      .filter((wall) => vertices[wall.vStart] && vertices[wall.vEnd])
+      .map((wall) => ({
+        points: [vertices[wall.vStart], vertices[wall.vEnd]],
+        thickness: wall.thickness || 200,
+      }));
+
+    const rooms = Object.values(fragment.rooms).map((room) =>
+      (room.vertices || []).map((id) => vertices[id]).filter(Boolean)
+    );
+
+    const instances = Object.values(fragment.instances).map((instance) =>
+      instance.transform
+        ? [
+            instance.transform.position[0] + dx,
+            instance.transform.position[1] + dy,
+          ]
+        : calculateInstancePosition(instance, {
+            walls: fragment.walls,
+            vertices,
+          }).position
+    );
+
+    return { walls, rooms, instances };
+  }, [pasteMode]);
+
+  if (!preview) return null;
+
+  const toScreen = (v) => [
+    v.x * viewport.scale + viewport.x,
+    v.y * viewport.scale + viewport.y,
+  ];
+
+  return (
+    <Layer listening={false} opacity={0.6}>
+      {preview.rooms.map((polygon, index) => (
+        <Line
+          key={`room-${index}`}
+          points={polygon.flatMap(toScreen)}
+          closed
+          fill="#e3f2fd"
+          stroke={PREVIEW_COLOR}
+          strokeWidth={1}
+          dash={[6, 4]}
+        />
+      ))}
+
+      {preview.walls.map((wall, index) => (
+        <Line
+          key={`wall-${index}`}
+          points={wall.points.flatMap(toScreen)}
+          stroke={PREVIEW_COLOR}
+          strokeWidth={Math.max(2, wall.thickness * viewport.scale)}
+          lineCap="square"
+        />
+      ))}
+
+      {preview.instances.map(([x, y], index) => (
+        <Circle
+          key={`instance-${index}`}
+          x={x * viewport.scale + viewport.x}
+          y={y * viewport.scale + viewport.y}
+          radius={6}
+          stroke={PREVIEW_COLOR}
+          strokeWidth={2}
+          fill="white"
+        />
+      ))}
+    </Layer>
+  );
+};
+
+export default PastePreviewLayer;
@@ -0,0 +1,39 @@
+/**
+ * RoomCutLayer
+ * Split Room tool: the cut line from its first point to the cursor
+ */
+
+import React from "react";
+import { Layer, Circle } from "react-konva";
+import useEditorStore from "../../store/editorStore";
+import RubberBand from "./RubberBand";
+import { TOOLS, TRANSFORM_GIZMO_COLOR } from "../../utils/constants";
+
+const RoomCutLayer = ({ viewport }) => {
+  const tempPoints = useEditorStore((state) => state.tempPoints);
+  const isDrawing = useEditorStore((state) => state.isDrawing);
+  const currentTool = useEditorStore((state) => state.currentTool);
+
+  if (!isDrawing || tempPoints.length === 0) return null;
+  if (currentTool !== TOOLS.SPLIT_ROOM) return null;
+
+  const [start] = tempPoints;
+
+  return (
+    <Layer listening={false}>
+      <RubberBand
+        viewport={viewport}
+        stroke={TRANSFORM_GIZMO_COLOR}
+        strokeWidth={2}
+      />
+      <Circle
+        x={start[0] * viewport.scale + viewport.x}
+        y={start[1] * viewport.scale + viewport.y}
+        radius={5}
+        fill={TRANSFORM_GIZMO_COLOR}
+      />
+    </Layer>
+  );
+};
+
+export default RoomCutLayer;
@@ -9,7 +9,7 @@ import useEditorStore from "../../store/editorStore";
 import {
   getRoomPolygon,
   getRoomCenter,
-  calculateRoomArea,
+  getRoomMeasurements,
 } from "../../utils/roomUtils";
 import { formatArea } from "../../utils/constants";
 
@@ -37,8 +37,8 @@ const getRoomColor = (type) => {
 const RoomLayer = ({ viewport }) => {
   const rooms = useEditorStore((state) => state.rooms);
   const vertices = useEditorStore((state) => state.vertices);
-  const selectedIds = useEditorStore((state) => state.selectedIds);
-  const selectedType = useEditorStore((state) => state.selectedType);
+  const walls = useEditorStore((state) => state.walls);
+  const selection = useEditorStore((state) => state.selection);
   const hoveredId = useEditorStore((state) => state.hoveredId);
   const hoveredType = useEditorStore((state) => state.hoveredType);
 
@@ -71,13 +71,14 @@ const RoomLayer = ({ viewport }) => {
       const colors = getRoomColor(room.type);
 
       // Check if selected or hovered
-      const isSelected =
-        selectedType === "room" && selectedIds.includes(roomId);
+      const isSelected = selection.some(
+        (item) => item.type === "room" && item.id === roomId
+      );
       const isHovered = hoveredType === "room" && hoveredId === roomId;
 
-      // Calculate area for label (use same logic as PropertiesPanel)
-      const area = calculateRoomArea(room, vertices);
-      const areaM2 = formatArea(area);
+      // Net area for label (use same logic as PropertiesPanel)
+      const { netArea } = getRoomMeasurements(room, vertices, walls);
+      const areaM2 = formatArea(netArea);
 
       polygons.push({
         id: roomId,
@@ -95,15 +96,7 @@ const RoomLayer = ({ viewport }) => {
     }
 
     return polygons;
-  }, [
-    rooms,
-    vertices,
-    viewport,
-    selectedIds,
-    selectedType,
-    hoveredId,
-    hoveredType,
-  ]);
+  }, [rooms, vertices, walls, viewport, selection, hoveredId, hoveredType]);
 
   return (
     <Layer name="rooms">
@@ -118,8 +111,8 @@ const RoomLayer = ({ viewport }) => {
               room.isSelected
                 ? "#1565c0" // Dark blue for selected
                 : room.isHovered
-                ? "#64b5f6" // Light blue for hover
-                : room.colors.stroke
+                  ? "#64b5f6" // Light blue for hover
+                  : room.colors.stroke
             }
             strokeWidth={room.isSelected ? 4 : room.isHovered ? 2 : 1}
             opacity={room.isSelected ? 0.5 : room.isHovered ? 0.35 : 0.25}
@@ -0,0 +1,50 @@
+/**
+ * RubberBand - Live segment from the last drawn point to the cursor
+ * Labelled with its length and angle (see formatSegmentLabel)
+ */
+
+import React from "react";
+import { Group, Line, Text } from "react-konva";
+import useEditorStore from "../../store/editorStore";
+import { formatSegmentLabel } from "../../utils/dimensionInput";
+
+const LABEL_OFFSET = 12; // Screen pixels from the segment midpoint
+
+const RubberBand = ({ viewport, stroke, strokeWidth }) => {
+  const tempPoints = useEditorStore((state) => state.tempPoints);
+  const cursorPoint = useEditorStore((state) => state.cursorPoint);
+
+  const from = tempPoints[tempPoints.length - 1];
+  if (!from || !cursorPoint) {
+    return null;
+  }
+
+  const x1 = from[0] * viewport.scale + viewport.x;
+  const y1 = from[1] * viewport.scale + viewport.y;
+  const x2 = cursorPoint[0] * viewport.scale + viewport.x;
+  const y2 = cursorPoint[1] * viewport.scale + viewport.y;
+
+  return (
+    <Group listening={false}>
+      <Line
+        points={[x1, y1, x2, y2]}
+        stroke={stroke}
+        strokeWidth={strokeWidth}
+        dash={[8, 4]}
+        lineCap="round"
+      />
+      {(x1 !== x2 || y1 !== y2) && (
+        <Text
+          x={(x1 + x2) / 2 + LABEL_OFFSET}
+          y={(y1 + y2) / 2 + LABEL_OFFSET}
+          text={formatSegmentLabel(from, cursorPoint)}
+          fontSize={12}
+          fill="#212529"
+          padding={2}
+        />
+      )}
+    </Group>
+  );
+};
+
+export default RubberBand;
@@ -0,0 +1,44 @@
+/**
+ * SelectionRegionLayer - Renders the Select tool drag region (box or lasso)
+ * Solid blue for a window selection, dashed green for a crossing selection
+ */
+
+import React from "react";
+import { Layer, Line } from "react-konva";
+import {
+  REGION_WINDOW_COLOR,
+  REGION_CROSSING_COLOR,
+} from "../../utils/constants";
+import { getRegionPolygon, isCrossingRegion } from "../../utils/hitTest";
+
+const SelectionRegionLayer = ({ viewport, region }) => {
+  if (!region || !region.isDragging) {
+    return null;
+  }
+
+  const crossing = isCrossingRegion(region.mode, region.points);
+  const color = crossing ? REGION_CROSSING_COLOR : REGION_WINDOW_COLOR;
+
+  // Transform to screen coordinates
+  const points = getRegionPolygon(region.mode, region.points).flatMap(
+    ([x, y]) => [
+      x * viewport.scale + viewport.x,
+      y * viewport.scale + viewport.y,
+    ]
+  );
+
+  return (
+    <Layer listening={false}>
+      <Line points={points} closed fill={color} opacity={0.1} />
+      <Line
+        points={points}
+        closed
+        stroke={color}
+        strokeWidth={1}
+        dash={crossing ? [6, 4] : undefined}
+      />
+    </Layer>
+  );
+};
+
+export default SelectionRegionLayer;
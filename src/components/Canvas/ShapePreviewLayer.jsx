@@ -0,0 +1,146 @@
+/**
+ * ShapePreviewLayer - Renders the shape being drawn by the shape tools
+ * (rectangle, rotated rectangle, polygon, circle) from the picked points
+ * to the cursor: the room fill and/or the wall bodies about to be created
+ */
+
+import React from "react";
+import { Layer, Line, Circle, Text } from "react-konva";
+import useEditorStore from "../../store/editorStore";
+import RubberBand from "./RubberBand";
+import {
+  TOOLS,
+  SHAPE_OUTPUTS,
+  LABEL_COLOR,
+  VERTEX_COLOR,
+  WALL_COLOR,
+} from "../../utils/constants";
+import { getShapePoints, isShapeTool } from "../../utils/shapes";
+import { getWallOutlines } from "../../utils/wallGeometry";
+
+const LABEL_OFFSET = 12; // Screen pixels from the cursor
+
+/**
+ * Build throwaway walls around an outline
+ * @param {Array<[number, number]>} outline - Corners
+ * @param {Object} wallProps - { thickness, justification }
+ * @returns {{vertices: Object, walls: Object}} Wall graph for getWallOutlines
+ */
+const buildPreviewWalls = (outline, wallProps) => {
+  const vertices = {};
+  const walls = {};
+  outline.forEach(([x, y], i) => {
+    vertices[`p${i}`] = { x, y };
+    walls[`w${i}`] = {
+      vStart: `p${i}`,
+      vEnd: `p${(i + 1) % outline.length}`,
+      ...wallProps,
+    };
+  });
+  return { vertices, walls };
+};
+
+const ShapePreviewLayer = ({ viewport }) => {
+  const tempPoints = useEditorStore((state) => state.tempPoints);
+  const isDrawing = useEditorStore((state) => state.isDrawing);
+  const cursorPoint = useEditorStore((state) => state.cursorPoint);
+  const currentTool = useEditorStore((state) => state.currentTool);
+  const shapeSettings = useEditorStore((state) => state.shapeSettings);
+  const wallJustification = useEditorStore((state) => state.wallJustification);
+
+  // Only show when drawing shapes
+  if (!isDrawing || tempPoints.length === 0 || !isShapeTool(currentTool)) {
+    return null;
+  }
+
+  // Convert world coordinates to screen coordinates
+  const worldToScreen = (worldPoint) => {
+    return [
+      worldPoint[0] * viewport.scale + viewport.x,
+      worldPoint[1] * viewport.scale + viewport.y,
+    ];
+  };
+
+  const outline = cursorPoint
+    ? getShapePoints(currentTool, [...tempPoints, cursorPoint], shapeSettings)
+    : null;
+  const hasRoom = shapeSettings.output !== SHAPE_OUTPUTS.WALLS;
+  const hasWalls = shapeSettings.output !== SHAPE_OUTPUTS.ROOM;
+
+  // Wall bodies as they will be created
+  let bodyElements = [];
+  if (outline && hasWalls) {
+    const { vertices, walls } = buildPreviewWalls(outline, {
+      thickness: shapeSettings.thickness,
+      justification: wallJustification,
+    });
+    bodyElements = Object.entries(getWallOutlines(walls, vertices)).map(
+      ([wallId, body]) => (
+        <Line
+          key={`shape-body-${wallId}`}
+          points={body.flatMap((point) => worldToScreen(point))}
+          closed
+          fill={WALL_COLOR}
+          opacity={0.25}
+        />
+      )
+    );
+  }
+
+  // Rectangle size next to the cursor
+  let sizeLabel = null;
+  if (outline && currentTool === TOOLS.DRAW_RECTANGLE) {
+    const [x, y] = worldToScreen(cursorPoint);
+    const width = Math.abs(cursorPoint[0] - tempPoints[0][0]);
+    const height = Math.abs(cursorPoint[1] - tempPoints[0][1]);
+    sizeLabel = (
+      <Text
+        x={x + LABEL_OFFSET}
+        y={y + LABEL_OFFSET}
+        text={`${Math.round(width)} × ${Math.round(height)} mm`}
+        fontSize={12}
+        fill={LABEL_COLOR}
+        padding={2}
+      />
+    );
+  }
+
+  const pointElements = tempPoints.map((point, index) => {
+    const screenPos = worldToScreen(point);
+    return (
+      <Circle
+        key={`shape-point-${index}`}
+        x={screenPos[0]}
+        y={screenPos[1]}
+        radius={6}
+        fill={VERTEX_COLOR}
+        stroke="#000"
+        strokeWidth={2}
+      />
+    );
+  });
+
+  return (
+    <Layer listening={false}>
+      {outline && (
+        <Line
+          points={outline.flatMap((point) => worldToScreen(point))}
+          closed
+          fill={hasRoom ? "#e3f2fd" : undefined}
+          stroke="#90caf9"
+          strokeWidth={2}
+          opacity={hasRoom ? 0.6 : 1}
+        />
+      )}
+      {bodyElements}
+      {currentTool === TOOLS.DRAW_RECTANGLE ? (
+        sizeLabel
+      ) : (
+        <RubberBand viewport={viewport} stroke="#90caf9" strokeWidth={2} />
+      )}
+      {pointElements}
+    </Layer>
+  );
+};
+
+export default ShapePreviewLayer;
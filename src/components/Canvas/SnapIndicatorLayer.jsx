@@ -0,0 +1,85 @@
+/**
+ * SnapIndicatorLayer - Renders the glyph of the active snap
+ * Square: endpoint, triangle: midpoint, cross: intersection,
+ * right-angle mark: perpendicular, small circle: grid
+ */
+
+import React from "react";
+import { Layer, Rect, RegularPolygon, Line, Circle, Text } from "react-konva";
+import useEditorStore from "../../store/editorStore";
+import {
+  SNAP_TYPES,
+  SNAP_INDICATOR_RADIUS,
+  SNAP_INDICATOR_COLOR,
+  SNAP_INDICATOR_STROKE_WIDTH,
+} from "../../utils/constants";
+
+const SnapIndicatorLayer = ({ viewport }) => {
+  const activeSnap = useEditorStore((state) => state.activeSnap);
+
+  if (!activeSnap) {
+    return null;
+  }
+
+  const x = activeSnap.point[0] * viewport.scale + viewport.x;
+  const y = activeSnap.point[1] * viewport.scale + viewport.y;
+  const r = SNAP_INDICATOR_RADIUS;
+
+  const stroke = {
+    stroke: SNAP_INDICATOR_COLOR,
+    strokeWidth: SNAP_INDICATOR_STROKE_WIDTH,
+  };
+
+  let glyph = null;
+  switch (activeSnap.type) {
+    case SNAP_TYPES.ENDPOINT:
+      glyph = (
+        <Rect x={x - r} y={y - r} width={r * 2} height={r * 2} {...stroke} />
+      );
+      break;
+    case SNAP_TYPES.MIDPOINT:
+      glyph = <RegularPolygon x={x} y={y} sides={3} radius={r} {...stroke} />;
+      break;
+    case SNAP_TYPES.INTERSECTION:
+      glyph = (
+        <>
+          <Line points={[x - r, y - r, x + r, y + r]} {...stroke} />
+          <Line points={[x - r, y + r, x + r, y - r]} {...stroke} />
+        </>
+      );
+      break;
+    case SNAP_TYPES.PERPENDICULAR:
+      glyph = (
+        <>
+          <Line
+            points={[x - r, y - r, x - r, y + r, x + r, y + r]}
+            {...stroke}
+          />
+          <Line points={[x - r, y, x, y, x, y + r]} {...stroke} />
+        </>
+      );
+      break;
+    case SNAP_TYPES.GRID:
+      glyph = <Circle x={x} y={y} radius={r / 2} {...stroke} />;
+      break;
+    default:
+      glyph = <Circle x={x} y={y} radius={r} {...stroke} />;
+  }
+
+  return (
+    <Layer listening={false}>
+      {glyph}
+      {activeSnap.type !== SNAP_TYPES.GRID && (
+        <Text
+          x={x + r + 4}
+          y={y + r + 2}
+          text={activeSnap.type}
+          fontSize={11}
+          fill={SNAP_INDICATOR_COLOR}
+        />
+      )}
+    </Layer>
+  );
+};
+
+export default SnapIndicatorLayer;
@@ -0,0 +1,264 @@
+/**
+ * TransformGizmoLayer - Transform tool handles around the selection
+ * - Center square: move (Shift locks to the dominant axis)
+ * - Top circle: rotate about the center (Shift snaps to the angle step)
+ * - Corner square: scale uniformly about the center
+ * The store is updated live while dragging; the drop restores it and runs
+ * a single TransformSelectionCommand
+ */
+
+import React, { useRef, useState } from "react";
+import { Layer, Rect, Circle, Line } from "react-konva";
+import useEditorStore from "../../store/editorStore";
+import TransformSelectionCommand from "../../commands/TransformSelectionCommand";
+import {
+  TOOLS,
+  TRANSFORM_TYPES,
+  TRANSFORM_GIZMO_COLOR,
+  TRANSFORM_MIN_SCALE,
+} from "../../utils/constants";
+import { angleBetweenPoints, distance } from "../../utils/geometry";
+import {
+  computeSelectionTransform,
+  getSelectionBounds,
+  isIdentityTransform,
+} from "../../utils/selectionTransform";
+
+const HANDLE_SIZE = 12; // px
+const BOX_PADDING = 10; // px around the selection
+const ROTATE_HANDLE_OFFSET = 30; // px above the box
+
+const TransformGizmoLayer = ({ viewport }) => {
+  const currentTool = useEditorStore((state) => state.currentTool);
+  const selection = useEditorStore((state) => state.selection);
+  const vertices = useEditorStore((state) => state.vertices);
+  const walls = useEditorStore((state) => state.walls);
+  const rooms = useEditorStore((state) => state.rooms);
+  const instances = useEditorStore((state) => state.instances);
+  const angleStep = useEditorStore((state) => state.angleStep);
+  const executeCommand = useEditorStore((state) => state.executeCommand);
+
+  // Bounds stay put while dragging so the handles don't chase the preview
+  const [frozenBounds, setFrozenBounds] = useState(null);
+
+  // { type, start, startScreen, state, transform } of the active drag
+  const dragRef = useRef(null);
+
+  if (currentTool !== TOOLS.TRANSFORM) {
+    return null;
+  }
+
+  const bounds =
+    frozenBounds ||
+    getSelectionBounds(selection, { vertices, walls, rooms, instances });
+  if (!bounds) {
+    return null;
+  }
+
+  const toScreen = ([x, y]) => [
+    x * viewport.scale + viewport.x,
+    y * viewport.scale + viewport.y,
+  ];
+  const toWorld = ([x, y]) => [
+    (x - viewport.x) / viewport.scale,
+    (y - viewport.y) / viewport.scale,
+  ];
+
+  const [left, top] = toScreen([bounds.minX, bounds.minY]);
+  const [right, bottom] = toScreen([bounds.maxX, bounds.maxY]);
+  const box = {
+    x: left - BOX_PADDING,
+    y: top - BOX_PADDING,
+    width: right - left + 2 * BOX_PADDING,
+    height: bottom - top + 2 * BOX_PADDING,
+  };
+  const center = toScreen(bounds.center);
+
+  const handles = {
+    [TRANSFORM_TYPES.MOVE]: center,
+    [TRANSFORM_TYPES.ROTATE]: [center[0], box.y - ROTATE_HANDLE_OFFSET],
+    [TRANSFORM_TYPES.SCALE]: [box.x + box.width, box.y + box.height],
+  };
+
+  /**
+   * Build the transform for a handle dragged to a world point
+   * @param {string} type - One of TRANSFORM_TYPES (move, rotate, scale)
+   * @param {[number, number]} point - Handle position (world coords)
+   * @param {boolean} shiftKey - Shift held (axis / angle step lock)
+   * @returns {Object} Transform (see TRANSFORM_TYPES)
+   */
+  const getDragTransform = (type, point, shiftKey) => {
+    const { start } = dragRef.current;
+    const pivot = bounds.center;
+
+    if (type === TRANSFORM_TYPES.MOVE) {
+      let delta = [point[0] - start[0], point[1] - start[1]];
+      if (shiftKey) {
+        delta =
+          Math.abs(delta[0]) >= Math.abs(delta[1])
+            ? [delta[0], 0]
+            : [0, delta[1]];
+      }
+      return { type, delta };
+    }
+
+    if (type === TRANSFORM_TYPES.ROTATE) {
+      let angle =
+        ((angleBetweenPoints(pivot, point) - angleBetweenPoints(pivot, start)) *
+          180) /
+        Math.PI;
+      if (shiftKey) {
+        angle = Math.round(angle / angleStep) * angleStep;
+      }
+      return { type, pivot, angle };
+    }
+
+    const startDistance = distance(pivot, start);
+    const factor =
+      startDistance > 0
+        ? Math.max(TRANSFORM_MIN_SCALE, distance(pivot, point) / startDistance)
+        : 1;
+    return { type, pivot, factor };
+  };
+
+  const handleDragStart = (e, type) => {
+    const node = e.target;
+    const state = useEditorStore.getState();
+
+    dragRef.current = {
+      type,
+      start: toWorld([node.x(), node.y()]),
+      startScreen: { x: node.x(), y: node.y() },
+      state: {
+        vertices: state.vertices,
+        walls: state.walls,
+        rooms: state.rooms,
+        instances: state.instances,
+      },
+      transform: null,
+    };
+    setFrozenBounds(bounds);
+  };
+
+  const handleDragMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const node = e.target;
+    const transform = getDragTransform(
+      drag.type,
+      toWorld([node.x(), node.y()]),
+      e.evt.shiftKey
+    );
+    drag.transform = transform;
+
+    // Live preview from the drag-start state
+    const { after } = computeSelectionTransform(
+      drag.state,
+      selection,
+      transform
+    );
+    useEditorStore.setState({
+      vertices: { ...drag.state.vertices, ...after.vertices },
+      walls: { ...drag.state.walls, ...after.walls },
+      instances: { ...drag.state.instances, ...after.instances },
+    });
+  };
+
+  const handleDragEnd = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    // Back to the drag-start state, then apply as one undoable step
+    useEditorStore.setState({
+      vertices: drag.state.vertices,
+      walls: drag.state.walls,
+      instances: drag.state.instances,
+    });
+    e.target.position(drag.startScreen);
+
+    if (drag.transform && !isIdentityTransform(drag.transform)) {
+      executeCommand(new TransformSelectionCommand(selection, drag.transform));
+    }
+
+    dragRef.current = null;
+    setFrozenBounds(null);
+  };
+
+  const handleProps = (type) => ({
+    draggable: true,
+    onDragStart: (e) => handleDragStart(e, type),
+    onDragMove: handleDragMove,
+    onDragEnd: handleDragEnd,
+    onMouseEnter: (e) => {
+      e.target.getStage().container().style.cursor = "move";
+    },
+    onMouseLeave: (e) => {
+      e.target.getStage().container().style.cursor = "default";
+    },
+  });
+
+  const [moveX, moveY] = handles[TRANSFORM_TYPES.MOVE];
+  const [rotateX, rotateY] = handles[TRANSFORM_TYPES.ROTATE];
+  const [scaleX, scaleY] = handles[TRANSFORM_TYPES.SCALE];
+
+  return (
+    <Layer name="transform-gizmo">
+      {/* Selection box */}
+      <Rect
+        {...box}
+        stroke={TRANSFORM_GIZMO_COLOR}
+        strokeWidth={1}
+        dash={[6, 4]}
+        listening={false}
+      />
+      <Line
+        points={[center[0], box.y, rotateX, rotateY]}
+        stroke={TRANSFORM_GIZMO_COLOR}
+        strokeWidth={1}
+        listening={false}
+      />
+
+      {/* Rotate */}
+      <Circle
+        x={rotateX}
+        y={rotateY}
+        radius={HANDLE_SIZE / 2}
+        fill="white"
+        stroke={TRANSFORM_GIZMO_COLOR}
+        strokeWidth={2}
+        {...handleProps(TRANSFORM_TYPES.ROTATE)}
+      />
+
+      {/* Scale */}
+      <Rect
+        x={scaleX}
+        y={scaleY}
+        width={HANDLE_SIZE}
+        height={HANDLE_SIZE}
+        offsetX={HANDLE_SIZE / 2}
+        offsetY={HANDLE_SIZE / 2}
+        fill="white"
+        stroke={TRANSFORM_GIZMO_COLOR}
+        strokeWidth={2}
+        {...handleProps(TRANSFORM_TYPES.SCALE)}
+      />
+
+      {/* Move (pivot) */}
+      <Rect
+        x={moveX}
+        y={moveY}
+        width={HANDLE_SIZE}
+        height={HANDLE_SIZE}
+        offsetX={HANDLE_SIZE / 2}
+        offsetY={HANDLE_SIZE / 2}
+        fill={TRANSFORM_GIZMO_COLOR}
+        stroke="white"
+        strokeWidth={1}
+        {...handleProps(TRANSFORM_TYPES.MOVE)}
+      />
+    </Layer>
+  );
+};
+
+export default TransformGizmoLayer;
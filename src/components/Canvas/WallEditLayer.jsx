@@ -0,0 +1,39 @@
+/**
+ * WallEditLayer
+ * Trim / Extend tools: marks the wall picked as the cutting edge or boundary
+ */
+
+import React from "react";
+import { Layer, Line } from "react-konva";
+import useEditorStore from "../../store/editorStore";
+import { TRANSFORM_GIZMO_COLOR } from "../../utils/constants";
+
+const WallEditLayer = ({ viewport }) => {
+  const wallEditBoundary = useEditorStore((state) => state.wallEditBoundary);
+  const walls = useEditorStore((state) => state.walls);
+  const vertices = useEditorStore((state) => state.vertices);
+
+  const wall = walls[wallEditBoundary];
+  const a = vertices[wall?.vStart];
+  const b = vertices[wall?.vEnd];
+  if (!a || !b) return null;
+
+  return (
+    <Layer listening={false}>
+      <Line
+        points={[
+          a.x * viewport.scale + viewport.x,
+          a.y * viewport.scale + viewport.y,
+          b.x * viewport.scale + viewport.x,
+          b.y * viewport.scale + viewport.y,
+        ]}
+        stroke={TRANSFORM_GIZMO_COLOR}
+        strokeWidth={3}
+        dash={[10, 5]}
+        lineCap="round"
+      />
+    </Layer>
+  );
+};
+
+export default WallEditLayer;
@@ -1,98 +1,80 @@
 /**
  * WallLayer component
- * Renders walls as thick lines connecting vertices
+ * Renders walls as filled outlines (drawn line + thickness per the
+ * justification, joined at shared vertices, with door/window openings cut out)
  */
 
 import React, { useMemo } from "react";
 import { Layer, Line } from "react-konva";
 import useEditorStore from "../../store/editorStore";
+import { getWallPolygons } from "../../utils/wallGeometry";
 
 const WallLayer = ({ viewport }) => {
   const walls = useEditorStore((state) => state.walls);
   const vertices = useEditorStore((state) => state.vertices);
-  const selectedIds = useEditorStore((state) => state.selectedIds);
-  const selectedType = useEditorStore((state) => state.selectedType);
+  const instances = useEditorStore((state) => state.instances);
+  const symbols = useEditorStore((state) => state.symbols);
+  const selection = useEditorStore((state) => state.selection);
   const hoveredId = useEditorStore((state) => state.hoveredId);
   const hoveredType = useEditorStore((state) => state.hoveredType);
 
-  // Convert walls to renderable format
-  const wallLines = useMemo(() => {
-    const lines = [];
-
-    for (const [wallId, wall] of Object.entries(walls)) {
-      const vStart = vertices[wall.vStart];
-      const vEnd = vertices[wall.vEnd];
-
-      // Skip if vertices don't exist
-      if (!vStart || !vEnd) {
-        console.warn(`Wall ${wallId} has missing vertices`);
-        continue;
-      }
-
-      // Transform to screen coordinates
-      const x1 = vStart.x * viewport.scale + viewport.x;
-      const y1 = vStart.y * viewport.scale + viewport.y;
-      const x2 = vEnd.x * viewport.scale + viewport.x;
-      const y2 = vEnd.y * viewport.scale + viewport.y;
+  // Wall shapes in world coordinates (independent of the view)
+  const wallPolygons = useMemo(
+    () => getWallPolygons({ walls, vertices, instances, symbols }),
+    [walls, vertices, instances, symbols]
+  );
 
-      // Calculate stroke width based on wall thickness and scale
-      const strokeWidth = Math.max(
-        (wall.thickness || 200) * viewport.scale * 0.01,
-        2
-      );
+  // Convert walls to renderable format
+  const wallShapes = useMemo(() => {
+    const shapes = [];
 
+    for (const [wallId, polygons] of Object.entries(wallPolygons)) {
       // Check if selected or hovered
-      const isSelected =
-        selectedType === "wall" && selectedIds.includes(wallId);
+      const isSelected = selection.some(
+        (item) => item.type === "wall" && item.id === wallId
+      );
       const isHovered = hoveredType === "wall" && hoveredId === wallId;
 
-      lines.push({
-        id: wallId,
-        points: [x1, y1, x2, y2],
-        strokeWidth,
-        isOuter: wall.isOuter,
-        isSelected,
-        isHovered,
+      polygons.forEach((polygon, index) => {
+        shapes.push({
+          key: `${wallId}-${index}`,
+          // Transform to screen coordinates
+          points: polygon.flatMap(([x, y]) => [
+            x * viewport.scale + viewport.x,
+            y * viewport.scale + viewport.y,
+          ]),
+          isSelected,
+          isHovered,
+        });
       });
     }
 
-    return lines;
-  }, [
-    walls,
-    vertices,
-    viewport,
-    selectedIds,
-    selectedType,
-    hoveredId,
-    hoveredType,
-  ]);
+    return shapes;
+  }, [wallPolygons, viewport, selection, hoveredId, hoveredType]);
 
   return (
     <Layer name="walls">
-      {wallLines.map((wall) => (
-        <Line
-          key={wall.id}
-          points={wall.points}
-          stroke={
-            wall.isSelected
-              ? "#1565c0" // Dark blue for selected
-              : wall.isHovered
-              ? "#64b5f6" // Light blue for hover
-              : "#000000"
-          }
-          strokeWidth={
-            wall.isSelected
-              ? wall.strokeWidth + 3
-              : wall.isHovered
-              ? wall.strokeWidth + 1
-              : wall.strokeWidth
-          }
-          opacity={1}
-          lineCap="square"
-          lineJoin="miter"
-          listening={false}
-        />
-      ))}
+      {wallShapes.map((wall) => {
+        const color = wall.isSelected
+          ? "#1565c0" // Dark blue for selected
+          : wall.isHovered
+            ? "#64b5f6" // Light blue for hover
+            : "#000000";
+
+        return (
+          <Line
+            key={wall.key}
+            points={wall.points}
+            closed
+            fill={color}
+            // Thin outline keeps walls visible when zoomed far out
+            stroke={color}
+            strokeWidth={1}
+            lineJoin="miter"
+            listening={false}
+          />
+        );
+      })}
     </Layer>
   );
 };
@@ -0,0 +1,59 @@
+/**
+ * CleanupDialog component
+ * Dry-run report of "Clean up geometry": what would change, before applying
+ */
+
+import React from "react";
+import "./Dialog.css";
+
+const SECTIONS = [
+  { key: "weldedVertices", title: "Welded vertices" },
+  { key: "degenerateWalls", title: "Zero-length walls removed" },
+  { key: "overlappingWalls", title: "Overlapping walls merged" },
+  { key: "joinedWalls", title: "Collinear walls joined" },
+  { key: "unusedVertices", title: "Unused vertices removed" },
+  { key: "deletedRooms", title: "Collapsed rooms removed" },
+];
+
+const CleanupDialog = ({ report, onApply, onCancel }) => {
+  if (!report) return null;
+
+  const sections = SECTIONS.filter(({ key }) => report[key].length > 0);
+  const hasChanges = sections.length > 0;
+
+  return (
+    <div className="dialog-backdrop" onMouseDown={onCancel}>
+      <div className="dialog" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3>Clean up geometry</h3>
+        </div>
+
+        <div className="dialog-content">
+          {!hasChanges && (
+            <div className="dialog-subtitle">Nothing to clean up</div>
+          )}
+
+          {sections.map(({ key, title }) => (
+            <div key={key} className="dialog-section">
+              <div className="dialog-section-title warning">
+                {title} ({report[key].length})
+              </div>
+              <div className="dialog-list">{report[key].join(", ")}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className="dialog-actions">
+          <button onClick={onCancel}>{hasChanges ? "Cancel" : "Close"}</button>
+          {hasChanges && (
+            <button className="primary" onClick={onApply}>
+              Apply
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CleanupDialog;
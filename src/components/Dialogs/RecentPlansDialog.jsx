@@ -0,0 +1,131 @@
+/**
+ * RecentPlansDialog component
+ * Lists plans stored by autosave: reopen, rename, duplicate, delete
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import useEditorStore from "../../store/editorStore";
+import {
+  listPlans,
+  getPlan,
+  renamePlan,
+  duplicatePlan,
+  deletePlan,
+} from "../../utils/planStorage";
+import "./Dialog.css";
+
+const RecentPlansDialog = ({ isOpen, onOpenPlan, onClose }) => {
+  const documentId = useEditorStore((state) => state.documentId);
+  const setDocumentName = useEditorStore((state) => state.setDocumentName);
+  const [plans, setPlans] = useState([]);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setPlans(await listPlans());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      refresh();
+    }
+  }, [isOpen, refresh]);
+
+  if (!isOpen) return null;
+
+  const handleOpen = async (id) => {
+    const plan = await getPlan(id);
+    if (plan && onOpenPlan(plan)) {
+      onClose();
+    }
+  };
+
+  const handleRename = async (plan) => {
+    const name = window.prompt("Rename plan:", plan.name);
+    if (!name || !name.trim() || name.trim() === plan.name) return;
+
+    await renamePlan(plan.id, name.trim());
+    if (plan.id === documentId) {
+      setDocumentName(name.trim());
+    }
+    refresh();
+  };
+
+  const handleDuplicate = async (plan) => {
+    await duplicatePlan(plan.id);
+    refresh();
+  };
+
+  const handleDelete = async (plan) => {
+    if (!window.confirm(`Delete "${plan.name}" from this browser?`)) return;
+
+    await deletePlan(plan.id);
+    refresh();
+  };
+
+  return (
+    <div className="dialog-backdrop" onMouseDown={onClose}>
+      <div className="dialog" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3>Recent plans</h3>
+        </div>
+
+        <div className="dialog-content">
+          {error && <div className="dialog-section-title error">{error}</div>}
+
+          {!error && plans.length === 0 && (
+            <div className="dialog-subtitle">
+              No plans saved in this browser yet
+            </div>
+          )}
+
+          <div className="recent-plan-list">
+            {plans.map((plan) => (
+              <div
+                key={plan.id}
+                className={`recent-plan ${
+                  plan.id === documentId ? "current" : ""
+                }`}
+              >
+                <button
+                  className="recent-plan-open"
+                  onClick={() => handleOpen(plan.id)}
+                  title="Open"
+                >
+                  <span className="recent-plan-name">{plan.name}</span>
+                  <span className="recent-plan-date">
+                    {new Date(plan.updatedAt).toLocaleString()}
+                  </span>
+                </button>
+                <div className="recent-plan-actions">
+                  <button onClick={() => handleRename(plan)} title="Rename">
+                    ✎
+                  </button>
+                  <button
+                    onClick={() => handleDuplicate(plan)}
+                    title="Duplicate"
+                  >
+                    ⧉
+                  </button>
+                  <button onClick={() => handleDelete(plan)} title="Delete">
+                    🗑
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="dialog-actions">
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecentPlansDialog;
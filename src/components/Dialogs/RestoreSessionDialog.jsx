@@ -0,0 +1,39 @@
+/**
+ * RestoreSessionDialog component
+ * Offers to restore the plan autosaved in the last session
+ */
+
+import React from "react";
+import "./Dialog.css";
+
+const RestoreSessionDialog = ({ plan, onRestore, onDiscard }) => {
+  if (!plan) return null;
+
+  return (
+    <div className="dialog-backdrop">
+      <div className="dialog">
+        <div className="dialog-header">
+          <h3>Restore last session?</h3>
+        </div>
+
+        <div className="dialog-content">
+          <div>
+            <strong>{plan.name}</strong>
+          </div>
+          <div className="dialog-subtitle">
+            Autosaved {new Date(plan.updatedAt).toLocaleString()}
+          </div>
+        </div>
+
+        <div className="dialog-actions">
+          <button onClick={onDiscard}>Start with sample plan</button>
+          <button className="primary" onClick={onRestore}>
+            Restore
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RestoreSessionDialog;
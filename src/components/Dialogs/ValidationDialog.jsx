@@ -0,0 +1,65 @@
+/**
+ * ValidationDialog component
+ * Shows errors/warnings found while opening a floor plan document
+ */
+
+import React from "react";
+import "./Dialog.css";
+
+const ValidationDialog = ({ report, onConfirm, onCancel }) => {
+  if (!report) return null;
+
+  const { fileName, document, errors, warnings } = report;
+  const canOpen = Boolean(document);
+
+  return (
+    <div className="dialog-backdrop" onMouseDown={onCancel}>
+      <div className="dialog" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3>{canOpen ? "Open with warnings?" : "Cannot open plan"}</h3>
+        </div>
+
+        <div className="dialog-content">
+          <div className="dialog-subtitle">{fileName}</div>
+
+          {errors.length > 0 && (
+            <div className="dialog-section">
+              <div className="dialog-section-title error">
+                Errors ({errors.length})
+              </div>
+              <ul className="dialog-list">
+                {errors.map((message, index) => (
+                  <li key={`error-${index}`}>{message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {warnings.length > 0 && (
+            <div className="dialog-section">
+              <div className="dialog-section-title warning">
+                Warnings ({warnings.length})
+              </div>
+              <ul className="dialog-list">
+                {warnings.map((message, index) => (
+                  <li key={`warning-${index}`}>{message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="dialog-actions">
+          <button onClick={onCancel}>{canOpen ? "Cancel" : "Close"}</button>
+          {canOpen && (
+            <button className="primary" onClick={onConfirm}>
+              Open anyway
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationDialog;
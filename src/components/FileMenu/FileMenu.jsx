@@ -0,0 +1,135 @@
+/**
+ * FileMenu component
+ * Header-bar File menu: Open / Save / Save As for floor plan JSON documents
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import "./FileMenu.css";
+
+const FileMenu = ({
+  documentName,
+  isDirty,
+  onOpenFile,
+  onSave,
+  onSaveAs,
+  onShowRecent,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const openFilePicker = () => {
+    setIsOpen(false);
+    fileInputRef.current?.click();
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    // Reset so picking the same file again still triggers onChange
+    e.target.value = "";
+    if (file) {
+      onOpenFile(file);
+    }
+  };
+
+  // Close menu when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    window.addEventListener("mousedown", handleClickOutside);
+    return () => window.removeEventListener("mousedown", handleClickOutside);
+  }, [isOpen]);
+
+  // Keyboard shortcuts: Ctrl+O (open), Ctrl+S (save), Ctrl+Shift+S (save as)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "o") {
+        e.preventDefault();
+        fileInputRef.current?.click();
+      } else if (key === "s" && e.shiftKey) {
+        e.preventDefault();
+        onSaveAs();
+      } else if (key === "s") {
+        e.preventDefault();
+        onSave();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onSave, onSaveAs]);
+
+  const items = [
+    { id: "open", label: "Open…", shortcut: "Ctrl+O", action: openFilePicker },
+    {
+      id: "recent",
+      label: "Recent plans…",
+      shortcut: "",
+      action: () => onShowRecent(),
+    },
+    { id: "save", label: "Save", shortcut: "Ctrl+S", action: () => onSave() },
+    {
+      id: "save-as",
+      label: "Save As…",
+      shortcut: "Ctrl+Shift+S",
+      action: () => onSaveAs(),
+    },
+  ];
+
+  return (
+    <div className="file-menu" ref={menuRef}>
+      <button
+        className={`file-menu-trigger ${isOpen ? "active" : ""}`}
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        File
+      </button>
+
+      {isOpen && (
+        <div className="file-menu-dropdown">
+          {items.map((item) => (
+            <button
+              key={item.id}
+              className="file-menu-item"
+              onClick={() => {
+                setIsOpen(false);
+                item.action();
+              }}
+            >
+              <span className="file-menu-item-label">{item.label}</span>
+              <span className="file-menu-item-shortcut">{item.shortcut}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <span className="file-menu-document" title="Document name">
+        {documentName}
+        {isDirty && (
+          <span className="file-menu-dirty" title="Unsaved changes">
+            •
+          </span>
+        )}
+      </span>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        className="file-menu-input"
+        onChange={handleFileChange}
+      />
+    </div>
+  );
+};
+
+export default FileMenu;
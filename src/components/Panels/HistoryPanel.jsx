@@ -0,0 +1,89 @@
+/**
+ * HistoryPanel component
+ * Lists undo history steps by label and highlights the current one
+ * Clicking a step undoes or redoes to that point
+ */
+
+import React, { useState } from "react";
+import useEditorStore from "../../store/editorStore";
+import "./HistoryPanel.css";
+
+const HistoryPanel = () => {
+  const commandHistory = useEditorStore((state) => state.commandHistory);
+  const historyIndex = useEditorStore((state) => state.historyIndex);
+  const maxHistoryDepth = useEditorStore((state) => state.maxHistoryDepth);
+  const jumpToHistory = useEditorStore((state) => state.jumpToHistory);
+  const setMaxHistoryDepth = useEditorStore(
+    (state) => state.setMaxHistoryDepth
+  );
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [depthDraft, setDepthDraft] = useState(null); // Typed, not yet applied
+
+  // Index -1 is the state before the first recorded step
+  const steps = [
+    { index: -1, label: "Initial state" },
+    ...commandHistory.map((command, index) => ({
+      index,
+      label: command.label,
+    })),
+  ];
+
+  // Apply on blur/Enter: a smaller depth drops steps, so not on every keystroke
+  const applyDepth = () => {
+    const depth = Number(depthDraft);
+    if (depthDraft !== null && Number.isFinite(depth) && depth >= 1) {
+      setMaxHistoryDepth(depth);
+    }
+    setDepthDraft(null);
+  };
+
+  return (
+    <div className={`history-panel ${isCollapsed ? "collapsed" : ""}`}>
+      <div className="history-header">
+        <button
+          className="history-toggle"
+          onClick={() => setIsCollapsed(!isCollapsed)}
+          title={isCollapsed ? "Show history" : "Hide history"}
+        >
+          {isCollapsed ? "▸" : "▾"} History
+        </button>
+        <span className="history-count" title="Current step / steps">
+          {historyIndex + 1}/{commandHistory.length}
+        </span>
+        <label className="history-depth" title="Max undo steps kept">
+          Max
+          <input
+            type="number"
+            min={1}
+            value={depthDraft ?? maxHistoryDepth}
+            onChange={(e) => setDepthDraft(e.target.value)}
+            onBlur={applyDepth}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") e.target.blur();
+            }}
+          />
+        </label>
+      </div>
+
+      {!isCollapsed && (
+        <div className="history-content">
+          <ul className="history-list">
+            {steps.map((step) => (
+              <li
+                key={step.index}
+                className={`history-item ${
+                  step.index === historyIndex ? "current" : ""
+                } ${step.index > historyIndex ? "undone" : ""}`}
+                onClick={() => jumpToHistory(step.index)}
+              >
+                {step.label}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,151 @@
+/**
+ * IssuesPanel component
+ * Lists schema validation issues of the current document
+ * Clicking an issue selects the offending object on the canvas
+ * "Clean up" previews, then applies, the geometry cleanup
+ */
+
+import React, { useMemo, useState } from "react";
+import useEditorStore from "../../store/editorStore";
+import CleanupGeometryCommand from "../../commands/CleanupGeometryCommand";
+import CleanupDialog from "../Dialogs/CleanupDialog";
+import { CLEANUP_TOLERANCE, TOOLS } from "../../utils/constants";
+import "./IssuesPanel.css";
+
+const IssuesPanel = () => {
+  const issues = useEditorStore((state) => state.validationIssues);
+  const runValidation = useEditorStore((state) => state.runValidation);
+  const selectItem = useEditorStore((state) => state.selectItem);
+  const setTool = useEditorStore((state) => state.setTool);
+  const selection = useEditorStore((state) => state.selection);
+  const vertices = useEditorStore((state) => state.vertices);
+  const walls = useEditorStore((state) => state.walls);
+  const rooms = useEditorStore((state) => state.rooms);
+  const instances = useEditorStore((state) => state.instances);
+  const symbols = useEditorStore((state) => state.symbols);
+  const executeCommand = useEditorStore((state) => state.executeCommand);
+  const deletePolicy = useEditorStore((state) => state.deletePolicy);
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [isCleanupOpen, setIsCleanupOpen] = useState(false);
+
+  const errorCount = issues.filter(
+    (issue) => issue.severity === "error"
+  ).length;
+  const warningCount = issues.length - errorCount;
+
+  // Objects deleted since the last check can't be selected anymore
+  const canSelect = (target) => {
+    if (!target) return false;
+    const collection = {
+      vertex: vertices,
+      wall: walls,
+      room: rooms,
+      instance: instances,
+    }[target.type];
+    return Boolean(collection?.[target.id]);
+  };
+
+  const handleIssueClick = (issue) => {
+    if (!canSelect(issue.target)) return;
+    setTool(TOOLS.SELECT);
+    selectItem(issue.target.id, issue.target.type);
+  };
+
+  // Dry run: resolve against the current state and show what would change
+  // (again after every edit, e.g. an undo while the dialog is open)
+  const cleanupReport = useMemo(() => {
+    if (!isCleanupOpen) return null;
+    const command = new CleanupGeometryCommand(CLEANUP_TOLERANCE, deletePolicy);
+    command.resolve({ vertices, walls, rooms, instances, symbols });
+    return command.report;
+  }, [isCleanupOpen, deletePolicy, vertices, walls, rooms, instances, symbols]);
+
+  // Resolved on execute against the plan as it is now, not the dry run
+  const handleApplyCleanup = () => {
+    executeCommand(new CleanupGeometryCommand(CLEANUP_TOLERANCE, deletePolicy));
+    setIsCleanupOpen(false);
+    runValidation();
+  };
+
+  return (
+    <div className={`issues-panel ${isCollapsed ? "collapsed" : ""}`}>
+      <div className="issues-header">
+        <button
+          className="issues-toggle"
+          onClick={() => setIsCollapsed(!isCollapsed)}
+          title={isCollapsed ? "Show issues" : "Hide issues"}
+        >
+          {isCollapsed ? "▸" : "▾"} Issues
+        </button>
+        <span className="issues-count error" title="Errors">
+          {errorCount}
+        </span>
+        <span className="issues-count warning" title="Warnings">
+          {warningCount}
+        </span>
+        <button
+          className="btn-sort"
+          onClick={() => runValidation()}
+          title="Validate the document again"
+        >
+          ↻ Check
+        </button>
+        <button
+          className="btn-sort"
+          onClick={() => setIsCleanupOpen(true)}
+          title="Weld duplicate vertices, merge collinear walls, drop degenerate walls and unused vertices"
+        >
+          ⌫ Clean up
+        </button>
+      </div>
+
+      {!isCollapsed && (
+        <div className="issues-content">
+          {issues.length === 0 ? (
+            <div className="issues-empty">No issues found</div>
+          ) : (
+            <ul className="issues-list">
+              {issues.map((issue, index) => {
+                const isSelected =
+                  issue.target &&
+                  selection.some(
+                    (item) =>
+                      item.type === issue.target.type &&
+                      item.id === issue.target.id
+                  );
+
+                return (
+                  <li
+                    key={`${issue.path}-${issue.code}-${index}`}
+                    className={`issue-item ${issue.severity} ${
+                      canSelect(issue.target) ? "selectable" : ""
+                    } ${isSelected ? "selected" : ""}`}
+                    onClick={() => handleIssueClick(issue)}
+                  >
+                    <span className="issue-icon">
+                      {issue.severity === "error" ? "✕" : "!"}
+                    </span>
+                    <div className="issue-body">
+                      <div className="issue-message">{issue.message}</div>
+                      {issue.path && (
+                        <div className="issue-path">{issue.path}</div>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <CleanupDialog
+        report={cleanupReport}
+        onApply={handleApplyCleanup}
+        onCancel={() => setIsCleanupOpen(false)}
+      />
+    </div>
+  );
+};
+
+export default IssuesPanel;
@@ -1,32 +1,46 @@
 /**
  * PropertiesPanel component
  * Displays list of detected rooms with their areas
+ * (net inside the wall faces, gross on the wall centerlines)
+ * "Detect" turns the enclosed areas of the walls into rooms
  */
 
-import React, { useMemo } from "react";
+import React, { useMemo, useState } from "react";
 import useEditorStore from "../../store/editorStore";
-import { formatArea, getRoomTypeName } from "../../utils/constants";
-import { calculateRoomArea } from "../../utils/roomUtils";
+import DetectRoomsCommand from "../../commands/DetectRoomsCommand";
+import {
+  formatArea,
+  formatDimension,
+  getRoomTypeName,
+  ROOM_DETECT_TOLERANCE,
+  ROOM_GAP_TOLERANCE,
+} from "../../utils/constants";
+import { getRoomMeasurements } from "../../utils/roomUtils";
 import "./PropertiesPanel.css";
 
 const PropertiesPanel = () => {
   const rooms = useEditorStore((state) => state.rooms);
   const vertices = useEditorStore((state) => state.vertices);
-  const selectedIds = useEditorStore((state) => state.selectedIds);
-  const selectedType = useEditorStore((state) => state.selectedType);
+  const walls = useEditorStore((state) => state.walls);
+  const selection = useEditorStore((state) => state.selection);
   const selectItem = useEditorStore((state) => state.selectItem);
   const clearSelection = useEditorStore((state) => state.clearSelection);
+  const executeCommand = useEditorStore((state) => state.executeCommand);
+  const [detectReport, setDetectReport] = useState(null); // last Detect result
 
-  // Convert rooms object to array and calculate areas
+  // Convert rooms object to array and measure them (area = net area)
   const roomsArray = useMemo(() => {
-    return Object.entries(rooms).map(([id, room]) => ({
-      id,
-      ...room,
-      area: calculateRoomArea(room, vertices),
-    }));
-  }, [rooms, vertices]);
-
-  // Calculate total area
+    return Object.entries(rooms).map(([id, room]) => {
+      const { grossArea, netArea, perimeter } = getRoomMeasurements(
+        room,
+        vertices,
+        walls
+      );
+      return { id, ...room, area: netArea, grossArea, perimeter };
+    });
+  }, [rooms, vertices, walls]);
+
+  // Calculate total (net) area
   const totalArea = roomsArray.reduce((sum, room) => sum + (room.area || 0), 0);
   const totalAreaM2 = formatArea(totalArea);
 
@@ -38,13 +52,36 @@ const PropertiesPanel = () => {
     clearSelection();
   };
 
+  const handleDetectRooms = () => {
+    const command = new DetectRoomsCommand(
+      ROOM_DETECT_TOLERANCE,
+      ROOM_GAP_TOLERANCE
+    );
+    command.resolve(useEditorStore.getState());
+
+    // Nothing to change: no empty history step
+    if (command.commands.length > 0) {
+      executeCommand(command);
+    }
+    setDetectReport(command.report);
+  };
+
   return (
     <div className="properties-panel">
       <div className="panel-header">
         <h3>Detected Areas</h3>
-        <button className="btn-sort" title="Sort">
-          ↕ Sort
-        </button>
+        <div className="panel-header-actions">
+          <button
+            className="btn-sort"
+            onClick={handleDetectRooms}
+            title="Create rooms from the areas enclosed by walls"
+          >
+            ⌗ Detect
+          </button>
+          <button className="btn-sort" title="Sort">
+            ↕ Sort
+          </button>
+        </div>
       </div>
 
       <div className="panel-content">
@@ -56,14 +93,50 @@ const PropertiesPanel = () => {
           <div className="total-value">{totalAreaM2} m²</div>
         </div>
 
+        {/* Result of the last Detect */}
+        {detectReport && (
+          <div className="detect-report">
+            <div className="detect-summary">
+              {detectReport.created.length} new, {detectReport.updated.length}{" "}
+              updated
+              <button
+                className="btn-clear"
+                onClick={() => setDetectReport(null)}
+                title="Dismiss"
+              >
+                ✕
+              </button>
+            </div>
+            {detectReport.gaps.length > 0 && (
+              <div className="detect-gaps">
+                <div className="detect-gaps-title">
+                  Unclosed walls ({detectReport.gaps.length})
+                </div>
+                {detectReport.gaps.map((gap) => (
+                  <div
+                    key={gap.vertexId}
+                    className="detect-gap"
+                    onClick={() => selectItem(gap.vertexId, "vertex")}
+                    title="Select the open wall end"
+                  >
+                    {gap.vertexId} → {gap.target.type} {gap.target.id}:{" "}
+                    {Math.round(gap.distance)} mm gap
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Room list */}
         <div className="room-list">
           {roomsArray.length === 0 ? (
             <div className="empty-state">No rooms detected</div>
           ) : (
             roomsArray.map((room, index) => {
-              const isSelected =
-                selectedType === "room" && selectedIds.includes(room.id);
+              const isSelected = selection.some(
+                (item) => item.type === "room" && item.id === room.id
+              );
               const areaM2 = formatArea(room.area || 0);
               const percentage =
                 totalArea > 0 ? ((room.area / totalArea) * 100).toFixed(2) : 0;
@@ -107,6 +180,10 @@ const PropertiesPanel = () => {
                   </div>
 
                   <div className="room-details">
+                    <div className="room-subarea">
+                      Gross {formatArea(room.grossArea)} m² · Perimeter{" "}
+                      {formatDimension(room.perimeter)} m
+                    </div>
                     <div className="room-subarea">
                       {(room.area / 3.3058).toFixed(0)} py²
                     </div>
@@ -5,7 +5,23 @@
 
 import React, { useState, useEffect } from "react";
 import useEditorStore from "../../store/editorStore";
-import { TOOLS } from "../../utils/constants";
+import {
+  TOOLS,
+  SNAP_TYPES,
+  ANGLE_STEPS,
+  ANGLE_REFERENCES,
+  REGION_SELECT_MODES,
+  TRANSFORM_TYPES,
+  WALL_JUSTIFICATIONS,
+  ROOM_OPERATIONS,
+  ROOM_OPERATION_TOLERANCE,
+  SHAPE_OUTPUTS,
+} from "../../utils/constants";
+import TransformSelectionCommand from "../../commands/TransformSelectionCommand";
+import RoomOperationCommand from "../../commands/RoomOperationCommand";
+import { getRoomOperationResult } from "../../utils/roomBoolean";
+import { getSelectionBounds } from "../../utils/selectionTransform";
+import { isShapeTool } from "../../utils/shapes";
 import "./Toolbar.css";
 
 const Toolbar = () => {
@@ -13,8 +29,35 @@ const Toolbar = () => {
   const setTool = useEditorStore((state) => state.setTool);
   const startPlacement = useEditorStore((state) => state.startPlacement);
   const placementMode = useEditorStore((state) => state.placementMode);
+  const snapSettings = useEditorStore((state) => state.snapSettings);
+  const toggleSnap = useEditorStore((state) => state.toggleSnap);
+  const orthoMode = useEditorStore((state) => state.orthoMode);
+  const toggleOrtho = useEditorStore((state) => state.toggleOrtho);
+  const angleStep = useEditorStore((state) => state.angleStep);
+  const setAngleStep = useEditorStore((state) => state.setAngleStep);
+  const angleReference = useEditorStore((state) => state.angleReference);
+  const setAngleReference = useEditorStore((state) => state.setAngleReference);
+  const regionSelectMode = useEditorStore((state) => state.regionSelectMode);
+  const setRegionSelectMode = useEditorStore(
+    (state) => state.setRegionSelectMode
+  );
+  const wallJustification = useEditorStore((state) => state.wallJustification);
+  const setWallJustification = useEditorStore(
+    (state) => state.setWallJustification
+  );
+  const shapeSettings = useEditorStore((state) => state.shapeSettings);
+  const setShapeSettings = useEditorStore((state) => state.setShapeSettings);
+  const selection = useEditorStore((state) => state.selection);
+  const executeCommand = useEditorStore((state) => state.executeCommand);
+  const rooms = useEditorStore((state) => state.rooms);
+  const vertices = useEditorStore((state) => state.vertices);
   const [isCollapsed, setIsCollapsed] = useState(false);
   const [isObjectMenuOpen, setIsObjectMenuOpen] = useState(false);
+  const [isRoomMenuOpen, setIsRoomMenuOpen] = useState(true);
+  const [isSelectMenuOpen, setIsSelectMenuOpen] = useState(true);
+  const [isSnapMenuOpen, setIsSnapMenuOpen] = useState(true);
+  const [isAngleMenuOpen, setIsAngleMenuOpen] = useState(true);
+  const [shapeDraft, setShapeDraft] = useState(null); // { key, value } typed, not yet applied
 
   const tools = [
     {
@@ -45,14 +88,249 @@ const Toolbar = () => {
       tooltip: "Draw wall (M)",
       shortcut: "M",
     },
+    {
+      id: TOOLS.DRAW_RECTANGLE,
+      name: "Rectangle",
+      icon: "▭",
+      tooltip: "Draw a rectangle: two corners, or type width,height (R)",
+      shortcut: "R",
+    },
+    {
+      id: TOOLS.DRAW_ROTATED_RECTANGLE,
+      name: "Rotated Rect",
+      icon: "◇",
+      tooltip: "Draw a rotated rectangle: base edge, then depth (A)",
+      shortcut: "A",
+    },
+    {
+      id: TOOLS.DRAW_POLYGON,
+      name: "Polygon",
+      icon: "⬡",
+      tooltip: "Draw a regular polygon: center, then a corner (G)",
+      shortcut: "G",
+    },
+    {
+      id: TOOLS.DRAW_CIRCLE,
+      name: "Circle",
+      icon: "◯",
+      tooltip: "Draw a circle as a polygon: center, then radius (C)",
+      shortcut: "C",
+    },
+    {
+      id: TOOLS.OFFSET_WALL,
+      name: "Offset",
+      icon: "⫽",
+      tooltip: "Offset walls: parallel copy at a distance (O)",
+      shortcut: "O",
+    },
+    {
+      id: TOOLS.TRIM_WALL,
+      name: "Trim",
+      icon: "✂",
+      tooltip: "Trim walls back to a cutting wall (X)",
+      shortcut: "X",
+    },
+    {
+      id: TOOLS.EXTEND_WALL,
+      name: "Extend",
+      icon: "⇥",
+      tooltip: "Extend walls to a boundary wall (E)",
+      shortcut: "E",
+    },
+    {
+      id: TOOLS.SPLIT_WALL,
+      name: "Split",
+      icon: "⫯",
+      tooltip: "Split a wall in two at a point (S)",
+      shortcut: "S",
+    },
+    {
+      id: TOOLS.SPLIT_ROOM,
+      name: "Split Room",
+      icon: "⧄",
+      tooltip: "Split a room along a drawn line (K)",
+      shortcut: "K",
+    },
+    {
+      id: TOOLS.TRANSFORM,
+      name: "Transform",
+      icon: "⤧",
+      tooltip: "Move, rotate, scale and mirror the selection (T)",
+      shortcut: "T",
+    },
+  ];
+
+  // One-click transforms about the selection center
+  const quickTransforms = [
+    {
+      id: "rotate-ccw",
+      name: "Rotate -90°",
+      icon: "⟲",
+      type: TRANSFORM_TYPES.ROTATE,
+      angle: -90,
+    },
+    {
+      id: "rotate-cw",
+      name: "Rotate 90°",
+      icon: "⟳",
+      type: TRANSFORM_TYPES.ROTATE,
+      angle: 90,
+    },
+    {
+      id: "mirror-x",
+      name: "Mirror left/right",
+      icon: "⇋",
+      type: TRANSFORM_TYPES.MIRROR,
+      angle: 90,
+    },
+    {
+      id: "mirror-y",
+      name: "Mirror up/down",
+      icon: "⇅",
+      type: TRANSFORM_TYPES.MIRROR,
+      angle: 0,
+    },
+  ];
+
+  // Which face of new walls follows the drawn line (J cycles while drawing)
+  const justifications = [
+    {
+      id: WALL_JUSTIFICATIONS.CENTER,
+      name: "Center",
+      icon: "┿",
+      tooltip: "Drawn line on the wall centerline",
+    },
+    {
+      id: WALL_JUSTIFICATIONS.LEFT,
+      name: "Left",
+      icon: "◨",
+      tooltip: "Drawn line on the left face, wall to the right",
+    },
+    {
+      id: WALL_JUSTIFICATIONS.RIGHT,
+      name: "Right",
+      icon: "◧",
+      tooltip: "Drawn line on the right face, wall to the left",
+    },
+  ];
+
+  // What the shape tools create
+  const shapeOutputs = [
+    {
+      id: SHAPE_OUTPUTS.ROOM,
+      name: "Room",
+      icon: "▦",
+      tooltip: "Create a room",
+    },
+    {
+      id: SHAPE_OUTPUTS.WALLS,
+      name: "Walls",
+      icon: "▢",
+      tooltip: "Create a closed loop of walls",
+    },
+    {
+      id: SHAPE_OUTPUTS.ROOM_AND_WALLS,
+      name: "Room + walls",
+      icon: "▣",
+      tooltip: "Create a room and the walls around it",
+    },
   ];
 
+  // Number fields of the shape tools (applied on blur / Enter)
+  const shapeFields = [
+    {
+      key: "sides",
+      name: "Sides",
+      isShown: currentTool === TOOLS.DRAW_POLYGON,
+    },
+    {
+      key: "segments",
+      name: "Segs",
+      isShown: currentTool === TOOLS.DRAW_CIRCLE,
+    },
+    {
+      key: "thickness",
+      name: "Wall",
+      isShown: shapeSettings.output !== SHAPE_OUTPUTS.ROOM,
+    },
+  ];
+
+  const applyShapeDraft = () => {
+    const value = Number(shapeDraft?.value);
+    if (shapeDraft?.value.trim() && Number.isFinite(value)) {
+      setShapeSettings({ [shapeDraft.key]: value });
+    }
+    setShapeDraft(null);
+  };
+
+  const applyQuickTransform = ({ type, angle }) => {
+    const bounds = getSelectionBounds(selection, useEditorStore.getState());
+    if (!bounds) return;
+
+    executeCommand(
+      new TransformSelectionCommand(selection, {
+        type,
+        pivot: bounds.center,
+        angle,
+      })
+    );
+  };
+
+  // Room operations on the selected rooms (in selection order)
+  const roomOperations = [
+    {
+      id: ROOM_OPERATIONS.MERGE,
+      name: "Merge",
+      icon: "⊔",
+      tooltip: "Merge the selected rooms into the first one",
+    },
+    {
+      id: ROOM_OPERATIONS.SUBTRACT,
+      name: "Subtract",
+      icon: "∖",
+      tooltip: "Carve the second selected room out of the first",
+    },
+  ];
+
+  const selectedRoomIds = selection
+    .filter((item) => item.type === "room")
+    .map((item) => item.id);
+
+  // Why each operation can't run on the selection (null: it can)
+  const roomOperationErrors = Object.fromEntries(
+    roomOperations.map(({ id }) => [
+      id,
+      getRoomOperationResult({ rooms, vertices }, id, selectedRoomIds).error ||
+        null,
+    ])
+  );
+
+  const applyRoomOperation = (operation) => {
+    executeCommand(
+      new RoomOperationCommand(
+        operation,
+        selectedRoomIds,
+        null,
+        ROOM_OPERATION_TOLERANCE
+      )
+    );
+  };
+
   const objectTypes = [
     { id: "door", name: "Door", icon: "🚪", symbolId: "door.single" },
     { id: "window", name: "Window", icon: "🪟", symbolId: "window.slider" },
     { id: "stairs", name: "Stairs", icon: "🪜", symbolId: "stair.straight" },
   ];
 
+  // Same glyphs as the on-canvas snap indicator
+  const snapTypes = [
+    { id: SNAP_TYPES.ENDPOINT, name: "Endpoint", icon: "□" },
+    { id: SNAP_TYPES.INTERSECTION, name: "Intersection", icon: "✕" },
+    { id: SNAP_TYPES.MIDPOINT, name: "Midpoint", icon: "△" },
+    { id: SNAP_TYPES.PERPENDICULAR, name: "Perpendicular", icon: "⊾" },
+    { id: SNAP_TYPES.GRID, name: "Grid", icon: "∙" },
+  ];
+
   // Auto-open menu when in placement mode
   useEffect(() => {
     if (placementMode) {
@@ -92,6 +370,88 @@ const Toolbar = () => {
             ))}
           </div>
 
+          {currentTool === TOOLS.TRANSFORM && (
+            <div className="toolbar-section-content">
+              {quickTransforms.map((transform) => (
+                <button
+                  key={transform.id}
+                  className="toolbar-object-btn"
+                  onClick={() => applyQuickTransform(transform)}
+                  disabled={selection.length === 0}
+                  title={`${transform.name} about the selection center`}
+                >
+                  <span className="toolbar-object-icon">{transform.icon}</span>
+                  <span className="toolbar-object-label">{transform.name}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {isShapeTool(currentTool) && (
+            <div className="toolbar-section-content">
+              {shapeOutputs.map((output) => (
+                <button
+                  key={output.id}
+                  className={`toolbar-object-btn ${
+                    shapeSettings.output === output.id ? "active" : ""
+                  }`}
+                  onClick={() => setShapeSettings({ output: output.id })}
+                  title={output.tooltip}
+                >
+                  <span className="toolbar-object-icon">{output.icon}</span>
+                  <span className="toolbar-object-label">{output.name}</span>
+                </button>
+              ))}
+
+              {shapeFields
+                .filter((field) => field.isShown)
+                .map((field) => (
+                  <label key={field.key} className="toolbar-field">
+                    <span>{field.name}</span>
+                    <input
+                      type="number"
+                      value={
+                        shapeDraft?.key === field.key
+                          ? shapeDraft.value
+                          : shapeSettings[field.key]
+                      }
+                      onChange={(e) =>
+                        setShapeDraft({ key: field.key, value: e.target.value })
+                      }
+                      onBlur={applyShapeDraft}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") e.target.blur();
+                      }}
+                    />
+                  </label>
+                ))}
+            </div>
+          )}
+
+          {(currentTool === TOOLS.DRAW_WALL ||
+            (isShapeTool(currentTool) &&
+              shapeSettings.output !== SHAPE_OUTPUTS.ROOM)) && (
+            <div className="toolbar-section-content">
+              {justifications.map((justification) => (
+                <button
+                  key={justification.id}
+                  className={`toolbar-object-btn ${
+                    wallJustification === justification.id ? "active" : ""
+                  }`}
+                  onClick={() => setWallJustification(justification.id)}
+                  title={`${justification.tooltip} (J)`}
+                >
+                  <span className="toolbar-object-icon">
+                    {justification.icon}
+                  </span>
+                  <span className="toolbar-object-label">
+                    {justification.name}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
           <div className="toolbar-divider"></div>
 
           {/* Add Objects section */}
@@ -131,6 +491,180 @@ const Toolbar = () => {
 
           <div className="toolbar-divider"></div>
 
+          {/* Room operations */}
+          <div className="toolbar-section">
+            <button
+              className="toolbar-section-header"
+              onClick={() => setIsRoomMenuOpen(!isRoomMenuOpen)}
+            >
+              <span className="toolbar-section-icon">▦</span>
+              <span className="toolbar-section-title">Rooms</span>
+              <span className="toolbar-section-arrow">
+                {isRoomMenuOpen ? "▼" : "▶"}
+              </span>
+            </button>
+
+            {isRoomMenuOpen && (
+              <div className="toolbar-section-content">
+                {roomOperations.map((operation) => (
+                  <button
+                    key={operation.id}
+                    className="toolbar-object-btn"
+                    onClick={() => applyRoomOperation(operation.id)}
+                    disabled={Boolean(roomOperationErrors[operation.id])}
+                    title={
+                      roomOperationErrors[operation.id] || operation.tooltip
+                    }
+                  >
+                    <span className="toolbar-object-icon">
+                      {operation.icon}
+                    </span>
+                    <span className="toolbar-object-label">
+                      {operation.name}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="toolbar-divider"></div>
+
+          {/* Select tool drag region */}
+          <div className="toolbar-section">
+            <button
+              className="toolbar-section-header"
+              onClick={() => setIsSelectMenuOpen(!isSelectMenuOpen)}
+            >
+              <span className="toolbar-section-icon">⬚</span>
+              <span className="toolbar-section-title">Selection</span>
+              <span className="toolbar-section-arrow">
+                {isSelectMenuOpen ? "▼" : "▶"}
+              </span>
+            </button>
+
+            {isSelectMenuOpen && (
+              <div className="toolbar-section-content">
+                <button
+                  className={`toolbar-object-btn ${
+                    regionSelectMode === REGION_SELECT_MODES.BOX ? "active" : ""
+                  }`}
+                  onClick={() => setRegionSelectMode(REGION_SELECT_MODES.BOX)}
+                  title="Drag a box: left-to-right selects enclosed objects, right-to-left selects crossing objects"
+                >
+                  <span className="toolbar-object-icon">⬚</span>
+                  <span className="toolbar-object-label">Box</span>
+                </button>
+                <button
+                  className={`toolbar-object-btn ${
+                    regionSelectMode === REGION_SELECT_MODES.LASSO
+                      ? "active"
+                      : ""
+                  }`}
+                  onClick={() => setRegionSelectMode(REGION_SELECT_MODES.LASSO)}
+                  title="Drag a lasso: clockwise selects enclosed objects, counterclockwise selects crossing objects"
+                >
+                  <span className="toolbar-object-icon">➰</span>
+                  <span className="toolbar-object-label">Lasso</span>
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="toolbar-divider"></div>
+
+          {/* Snap toggles */}
+          <div className="toolbar-section">
+            <button
+              className="toolbar-section-header"
+              onClick={() => setIsSnapMenuOpen(!isSnapMenuOpen)}
+            >
+              <span className="toolbar-section-icon">🧲</span>
+              <span className="toolbar-section-title">Snap</span>
+              <span className="toolbar-section-arrow">
+                {isSnapMenuOpen ? "▼" : "▶"}
+              </span>
+            </button>
+
+            {isSnapMenuOpen && (
+              <div className="toolbar-section-content">
+                {snapTypes.map((snap) => (
+                  <button
+                    key={snap.id}
+                    className={`toolbar-object-btn ${
+                      snapSettings[snap.id] ? "active" : ""
+                    }`}
+                    onClick={() => toggleSnap(snap.id)}
+                    title={`${snapSettings[snap.id] ? "Disable" : "Enable"} ${
+                      snap.name
+                    } snap`}
+                  >
+                    <span className="toolbar-object-icon">{snap.icon}</span>
+                    <span className="toolbar-object-label">{snap.name}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="toolbar-divider"></div>
+
+          {/* Angle lock (Ortho mode, Shift while drawing) */}
+          <div className="toolbar-section">
+            <button
+              className="toolbar-section-header"
+              onClick={() => setIsAngleMenuOpen(!isAngleMenuOpen)}
+            >
+              <span className="toolbar-section-icon">📐</span>
+              <span className="toolbar-section-title">Angle</span>
+              <span className="toolbar-section-arrow">
+                {isAngleMenuOpen ? "▼" : "▶"}
+              </span>
+            </button>
+
+            {isAngleMenuOpen && (
+              <div className="toolbar-section-content">
+                <button
+                  className={`toolbar-object-btn ${orthoMode ? "active" : ""}`}
+                  onClick={toggleOrtho}
+                  title={`${orthoMode ? "Disable" : "Enable"} Ortho mode (F8)`}
+                >
+                  <span className="toolbar-object-icon">⊥</span>
+                  <span className="toolbar-object-label">Ortho</span>
+                </button>
+
+                <label className="toolbar-field">
+                  <span>Step</span>
+                  <select
+                    value={angleStep}
+                    onChange={(e) => setAngleStep(Number(e.target.value))}
+                  >
+                    {ANGLE_STEPS.map((step) => (
+                      <option key={step} value={step}>
+                        {step}°
+                      </option>
+                    ))}
+                  </select>
+                </label>
+
+                <label className="toolbar-field">
+                  <span>From</span>
+                  <select
+                    value={angleReference}
+                    onChange={(e) => setAngleReference(e.target.value)}
+                  >
+                    <option value={ANGLE_REFERENCES.WORLD}>World axes</option>
+                    <option value={ANGLE_REFERENCES.SEGMENT}>
+                      Previous segment
+                    </option>
+                  </select>
+                </label>
+              </div>
+            )}
+          </div>
+
+          <div className="toolbar-divider"></div>
+
           <div className="toolbar-info">
             <div className="toolbar-shortcut">
               <strong>Shortcuts:</strong>
@@ -138,10 +672,23 @@ const Toolbar = () => {
               <div>B - Pan</div>
               <div>N - Draw Room</div>
               <div>M - Draw Wall</div>
+              <div>R / A - Rectangle / Rotated</div>
+              <div>G / C - Polygon / Circle</div>
+              <div>O - Offset</div>
+              <div>X / E / S - Trim / Extend / Split</div>
+              <div>K - Split room</div>
+              <div>T - Transform</div>
+              <div>J - Wall justification</div>
               <div>Ctrl+Z - Undo</div>
               <div>Ctrl+Y - Redo</div>
               <div>Esc - Clear</div>
               <div>Del - Delete</div>
+              <div>Ctrl+C/X/V - Copy/Cut/Paste</div>
+              <div>Ctrl+D - Duplicate</div>
+              <div>Shift+Click - Add to selection</div>
+              <div>Ctrl+Click - Toggle selection</div>
+              <div>F8 - Ortho</div>
+              <div>Shift - Angle lock</div>
             </div>
           </div>
         </>
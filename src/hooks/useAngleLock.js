@@ -0,0 +1,76 @@
+/**
+ * useAngleLock hook
+ * Constrains segments to a configurable angle step while Ortho mode is on
+ * or Shift is held, and publishes the locked direction as a guide line
+ */
+
+import { useCallback } from "react";
+import useEditorStore from "../store/editorStore";
+import { ANGLE_REFERENCES } from "../utils/constants";
+import {
+  angleBetweenPoints,
+  constrainToAngle,
+  distance,
+} from "../utils/geometry";
+
+const useAngleLock = () => {
+  const orthoMode = useEditorStore((state) => state.orthoMode);
+  const angleStep = useEditorStore((state) => state.angleStep);
+  const angleReference = useEditorStore((state) => state.angleReference);
+  const setAngleGuide = useEditorStore((state) => state.setAngleGuide);
+
+  /**
+   * Constrain a point to the locked directions around an origin
+   * With several origins (vertex drag), the one needing the smallest
+   * correction is used
+   * @param {[number, number]} worldPoint - Cursor position (world coords)
+   * @param {Object} options
+   * @param {Array<[number, number]>} options.origins - Candidate segment starts
+   * @param {[number, number] | null} options.previous - Point before the origin (segment reference)
+   * @param {boolean} options.shiftKey - Shift held (temporary lock)
+   * @returns {[number, number] | null} Constrained point, or null when unlocked
+   */
+  const lockPoint = useCallback(
+    (worldPoint, { origins = [], previous = null, shiftKey = false } = {}) => {
+      if ((!orthoMode && !shiftKey) || origins.length === 0) {
+        setAngleGuide(null);
+        return null;
+      }
+
+      let best = null;
+      for (const origin of origins) {
+        const baseAngle =
+          angleReference === ANGLE_REFERENCES.SEGMENT && previous
+            ? angleBetweenPoints(previous, origin)
+            : 0;
+
+        const { point, angle } = constrainToAngle(
+          origin,
+          worldPoint,
+          angleStep,
+          baseAngle
+        );
+        const correction = distance(point, worldPoint);
+
+        if (!best || correction < best.correction) {
+          best = { point, angle, origin, correction };
+        }
+      }
+
+      setAngleGuide({ origin: best.origin, angle: best.angle });
+      return best.point;
+    },
+    [orthoMode, angleStep, angleReference, setAngleGuide]
+  );
+
+  /**
+   * Hide the guide line
+   */
+  const clearGuide = useCallback(() => {
+    setAngleGuide(null);
+  }, [setAngleGuide]);
+
+  return { lockPoint, clearGuide };
+};
+
+export default useAngleLock;
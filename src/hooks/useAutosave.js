@@ -0,0 +1,122 @@
+/**
+ * useAutosave hook
+ * Snapshots the document and its undo history to IndexedDB (debounced)
+ * after every executeCommand/undo/redo, and when the document is opened or renamed
+ * Leaving the page with unsaved changes asks first while a snapshot is still
+ * pending, or when the last one failed (e.g. IndexedDB unavailable or full)
+ */
+
+import { useEffect } from "react";
+import useEditorStore from "../store/editorStore";
+import { AUTOSAVE_DELAY } from "../utils/constants";
+import { createPlanId, savePlan, setLastSessionId } from "../utils/planStorage";
+
+/**
+ * Save the current document to local storage right away
+ * Assigns a document ID on first save
+ * @returns {Promise<boolean>} True if the plan was stored
+ */
+const persistCurrentDocument = async () => {
+  const state = useEditorStore.getState();
+
+  let documentId = state.documentId;
+  if (!documentId) {
+    documentId = createPlanId();
+    state.setDocumentId(documentId);
+  }
+
+  // History is a convenience: a plan without it still restores
+  let history = null;
+  try {
+    history = state.serializeHistory();
+  } catch (error) {
+    console.warn("History not saved:", error);
+  }
+
+  try {
+    await savePlan({
+      id: documentId,
+      name: state.documentName,
+      data: state.exportJSON(),
+      history,
+    });
+    await setLastSessionId(documentId);
+    return true;
+  } catch (error) {
+    console.warn("Autosave failed:", error);
+    return false;
+  }
+};
+
+const useAutosave = (delay = AUTOSAVE_DELAY) => {
+  useEffect(() => {
+    let timer = null;
+    let savingCount = 0; // Snapshots being written
+    let hasFailed = false; // The last snapshot was not stored
+
+    const save = async () => {
+      savingCount += 1;
+      const isStored = await persistCurrentDocument();
+      savingCount -= 1;
+      hasFailed = !isStored;
+    };
+
+    const flush = () => {
+      if (timer === null) return;
+      clearTimeout(timer);
+      timer = null;
+      save();
+    };
+
+    const unsubscribe = useEditorStore.subscribe((state, prevState) => {
+      // Edits: execute/undo/redo change the history (loadJSON empties it)
+      const historyChanged =
+        (state.commandHistory !== prevState.commandHistory ||
+          state.historyIndex !== prevState.historyIndex) &&
+        state.commandHistory.length > 0;
+
+      // Opened another stored plan / file, or renamed it
+      const documentChanged =
+        state.documentId !== null &&
+        (state.documentId !== prevState.documentId ||
+          state.documentName !== prevState.documentName);
+
+      if (!historyChanged && !documentChanged) return;
+
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timer = null;
+        save();
+      }, delay);
+    });
+
+    // Don't lose the pending snapshot when the tab is hidden or closed
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") {
+        flush();
+      }
+    };
+
+    // Warn before leaving the page with unsaved changes autosave may not have
+    const handleBeforeUnload = (e) => {
+      const isAtRisk = timer !== null || savingCount > 0 || hasFailed;
+      if (!isAtRisk || !useEditorStore.getState().isDirty()) return;
+
+      flush();
+      e.preventDefault();
+      e.returnValue = "";
+    };
+
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("beforeunload", handleBeforeUnload);
+
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("beforeunload", handleBeforeUnload);
+      flush();
+      unsubscribe();
+    };
+  }, [delay]);
+};
+
+export default useAutosave;
@@ -0,0 +1,237 @@
+/**
+ * useDocumentFile hook
+ * Open/Save/Save As for floor plan JSON documents
+ * Validates opened documents before loading them into the editor
+ * Also opens plans stored locally by autosave
+ */
+
+import { useCallback, useState } from "react";
+import useEditorStore from "../store/editorStore";
+import { validateFloorPlan } from "../utils/floorPlanUtils";
+import { exportAndDownloadJSON } from "../utils/export";
+import {
+  readFileAsText,
+  parseFloorPlanJSON,
+  isJSONFile,
+  getDocumentNameFromFilename,
+} from "../utils/import";
+import { createPlanId, setLastSessionId } from "../utils/planStorage";
+
+const useDocumentFile = () => {
+  const loadJSON = useEditorStore((state) => state.loadJSON);
+  const exportJSON = useEditorStore((state) => state.exportJSON);
+  const setDocumentId = useEditorStore((state) => state.setDocumentId);
+  const setDocumentName = useEditorStore((state) => state.setDocumentName);
+  const markSaved = useEditorStore((state) => state.markSaved);
+  const restoreHistory = useEditorStore((state) => state.restoreHistory);
+  const documentName = useEditorStore((state) => state.documentName);
+  const isDirty = useEditorStore(
+    (state) => state.historyIndex !== state.savedHistoryIndex
+  );
+
+  // Validation report of the document being opened
+  // { fileName, document, errors, warnings } or null
+  const [report, setReport] = useState(null);
+
+  /**
+   * Start editing a new document (not yet stored locally)
+   * Documents that fail to load or migrate go to the validation report
+   * @param {Object} document - Floor plan document
+   * @param {string} name - Document name
+   * @param {string | null} id - Local storage ID (null: assigned on first autosave)
+   * @returns {boolean} True if loaded
+   */
+  const startDocument = useCallback(
+    (document, name, id = null) => {
+      try {
+        loadJSON(document);
+      } catch (error) {
+        setReport({
+          fileName: name,
+          document: null,
+          errors: [error.message],
+          warnings: [],
+        });
+        return false;
+      }
+
+      setDocumentId(id);
+      setDocumentName(name);
+      return true;
+    },
+    [loadJSON, setDocumentId, setDocumentName]
+  );
+
+  /**
+   * Load a validated document from a file into the editor
+   */
+  const loadDocument = useCallback(
+    (document, fileName) => {
+      startDocument(
+        document,
+        getDocumentNameFromFilename(fileName),
+        createPlanId()
+      );
+    },
+    [startDocument]
+  );
+
+  /**
+   * Open a plan stored by autosave
+   * @param {Object} plan - Stored plan record {id, name, data}
+   * @returns {boolean} True if opened
+   */
+  const openStoredPlan = useCallback(
+    (plan) => {
+      if (
+        plan.id !== useEditorStore.getState().documentId &&
+        useEditorStore.getState().isDirty() &&
+        !window.confirm("Discard unsaved changes to the current plan?")
+      ) {
+        return false;
+      }
+
+      if (!startDocument(plan.data, plan.name, plan.id)) {
+        return false;
+      }
+      if (plan.history) {
+        restoreHistory(plan.history);
+      }
+      setLastSessionId(plan.id).catch((error) =>
+        console.warn("Could not remember session:", error)
+      );
+      return true;
+    },
+    [startDocument, restoreHistory]
+  );
+
+  /**
+   * Open a local JSON file (from file picker or drag-and-drop)
+   * @param {File} file - File to open
+   */
+  const openFile = useCallback(
+    async (file) => {
+      if (!file) return;
+
+      if (!isJSONFile(file)) {
+        setReport({
+          fileName: file.name,
+          document: null,
+          errors: [`${file.name} is not a JSON file`],
+          warnings: [],
+        });
+        return;
+      }
+
+      if (
+        useEditorStore.getState().isDirty() &&
+        !window.confirm("Discard unsaved changes to the current plan?")
+      ) {
+        return;
+      }
+
+      let text;
+      try {
+        text = await readFileAsText(file);
+      } catch (error) {
+        setReport({
+          fileName: file.name,
+          document: null,
+          errors: [error.message],
+          warnings: [],
+        });
+        return;
+      }
+
+      const { document, error, migrations } = parseFloorPlanJSON(text);
+      if (error) {
+        setReport({
+          fileName: file.name,
+          document: null,
+          errors: [error],
+          warnings: [],
+        });
+        return;
+      }
+
+      const { valid, errors, warnings } = validateFloorPlan(document);
+
+      if (migrations.length > 0) {
+        warnings.unshift(
+          `Document upgraded from an older format (${migrations.join(", ")})`
+        );
+      }
+
+      if (valid && warnings.length === 0) {
+        loadDocument(document, file.name);
+        return;
+      }
+
+      // Show errors/warnings; warnings-only documents can still be opened
+      setReport({
+        fileName: file.name,
+        document: valid ? document : null,
+        errors,
+        warnings,
+      });
+    },
+    [loadDocument]
+  );
+
+  /**
+   * Open the document of the current report despite its warnings
+   */
+  const confirmReport = useCallback(() => {
+    if (report?.document) {
+      loadDocument(report.document, report.fileName);
+    }
+    setReport(null);
+  }, [report, loadDocument]);
+
+  /**
+   * Close the validation report without loading
+   */
+  const dismissReport = useCallback(() => {
+    setReport(null);
+  }, []);
+
+  /**
+   * Save (download) the current document
+   * @param {string} name - Document name (default: current name)
+   */
+  const saveDocument = useCallback(
+    (name = documentName) => {
+      exportAndDownloadJSON(exportJSON(), `${name}.json`);
+      if (name !== documentName) {
+        setDocumentName(name);
+      }
+      markSaved();
+    },
+    [documentName, exportJSON, setDocumentName, markSaved]
+  );
+
+  /**
+   * Ask for a new name, then save
+   */
+  const saveDocumentAs = useCallback(() => {
+    const name = window.prompt("Save plan as:", documentName);
+    if (name && name.trim()) {
+      saveDocument(getDocumentNameFromFilename(name.trim()));
+    }
+  }, [documentName, saveDocument]);
+
+  return {
+    documentName,
+    isDirty,
+    report,
+    openFile,
+    openStoredPlan,
+    startDocument,
+    confirmReport,
+    dismissReport,
+    saveDocument,
+    saveDocumentAs,
+  };
+};
+
+export default useDocumentFile;
@@ -0,0 +1,118 @@
+/**
+ * useSnapping hook
+ * Snaps cursor positions to vertices, wall midpoints, intersections,
+ * perpendicular feet and the grid (enabled types from snapSettings)
+ * and publishes the active snap for the on-canvas glyph
+ */
+
+import { useCallback, useRef } from "react";
+import useEditorStore from "../store/editorStore";
+import { SNAP_THRESHOLD, SNAP_TYPES } from "../utils/constants";
+import {
+  applySnap,
+  findSnap,
+  generateSnapTargets,
+  getSnapSegments,
+} from "../utils/snapping";
+
+const useSnapping = () => {
+  const viewport = useEditorStore((state) => state.viewport);
+  const snapSettings = useEditorStore((state) => state.snapSettings);
+  const setActiveSnap = useEditorStore((state) => state.setActiveSnap);
+
+  // Targets only change with the geometry: reuse them between mouse moves
+  const cacheRef = useRef(null);
+
+  const getTargets = useCallback(
+    (state, excludeVertexIds) => {
+      const key = excludeVertexIds.join(",");
+      const cache = cacheRef.current;
+
+      if (
+        cache &&
+        cache.vertices === state.vertices &&
+        cache.walls === state.walls &&
+        cache.rooms === state.rooms &&
+        cache.settings === snapSettings &&
+        cache.key === key
+      ) {
+        return cache;
+      }
+
+      cacheRef.current = {
+        vertices: state.vertices,
+        walls: state.walls,
+        rooms: state.rooms,
+        settings: snapSettings,
+        key,
+        targets: generateSnapTargets(state, {
+          includeEndpoints: snapSettings[SNAP_TYPES.ENDPOINT],
+          includeMidpoints: snapSettings[SNAP_TYPES.MIDPOINT],
+          includeIntersections: snapSettings[SNAP_TYPES.INTERSECTION],
+          excludeVertexIds,
+        }),
+        segments: getSnapSegments(state, excludeVertexIds),
+      };
+      return cacheRef.current;
+    },
+    [snapSettings]
+  );
+
+  /**
+   * Find the snap for a world point and show its glyph
+   * @param {[number, number]} worldPoint - Cursor position (world coords)
+   * @param {Object} options
+   * @param {[number, number] | null} options.fromPoint - Previous point (perpendicular snap)
+   * @param {Array<string>} options.excludeVertexIds - Vertices being moved (don't snap to themselves)
+   * @param {boolean} options.allowGrid - Fall back to the grid (off while the angle is locked)
+   * @returns {{type: string, point: [number, number]} | null} Snap or null
+   */
+  const findSnapAt = useCallback(
+    (
+      worldPoint,
+      { fromPoint = null, excludeVertexIds = [], allowGrid = true } = {}
+    ) => {
+      const { targets, segments } = getTargets(
+        useEditorStore.getState(),
+        excludeVertexIds
+      );
+
+      const snap = findSnap(worldPoint, {
+        targets,
+        segments,
+        settings: allowGrid
+          ? snapSettings
+          : { ...snapSettings, [SNAP_TYPES.GRID]: false },
+        threshold: SNAP_THRESHOLD / viewport.scale,
+        fromPoint,
+      });
+
+      setActiveSnap(snap);
+      return snap;
+    },
+    [getTargets, snapSettings, viewport.scale, setActiveSnap]
+  );
+
+  /**
+   * Snap a world point and show the snap glyph
+   * @param {[number, number]} worldPoint - Cursor position (world coords)
+   * @param {Object} options - Same as findSnapAt
+   * @returns {[number, number]} Snapped point (or the original point)
+   */
+  const snapPoint = useCallback(
+    (worldPoint, options) =>
+      applySnap(worldPoint, findSnapAt(worldPoint, options)),
+    [findSnapAt]
+  );
+
+  /**
+   * Hide the snap glyph
+   */
+  const clearSnap = useCallback(() => {
+    setActiveSnap(null);
+  }, [setActiveSnap]);
+
+  return { snapPoint, findSnapAt, clearSnap };
+};
+
+export default useSnapping;
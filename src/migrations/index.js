@@ -0,0 +1,73 @@
+/**
+ * Schema migrations for MiniCAD documents
+ * Each step is a pure function upgrading a document from one version to the next
+ *
+ * Versions:
+ * - 0: legacy array format (rooms[].polygon, walls[].polyline, openings, labels)
+ * - 1: graph format (vertices/walls/rooms/symbols/instances) with root `version`
+ */
+
+import { isLegacyDocument, migrateV0ToV1 } from "./v0ToV1";
+
+export const CURRENT_SCHEMA_VERSION = 1;
+
+/**
+ * Migration registry: MIGRATIONS[n] upgrades version n → n + 1
+ */
+const MIGRATIONS = {
+  0: migrateV0ToV1,
+};
+
+/**
+ * Detect the schema version of a document
+ * Documents without a `version` field predate versioning:
+ * legacy array documents are v0, graph documents are v1
+ * @param {Object} doc - Document
+ * @returns {number} Schema version
+ */
+export const detectSchemaVersion = (doc) => {
+  if (typeof doc.version === "number") {
+    return doc.version;
+  }
+
+  return isLegacyDocument(doc) ? 0 : 1;
+};
+
+/**
+ * Upgrade a document to the current schema version
+ * @param {Object} doc - Document of any known version
+ * @returns {{document: Object, fromVersion: number, applied: Array<string>}}
+ * @throws {Error} If the version is unknown or newer than this editor supports
+ */
+export const migrateDocument = (doc) => {
+  const fromVersion = detectSchemaVersion(doc);
+
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw new Error(`Unknown document version: ${doc.version}`);
+  }
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `Document version ${fromVersion} is newer than supported version ${CURRENT_SCHEMA_VERSION}`
+    );
+  }
+
+  let document = doc;
+  const applied = [];
+
+  for (let version = fromVersion; version < CURRENT_SCHEMA_VERSION; version++) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from version ${version}`);
+    }
+
+    document = migrate(document);
+    applied.push(`v${version} → v${version + 1}`);
+  }
+
+  return {
+    document: { ...document, version: CURRENT_SCHEMA_VERSION },
+    fromVersion,
+    applied,
+  };
+};
@@ -0,0 +1,86 @@
+/**
+ * Migration tests
+ * Each v0 fixture in ./fixtures is upgraded and compared with its expected
+ * v1 document (<name>.v1.json next to it)
+ */
+
+import { describe, expect, it } from "vitest";
+import {
+  CURRENT_SCHEMA_VERSION,
+  detectSchemaVersion,
+  migrateDocument,
+} from "./index";
+import { migrateV0ToV1 } from "./v0ToV1";
+import { validateDocument } from "../utils/schemaValidator";
+import { sampleFloorPlan3 } from "../utils/sampleData3";
+import v0TwoRooms from "./fixtures/v0-two-rooms.json";
+import v0TwoRoomsExpected from "./fixtures/v0-two-rooms.v1.json";
+import v0Empty from "./fixtures/v0-empty.json";
+import v0EmptyExpected from "./fixtures/v0-empty.v1.json";
+
+const FIXTURES = [
+  { name: "v0-two-rooms", input: v0TwoRooms, expected: v0TwoRoomsExpected },
+  { name: "v0-empty", input: v0Empty, expected: v0EmptyExpected },
+];
+
+/**
+ * Freeze a document and everything in it (migrations must not write to it)
+ * @param {Object} value - Document
+ * @returns {Object} The same document, frozen
+ */
+const deepFreeze = (value) => {
+  if (value && typeof value === "object") {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+describe("migrateV0ToV1", () => {
+  it.each(FIXTURES)("upgrades $name", ({ input, expected }) => {
+    const document = migrateV0ToV1(deepFreeze(structuredClone(input)));
+    expect(document).toEqual(expected);
+  });
+
+  it.each(FIXTURES)("produces a valid v1 document from $name", ({ input }) => {
+    const issues = validateDocument(migrateV0ToV1(input));
+    expect(issues.filter((issue) => issue.severity === "error")).toEqual([]);
+  });
+
+  it("is deterministic", () => {
+    expect(migrateV0ToV1(v0TwoRooms)).toEqual(migrateV0ToV1(v0TwoRooms));
+  });
+});
+
+describe("migrateDocument", () => {
+  it("detects legacy and graph documents without a version", () => {
+    expect(detectSchemaVersion(v0TwoRooms)).toBe(0);
+    expect(detectSchemaVersion(sampleFloorPlan3)).toBe(1);
+  });
+
+  it.each(FIXTURES)("runs every step for $name", ({ input, expected }) => {
+    const result = migrateDocument(input);
+    expect(result.fromVersion).toBe(0);
+    expect(result.applied).toEqual(["v0 → v1"]);
+    expect(result.document).toEqual({
+      ...expected,
+      version: CURRENT_SCHEMA_VERSION,
+    });
+  });
+
+  it("leaves current documents as they are", () => {
+    const result = migrateDocument(sampleFloorPlan3);
+    expect(result.applied).toEqual([]);
+    expect(result.document).toEqual({
+      ...sampleFloorPlan3,
+      version: CURRENT_SCHEMA_VERSION,
+    });
+  });
+
+  it("rejects unknown and future versions", () => {
+    expect(() => migrateDocument({ version: -1 })).toThrow(/Unknown/);
+    expect(() =>
+      migrateDocument({ version: CURRENT_SCHEMA_VERSION + 1 })
+    ).toThrow(/newer than supported/);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Migration v0 → v1
+ * Legacy array format → graph format (vertices/walls/rooms/symbols/instances)
+ *
+ * Legacy (v0) shape:
+ * {
+ *   units: "mm",
+ *   rooms:    [{ id, name, type, polygon: [[x, y], ...] }],
+ *   walls:    [{ id, polyline: [[x, y], ...], thickness, isOuter }],
+ *   openings: [{ id, kind: "door" | "window", at: [x, y], width, label }],
+ *   labels:   [{ at: [x, y], text }]
+ * }
+ */
+
+import {
+  calculateArea,
+  closestPointOnLine,
+  distance,
+  isPointInPolygon,
+} from "../utils/geometry";
+import { ROOM_TYPE_VALUES } from "../utils/constants";
+
+// Symbols used by converted openings
+const LEGACY_SYMBOLS = {
+  "door.single": {
+    type: "anchored",
+    anchor: "wall",
+    geometry: { width: 900, swing: { radius: 800, angle: 90 } },
+    render: { type: "arc+line", stroke: "#8b4513", strokeWidth: 2 },
+  },
+  "window.slider": {
+    type: "anchored",
+    anchor: "wall",
+    geometry: { width: 1200, sillHeight: 900, height: 1200 },
+    render: { type: "rect", stroke: "#4169e1", strokeWidth: 2 },
+  },
+};
+
+/**
+ * Check if a document uses the legacy array format
+ * @param {Object} doc - Document
+ * @returns {boolean}
+ */
+export const isLegacyDocument = (doc) => {
+  return (
+    Array.isArray(doc.rooms) ||
+    Array.isArray(doc.walls) ||
+    Array.isArray(doc.openings) ||
+    Array.isArray(doc.labels)
+  );
+};
+
+/**
+ * Upgrade a v0 (legacy array) document to v1 (graph format)
+ * Pure function: the input document is not modified
+ * @param {Object} doc - v0 document
+ * @returns {Object} v1 document
+ */
+export const migrateV0ToV1 = (doc) => {
+  const vertices = {};
+  const walls = {};
+  const rooms = {};
+  const symbols = {};
+  const instances = {};
+
+  // Coincident points share one vertex
+  const vertexIdByKey = new Map();
+  const getVertexId = ([x, y]) => {
+    const key = `${Math.round(x)},${Math.round(y)}`;
+    if (!vertexIdByKey.has(key)) {
+      const id = `v${vertexIdByKey.size + 1}`;
+      vertexIdByKey.set(key, id);
+      vertices[id] = { x, y };
+    }
+    return vertexIdByKey.get(key);
+  };
+
+  // Walls: one wall per polyline segment
+  let wallCount = 0;
+  for (const wall of doc.walls || []) {
+    const polyline = wall.polyline || [];
+    for (let i = 0; i < polyline.length - 1; i++) {
+      const vStart = getVertexId(polyline[i]);
+      const vEnd = getVertexId(polyline[i + 1]);
+      if (vStart === vEnd) continue;
+
+      wallCount++;
+      walls[`w${wallCount}`] = {
+        vStart,
+        vEnd,
+        thickness: wall.thickness || 200,
+        isOuter: Boolean(wall.isOuter),
+      };
+    }
+  }
+
+  // Rooms: polygon points → vertex IDs
+  const roomPolygons = [];
+  let roomCount = 0;
+  for (const room of doc.rooms || []) {
+    const polygon = room.polygon || [];
+    if (polygon.length < 3) continue;
+
+    roomCount++;
+    const roomId = `r${roomCount}`;
+    rooms[roomId] = {
+      name: room.name || "",
+      vertices: polygon.map(getVertexId),
+      type: ROOM_TYPE_VALUES.includes(room.type) ? room.type : "other",
+      area: calculateArea(polygon),
+    };
+    roomPolygons.push({ roomId, polygon });
+  }
+
+  // Labels: name unnamed rooms that contain the label
+  for (const label of doc.labels || []) {
+    if (!label.at || !label.text) continue;
+
+    const match = roomPolygons.find(
+      ({ roomId, polygon }) =>
+        !rooms[roomId].name && isPointInPolygon(label.at, polygon)
+    );
+    if (match) {
+      rooms[match.roomId].name = label.text.split("\n")[0];
+    }
+  }
+
+  for (const room of Object.values(rooms)) {
+    if (!room.name) {
+      room.name = "Room";
+    }
+  }
+
+  // Openings: attach to the nearest wall
+  let doorCount = 0;
+  let windowCount = 0;
+  for (const opening of doc.openings || []) {
+    if (!opening.at) continue;
+
+    let nearest = null;
+    for (const [wallId, wall] of Object.entries(walls)) {
+      const start = [vertices[wall.vStart].x, vertices[wall.vStart].y];
+      const end = [vertices[wall.vEnd].x, vertices[wall.vEnd].y];
+      const foot = closestPointOnLine(opening.at, start, end);
+      const dist = distance(opening.at, foot);
+
+      if (!nearest || dist < nearest.dist) {
+        nearest = { wallId, dist, offset: distance(start, foot) };
+      }
+    }
+    if (!nearest) continue;
+
+    const isWindow = opening.kind === "window";
+    const symbolId = isWindow ? "window.slider" : "door.single";
+    symbols[symbolId] = structuredClone(LEGACY_SYMBOLS[symbolId]);
+
+    const instanceId = isWindow ? `win${++windowCount}` : `d${++doorCount}`;
+    instances[instanceId] = {
+      symbol: symbolId,
+      constraint: {
+        attachTo: { kind: "wall", id: nearest.wallId },
+        offsetFromStart: nearest.offset,
+      },
+      transform: null,
+      props: {
+        width: opening.width || LEGACY_SYMBOLS[symbolId].geometry.width,
+        ...(opening.label ? { label: opening.label } : {}),
+      },
+    };
+  }
+
+  return {
+    version: 1,
+    units: doc.units || "mm",
+    vertices,
+    walls,
+    rooms,
+    symbols,
+    instances,
+  };
+};
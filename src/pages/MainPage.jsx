@@ -1,34 +1,128 @@
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import KonvaCanvas from "../components/Canvas/KonvaCanvas";
 import PropertiesPanel from "../components/Panels/PropertiesPanel";
+import IssuesPanel from "../components/Panels/IssuesPanel";
+import HistoryPanel from "../components/Panels/HistoryPanel";
 import Toolbar from "../components/Toolbar/Toolbar";
+import FileMenu from "../components/FileMenu/FileMenu";
+import ValidationDialog from "../components/Dialogs/ValidationDialog";
+import RestoreSessionDialog from "../components/Dialogs/RestoreSessionDialog";
+import RecentPlansDialog from "../components/Dialogs/RecentPlansDialog";
 import useEditorStore from "../store/editorStore";
+import useDocumentFile from "../hooks/useDocumentFile";
+import useAutosave from "../hooks/useAutosave";
 import { sampleFloorPlan3 } from "../utils/sampleData3";
+import { getLastSessionPlan } from "../utils/planStorage";
 import "./MainPage.css";
 
 function MainPage() {
-  const loadJSON = useEditorStore((state) => state.loadJSON);
   const vertices = useEditorStore((state) => state.vertices);
   const walls = useEditorStore((state) => state.walls);
   const rooms = useEditorStore((state) => state.rooms);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [sessionPlan, setSessionPlan] = useState(null);
+  const [isRecentOpen, setIsRecentOpen] = useState(false);
 
-  // Load sample data on mount
+  const {
+    documentName,
+    isDirty,
+    report,
+    openFile,
+    openStoredPlan,
+    startDocument,
+    confirmReport,
+    dismissReport,
+    saveDocument,
+    saveDocumentAs,
+  } = useDocumentFile();
+
+  // Snapshot every edit to local storage
+  useAutosave();
+
+  // On mount: offer to restore the last session, otherwise load sample data
   useEffect(() => {
-    console.log("Loading sample data...", sampleFloorPlan3);
-    loadJSON(sampleFloorPlan3);
-  }, [loadJSON]);
+    let cancelled = false;
+
+    const loadSample = () => {
+      console.log("Loading sample data...", sampleFloorPlan3);
+      startDocument(sampleFloorPlan3, "Untitled");
+    };
+
+    getLastSessionPlan()
+      .then((plan) => {
+        if (cancelled) return;
+        if (plan) {
+          setSessionPlan(plan);
+        } else {
+          loadSample();
+        }
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.warn("Could not read last session:", error);
+        loadSample();
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [startDocument]);
+
+  const handleRestoreSession = () => {
+    // A plan that fails to load is reported; start from the sample instead
+    if (!openStoredPlan(sessionPlan)) {
+      startDocument(sampleFloorPlan3, "Untitled");
+    }
+    setSessionPlan(null);
+  };
+
+  const handleDiscardSession = () => {
+    startDocument(sampleFloorPlan3, "Untitled");
+    setSessionPlan(null);
+  };
 
   // Debug: log data after load
   useEffect(() => {
     console.log("Data loaded:", { vertices, walls, rooms });
   }, [vertices, walls, rooms]);
 
+  // Drag-and-drop a JSON plan onto the canvas to open it
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setIsDragOver(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDragOver(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) {
+      openFile(file);
+    }
+  };
+
   return (
     <div className="main-page">
       {/* Top header bar */}
       <div className="header-bar">
         <h1>MiniCAD</h1>
         <div className="header-info">2D Floor Plan Editor</div>
+        <FileMenu
+          documentName={documentName}
+          isDirty={isDirty}
+          onOpenFile={openFile}
+          onSave={saveDocument}
+          onSaveAs={saveDocumentAs}
+          onShowRecent={() => setIsRecentOpen(true)}
+        />
       </div>
 
       {/* Main content area with toolbar, canvas and panel */}
@@ -37,15 +131,43 @@ function MainPage() {
         <Toolbar />
 
         {/* Canvas area */}
-        <div className="canvas-area">
+        <div
+          className={`canvas-area ${isDragOver ? "drag-over" : ""}`}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+        >
           <KonvaCanvas />
         </div>
 
-        {/* Properties panel */}
+        {/* Properties and validation issues panels */}
         <div className="right-panel">
           <PropertiesPanel />
+          <IssuesPanel />
+          <HistoryPanel />
         </div>
       </div>
+
+      {/* Errors/warnings of the document being opened */}
+      <ValidationDialog
+        report={report}
+        onConfirm={confirmReport}
+        onCancel={dismissReport}
+      />
+
+      {/* Startup: restore autosaved plan */}
+      <RestoreSessionDialog
+        plan={sessionPlan}
+        onRestore={handleRestoreSession}
+        onDiscard={handleDiscardSession}
+      />
+
+      {/* Plans stored in this browser */}
+      <RecentPlansDialog
+        isOpen={isRecentOpen}
+        onOpenPlan={openStoredPlan}
+        onClose={() => setIsRecentOpen(false)}
+      />
     </div>
   );
 }
@@ -1,5 +1,102 @@
 import { create } from "zustand";
-import { TOOLS, INITIAL_ZOOM } from "../utils/constants";
+import {
+  TOOLS,
+  INITIAL_ZOOM,
+  SNAP_TYPES,
+  DEFAULT_ANGLE_STEP,
+  ANGLE_REFERENCES,
+  DEFAULT_DELETE_POLICY,
+  HISTORY_MAX_DEPTH,
+  SELECTION_MODES,
+  REGION_SELECT_MODES,
+  WALL_JUSTIFICATIONS,
+  WALL_MIN_THICKNESS,
+  WALL_MAX_THICKNESS,
+  DEFAULT_SHAPE_SETTINGS,
+  SHAPE_MIN_SIDES,
+  SHAPE_MAX_SIDES,
+  SHAPE_MIN_SEGMENTS,
+  SHAPE_MAX_SEGMENTS,
+} from "../utils/constants";
+import { toFloorPlanDocument } from "../utils/export";
+import { migrateDocument } from "../migrations";
+import { validateDocument } from "../utils/schemaValidator";
+import { allocateIds as allocateCollectionIds } from "../utils/idAllocator";
+import { recalculateAllRoomAreas } from "../utils/roomUtils";
+import CompositeCommand from "../commands/CompositeCommand";
+import {
+  serializeHistory,
+  deserializeHistory,
+} from "../commands/serialization";
+
+/**
+ * Cut history down to the max depth
+ * The oldest undo steps go first, then the far end of the redo branch
+ * @returns {{commandHistory, historyIndex, savedHistoryIndex}} Trimmed history
+ */
+const trimHistory = (
+  commandHistory,
+  historyIndex,
+  savedHistoryIndex,
+  maxDepth
+) => {
+  if (commandHistory.length <= maxDepth) {
+    return { commandHistory, historyIndex, savedHistoryIndex };
+  }
+
+  const dropped = Math.min(commandHistory.length - maxDepth, historyIndex + 1);
+  const trimmed = commandHistory.slice(dropped, dropped + maxDepth);
+  const savedIndex = savedHistoryIndex - dropped;
+
+  return {
+    commandHistory: trimmed,
+    historyIndex: historyIndex - dropped,
+    // The saved state was cut off: it can't be reached again
+    savedHistoryIndex:
+      savedHistoryIndex === -2 ||
+      savedIndex < -1 ||
+      savedIndex >= trimmed.length
+        ? -2
+        : savedIndex,
+  };
+};
+
+/**
+ * Keep the stored room areas (net floor area) in step with the geometry
+ * Runs after every edit, undo and redo, so commands don't have to
+ */
+const syncRoomAreas = (get, set) => {
+  const { rooms, vertices, walls } = get();
+  const synced = recalculateAllRoomAreas(rooms, vertices, walls);
+  if (synced !== rooms) {
+    set({ rooms: synced });
+  }
+};
+
+/**
+ * Add an executed command to history, dropping the redo branch
+ */
+const pushHistory = (get, set, command) => {
+  const state = get();
+
+  // Remove any commands after current history index (for redo)
+  const newHistory = state.commandHistory.slice(0, state.historyIndex + 1);
+
+  // Add new command to history
+  newHistory.push(command);
+
+  set(
+    trimHistory(
+      newHistory,
+      newHistory.length - 1,
+      // The saved state was in the discarded redo branch: it can't be reached again
+      state.savedHistoryIndex > state.historyIndex
+        ? -2
+        : state.savedHistoryIndex,
+      state.maxHistoryDepth
+    )
+  );
+};
 
 /**
  * Main editor store using Zustand
@@ -9,7 +106,7 @@ const useEditorStore = create((set, get) => ({
   // ==================== DATA (NEW FORMAT) ====================
   units: "mm",
   vertices: {}, // { "v1": { x: 0, y: 0 }, "v2": { x: 100, y: 0 }, ... }
-  walls: {}, // { "w1": { vStart: "v1", vEnd: "v2", thickness: 200, isOuter: true }, ... }
+  walls: {}, // { "w1": { vStart: "v1", vEnd: "v2", thickness: 200, isOuter: true, justification: "center" }, ... }
   rooms: {}, // { "r1": { name: "...", vertices: ["v1", "v2", ...], walls: ["w1", ...], type: "...", area: ... }, ... }
 
   // Symbol definitions (door types, window types, stairs, etc.)
@@ -19,8 +116,8 @@ const useEditorStore = create((set, get) => ({
   instances: {}, // { "d1": { symbol: "door.single", constraint: {...}, transform: {...}, props: {...} }, ... }
 
   // ==================== UI STATE ====================
-  selectedIds: [],
-  selectedType: null, // 'vertex' | 'wall' | 'room' | 'instance' | null
+  selection: [], // [{ type: 'vertex' | 'wall' | 'room' | 'instance', id }]
+  regionSelectMode: REGION_SELECT_MODES.BOX, // Select tool drag: box or lasso
   currentTool: TOOLS.SELECT,
   hoveredId: null,
   hoveredType: null,
@@ -29,6 +126,40 @@ const useEditorStore = create((set, get) => ({
   placementMode: null, // null or { symbolId: "door.single", objectType: "door" }
   placementPreview: null, // { wallId, offset, freePosition } for preview during placement
 
+  // Paste mode: a copied plan fragment following the cursor
+  pasteMode: null, // null or { fragment, position } (fragment in DATA_FORMAT shape)
+
+  // Offset tool: picked wall chain and the offset under the cursor
+  offsetWall: null, // null or { wallId, chain, distance } (see getWallChain)
+
+  // Trim / Extend tools: wall picked as the cutting edge / boundary
+  wallEditBoundary: null, // null or wall ID
+
+  // Object snapping
+  snapSettings: {
+    [SNAP_TYPES.ENDPOINT]: true,
+    [SNAP_TYPES.MIDPOINT]: true,
+    [SNAP_TYPES.INTERSECTION]: true,
+    [SNAP_TYPES.PERPENDICULAR]: true,
+    [SNAP_TYPES.GRID]: true,
+  },
+  activeSnap: null, // { type, point } snap under the cursor (drawing, vertex drag)
+
+  // Angle lock: Ortho toggle, or hold Shift for a temporary lock
+  orthoMode: false,
+  angleStep: DEFAULT_ANGLE_STEP, // degrees
+  angleReference: ANGLE_REFERENCES.WORLD, // "world" axes or previous "segment"
+  angleGuide: null, // { origin, angle } locked direction shown as a guide line
+
+  // Draw Wall tool: which face of new walls follows the drawn line
+  wallJustification: WALL_JUSTIFICATIONS.CENTER,
+
+  // Shape tools: what they create and their sizes { output, sides, segments, thickness }
+  shapeSettings: DEFAULT_SHAPE_SETTINGS,
+
+  // What deleting cascades to: { orphanInstances: "remove" | "detach", affectedRooms: "repair" | "delete" }
+  deletePolicy: DEFAULT_DELETE_POLICY,
+
   // ==================== VIEW STATE ====================
   viewport: {
     x: 0,
@@ -41,17 +172,36 @@ const useEditorStore = create((set, get) => ({
   // ==================== HISTORY ====================
   commandHistory: [],
   historyIndex: -1,
+  transaction: null, // Open CompositeCommand collecting executed commands
+  transactionDepth: 0, // Nested beginTransaction calls
+  maxHistoryDepth: HISTORY_MAX_DEPTH,
+
+  // ==================== ID ALLOCATION ====================
+  idCounters: {}, // { vertices: { v: 12 }, instances: { door: 3 }, ... } last number issued per prefix
+
+  // ==================== DOCUMENT ====================
+  documentId: null, // ID of the plan in local storage (assigned on first autosave)
+  documentName: "Untitled",
+  savedHistoryIndex: -1, // historyIndex at last save (-2 if that state was discarded)
+  loadCount: 0, // Incremented by loadJSON (canvas re-fits on new documents)
+
+  // ==================== VALIDATION ====================
+  validationIssues: [], // [{ path, code, severity, message, target }] from the last check
 
   // ==================== TEMP STATE ====================
   tempPoints: [],
   isDrawing: false,
+  cursorPoint: null, // Rubber-band end while drawing (snapped / angle-locked cursor)
 
   // ==================== ACTIONS ====================
 
   /**
-   * Load JSON data into the editor (NEW FORMAT)
+   * Load JSON data into the editor
+   * Older documents are upgraded to the current schema version first
    */
-  loadJSON: (data) => {
+  loadJSON: (json) => {
+    const { document: data } = migrateDocument(json);
+
     set({
       units: data.units || "mm",
       vertices: data.vertices || {},
@@ -59,58 +209,158 @@ const useEditorStore = create((set, get) => ({
       rooms: data.rooms || {},
       symbols: data.symbols || {},
       instances: data.instances || {},
-      selectedIds: [],
-      selectedType: null,
+      selection: [],
       commandHistory: [],
       historyIndex: -1,
+      transaction: null,
+      transactionDepth: 0,
+      savedHistoryIndex: -1,
+      idCounters: {},
+      loadCount: get().loadCount + 1,
     });
+    syncRoomAreas(get, set);
+
+    get().runValidation();
   },
 
   /**
    * Export current state as JSON (NEW FORMAT)
    */
   exportJSON: () => {
+    return toFloorPlanDocument(get());
+  },
+
+  /**
+   * Allocate unique IDs for new objects
+   * IDs are never reused, even after deletes or undo
+   * @param {string} collection - "vertices" | "walls" | "rooms" | "instances"
+   * @param {string} prefix - ID prefix ("v", "w", "r", or object type for instances)
+   * @param {number} count - Number of IDs to allocate
+   * @returns {Array<string>} New IDs
+   */
+  allocateIds: (collection, prefix, count = 1) => {
     const state = get();
-    return {
-      units: state.units,
-      vertices: state.vertices,
-      walls: state.walls,
-      rooms: state.rooms,
-      symbols: state.symbols,
-      instances: state.instances,
-    };
+    const counters = state.idCounters[collection] || {};
+
+    const { ids, lastIssued } = allocateCollectionIds(
+      state[collection],
+      prefix,
+      counters[prefix] || 0,
+      count
+    );
+
+    set({
+      idCounters: {
+        ...state.idCounters,
+        [collection]: { ...counters, [prefix]: lastIssued },
+      },
+    });
+
+    return ids;
+  },
+
+  /**
+   * Allocate a single unique ID
+   * @param {string} collection - Collection name
+   * @param {string} prefix - ID prefix
+   * @returns {string} New ID
+   */
+  allocateId: (collection, prefix) => {
+    return get().allocateIds(collection, prefix, 1)[0];
+  },
+
+  /**
+   * Validate the current document against the schema
+   * Runs on load; call again to re-check after edits
+   * @returns {Array<Object>} Validation issues
+   */
+  runValidation: () => {
+    const validationIssues = validateDocument(get().exportJSON());
+    set({ validationIssues });
+    return validationIssues;
   },
 
   /**
    * Execute a command and add to history
+   * Inside a transaction the command joins the transaction instead
    */
   executeCommand: (command) => {
-    const state = get();
-
     // Execute the command
     command.execute(get, set);
+    syncRoomAreas(get, set);
 
-    // Remove any commands after current history index (for redo)
-    const newHistory = state.commandHistory.slice(0, state.historyIndex + 1);
+    const { transaction } = get();
+    if (transaction) {
+      transaction.add(command);
+      return;
+    }
+
+    pushHistory(get, set, command);
+  },
 
-    // Add new command to history
-    newHistory.push(command);
+  /**
+   * Start grouping executed commands into one history entry
+   * Nested calls join the outer transaction. Callers commit once all steps
+   * ran and abort in a catch, so a failing step leaves no partial edit
+   * @param {string} label - Description of the grouped step
+   */
+  beginTransaction: (label = "") => {
+    const state = get();
+    if (state.transaction) {
+      set({ transactionDepth: state.transactionDepth + 1 });
+      return;
+    }
 
     set({
-      commandHistory: newHistory,
-      historyIndex: newHistory.length - 1,
+      transaction: new CompositeCommand([], label),
+      transactionDepth: 1,
     });
   },
 
+  /**
+   * Close the transaction and add it to history as a single command
+   * Empty transactions leave no history entry
+   */
+  commitTransaction: () => {
+    const { transaction, transactionDepth } = get();
+    if (!transaction) return;
+
+    if (transactionDepth > 1) {
+      set({ transactionDepth: transactionDepth - 1 });
+      return;
+    }
+
+    set({ transaction: null, transactionDepth: 0 });
+
+    // Children already ran: record without executing them again
+    if (transaction.commands.length > 0) {
+      pushHistory(get, set, transaction);
+    }
+  },
+
+  /**
+   * Undo everything executed in the transaction and discard it
+   * Aborting a nested transaction aborts the outermost one
+   */
+  abortTransaction: () => {
+    const { transaction } = get();
+    if (!transaction) return;
+
+    set({ transaction: null, transactionDepth: 0 });
+    transaction.undo(get, set);
+    syncRoomAreas(get, set);
+  },
+
   /**
    * Undo last command
    */
   undo: () => {
     const state = get();
-    if (state.historyIndex < 0) return;
+    if (state.historyIndex < 0 || state.transaction) return;
 
     const command = state.commandHistory[state.historyIndex];
     command.undo(get, set);
+    syncRoomAreas(get, set);
 
     set({
       historyIndex: state.historyIndex - 1,
@@ -122,16 +372,87 @@ const useEditorStore = create((set, get) => ({
    */
   redo: () => {
     const state = get();
-    if (state.historyIndex >= state.commandHistory.length - 1) return;
+    if (
+      state.historyIndex >= state.commandHistory.length - 1 ||
+      state.transaction
+    ) {
+      return;
+    }
 
     const command = state.commandHistory[state.historyIndex + 1];
     command.redo(get, set);
+    syncRoomAreas(get, set);
 
     set({
       historyIndex: state.historyIndex + 1,
     });
   },
 
+  /**
+   * Undo or redo until the given history index is reached
+   * @param {number} index - Target index (-1: before the first command)
+   */
+  jumpToHistory: (index) => {
+    const { commandHistory, transaction } = get();
+    if (transaction || index < -1 || index >= commandHistory.length) return;
+
+    while (get().historyIndex > index) {
+      get().undo();
+    }
+    while (get().historyIndex < index) {
+      get().redo();
+    }
+  },
+
+  /**
+   * Change how many commands history keeps (oldest dropped first)
+   * @param {number} depth - Max number of commands (at least 1)
+   */
+  setMaxHistoryDepth: (depth) => {
+    const state = get();
+    const maxHistoryDepth = Math.max(1, Math.floor(depth));
+
+    set({
+      maxHistoryDepth,
+      ...trimHistory(
+        state.commandHistory,
+        state.historyIndex,
+        state.savedHistoryIndex,
+        maxHistoryDepth
+      ),
+    });
+  },
+
+  /**
+   * Serialize the command history (persisted with autosave)
+   * @returns {Object} Plain JSON history (see serializeHistory)
+   */
+  serializeHistory: () => {
+    const { commandHistory, historyIndex } = get();
+    return serializeHistory(commandHistory, historyIndex);
+  },
+
+  /**
+   * Restore a serialized history for the document just loaded
+   * The loaded document is the state at the stored index, so it counts as saved
+   * @param {Object} json - History from serializeHistory
+   * @returns {boolean} True if restored (false keeps an empty history)
+   */
+  restoreHistory: (json) => {
+    try {
+      const { commands, index } = deserializeHistory(json);
+      set({
+        ...trimHistory(commands, index, index, get().maxHistoryDepth),
+        transaction: null,
+        transactionDepth: 0,
+      });
+      return true;
+    } catch (error) {
+      console.warn("Could not restore history:", error);
+      return false;
+    }
+  },
+
   /**
    * Check if undo is available
    */
@@ -147,6 +468,35 @@ const useEditorStore = create((set, get) => ({
     return state.historyIndex < state.commandHistory.length - 1;
   },
 
+  /**
+   * Set document ID (key of the autosaved plan in local storage)
+   */
+  setDocumentId: (documentId) => {
+    set({ documentId });
+  },
+
+  /**
+   * Set document name (used as file name when saving)
+   */
+  setDocumentName: (documentName) => {
+    set({ documentName });
+  },
+
+  /**
+   * Mark current history position as saved
+   */
+  markSaved: () => {
+    set({ savedHistoryIndex: get().historyIndex });
+  },
+
+  /**
+   * Check if document has changes since last save
+   */
+  isDirty: () => {
+    const state = get();
+    return state.historyIndex !== state.savedHistoryIndex;
+  },
+
   /**
    * Set current tool
    */
@@ -155,74 +505,92 @@ const useEditorStore = create((set, get) => ({
       currentTool: tool,
       tempPoints: [],
       isDrawing: false,
+      cursorPoint: null,
+      activeSnap: null,
+      angleGuide: null,
+      offsetWall: null,
+      wallEditBoundary: null,
     });
   },
 
   /**
    * Select item(s)
+   * @param {string} id - Object ID
+   * @param {string} type - 'vertex' | 'wall' | 'room' | 'instance'
+   * @param {boolean} addToSelection - Keep the current selection (objects of any type)
    */
   selectItem: (id, type, addToSelection = false) => {
-    const state = get();
-
-    if (addToSelection) {
-      // Multi-select: add to existing selection if same type
-      if (state.selectedType === type || state.selectedType === null) {
-        set({
-          selectedIds: [...state.selectedIds, id],
-          selectedType: type,
-        });
-      } else {
-        // Different type: replace selection
-        set({
-          selectedIds: [id],
-          selectedType: type,
-        });
-      }
-    } else {
-      set({
-        selectedIds: [id],
-        selectedType: type,
-      });
-    }
+    get().setSelection(
+      [{ type, id }],
+      addToSelection ? SELECTION_MODES.ADD : SELECTION_MODES.REPLACE
+    );
   },
 
   /**
    * Toggle selection (select if not selected, deselect if already selected)
    */
   toggleSelection: (id, type) => {
-    const state = get();
+    get().setSelection([{ type, id }], SELECTION_MODES.TOGGLE);
+  },
 
-    if (state.selectedType === type && state.selectedIds.includes(id)) {
-      // Already selected: remove from selection
-      const newSelectedIds = state.selectedIds.filter(
-        (selectedId) => selectedId !== id
-      );
-      set({
-        selectedIds: newSelectedIds,
-        selectedType: newSelectedIds.length > 0 ? type : null,
-      });
-    } else {
-      // Not selected: add to selection
-      get().selectItem(id, type, true);
+  /**
+   * Apply a set of objects to the selection
+   * @param {Array<{type: string, id: string}>} items - Objects
+   * @param {string} mode - One of SELECTION_MODES (replace, add, toggle)
+   */
+  setSelection: (items, mode = SELECTION_MODES.REPLACE) => {
+    const key = (item) => `${item.type}:${item.id}`;
+    const current =
+      mode === SELECTION_MODES.REPLACE ? [] : [...get().selection];
+    const keys = new Set(current.map(key));
+
+    for (const item of items) {
+      if (!keys.has(key(item))) {
+        keys.add(key(item));
+        current.push({ type: item.type, id: item.id });
+      } else if (mode === SELECTION_MODES.TOGGLE) {
+        keys.delete(key(item));
+        current.splice(
+          current.findIndex((selected) => key(selected) === key(item)),
+          1
+        );
+      }
     }
+
+    set({ selection: current });
   },
 
   /**
    * Check if item is selected
    */
   isSelected: (id, type) => {
-    const state = get();
-    return state.selectedType === type && state.selectedIds.includes(id);
+    return get().selection.some((item) => item.type === type && item.id === id);
+  },
+
+  /**
+   * Get the selected IDs of one object type
+   * @param {string} type - 'vertex' | 'wall' | 'room' | 'instance'
+   * @returns {string[]} Selected IDs in selection order
+   */
+  getSelectedIds: (type) => {
+    return get()
+      .selection.filter((item) => item.type === type)
+      .map((item) => item.id);
   },
 
   /**
    * Clear selection
    */
   clearSelection: () => {
-    set({
-      selectedIds: [],
-      selectedType: null,
-    });
+    set({ selection: [] });
+  },
+
+  /**
+   * Set how a Select tool drag picks objects
+   * @param {string} mode - One of REGION_SELECT_MODES (box, lasso)
+   */
+  setRegionSelectMode: (mode) => {
+    set({ regionSelectMode: mode });
   },
 
   /**
@@ -245,6 +613,110 @@ const useEditorStore = create((set, get) => ({
     });
   },
 
+  /**
+   * Enable/disable a snap type
+   * @param {string} type - One of SNAP_TYPES
+   */
+  toggleSnap: (type) => {
+    set((state) => ({
+      snapSettings: {
+        ...state.snapSettings,
+        [type]: !state.snapSettings[type],
+      },
+    }));
+  },
+
+  /**
+   * Set the snap shown under the cursor
+   * @param {Object | null} snap - { type, point } or null
+   */
+  setActiveSnap: (snap) => {
+    if (snap === null && get().activeSnap === null) return;
+    set({ activeSnap: snap });
+  },
+
+  /**
+   * Toggle Ortho mode (permanent angle lock)
+   */
+  toggleOrtho: () => {
+    set((state) => ({ orthoMode: !state.orthoMode }));
+  },
+
+  /**
+   * Set the angle lock step
+   * @param {number} step - Step in degrees (one of ANGLE_STEPS)
+   */
+  setAngleStep: (step) => {
+    set({ angleStep: step });
+  },
+
+  /**
+   * Set the justification of walls drawn next
+   * @param {string} justification - One of WALL_JUSTIFICATIONS
+   */
+  setWallJustification: (justification) => {
+    set({ wallJustification: justification });
+  },
+
+  /**
+   * Switch to the next wall justification (center → left → right)
+   */
+  cycleWallJustification: () => {
+    const order = Object.values(WALL_JUSTIFICATIONS);
+    const index = order.indexOf(get().wallJustification);
+    set({ wallJustification: order[(index + 1) % order.length] });
+  },
+
+  /**
+   * Change the shape tool settings (numbers are clamped to their range)
+   * @param {Object} settings - Partial { output, sides, segments, thickness }
+   */
+  setShapeSettings: (settings) => {
+    const clamp = (value, min, max) =>
+      Math.min(Math.max(Math.round(value), min), max);
+    const next = { ...get().shapeSettings, ...settings };
+
+    set({
+      shapeSettings: {
+        ...next,
+        sides: clamp(next.sides, SHAPE_MIN_SIDES, SHAPE_MAX_SIDES),
+        segments: clamp(next.segments, SHAPE_MIN_SEGMENTS, SHAPE_MAX_SEGMENTS),
+        thickness: clamp(
+          next.thickness,
+          WALL_MIN_THICKNESS,
+          WALL_MAX_THICKNESS
+        ),
+      },
+    });
+  },
+
+  /**
+   * Set what locked angles are measured from
+   * @param {string} reference - One of ANGLE_REFERENCES
+   */
+  setAngleReference: (reference) => {
+    set({ angleReference: reference });
+  },
+
+  /**
+   * Set the locked direction shown as a guide line
+   * @param {Object | null} guide - { origin, angle } or null
+   */
+  setAngleGuide: (guide) => {
+    if (guide === null && get().angleGuide === null) return;
+    set({ angleGuide: guide });
+  },
+
+  /**
+   * Change the delete cascade policy
+   * @param {Object} policy - Partial { orphanInstances, affectedRooms }
+   */
+  setDeletePolicy: (policy) => {
+    set((state) => ({
+      deletePolicy: { ...state.deletePolicy, ...policy },
+    }));
+  },
+
   /**
    * Check if item is hovered
    */
@@ -283,6 +755,7 @@ const useEditorStore = create((set, get) => ({
     set({
       placementMode: { symbolId, objectType },
       placementPreview: null,
+      pasteMode: null,
       currentTool: TOOLS.SELECT, // Keep select tool active
     });
   },
@@ -306,6 +779,73 @@ const useEditorStore = create((set, get) => ({
     });
   },
 
+  /**
+   * Enter paste mode: the fragment follows the cursor until placed
+   * @param {Object} fragment - Plan fragment (see extractFragment)
+   * @param {[number, number] | null} position - Initial anchor position (world coords)
+   */
+  startPaste: (fragment, position = null) => {
+    set({
+      pasteMode: { fragment, position },
+      placementMode: null,
+      placementPreview: null,
+      currentTool: TOOLS.SELECT,
+    });
+  },
+
+  /**
+   * Move the pasted fragment
+   * @param {[number, number]} position - Anchor position (world coords)
+   */
+  updatePastePosition: (position) => {
+    const { pasteMode } = get();
+    if (!pasteMode) return;
+
+    set({ pasteMode: { ...pasteMode, position } });
+  },
+
+  /**
+   * Cancel paste mode
+   */
+  cancelPaste: () => {
+    set({ pasteMode: null });
+  },
+
+  /**
+   * Pick the walls to offset (Offset tool)
+   * @param {string} wallId - Picked wall (offsets are measured from it)
+   * @param {Object} chain - Walls to copy {vertices, walls, isClosed}
+   */
+  startOffsetWall: (wallId, chain) => {
+    set({ offsetWall: { wallId, chain, distance: 0 } });
+  },
+
+  /**
+   * Set the offset of the picked walls
+   * @param {number} distance - Signed offset in mm (see getChainOffsetDistance)
+   */
+  updateOffsetDistance: (distance) => {
+    const { offsetWall } = get();
+    if (!offsetWall) return;
+
+    set({ offsetWall: { ...offsetWall, distance } });
+  },
+
+  /**
+   * Drop the picked walls
+   */
+  cancelOffsetWall: () => {
+    set({ offsetWall: null });
+  },
+
+  /**
+   * Pick the cutting edge (Trim) or boundary (Extend) wall
+   * @param {string | null} wallId - Wall ID, or null to pick again
+   */
+  setWallEditBoundary: (wallId) => {
+    set({ wallEditBoundary: wallId });
+  },
+
   /**
    * Add point to temp drawing
    */
@@ -323,6 +863,7 @@ const useEditorStore = create((set, get) => ({
     set({
       tempPoints: [],
       isDrawing: false,
+      cursorPoint: null,
     });
   },
 
@@ -333,9 +874,19 @@ const useEditorStore = create((set, get) => ({
     set({
       tempPoints: [],
       isDrawing: false,
+      cursorPoint: null,
     });
   },
 
+  /**
+   * Set the rubber-band end shown while drawing
+   * @param {[number, number] | null} point - World position or null to hide
+   */
+  setCursorPoint: (point) => {
+    if (point === null && get().cursorPoint === null) return;
+    set({ cursorPoint: point });
+  },
+
   // ==================== CRUD OPERATIONS (NEW FORMAT) ====================
   // TODO: Will add vertex/wall/room/opening/label operations here
 
@@ -350,19 +901,31 @@ const useEditorStore = create((set, get) => ({
       rooms: {},
       symbols: {},
       instances: {},
-      selectedIds: [],
-      selectedType: null,
+      selection: [],
       currentTool: TOOLS.SELECT,
       hoveredId: null,
       hoveredType: null,
       placementMode: null,
       placementPreview: null,
+      pasteMode: null,
+      offsetWall: null,
+      wallEditBoundary: null,
+      activeSnap: null,
+      angleGuide: null,
       viewport: { x: 0, y: 0, scale: INITIAL_ZOOM },
       gridVisible: true,
       commandHistory: [],
       historyIndex: -1,
+      transaction: null,
+      transactionDepth: 0,
+      documentId: null,
+      documentName: "Untitled",
+      savedHistoryIndex: -1,
+      idCounters: {},
+      validationIssues: [],
       tempPoints: [],
       isDrawing: false,
+      cursorPoint: null,
     });
   },
 }));
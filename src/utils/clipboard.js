@@ -0,0 +1,283 @@
+/**
+ * Clipboard utilities for MiniCAD
+ * Copy a selection as a self-contained plan fragment (a floor plan document
+ * in the DATA_FORMAT shape) and paste it back with fresh IDs
+ */
+
+import { detachInstance } from "./deleteCascade";
+import { toFloorPlanDocument } from "./export";
+import { getBoundingBox, translatePoint } from "./geometry";
+import { findVertexAt, findWallBetween } from "./wallGraph";
+import { migrateDocument } from "../migrations";
+
+/**
+ * Extract the sub-graph under a selection
+ * - Vertices of selected vertices, walls and rooms
+ * - Selected walls and every wall between two extracted vertices
+ * - Selected rooms (wall references outside the fragment dropped)
+ * - Selected instances and instances on extracted walls/rooms
+ *   (selected instances whose wall stays behind are detached)
+ * - Symbols used by the instances
+ * @param {Object} state - Editor state
+ * @param {Array<{type: string, id: string}>} selection - Selected objects
+ * @returns {Object | null} Fragment document, or null if nothing to copy
+ */
+export const extractFragment = (state, selection) => {
+  const vertexIds = new Set();
+  const wallIds = new Set();
+  const roomIds = new Set();
+  const selectedInstanceIds = new Set();
+
+  for (const { type, id } of selection) {
+    if (type === "vertex" && state.vertices[id]) {
+      vertexIds.add(id);
+    } else if (type === "wall" && state.walls[id]) {
+      wallIds.add(id);
+      vertexIds.add(state.walls[id].vStart);
+      vertexIds.add(state.walls[id].vEnd);
+    } else if (type === "room" && state.rooms[id]) {
+      roomIds.add(id);
+      (state.rooms[id].vertices || []).forEach((vId) => vertexIds.add(vId));
+    } else if (type === "instance" && state.instances[id]) {
+      selectedInstanceIds.add(id);
+    }
+  }
+
+  for (const [id, wall] of Object.entries(state.walls)) {
+    if (vertexIds.has(wall.vStart) && vertexIds.has(wall.vEnd)) {
+      wallIds.add(id);
+    }
+  }
+
+  const fragment = {
+    vertices: {},
+    walls: {},
+    rooms: {},
+    symbols: {},
+    instances: {},
+  };
+
+  for (const id of vertexIds) {
+    if (state.vertices[id]) fragment.vertices[id] = state.vertices[id];
+  }
+  for (const id of wallIds) {
+    fragment.walls[id] = state.walls[id];
+  }
+  for (const id of roomIds) {
+    const room = state.rooms[id];
+    fragment.rooms[id] = room.walls
+      ? { ...room, walls: room.walls.filter((wId) => wallIds.has(wId)) }
+      : room;
+  }
+
+  for (const [id, instance] of Object.entries(state.instances)) {
+    const attachTo = instance.constraint?.attachTo;
+    const isAttached =
+      (attachTo?.kind === "wall" && wallIds.has(attachTo.id)) ||
+      (attachTo?.kind === "room" && roomIds.has(attachTo.id));
+
+    if (isAttached) {
+      fragment.instances[id] = instance;
+    } else if (selectedInstanceIds.has(id)) {
+      fragment.instances[id] = attachTo
+        ? detachInstance(instance, state)
+        : instance;
+    }
+  }
+
+  for (const instance of Object.values(fragment.instances)) {
+    if (state.symbols[instance.symbol]) {
+      fragment.symbols[instance.symbol] = state.symbols[instance.symbol];
+    }
+  }
+
+  const isEmpty =
+    Object.keys(fragment.vertices).length === 0 &&
+    Object.keys(fragment.instances).length === 0;
+  if (isEmpty) {
+    return null;
+  }
+
+  return toFloorPlanDocument({ units: state.units, ...fragment });
+};
+
+/**
+ * Read a fragment from clipboard text
+ * @param {string} text - Clipboard text
+ * @returns {Object | null} Fragment document (current schema), or null if the
+ *   text is not a floor plan document
+ */
+export const parseFragment = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!json || typeof json !== "object") {
+    return null;
+  }
+
+  try {
+    const { document } = migrateDocument(json);
+    if (!document.vertices || typeof document.vertices !== "object") {
+      return null;
+    }
+    return toFloorPlanDocument(document);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get the point of a fragment that follows the cursor while pasting
+ * @param {Object} fragment - Fragment document
+ * @returns {[number, number]} Center of the fragment bounding box
+ */
+export const getFragmentAnchor = (fragment) => {
+  const points = [
+    ...Object.values(fragment.vertices).map((v) => [v.x, v.y]),
+    ...Object.values(fragment.instances)
+      .filter((instance) => instance.transform)
+      .map((instance) => instance.transform.position),
+  ];
+  if (points.length === 0) {
+    return [0, 0];
+  }
+
+  const { minX, minY, maxX, maxY } = getBoundingBox(points);
+  return [(minX + maxX) / 2, (minY + maxY) / 2];
+};
+
+/**
+ * Get the ID prefix of an instance ID ("door4" → "door")
+ * @param {string} id - Instance ID
+ * @returns {string} Prefix
+ */
+const getIdPrefix = (id) => id.replace(/\d+$/, "") || "i";
+
+/**
+ * Give a fragment fresh IDs and place it in the plan
+ * - The anchor lands on `position`
+ * - Vertices on an existing vertex (within tolerance) merge into it
+ * - Walls that would duplicate an existing wall reuse it; collapsed walls are dropped
+ * - Symbols already in the plan are kept as they are
+ * @param {Object} fragment - Fragment document
+ * @param {Object} state - Editor state
+ * @param {[number, number]} position - Where the anchor goes (world coords)
+ * @param {number} tolerance - Merge distance in mm
+ * @param {Function} allocateIds - Store ID allocator (collection, prefix, count)
+ * @returns {{vertices: Object, walls: Object, rooms: Object, symbols: Object, instances: Object}}
+ *   New objects keyed by their new IDs
+ */
+export const remapFragment = (
+  fragment,
+  state,
+  position,
+  tolerance,
+  allocateIds
+) => {
+  const anchor = getFragmentAnchor(fragment);
+  const delta = [position[0] - anchor[0], position[1] - anchor[1]];
+  const result = {
+    vertices: {},
+    walls: {},
+    rooms: {},
+    symbols: {},
+    instances: {},
+  };
+
+  // Vertices: merge or allocate
+  const vertexMap = {};
+  const newVertexIds = [];
+  for (const [id, vertex] of Object.entries(fragment.vertices)) {
+    const point = translatePoint([vertex.x, vertex.y], delta).map(Math.round);
+    const existingId = findVertexAt(point, state.vertices, tolerance);
+    if (existingId) {
+      vertexMap[id] = existingId;
+    } else {
+      newVertexIds.push([id, { ...vertex, x: point[0], y: point[1] }]);
+    }
+  }
+  const vertexIds = allocateIds("vertices", "v", newVertexIds.length);
+  newVertexIds.forEach(([id, vertex], i) => {
+    vertexMap[id] = vertexIds[i];
+    result.vertices[vertexIds[i]] = vertex;
+  });
+
+  // Walls: collapsed ones are dropped, duplicates reuse the existing wall
+  const wallMap = {};
+  const wallEntries = Object.entries(fragment.walls).filter(([id, wall]) => {
+    const vStart = vertexMap[wall.vStart];
+    const vEnd = vertexMap[wall.vEnd];
+    if (!vStart || !vEnd || vStart === vEnd) return false;
+
+    const existingId = findWallBetween(vStart, vEnd, state.walls);
+    if (existingId) {
+      wallMap[id] = existingId;
+      return false;
+    }
+    return true;
+  });
+  const wallIds = allocateIds("walls", "w", wallEntries.length);
+  wallEntries.forEach(([id, wall], i) => {
+    wallMap[id] = wallIds[i];
+    result.walls[wallIds[i]] = {
+      ...wall,
+      vStart: vertexMap[wall.vStart],
+      vEnd: vertexMap[wall.vEnd],
+    };
+  });
+
+  // Rooms
+  const roomMap = {};
+  const roomEntries = Object.entries(fragment.rooms);
+  const roomIds = allocateIds("rooms", "r", roomEntries.length);
+  roomEntries.forEach(([id, room], i) => {
+    roomMap[id] = roomIds[i];
+    result.rooms[roomIds[i]] = {
+      ...room,
+      vertices: (room.vertices || []).map((vId) => vertexMap[vId]),
+      ...(room.walls && {
+        walls: room.walls.map((wId) => wallMap[wId]).filter(Boolean),
+      }),
+    };
+  });
+
+  // Instances: keep their prefix (door, window, ...)
+  for (const [id, instance] of Object.entries(fragment.instances)) {
+    const attachTo = instance.constraint?.attachTo;
+    const targetId =
+      attachTo?.kind === "wall" ? wallMap[attachTo.id] : roomMap[attachTo?.id];
+    if (attachTo && !targetId) continue;
+
+    const [newId] = allocateIds("instances", getIdPrefix(id), 1);
+    result.instances[newId] = {
+      ...instance,
+      ...(attachTo && {
+        constraint: {
+          ...instance.constraint,
+          attachTo: { ...attachTo, id: targetId },
+        },
+      }),
+      ...(instance.transform && {
+        transform: {
+          ...instance.transform,
+          position: translatePoint(instance.transform.position, delta),
+        },
+      }),
+      // Default labels are the ID in capitals: follow the new ID
+      ...(instance.props?.label === id.toUpperCase() && {
+        props: { ...instance.props, label: newId.toUpperCase() },
+      }),
+    };
+  }
+
+  for (const [id, symbol] of Object.entries(fragment.symbols)) {
+    if (!state.symbols[id]) {
+      result.symbols[id] = symbol;
+    }
+  }
+
+  return result;
+};
@@ -7,6 +7,46 @@ export const SNAP_TYPES = {
   MIDPOINT: "midpoint",
   INTERSECTION: "intersection",
   PERPENDICULAR: "perpendicular",
+  GRID: "grid",
+};
+// Highest priority first: when several snaps are in range, the first type wins
+export const SNAP_PRIORITY = [
+  SNAP_TYPES.ENDPOINT,
+  SNAP_TYPES.INTERSECTION,
+  SNAP_TYPES.MIDPOINT,
+  SNAP_TYPES.PERPENDICULAR,
+  SNAP_TYPES.GRID,
+];
+
+// Angle lock (Ortho toggle / hold Shift)
+export const ANGLE_STEPS = [15, 30, 45, 90]; // degrees
+export const DEFAULT_ANGLE_STEP = 90;
+export const ANGLE_REFERENCES = {
+  WORLD: "world", // steps counted from the world X axis
+  SEGMENT: "segment", // steps counted from the previous segment
+};
+export const ANGLE_GUIDE_COLOR = "#fa5252";
+
+// Object type → data collection in the store / document
+export const OBJECT_COLLECTIONS = {
+  vertex: "vertices",
+  wall: "walls",
+  room: "rooms",
+  instance: "instances",
+};
+
+// Delete cascade policy (what happens to objects depending on deleted ones)
+export const ORPHAN_INSTANCE_POLICIES = {
+  REMOVE: "remove", // delete doors/windows whose wall or room is deleted
+  DETACH: "detach", // keep them as free instances at their current position
+};
+export const AFFECTED_ROOM_POLICIES = {
+  REPAIR: "repair", // drop deleted vertices/walls from the room (deleted below 3 vertices)
+  DELETE: "delete", // delete rooms that lose a vertex or wall
+};
+export const DEFAULT_DELETE_POLICY = {
+  orphanInstances: ORPHAN_INSTANCE_POLICIES.REMOVE,
+  affectedRooms: AFFECTED_ROOM_POLICIES.REPAIR,
 };
 
 // Grid settings
@@ -22,6 +62,18 @@ export const INITIAL_ZOOM = 1;
 
 // Default dimensions (mm)
 export const WALL_DEFAULT_THICKNESS = 200; // 200mm = 20cm
+export const WALL_MIN_THICKNESS = 50; // thinner/thicker walls are flagged by validation
+export const WALL_MAX_THICKNESS = 600;
+export const WALL_MIN_LENGTH = 1; // mm: edits that would leave a wall shorter are refused
+export const WALL_EDGE_TOLERANCE = 1; // mm: room edges this close to a wall's centerline run along it
+export const WALL_MITER_LIMIT = 4; // corner spikes longer than 4x half thickness are beveled
+
+// Which face of a wall lies on its drawn line (vStart → vEnd, as seen on screen)
+export const WALL_JUSTIFICATIONS = {
+  CENTER: "center", // line on the centerline
+  LEFT: "left", // line on the left face, wall body to the right
+  RIGHT: "right", // line on the right face, wall body to the left
+};
 export const DOOR_DEFAULT_WIDTH = 900; // 900mm = 90cm
 export const WINDOW_DEFAULT_WIDTH = 1200; // 1200mm = 120cm
 
@@ -31,12 +83,35 @@ export const SELECTION_STROKE_WIDTH = 2;
 export const VERTEX_HANDLE_RADIUS = 6;
 export const VERTEX_HANDLE_COLOR = "#228be6";
 export const VERTEX_COLOR = "#228be6"; // Color for vertices/points
+export const SELECTION_MODES = {
+  REPLACE: "replace", // plain click / drag
+  ADD: "add", // Shift
+  TOGGLE: "toggle", // Ctrl
+};
+export const REGION_SELECT_MODES = {
+  BOX: "box",
+  LASSO: "lasso",
+};
+export const REGION_SELECT_MIN_DRAG = 4; // px before a press becomes a drag
+export const REGION_WINDOW_COLOR = "#228be6"; // enclosed objects only
+export const REGION_CROSSING_COLOR = "#40c057"; // objects touching the region
 
 // Snap indicator
 export const SNAP_INDICATOR_RADIUS = 8;
 export const SNAP_INDICATOR_COLOR = "#51cf66";
 export const SNAP_INDICATOR_STROKE_WIDTH = 2;
 
+// Room types allowed by DATA_FORMAT.md (ROOM_TYPES below also styles extra ones)
+export const ROOM_TYPE_VALUES = [
+  "living",
+  "bedroom",
+  "kitchen",
+  "bathroom",
+  "dining",
+  "office",
+  "other",
+];
+
 // Room type definitions with colors (pastel palette)
 export const ROOM_TYPES = {
   living: {
@@ -128,9 +203,64 @@ export const TOOLS = {
   DRAW_WALL: "draw-wall",
   EDIT_VERTEX: "edit-vertex",
   OFFSET_WALL: "offset-wall",
+  TRIM_WALL: "trim-wall", // cut walls back to a cutting wall
+  EXTEND_WALL: "extend-wall", // lengthen walls to a boundary wall
+  SPLIT_WALL: "split-wall",
+  SPLIT_ROOM: "split-room", // cut a room in two along a drawn line
+  DRAW_RECTANGLE: "draw-rectangle", // two corners (drag or click)
+  DRAW_ROTATED_RECTANGLE: "draw-rotated-rectangle", // base edge, then depth
+  DRAW_POLYGON: "draw-polygon", // regular polygon: center, then a corner
+  DRAW_CIRCLE: "draw-circle", // center, then radius (as a polygon)
+  TRANSFORM: "transform",
   PAN: "pan",
 };
 
+// Transform tool (move, rotate, scale, mirror the selection)
+export const TRANSFORM_TYPES = {
+  MOVE: "move", // { delta: [dx, dy] }
+  ROTATE: "rotate", // { pivot, angle } angle in degrees, clockwise on screen
+  SCALE: "scale", // { pivot, factor } uniform
+  MIRROR: "mirror", // { pivot, angle } axis angle in degrees (0 = horizontal)
+};
+export const TRANSFORM_GIZMO_COLOR = "#f08c00";
+export const TRANSFORM_MIN_SCALE = 0.01;
+
+// Room detection (rooms from the enclosed areas of the wall graph)
+export const ROOM_DETECT_TOLERANCE = 5; // mm: wall ends this close to a wall join it
+export const ROOM_GAP_TOLERANCE = 300; // mm: open wall ends this close are reported
+export const ROOM_MIN_AREA = 100000; // mm² (0.1 m²): smaller faces are ignored
+export const ROOM_MATCH_RATIO = 0.05; // existing rooms within 5% keep name/type
+export const ROOM_DETECT_MAX_SPLITS = 1000; // guard against degenerate graphs
+
+// Room boolean operations (Rooms section of the toolbar)
+export const ROOM_OPERATIONS = {
+  MERGE: "merge", // union of the selected rooms, kept as the first one
+  SPLIT: "split", // { line: [start, end] } cut across the room
+  SUBTRACT: "subtract", // second selected room carved out of the first
+};
+export const ROOM_OPERATION_TOLERANCE = 1; // mm: result corners this close to a vertex reuse it
+
+// Shape tools (rectangle, polygon, circle)
+export const SHAPE_OUTPUTS = {
+  ROOM: "room", // a room on the outline
+  WALLS: "walls", // a closed loop of walls along the outline
+  ROOM_AND_WALLS: "room-and-walls", // both, the room bounded by the walls
+};
+export const SHAPE_MIN_DRAG = 4; // px before a press becomes a drag (release places the next point)
+export const SHAPE_MIN_SIDES = 3; // regular polygon
+export const SHAPE_MAX_SIDES = 64;
+export const SHAPE_MIN_SEGMENTS = 8; // circle
+export const SHAPE_MAX_SEGMENTS = 256;
+export const DEFAULT_SHAPE_SETTINGS = {
+  output: SHAPE_OUTPUTS.ROOM,
+  sides: 6,
+  segments: 32,
+  thickness: WALL_DEFAULT_THICKNESS, // walls of the WALLS / ROOM_AND_WALLS outputs
+};
+
+// Geometry cleanup (weld vertices, merge collinear walls)
+export const CLEANUP_TOLERANCE = 5; // mm: vertices this close weld, walls this far off a line are collinear
+
 // Layer names
 export const LAYERS = {
   GRID: "grid",
@@ -154,6 +284,12 @@ export const SHORTCUTS = {
   PAN_TOOL: "h",
 };
 
+// History settings
+export const HISTORY_MAX_DEPTH = 100; // Undo steps kept (oldest dropped first)
+
+// Autosave settings
+export const AUTOSAVE_DELAY = 1000; // ms after the last edit
+
 // Canvas settings
 export const CANVAS_BACKGROUND = "#ffffff";
 export const CANVAS_PADDING = 100; // padding around content when fit-to-screen
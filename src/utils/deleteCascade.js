@@ -0,0 +1,180 @@
+/**
+ * Delete cascade utilities for MiniCAD
+ * Compute everything a deletion removes or changes so no reference dangles
+ */
+
+import {
+  AFFECTED_ROOM_POLICIES,
+  DEFAULT_DELETE_POLICY,
+  OBJECT_COLLECTIONS,
+  ORPHAN_INSTANCE_POLICIES,
+} from "./constants";
+import { calculateArea, getPolygonCenter } from "./geometry";
+import { calculateInstancePosition } from "./instanceUtils";
+
+/**
+ * Turn an anchored instance into a free one at its current position
+ * @param {Object} instance - Anchored instance
+ * @param {Object} state - Editor state (vertices, walls, rooms)
+ * @returns {Object} Free instance (constraint cleared, transform set)
+ */
+export const detachInstance = (instance, state) => {
+  const { attachTo } = instance.constraint;
+  let position;
+  let rotation = 0;
+
+  if (attachTo.kind === "room") {
+    const room = state.rooms[attachTo.id];
+    const polygon = (room?.vertices || [])
+      .map((id) => state.vertices[id])
+      .filter(Boolean)
+      .map((v) => [v.x, v.y]);
+    position = getPolygonCenter(polygon);
+  } else {
+    const placement = calculateInstancePosition(instance, state);
+    position = placement.position;
+    rotation = ((((placement.rotation * 180) / Math.PI) % 360) + 360) % 360;
+  }
+
+  return {
+    ...instance,
+    constraint: null,
+    transform: { position, rotation },
+  };
+};
+
+/**
+ * Compute the dependency closure of a deletion
+ * - Walls using a deleted vertex are deleted
+ * - Rooms using a deleted vertex or wall are repaired or deleted (policy)
+ * - Instances attached to a deleted wall or room are removed or detached (policy)
+ * - Vertices left unused by the deleted walls and rooms are deleted
+ * @param {Object} state - Editor state (vertices, walls, rooms, instances)
+ * @param {Array<{type: string, id: string}>} targets - Objects to delete
+ * @param {Object} policy - { orphanInstances, affectedRooms } (see DEFAULT_DELETE_POLICY)
+ * @returns {{
+ *   deleted: {vertices: string[], walls: string[], rooms: string[], instances: string[]},
+ *   updated: {rooms: Object, instances: Object}
+ * }} IDs to delete per collection and replacement data for changed objects
+ */
+export const computeDeletion = (
+  state,
+  targets,
+  policy = DEFAULT_DELETE_POLICY
+) => {
+  const { vertices, walls, rooms, instances } = state;
+  const deleted = {
+    vertices: new Set(),
+    walls: new Set(),
+    rooms: new Set(),
+    instances: new Set(),
+  };
+  const updatedRooms = {};
+  const updatedInstances = {};
+
+  for (const { type, id } of targets) {
+    const collection = OBJECT_COLLECTIONS[type];
+    if (collection && state[collection][id]) {
+      deleted[collection].add(id);
+    }
+  }
+
+  // Walls lose their ends with a deleted vertex
+  for (const [wallId, wall] of Object.entries(walls)) {
+    if (deleted.vertices.has(wall.vStart) || deleted.vertices.has(wall.vEnd)) {
+      deleted.walls.add(wallId);
+    }
+  }
+
+  // Rooms built on deleted vertices or walls
+  for (const [roomId, room] of Object.entries(rooms)) {
+    if (deleted.rooms.has(roomId)) continue;
+
+    const roomVertices = room.vertices || [];
+    const keptVertices = roomVertices.filter((id) => !deleted.vertices.has(id));
+    const keptWalls = room.walls?.filter((id) => !deleted.walls.has(id));
+
+    const isAffected =
+      keptVertices.length !== roomVertices.length ||
+      (room.walls && keptWalls.length !== room.walls.length);
+    if (!isAffected) continue;
+
+    const polygon = keptVertices
+      .map((id) => vertices[id])
+      .filter(Boolean)
+      .map((v) => [v.x, v.y]);
+    const area = calculateArea(polygon);
+
+    if (policy.affectedRooms === AFFECTED_ROOM_POLICIES.DELETE || area === 0) {
+      deleted.rooms.add(roomId);
+      continue;
+    }
+
+    updatedRooms[roomId] = {
+      ...room,
+      vertices: keptVertices,
+      area,
+      ...(room.walls && { walls: keptWalls }),
+    };
+  }
+
+  // Instances attached to deleted walls or rooms
+  for (const [instanceId, instance] of Object.entries(instances)) {
+    if (deleted.instances.has(instanceId)) continue;
+
+    const attachTo = instance.constraint?.attachTo;
+    if (!attachTo) continue;
+
+    const isOrphaned =
+      (attachTo.kind === "wall" && deleted.walls.has(attachTo.id)) ||
+      (attachTo.kind === "room" && deleted.rooms.has(attachTo.id));
+    if (!isOrphaned) continue;
+
+    if (policy.orphanInstances === ORPHAN_INSTANCE_POLICIES.DETACH) {
+      updatedInstances[instanceId] = detachInstance(instance, state);
+    } else {
+      deleted.instances.add(instanceId);
+    }
+  }
+
+  // Vertices of deleted walls/rooms that nothing else uses any more
+  const candidates = new Set();
+  for (const wallId of deleted.walls) {
+    candidates.add(walls[wallId].vStart);
+    candidates.add(walls[wallId].vEnd);
+  }
+  for (const roomId of deleted.rooms) {
+    (rooms[roomId].vertices || []).forEach((id) => candidates.add(id));
+  }
+
+  const used = new Set();
+  for (const [wallId, wall] of Object.entries(walls)) {
+    if (deleted.walls.has(wallId)) continue;
+    used.add(wall.vStart);
+    used.add(wall.vEnd);
+  }
+  for (const [roomId, room] of Object.entries(rooms)) {
+    if (deleted.rooms.has(roomId)) continue;
+    const roomVertices = updatedRooms[roomId]?.vertices || room.vertices || [];
+    roomVertices.forEach((id) => used.add(id));
+  }
+
+  for (const id of candidates) {
+    if (!used.has(id) && vertices[id]) {
+      deleted.vertices.add(id);
+    }
+  }
+
+  return {
+    deleted: {
+      vertices: Array.from(deleted.vertices),
+      walls: Array.from(deleted.walls),
+      rooms: Array.from(deleted.rooms),
+      instances: Array.from(deleted.instances),
+    },
+    updated: {
+      rooms: updatedRooms,
+      instances: updatedInstances,
+    },
+  };
+};
@@ -0,0 +1,161 @@
+/**
+ * Dimensional input utilities for MiniCAD
+ * Parses typed coordinates while drawing walls and rooms
+ *
+ * Accepted formats (mm):
+ * - "4200"        length along the current rubber-band direction
+ * - "4200<90"     length at an angle
+ * - "@1200,-300"  offset from the previous point
+ * - "1200,3000"   absolute position
+ *
+ * Angles are in degrees, counterclockwise from the +X axis as seen on
+ * screen (world Y points down, so 90° is up on the canvas)
+ */
+
+import { distance } from "./geometry";
+
+/**
+ * Parse a number typed by the user (empty text is not a number)
+ * @param {string} text - Raw text
+ * @returns {number} Parsed number or NaN
+ */
+const parseNumber = (text) => {
+  const trimmed = text.trim();
+  return trimmed === "" ? NaN : Number(trimmed);
+};
+
+/**
+ * Parse an "a,b" pair of numbers
+ * @param {string} text - Raw text
+ * @returns {[number, number] | null} Pair or null if malformed
+ */
+const parsePair = (text) => {
+  const parts = text.split(",");
+  if (parts.length !== 2) return null;
+
+  const pair = parts.map(parseNumber);
+  return pair.every(Number.isFinite) ? pair : null;
+};
+
+/**
+ * Point at a length and screen angle from an origin
+ * @param {[number, number]} origin - Start point
+ * @param {number} length - Length in mm
+ * @param {number} angleDeg - Angle in degrees (counterclockwise on screen)
+ * @returns {[number, number]} End point
+ */
+const polarPoint = (origin, length, angleDeg) => {
+  const angle = (angleDeg * Math.PI) / 180;
+  return [
+    origin[0] + length * Math.cos(angle),
+    origin[1] - length * Math.sin(angle),
+  ];
+};
+
+/**
+ * Measure a segment for display
+ * @param {[number, number]} from - Start point
+ * @param {[number, number]} to - End point
+ * @returns {{length: number, angle: number}} Length in mm and angle in degrees [0, 360)
+ */
+export const measureSegment = (from, to) => {
+  const angle =
+    (Math.atan2(-(to[1] - from[1]), to[0] - from[0]) * 180) / Math.PI;
+
+  return {
+    length: distance(from, to),
+    angle: (angle + 360) % 360,
+  };
+};
+
+/**
+ * Format a segment as a "length ∠ angle" label
+ * @param {[number, number]} from - Start point
+ * @param {[number, number]} to - End point
+ * @returns {string} Label, e.g. "4200 mm ∠ 90°"
+ */
+export const formatSegmentLabel = (from, to) => {
+  const { length, angle } = measureSegment(from, to);
+  return `${Math.round(length)} mm ∠ ${Math.round(angle) % 360}°`;
+};
+
+/**
+ * Check whether a key starts dimensional input
+ * @param {string} key - KeyboardEvent.key
+ * @returns {boolean} True for digits and the format characters
+ */
+export const isDimensionInputKey = (key) => /^[0-9.@<,-]$/.test(key);
+
+/**
+ * Resolve typed dimensional input to a point
+ * @param {string} text - Typed text
+ * @param {[number, number] | null} fromPoint - Previous point (null for the first point)
+ * @param {[number, number] | null} cursorPoint - Rubber-band end (direction for a bare length)
+ * @returns {{point: [number, number] | null, error: string | null}} Point or error message
+ */
+export const parseDimensionInput = (text, fromPoint, cursorPoint = null) => {
+  const input = text.trim();
+  if (input === "") {
+    return { point: null, error: "Type a length, length<angle, @dx,dy or x,y" };
+  }
+
+  // Absolute position: x,y
+  if (!input.startsWith("@") && input.includes(",")) {
+    const pair = parsePair(input);
+    if (!pair) {
+      return { point: null, error: `Invalid position "${input}"` };
+    }
+    return { point: pair, error: null };
+  }
+
+  if (!fromPoint) {
+    return { point: null, error: "First point needs absolute x,y" };
+  }
+
+  // Relative offset: @dx,dy
+  if (input.startsWith("@")) {
+    const pair = parsePair(input.slice(1));
+    if (!pair) {
+      return { point: null, error: `Invalid offset "${input}"` };
+    }
+    return {
+      point: [fromPoint[0] + pair[0], fromPoint[1] + pair[1]],
+      error: null,
+    };
+  }
+
+  // Polar: length<angle
+  if (input.includes("<")) {
+    const parts = input.split("<");
+    const length = parseNumber(parts[0]);
+    const angle = parseNumber(parts[1] ?? "");
+
+    if (
+      parts.length !== 2 ||
+      !Number.isFinite(length) ||
+      !Number.isFinite(angle)
+    ) {
+      return { point: null, error: `Invalid length<angle "${input}"` };
+    }
+    if (length === 0) {
+      return { point: null, error: "Length must not be zero" };
+    }
+    return { point: polarPoint(fromPoint, length, angle), error: null };
+  }
+
+  // Length along the rubber band (+X when the cursor is on the previous point)
+  const length = parseNumber(input);
+  if (!Number.isFinite(length)) {
+    return { point: null, error: `Invalid length "${input}"` };
+  }
+  if (length === 0) {
+    return { point: null, error: "Length must not be zero" };
+  }
+
+  const angle =
+    cursorPoint && distance(fromPoint, cursorPoint) > 0
+      ? measureSegment(fromPoint, cursorPoint).angle
+      : 0;
+
+  return { point: polarPoint(fromPoint, length, angle), error: null };
+};
@@ -3,29 +3,50 @@
  * Export to JSON and SVG formats
  */
 
-import { flattenPoints } from "./geometry";
-import { getRoomColor, getRoomStroke, formatArea } from "./constants";
+import {
+  getRoomColor,
+  getRoomStroke,
+  formatArea,
+  formatDimension,
+} from "./constants";
+import {
+  getRoomPolygon,
+  getRoomCenter,
+  getRoomMeasurements,
+} from "./roomUtils";
+import { calculateInstancePosition } from "./instanceUtils";
+import { getWallPolygons } from "./wallGeometry";
+import { CURRENT_SCHEMA_VERSION } from "../migrations";
+
+/**
+ * Build the floor plan document (same shape as editorStore.exportJSON())
+ * @param {Object} state - Editor state or floor plan document (current schema version)
+ * @returns {Object} Floor plan document
+ */
+export const toFloorPlanDocument = (state) => {
+  return {
+    version: CURRENT_SCHEMA_VERSION,
+    units: state.units || "mm",
+    vertices: state.vertices || {},
+    walls: state.walls || {},
+    rooms: state.rooms || {},
+    symbols: state.symbols || {},
+    instances: state.instances || {},
+  };
+};
 
 /**
  * Export floor plan data to JSON string
- * @param {Object} state - Editor state (from store)
+ * @param {Object} state - Editor state (from store) or floor plan document
  * @returns {string} JSON string
  */
 export const exportToJSON = (state) => {
-  const data = {
-    units: state.units,
-    rooms: state.rooms,
-    walls: state.walls,
-    openings: state.openings,
-    labels: state.labels,
-  };
-
-  return JSON.stringify(data, null, 2);
+  return JSON.stringify(toFloorPlanDocument(state), null, 2);
 };
 
 /**
  * Export floor plan to SVG string
- * @param {Object} state - Editor state
+ * @param {Object} state - Editor state or floor plan document
  * @param {Object} options - Export options
  * @returns {string} SVG string
  */
@@ -38,16 +59,18 @@ export const exportToSVG = (state, options = {}) => {
     showGrid = false,
   } = options;
 
+  const doc = toFloorPlanDocument(state);
+
   // Calculate bounding box of all elements
-  const bbox = calculateBoundingBox(state);
+  const bbox = calculateBoundingBox(doc);
 
   if (!bbox) {
-    return '<svg xmlns="http://www.w3.org/2000/svg" width="800" height="600"></svg>';
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"></svg>`;
   }
 
   // Calculate scale to fit content
-  const contentWidth = bbox.maxX - bbox.minX;
-  const contentHeight = bbox.maxY - bbox.minY;
+  const contentWidth = Math.max(bbox.maxX - bbox.minX, 1);
+  const contentHeight = Math.max(bbox.maxY - bbox.minY, 1);
 
   const scaleX = (width - 2 * padding) / contentWidth;
   const scaleY = (height - 2 * padding) / contentHeight;
@@ -68,75 +91,88 @@ export const exportToSVG = (state, options = {}) => {
   }
 
   // Rooms
-  if (state.rooms && state.rooms.length > 0) {
-    state.rooms.forEach((room) => {
-      if (!room.polygon || room.polygon.length < 3) return;
+  svg += '<g id="rooms">';
+  for (const room of Object.values(doc.rooms)) {
+    const polygon = getRoomPolygon(room, doc.vertices);
+    if (polygon.length < 3) continue;
 
-      const points = room.polygon
-        .map(([x, y]) => `${transformX(x)},${transformY(y)}`)
-        .join(" ");
+    const points = polygon
+      .map(([x, y]) => `${transformX(x)},${transformY(y)}`)
+      .join(" ");
 
-      const fillColor = getRoomColor(room.type);
-      const strokeColor = getRoomStroke(room.type);
+    const fillColor = getRoomColor(room.type);
+    const strokeColor = getRoomStroke(room.type);
 
-      svg += `<polygon points="${points}" fill="${fillColor}" stroke="${strokeColor}" stroke-width="2" opacity="0.7"/>`;
-    });
+    svg += `<polygon points="${points}" fill="${fillColor}" stroke="${strokeColor}" stroke-width="1" opacity="0.7"/>`;
   }
+  svg += "</g>";
 
-  // Walls
-  if (state.walls && state.walls.length > 0) {
-    state.walls.forEach((wall) => {
-      if (!wall.polyline || wall.polyline.length < 2) return;
-
-      const points = wall.polyline
+  // Walls (joined outlines with openings, same shapes as the canvas)
+  svg += '<g id="walls">';
+  for (const polygons of Object.values(getWallPolygons(doc))) {
+    for (const polygon of polygons) {
+      const points = polygon
         .map(([x, y]) => `${transformX(x)},${transformY(y)}`)
         .join(" ");
 
-      const strokeWidth = (wall.thickness || 200) * scale * 0.01;
-
-      svg += `<polyline points="${points}" fill="none" stroke="black" stroke-width="${strokeWidth}"/>`;
-    });
+      svg += `<polygon points="${points}" fill="black" stroke="black" stroke-width="0.5"/>`;
+    }
   }
+  svg += "</g>";
 
-  // Openings
-  if (state.openings && state.openings.length > 0) {
-    state.openings.forEach((opening) => {
-      if (!opening.at) return;
-
-      const [x, y] = opening.at;
-      const tx = transformX(x);
-      const ty = transformY(y);
-      const width = (opening.width || 900) * scale;
+  // Instances (doors, windows, stairs)
+  svg += '<g id="instances">';
+  for (const instance of Object.values(doc.instances)) {
+    const symbol = doc.symbols[instance.symbol];
+    if (!symbol) continue;
 
-      const color = opening.kind === "door" ? "#8b4513" : "#4169e1";
+    const { position, rotation } = calculateInstancePosition(instance, doc);
+    const tx = transformX(position[0]);
+    const ty = transformY(position[1]);
+    const deg = (rotation * 180) / Math.PI;
 
-      // Simple rectangle for openings
-      svg += `<rect x="${tx - width / 2}" y="${
-        ty - 5
-      }" width="${width}" height="10" fill="${color}"/>`;
-    });
+    svg += `<g transform="translate(${tx} ${ty}) rotate(${deg})">`;
+    svg += renderInstance(instance, symbol, scale);
+    svg += "</g>";
   }
+  svg += "</g>";
 
   // Labels
-  if (showLabels && state.labels && state.labels.length > 0) {
-    state.labels.forEach((label) => {
-      if (!label.at || !label.text) return;
-
-      const [x, y] = label.at;
-      const tx = transformX(x);
-      const ty = transformY(y);
-
-      // Split text by newlines
-      const lines = label.text.split("\n");
-
-      svg += `<text x="${tx}" y="${ty}" text-anchor="middle" font-family="Arial" font-size="12" fill="#212529">`;
-      lines.forEach((line, index) => {
-        svg += `<tspan x="${tx}" dy="${index === 0 ? 0 : 14}">${escapeXml(
-          line
-        )}</tspan>`;
-      });
-      svg += `</text>`;
-    });
+  if (showLabels) {
+    svg += '<g id="labels">';
+
+    for (const room of Object.values(doc.rooms)) {
+      if (getRoomPolygon(room, doc.vertices).length < 3) continue;
+
+      const [cx, cy] = getRoomCenter(room, doc.vertices);
+      const { grossArea, netArea, perimeter } = getRoomMeasurements(
+        room,
+        doc.vertices,
+        doc.walls
+      );
+      const lines = [
+        room.name || "Room",
+        `${formatArea(netArea)} m² net`,
+        `${formatArea(grossArea)} m² gross`,
+        `P ${formatDimension(perimeter)} m`,
+      ];
+
+      svg += renderTextBlock(lines, transformX(cx), transformY(cy));
+    }
+
+    for (const instance of Object.values(doc.instances)) {
+      if (!instance.props?.label || !doc.symbols[instance.symbol]) continue;
+
+      const { position } = calculateInstancePosition(instance, doc);
+      svg += renderTextBlock(
+        [instance.props.label],
+        transformX(position[0]),
+        transformY(position[1]) - 8,
+        10
+      );
+    }
+
+    svg += "</g>";
   }
 
   svg += "</svg>";
@@ -144,12 +180,103 @@ export const exportToSVG = (state, options = {}) => {
   return svg;
 };
 
+/**
+ * Render a single instance in local coordinates (origin at anchor point,
+ * x-axis along the wall / instance rotation)
+ * @param {Object} instance - Instance object
+ * @param {Object} symbol - Symbol definition
+ * @param {number} scale - World to SVG scale
+ * @returns {string} SVG fragment
+ */
+const renderInstance = (instance, symbol, scale) => {
+  const stroke = symbol.render?.stroke || "#000000";
+  const strokeWidth = symbol.render?.strokeWidth || 2;
+
+  if (instance.symbol.startsWith("door.")) {
+    const width =
+      (instance.props?.width || symbol.geometry?.width || 900) * scale;
+    const radius = (symbol.geometry?.swing?.radius || 800) * scale * 0.9;
+    const angle = ((symbol.geometry?.swing?.angle || 90) * Math.PI) / 180;
+    const largeArc = angle > Math.PI ? 1 : 0;
+
+    return (
+      `<line x1="0" y1="0" x2="${width}" y2="0" stroke="${stroke}" stroke-width="${
+        strokeWidth * 3
+      }" stroke-linecap="square"/>` +
+      `<path d="M 0 0 L ${radius} 0 A ${radius} ${radius} 0 ${largeArc} 1 ${
+        radius * Math.cos(angle)
+      } ${radius * Math.sin(angle)} Z" fill="none" stroke="${stroke}" stroke-width="${
+        strokeWidth * 0.5
+      }" stroke-dasharray="4 4"/>`
+    );
+  }
+
+  if (instance.symbol.startsWith("window.")) {
+    const width =
+      (instance.props?.width || symbol.geometry?.width || 1200) * scale;
+    const height = (symbol.geometry?.height || 1200) * scale * 0.15;
+    const fill = symbol.render?.fill || "rgba(65, 105, 225, 0.1)";
+
+    return (
+      `<rect x="${-width / 2}" y="${
+        -height / 2
+      }" width="${width}" height="${height}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}"/>` +
+      `<line x1="0" y1="${-height / 2}" x2="0" y2="${
+        height / 2
+      }" stroke="${stroke}" stroke-width="${strokeWidth}"/>`
+    );
+  }
+
+  if (instance.symbol.startsWith("stair.")) {
+    const run = (symbol.geometry?.run || 3000) * scale;
+    const width = (symbol.geometry?.width || 1000) * scale;
+    const steps = symbol.geometry?.steps || 10;
+
+    let fragment = `<rect x="${
+      -width / 2
+    }" y="0" width="${width}" height="${run}" fill="rgba(128, 128, 128, 0.1)" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+
+    for (let i = 1; i < steps; i++) {
+      const stepY = (i * run) / steps;
+      fragment += `<line x1="${-width / 2}" y1="${stepY}" x2="${
+        width / 2
+      }" y2="${stepY}" stroke="${stroke}" stroke-width="1"/>`;
+    }
+
+    fragment += `<polyline points="${-width * 0.15},${run * 0.7} 0,${
+      run * 0.8
+    } ${width * 0.15},${run * 0.7}" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+    fragment += `<line x1="0" y1="${run * 0.2}" x2="0" y2="${
+      run * 0.8
+    }" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+
+    return fragment;
+  }
+
+  // Unknown symbol type: small marker
+  return `<rect x="-4" y="-4" width="8" height="8" fill="#cccccc" stroke="#666666" stroke-width="1"/>`;
+};
+
+/**
+ * Render a multi-line text block centered at (x, y)
+ */
+const renderTextBlock = (lines, x, y, fontSize = 12) => {
+  let svg = `<text x="${x}" y="${y}" text-anchor="middle" font-family="Arial" font-size="${fontSize}" fill="#212529">`;
+  lines.forEach((line, index) => {
+    svg += `<tspan x="${x}" dy="${index === 0 ? 0 : fontSize + 2}">${escapeXml(
+      line
+    )}</tspan>`;
+  });
+  svg += `</text>`;
+  return svg;
+};
+
 /**
  * Calculate bounding box of all elements
- * @param {Object} state - Editor state
+ * @param {Object} doc - Floor plan document
  * @returns {Object | null} Bounding box {minX, minY, maxX, maxY}
  */
-const calculateBoundingBox = (state) => {
+const calculateBoundingBox = (doc) => {
   let minX = Infinity;
   let minY = Infinity;
   let maxX = -Infinity;
@@ -162,31 +289,21 @@ const calculateBoundingBox = (state) => {
     maxY = Math.max(maxY, y);
   };
 
-  // Check rooms
-  if (state.rooms) {
-    state.rooms.forEach((room) => {
-      if (room.polygon) {
-        room.polygon.forEach(([x, y]) => updateBounds(x, y));
-      }
-    });
-  }
-
-  // Check walls
-  if (state.walls) {
-    state.walls.forEach((wall) => {
-      if (wall.polyline) {
-        wall.polyline.forEach(([x, y]) => updateBounds(x, y));
-      }
-    });
+  // Vertices cover walls and rooms
+  for (const vertex of Object.values(doc.vertices)) {
+    if (typeof vertex?.x === "number" && typeof vertex?.y === "number") {
+      updateBounds(vertex.x, vertex.y);
+    }
   }
 
-  // Check openings
-  if (state.openings) {
-    state.openings.forEach((opening) => {
-      if (opening.at) {
-        updateBounds(opening.at[0], opening.at[1]);
-      }
-    });
+  // Free instances are not tied to any vertex
+  for (const instance of Object.values(doc.instances)) {
+    if (!instance.constraint && instance.transform?.position) {
+      updateBounds(
+        instance.transform.position[0],
+        instance.transform.position[1]
+      );
+    }
   }
 
   if (minX === Infinity) {
@@ -226,7 +343,7 @@ const renderGrid = (bbox, scale, padding, width, height) => {
  * Escape XML special characters
  */
 const escapeXml = (text) => {
-  return text
+  return String(text)
     .replace(/&/g, "&amp;")
     .replace(/</g, "&lt;")
     .replace(/>/g, "&gt;")
@@ -3,6 +3,8 @@
  * Calculate bounding boxes, validate data, etc.
  */
 
+import { validateDocument, formatIssue } from "./schemaValidator";
+
 /**
  * Calculate bounding box of entire floor plan
  * @param {Object} state - Editor state
@@ -76,60 +78,25 @@ export const hasFloorPlanData = (state) => {
 
 /**
  * Validate floor plan data integrity
- * @param {Object} state - Editor state
- * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>}}
+ * Runs the full schema validator and splits its issues by severity
+ * @param {Object} state - Editor state or floor plan document
+ * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>, issues: Array<Object>}}
  */
 export const validateFloorPlan = (state) => {
-  const errors = [];
-  const warnings = [];
+  const issues = validateDocument(state);
 
-  // Check walls reference valid vertices
-  for (const [wallId, wall] of Object.entries(state.walls)) {
-    if (!state.vertices[wall.vStart]) {
-      errors.push(
-        `Wall ${wallId} references non-existent vertex ${wall.vStart}`
-      );
-    }
-    if (!state.vertices[wall.vEnd]) {
-      errors.push(`Wall ${wallId} references non-existent vertex ${wall.vEnd}`);
-    }
-  }
-
-  // Check rooms reference valid vertices
-  for (const [roomId, room] of Object.entries(state.rooms)) {
-    if (!room.vertices || room.vertices.length < 3) {
-      errors.push(`Room ${roomId} has less than 3 vertices`);
-    } else {
-      for (const vId of room.vertices) {
-        if (!state.vertices[vId]) {
-          errors.push(`Room ${roomId} references non-existent vertex ${vId}`);
-        }
-      }
-    }
-  }
-
-  // Check instances reference valid symbols and walls
-  for (const [instId, instance] of Object.entries(state.instances)) {
-    if (!state.symbols[instance.symbol]) {
-      warnings.push(
-        `Instance ${instId} references non-existent symbol ${instance.symbol}`
-      );
-    }
-
-    if (instance.constraint?.attachTo?.kind === "wall") {
-      const wallId = instance.constraint.attachTo.id;
-      if (!state.walls[wallId]) {
-        errors.push(
-          `Instance ${instId} references non-existent wall ${wallId}`
-        );
-      }
-    }
-  }
+  const errors = issues
+    .filter((issue) => issue.severity === "error")
+    .map(formatIssue);
+  const warnings = issues
+    .filter((issue) => issue.severity === "warning")
+    .map(formatIssue);
 
   return {
     valid: errors.length === 0,
     errors,
     warnings,
+    issues,
   };
 };
 
@@ -23,6 +23,26 @@ export const calculateArea = (polygon) => {
   return Math.abs(area / 2);
 };
 
+/**
+ * Calculate signed polygon area using Shoelace formula
+ * @param {Array<[number, number]>} polygon - Array of [x, y] points
+ * @returns {number} Area, positive when the points run clockwise on screen (world Y points down)
+ */
+export const calculateSignedArea = (polygon) => {
+  if (!polygon || polygon.length < 3) return 0;
+
+  let area = 0;
+  const n = polygon.length;
+
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    area += polygon[i][0] * polygon[j][1];
+    area -= polygon[j][0] * polygon[i][1];
+  }
+
+  return area / 2;
+};
+
 /**
  * Calculate distance between two points
  * @param {[number, number]} p1 - First point [x, y]
@@ -326,6 +346,127 @@ export const offsetPolygon = (polygon, distance) => {
   return result;
 };
 
+/**
+ * Offset each edge of a polygon by its own distance
+ * Edge i runs from point i to point i + 1; corners are where the offset
+ * edges meet (like offsetPolygon, complex polygons may self-intersect)
+ * @param {Array<[number, number]>} polygon - Polygon vertices
+ * @param {Array<number>} distances - Offset per edge (positive = outward, negative = inward)
+ * @returns {Array<[number, number]>} Offset polygon (empty if an edge collapses)
+ */
+export const offsetPolygonEdges = (polygon, distances) => {
+  if (!polygon || polygon.length < 3) return polygon;
+
+  const n = polygon.length;
+  const orientation = calculateSignedArea(polygon) < 0 ? -1 : 1;
+
+  // Offset lines, one per edge
+  const lines = polygon.map((start, i) => {
+    const end = polygon[(i + 1) % n];
+    const length = distance(start, end);
+    if (length === 0) return [start, end];
+
+    // Outward normal (clockwise on screen: left of the edge direction)
+    const normal = [
+      ((end[1] - start[1]) / length) * orientation,
+      (-(end[0] - start[0]) / length) * orientation,
+    ];
+    const delta = [normal[0] * distances[i], normal[1] * distances[i]];
+    return [translatePoint(start, delta), translatePoint(end, delta)];
+  });
+
+  // Corner i: where edge i - 1 ends and edge i starts
+  const corners = lines.map((curr, i) => {
+    const prev = lines[(i - 1 + n) % n];
+    const corner = lineIntersectionInfinite(prev[0], prev[1], curr[0], curr[1]);
+    // Collinear edges offset by different distances: step between them
+    return corner ? [corner, corner] : [prev[1], curr[0]];
+  });
+
+  // An edge running backwards means the offset went past a corner
+  for (let i = 0; i < n; i++) {
+    const start = corners[i][1];
+    const end = corners[(i + 1) % n][0];
+    const next = polygon[(i + 1) % n];
+    const dot =
+      (end[0] - start[0]) * (next[0] - polygon[i][0]) +
+      (end[1] - start[1]) * (next[1] - polygon[i][1]);
+    if (dot < 0) return [];
+  }
+
+  const result = [];
+  for (const [end, start] of corners) {
+    result.push(end);
+    if (distance(end, start) > 1e-9) result.push(start);
+  }
+
+  return result;
+};
+
+/**
+ * Offset an open polyline sideways
+ * Same side convention as offsetPolygon; inner points are mitered where the
+ * offset segments meet, end points move straight sideways
+ * @param {Array<[number, number]>} points - Polyline points
+ * @param {number} distance - Offset distance (positive = right of the
+ *   direction of travel on screen, negative = left)
+ * @returns {Array<[number, number]>} Offset polyline (one point per input point)
+ */
+export const offsetPolyline = (points, distance) => {
+  if (!points || points.length < 2) return points;
+
+  // Offset segments (zero-length ones are dropped)
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+    if (length === 0) continue;
+
+    const delta = [
+      (-(end[1] - start[1]) / length) * distance,
+      ((end[0] - start[0]) / length) * distance,
+    ];
+    segments.push({
+      index: i,
+      start: translatePoint(start, delta),
+      end: translatePoint(end, delta),
+    });
+  }
+  if (segments.length === 0) return points;
+
+  return points.map((point, i) => {
+    const before = [...segments].reverse().find((s) => s.index < i);
+    const after = segments.find((s) => s.index >= i);
+    if (!before) return after.start;
+    if (!after) return before.end;
+
+    // Collinear segments: the shared point moves with them
+    return (
+      lineIntersectionInfinite(
+        before.start,
+        before.end,
+        after.start,
+        after.end
+      ) || after.start
+    );
+  });
+};
+
+/**
+ * Calculate the perimeter of a closed polygon
+ * @param {Array<[number, number]>} polygon - Polygon vertices
+ * @returns {number} Perimeter
+ */
+export const calculatePerimeter = (polygon) => {
+  if (!polygon || polygon.length < 2) return 0;
+
+  return polygon.reduce(
+    (sum, point, i) => sum + distance(point, polygon[(i + 1) % polygon.length]),
+    0
+  );
+};
+
 /**
  * Check if two line segments intersect
  * @param {[number, number]} a1 - First segment start
@@ -382,6 +523,19 @@ export const scalePoint = (point, scale, origin = [0, 0]) => {
   ];
 };
 
+/**
+ * Mirror a point across an axis through origin
+ * @param {[number, number]} point - Point to mirror
+ * @param {number} angle - Axis angle in radians (0 = horizontal axis)
+ * @param {[number, number]} origin - Point on the axis (default [0, 0])
+ * @returns {[number, number]} Mirrored point
+ */
+export const mirrorPoint = (point, angle, origin = [0, 0]) => {
+  // Rotate the axis onto X, flip Y, rotate back
+  const [x, y] = rotatePoint(point, -angle, origin);
+  return rotatePoint([x, 2 * origin[1] - y], angle, origin);
+};
+
 /**
  * Flatten polygon points for Konva
  * Convert [[x1, y1], [x2, y2], ...] to [x1, y1, x2, y2, ...]
@@ -427,6 +581,44 @@ export const snapToOrtho = (angle) => {
   return (snapped * Math.PI) / 180;
 };
 
+/**
+ * Snap angle to the nearest multiple of a step
+ * @param {number} angle - Angle in radians
+ * @param {number} stepDeg - Step in degrees (e.g. 45)
+ * @param {number} baseAngle - Angle in radians the steps are counted from (default: world X axis)
+ * @returns {number} Snapped angle in radians
+ */
+export const snapAngle = (angle, stepDeg, baseAngle = 0) => {
+  const step = (stepDeg * Math.PI) / 180;
+  return baseAngle + Math.round((angle - baseAngle) / step) * step;
+};
+
+/**
+ * Constrain a point to the nearest allowed direction from an origin
+ * The point is projected onto the locked direction (distance along it is kept)
+ * @param {[number, number]} origin - Start of the segment
+ * @param {[number, number]} point - Free end of the segment
+ * @param {number} stepDeg - Angle step in degrees
+ * @param {number} baseAngle - Angle in radians the steps are counted from
+ * @returns {{point: [number, number], angle: number}} Constrained point and locked angle (radians)
+ */
+export const constrainToAngle = (origin, point, stepDeg, baseAngle = 0) => {
+  const angle = snapAngle(
+    angleBetweenPoints(origin, point),
+    stepDeg,
+    baseAngle
+  );
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  const length = (point[0] - origin[0]) * cos + (point[1] - origin[1]) * sin;
+
+  return {
+    point: [origin[0] + length * cos, origin[1] + length * sin],
+    angle,
+  };
+};
+
 /**
  * Check if a polygon is convex
  * @param {Array<[number, number]>} polygon - Polygon vertices
@@ -0,0 +1,271 @@
+/**
+ * Geometry cleanup utilities for MiniCAD
+ * Find the defects "Clean up geometry" repairs: near-duplicate vertices,
+ * degenerate walls, collinear walls that overlap or continue each other,
+ * and vertices nothing uses
+ */
+
+import { WALL_JUSTIFICATIONS } from "./constants";
+import { distance } from "./geometry";
+import { getInstancesOnWall } from "./instanceUtils";
+import { findWallAt } from "./wallGraph";
+
+/**
+ * Get the offset of a point along a wall (projected on its line), in mm
+ * @param {[number, number]} point - Point
+ * @param {[number, number]} start - Wall start
+ * @param {[number, number]} end - Wall end
+ * @returns {number} Distance from the start along the wall (negative before it)
+ */
+export const getOffsetAlongLine = (point, start, end) => {
+  const length = distance(start, end);
+  if (length === 0) return 0;
+  return (
+    ((point[0] - start[0]) * (end[0] - start[0]) +
+      (point[1] - start[1]) * (end[1] - start[1])) /
+    length
+  );
+};
+
+/**
+ * Group vertices lying within the tolerance of each other
+ * Each group keeps its first vertex (in document order), which doesn't move
+ * @param {Object} vertices - Vertices lookup
+ * @param {number} tolerance - Weld distance (mm)
+ * @returns {Map<string, string>} Welded vertex ID → vertex it merges into
+ */
+export const findVertexWelds = (vertices, tolerance) => {
+  const welds = new Map();
+  const keepers = [];
+
+  for (const [id, vertex] of Object.entries(vertices)) {
+    const keeper = keepers.find(
+      (keepId) =>
+        distance(
+          [vertices[keepId].x, vertices[keepId].y],
+          [vertex.x, vertex.y]
+        ) <= tolerance
+    );
+    if (keeper) {
+      welds.set(id, keeper);
+    } else {
+      keepers.push(id);
+    }
+  }
+
+  return welds;
+};
+
+/**
+ * Find walls with no length (both ends on one vertex or within the tolerance)
+ * @param {Object} state - Editor state (vertices, walls)
+ * @param {number} tolerance - Shortest wall kept (mm)
+ * @returns {string[]} Wall IDs
+ */
+export const findDegenerateWalls = (state, tolerance) =>
+  Object.entries(state.walls)
+    .filter(([, wall]) => {
+      const a = state.vertices[wall.vStart];
+      const b = state.vertices[wall.vEnd];
+      return (
+        wall.vStart === wall.vEnd ||
+        !a ||
+        !b ||
+        distance([a.x, a.y], [b.x, b.y]) < tolerance
+      );
+    })
+    .map(([id]) => id);
+
+/**
+ * Describe a wall apart from its ends, as seen running the other way
+ * when reversed (left and right justification swap)
+ * @param {Object} wall - Wall object
+ * @param {boolean} isReversed - Describe the wall running vEnd → vStart
+ * @returns {string} Key equal for walls that can become one
+ */
+const getWallPropsKey = (wall, isReversed) => {
+  const props = { ...wall };
+  delete props.vStart;
+  delete props.vEnd;
+  delete props.justification;
+
+  let side = wall.justification || WALL_JUSTIFICATIONS.CENTER;
+  if (isReversed && side !== WALL_JUSTIFICATIONS.CENTER) {
+    side =
+      side === WALL_JUSTIFICATIONS.LEFT
+        ? WALL_JUSTIFICATIONS.RIGHT
+        : WALL_JUSTIFICATIONS.LEFT;
+  }
+
+  const sorted = Object.keys(props)
+    .sort()
+    .map((key) => [key, props[key]]);
+  return JSON.stringify([side, sorted]);
+};
+
+/**
+ * Find how a wall can take over a collinear wall's span
+ * The kept wall keeps its direction and props; the other one must match
+ * them and, if it runs the other way, carry no instances (they would turn)
+ * @param {Object} state - Editor state (vertices, walls, instances)
+ * @param {string} keepId - Wall that stays
+ * @param {string} removeId - Wall it absorbs
+ * @param {number} tolerance - Collinearity tolerance (mm)
+ * @returns {{keepId: string, removeId: string, vStart: string, vEnd: string, overlap: number} | null}
+ *   Ends of the merged wall and how much the two walls overlap (mm, negative
+ *   for a gap), or null if they can't merge
+ */
+const getWallMerge = (state, keepId, removeId, tolerance) => {
+  const { vertices, walls, instances } = state;
+  const keep = walls[keepId];
+  const other = walls[removeId];
+  const point = (id) => [vertices[id].x, vertices[id].y];
+  const start = point(keep.vStart);
+  const end = point(keep.vEnd);
+
+  const length = distance(start, end);
+  if (length === 0) return null;
+
+  // Both ends of the other wall on the kept wall's line
+  const isCollinear = [other.vStart, other.vEnd].every(
+    (id) =>
+      Math.abs(
+        (end[0] - start[0]) * (point(id)[1] - start[1]) -
+          (end[1] - start[1]) * (point(id)[0] - start[0])
+      ) /
+        length <=
+      tolerance
+  );
+  if (!isCollinear) return null;
+
+  const otherFrom = getOffsetAlongLine(point(other.vStart), start, end);
+  const otherTo = getOffsetAlongLine(point(other.vEnd), start, end);
+  const isReversed = otherTo < otherFrom;
+  if (getWallPropsKey(keep, false) !== getWallPropsKey(other, isReversed)) {
+    return null;
+  }
+  if (isReversed && getInstancesOnWall(removeId, instances).length > 0) {
+    return null;
+  }
+
+  // Span of the merged wall along the kept wall's direction
+  const ends = [
+    { id: keep.vStart, offset: 0 },
+    { id: keep.vEnd, offset: length },
+    { id: other.vStart, offset: otherFrom },
+    { id: other.vEnd, offset: otherTo },
+  ].sort((a, b) => a.offset - b.offset);
+
+  return {
+    keepId,
+    removeId,
+    vStart: ends[0].id,
+    vEnd: ends[3].id,
+    overlap:
+      Math.min(length, Math.max(otherFrom, otherTo)) -
+      Math.max(0, Math.min(otherFrom, otherTo)),
+  };
+};
+
+/**
+ * Find a pair of collinear walls that overlap (e.g. drawn twice)
+ * @param {Object} state - Editor state (vertices, walls, instances)
+ * @param {number} tolerance - Collinearity tolerance (mm); overlaps must be longer
+ * @returns {Object | null} Merge (see getWallMerge), or null if none
+ */
+export const findNextWallOverlap = (state, tolerance) => {
+  const ids = Object.keys(state.walls);
+
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      const merge =
+        getWallMerge(state, ids[i], ids[j], tolerance) ||
+        getWallMerge(state, ids[j], ids[i], tolerance);
+      if (merge && merge.overlap > tolerance) return merge;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find two collinear walls meeting end to end at a vertex nothing else uses
+ * Joints stay when a room has a corner there, when they lie on another wall
+ * (T-junction) or when instance offsets are measured from them
+ * @param {Object} state - Editor state (vertices, walls, rooms, instances)
+ * @param {number} tolerance - Collinearity tolerance (mm)
+ * @returns {Object | null} Merge (see getWallMerge) with the joint vertexId,
+ *   or null if none
+ */
+export const findNextWallJoin = (state, tolerance) => {
+  const wallIdsAt = new Map();
+  for (const [id, { vStart, vEnd }] of Object.entries(state.walls)) {
+    for (const vertexId of [vStart, vEnd]) {
+      if (!wallIdsAt.has(vertexId)) wallIdsAt.set(vertexId, []);
+      wallIdsAt.get(vertexId).push(id);
+    }
+  }
+
+  const roomVertexIds = new Set(
+    Object.values(state.rooms || {}).flatMap((room) => room.vertices || [])
+  );
+  const isAnchor = (vertexId) =>
+    Object.entries(state.walls).some(
+      ([id, wall]) =>
+        wall.vStart === vertexId &&
+        getInstancesOnWall(id, state.instances).length > 0
+    );
+
+  for (const [vertexId, wallIds] of wallIdsAt) {
+    if (wallIds.length !== 2 || roomVertexIds.has(vertexId)) continue;
+
+    const vertex = state.vertices[vertexId];
+    if (
+      !vertex ||
+      findWallAt(
+        [vertex.x, vertex.y],
+        state.walls,
+        state.vertices,
+        tolerance
+      ) ||
+      isAnchor(vertexId)
+    ) {
+      continue;
+    }
+
+    const [first, second] = wallIds;
+    const merge =
+      getWallMerge(state, first, second, tolerance) ||
+      getWallMerge(state, second, first, tolerance);
+
+    // End to end: the joint is inside the merged wall, not a fold back
+    if (
+      merge &&
+      Math.abs(merge.overlap) <= tolerance &&
+      merge.vStart !== vertexId &&
+      merge.vEnd !== vertexId
+    ) {
+      return { ...merge, vertexId };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find vertices no wall or room uses
+ * @param {Object} state - Editor state (vertices, walls, rooms)
+ * @returns {string[]} Vertex IDs
+ */
+export const findUnusedVertices = (state) => {
+  const used = new Set();
+  for (const wall of Object.values(state.walls)) {
+    used.add(wall.vStart);
+    used.add(wall.vEnd);
+  }
+  for (const room of Object.values(state.rooms)) {
+    (room.vertices || []).forEach((id) => used.add(id));
+  }
+
+  return Object.keys(state.vertices).filter((id) => !used.has(id));
+};
@@ -1,11 +1,20 @@
 /**
  * Hit testing utilities for MiniCAD
- * Detect if a point (mouse click) intersects with rooms, walls, instances
+ * Detect if a point (mouse click) or a selection region (box, lasso)
+ * intersects with rooms, walls, instances
  */
 
-import { isPointInPolygon, pointToLineDistance } from "./geometry";
+import { REGION_SELECT_MODES } from "./constants";
+import {
+  calculateSignedArea,
+  doLineSegmentsIntersect,
+  isPointInPolygon,
+  pointToLineDistance,
+  rotatePoint,
+} from "./geometry";
 import { getRoomPolygon } from "./roomUtils";
 import { calculateInstancePosition } from "./instanceUtils";
+import { getWallPolygons } from "./wallGeometry";
 
 /**
  * Test if point hits a room
@@ -28,29 +37,18 @@ export const hitTestRoom = (point, roomId, room, vertices) => {
 /**
  * Test if point hits a wall
  * @param {[number, number]} point - Point in world coordinates
- * @param {string} wallId - Wall ID
- * @param {Object} wall - Wall object
- * @param {Object} vertices - Vertices lookup
+ * @param {Array<Array<[number, number]>>} polygons - Wall shape (see getWallPolygons)
  * @param {number} threshold - Hit threshold in world units (default 100mm)
- * @returns {boolean} True if hit
+ * @returns {boolean} True if inside the wall or within threshold of its faces
  */
-export const hitTestWall = (point, wallId, wall, vertices, threshold = 100) => {
-  const vStart = vertices[wall.vStart];
-  const vEnd = vertices[wall.vEnd];
-
-  if (!vStart || !vEnd) {
-    return false;
-  }
-
-  const lineStart = [vStart.x, vStart.y];
-  const lineEnd = [vEnd.x, vEnd.y];
-
-  const distance = pointToLineDistance(point, lineStart, lineEnd);
-
-  // Check if within wall thickness + threshold
-  const hitDistance = (wall.thickness || 200) / 2 + threshold;
-
-  return distance <= hitDistance;
+export const hitTestWall = (point, polygons, threshold = 100) => {
+  return polygons.some(
+    (polygon) =>
+      isPointInPolygon(point, polygon) ||
+      getEdges(polygon, true).some(
+        ([start, end]) => pointToLineDistance(point, start, end) <= threshold
+      )
+  );
 };
 
 /**
@@ -128,8 +126,9 @@ export const findHitObject = (worldPoint, store) => {
   }
 
   // 3. Test walls
-  for (const [id, wall] of Object.entries(walls)) {
-    if (hitTestWall(worldPoint, id, wall, vertices)) {
+  const wallPolygons = getWallPolygons(store);
+  for (const id of Object.keys(walls)) {
+    if (hitTestWall(worldPoint, wallPolygons[id] || [])) {
       return { type: "wall", id };
     }
   }
@@ -143,3 +142,161 @@ export const findHitObject = (worldPoint, store) => {
 
   return null;
 };
+
+/**
+ * Approximate footprint of an instance (rotated width x depth rectangle)
+ * @param {Object} instance - Instance object
+ * @param {Object} symbol - Symbol definition
+ * @param {Object} store - Editor store (for walls, vertices)
+ * @returns {Array<[number, number]>} Footprint corners in world coordinates
+ */
+export const getInstanceFootprint = (instance, symbol, store) => {
+  const { position, rotation } = calculateInstancePosition(instance, store);
+
+  const width = instance.props?.width || symbol.geometry?.width || 900;
+  const depth = symbol.geometry?.depth || symbol.geometry?.run || 200;
+  const [x, y] = position;
+
+  return [
+    [x - width / 2, y - depth / 2],
+    [x + width / 2, y - depth / 2],
+    [x + width / 2, y + depth / 2],
+    [x - width / 2, y + depth / 2],
+  ].map((corner) => rotatePoint(corner, rotation, position));
+};
+
+/**
+ * Edges of a polyline or polygon
+ * @param {Array<[number, number]>} points - Points
+ * @param {boolean} closed - Include the closing edge
+ * @returns {Array<[[number, number], [number, number]]>} Edges
+ */
+const getEdges = (points, closed) => {
+  const edges = [];
+  const count = closed ? points.length : points.length - 1;
+  for (let i = 0; i < count; i++) {
+    edges.push([points[i], points[(i + 1) % points.length]]);
+  }
+  return edges;
+};
+
+/**
+ * Test a shape against a selection region
+ * - Window (crossing = false): every point of the shape is inside the region
+ * - Crossing: the shape is inside, crosses the edge of, or contains the region
+ * @param {Array<[number, number]>} points - Shape points
+ * @param {boolean} closed - Shape is a polygon (false for a polyline)
+ * @param {Array<[number, number]>} region - Region polygon
+ * @param {boolean} crossing - Crossing test instead of window test
+ * @returns {boolean} True if the shape is picked by the region
+ */
+export const hitTestRegion = (points, closed, region, crossing) => {
+  if (points.length === 0 || region.length < 3) {
+    return false;
+  }
+
+  const inside = points.map((point) => isPointInPolygon(point, region));
+  if (!crossing) {
+    return inside.every(Boolean);
+  }
+  if (inside.some(Boolean)) {
+    return true;
+  }
+
+  const regionEdges = getEdges(region, true);
+  const crossesRegion = getEdges(points, closed).some(([a1, a2]) =>
+    regionEdges.some(([b1, b2]) => doLineSegmentsIntersect(a1, a2, b1, b2))
+  );
+  if (crossesRegion) {
+    return true;
+  }
+
+  // Region drawn entirely inside a room or footprint
+  return closed && points.length >= 3 && isPointInPolygon(region[0], points);
+};
+
+/**
+ * Build the region polygon of a Select tool drag
+ * @param {string} mode - One of REGION_SELECT_MODES
+ * @param {Array<[number, number]>} points - Drag points (box: start and end, lasso: path)
+ * @returns {Array<[number, number]>} Region polygon
+ */
+export const getRegionPolygon = (mode, points) => {
+  if (mode === REGION_SELECT_MODES.LASSO) {
+    return points;
+  }
+
+  const [[x1, y1], [x2, y2]] = [points[0], points[points.length - 1]];
+  return [
+    [x1, y1],
+    [x2, y1],
+    [x2, y2],
+    [x1, y2],
+  ];
+};
+
+/**
+ * Check whether a Select tool drag is a crossing selection
+ * - Box: dragged right-to-left
+ * - Lasso: drawn counterclockwise on screen
+ * @param {string} mode - One of REGION_SELECT_MODES
+ * @param {Array<[number, number]>} points - Drag points
+ * @returns {boolean} True for crossing, false for window
+ */
+export const isCrossingRegion = (mode, points) => {
+  if (mode === REGION_SELECT_MODES.LASSO) {
+    return calculateSignedArea(points) < 0;
+  }
+  return points[points.length - 1][0] < points[0][0];
+};
+
+/**
+ * Find the objects picked by a selection region (box or lasso)
+ * Vertices are not picked: they belong to walls and rooms (click to select them)
+ * @param {Array<[number, number]>} region - Region polygon in world coordinates
+ * @param {Object} store - Editor store
+ * @param {boolean} crossing - Pick objects touching the region, not only enclosed ones
+ * @returns {Array<{type: string, id: string}>} Picked objects
+ */
+export const findObjectsInRegion = (region, store, crossing = false) => {
+  const { instances, symbols, vertices, walls, rooms } = store;
+  const result = [];
+
+  for (const [id, instance] of Object.entries(instances)) {
+    const symbol = symbols[instance.symbol];
+    if (
+      symbol &&
+      hitTestRegion(
+        getInstanceFootprint(instance, symbol, store),
+        true,
+        region,
+        crossing
+      )
+    ) {
+      result.push({ type: "instance", id });
+    }
+  }
+
+  // Walls with openings are picked as a whole: all pieces (window) or any (crossing)
+  const wallPolygons = getWallPolygons(store);
+  for (const id of Object.keys(walls)) {
+    const polygons = wallPolygons[id] || [];
+    const isPicked = (polygon) =>
+      hitTestRegion(polygon, true, region, crossing);
+    if (
+      polygons.length > 0 &&
+      (crossing ? polygons.some(isPicked) : polygons.every(isPicked))
+    ) {
+      result.push({ type: "wall", id });
+    }
+  }
+
+  for (const [id, room] of Object.entries(rooms)) {
+    const polygon = getRoomPolygon(room, vertices);
+    if (polygon.length >= 3 && hitTestRegion(polygon, true, region, crossing)) {
+      result.push({ type: "room", id });
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,48 @@
+/**
+ * ID allocation utilities
+ * IDs are `${prefix}${n}` (v1, w3, r2, door4, ...). Each collection keeps a
+ * counter per prefix that only moves forward, so an ID is never handed out
+ * twice in a session, even after the object was deleted or its creation undone
+ */
+
+/**
+ * Get the highest numeric suffix used by IDs with the given prefix
+ * @param {Object} collection - Collection keyed by ID
+ * @param {string} prefix - ID prefix (e.g. "v")
+ * @returns {number} Highest suffix, or 0 if none
+ */
+export const getMaxIdSuffix = (collection, prefix) => {
+  let max = 0;
+
+  for (const id of Object.keys(collection)) {
+    if (!id.startsWith(prefix)) continue;
+
+    const suffix = id.slice(prefix.length);
+    if (/^\d+$/.test(suffix)) {
+      max = Math.max(max, Number(suffix));
+    }
+  }
+
+  return max;
+};
+
+/**
+ * Allocate new unique IDs in a collection
+ * @param {Object} collection - Collection keyed by ID
+ * @param {string} prefix - ID prefix
+ * @param {number} lastIssued - Last number issued for this prefix
+ * @param {number} count - Number of IDs to allocate
+ * @returns {{ids: Array<string>, lastIssued: number}} New IDs and updated counter
+ */
+export const allocateIds = (collection, prefix, lastIssued, count = 1) => {
+  // Start past both the counter and any ID already in the collection
+  // (loaded documents, objects restored by undo)
+  const start = Math.max(lastIssued, getMaxIdSuffix(collection, prefix));
+  const ids = [];
+
+  for (let i = 1; i <= count; i++) {
+    ids.push(`${prefix}${start + i}`);
+  }
+
+  return { ids, lastIssued: start + count };
+};
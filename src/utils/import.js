@@ -0,0 +1,81 @@
+/**
+ * Import utilities for MiniCAD
+ * Read floor plan JSON documents from local files
+ */
+
+import { toFloorPlanDocument } from "./export";
+import { migrateDocument } from "../migrations";
+
+/**
+ * Read a File (from file picker or drag-and-drop) as text
+ * @param {File} file - File to read
+ * @returns {Promise<string>} File content
+ */
+export const readFileAsText = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () =>
+      reject(reader.error || new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+  });
+};
+
+/**
+ * Parse floor plan JSON text into a document (upgraded to the current schema version)
+ * @param {string} text - JSON text
+ * @returns {{document: Object | null, error: string | null, migrations: Array<string>}}
+ */
+export const parseFloorPlanJSON = (text) => {
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return {
+      document: null,
+      error: `Invalid JSON: ${error.message}`,
+      migrations: [],
+    };
+  }
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return {
+      document: null,
+      error: "Root of the document must be an object",
+      migrations: [],
+    };
+  }
+
+  try {
+    const { document, applied } = migrateDocument(data);
+    return {
+      document: toFloorPlanDocument(document),
+      error: null,
+      migrations: applied,
+    };
+  } catch (error) {
+    return { document: null, error: error.message, migrations: [] };
+  }
+};
+
+/**
+ * Check whether a file looks like a floor plan JSON file
+ * @param {File} file - File to check
+ * @returns {boolean}
+ */
+export const isJSONFile = (file) => {
+  return (
+    file.type === "application/json" ||
+    file.name.toLowerCase().endsWith(".json")
+  );
+};
+
+/**
+ * Derive a document name from a file name ("plan.json" → "plan")
+ * @param {string} filename - File name
+ * @returns {string} Document name
+ */
+export const getDocumentNameFromFilename = (filename) => {
+  return filename.replace(/\.json$/i, "") || "Untitled";
+};
@@ -4,6 +4,7 @@
  */
 
 import { distance, angleBetweenPoints } from "./geometry";
+import { getWallCenterOffset } from "./wallGeometry";
 
 /**
  * Calculate position and rotation for an instance
@@ -40,9 +41,11 @@ export const calculateInstancePosition = (instance, store) => {
 
       const t = offsetFromStart / wallLength;
 
+      // Sit on the wall body, which is off the drawn line for justified walls
+      const shift = getWallCenterOffset(wall) / wallLength;
       const position = [
-        vStart.x + t * (vEnd.x - vStart.x),
-        vStart.y + t * (vEnd.y - vStart.y),
+        vStart.x + t * (vEnd.x - vStart.x) + shift * (vEnd.y - vStart.y),
+        vStart.y + t * (vEnd.y - vStart.y) - shift * (vEnd.x - vStart.x),
       ];
 
       // Calculate rotation (perpendicular to wall)
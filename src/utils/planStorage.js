@@ -0,0 +1,215 @@
+/**
+ * Plan storage for MiniCAD
+ * Persists floor plan documents in IndexedDB (autosave, recent plans, session restore)
+ *
+ * Object stores:
+ * - plans: { id, name, data, history, createdAt, updatedAt }
+ *   (history: serialized undo history, optional)
+ * - meta:  { key, value } (e.g. key "lastSession" → id of the last edited plan)
+ */
+
+const DB_NAME = "minicad";
+const DB_VERSION = 1;
+const PLANS_STORE = "plans";
+const META_STORE = "meta";
+const LAST_SESSION_KEY = "lastSession";
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(PLANS_STORE)) {
+        const plans = db.createObjectStore(PLANS_STORE, { keyPath: "id" });
+        plans.createIndex("updatedAt", "updatedAt");
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: "key" });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow retrying after a failed open
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {"readonly" | "readwrite"} mode - Transaction mode
+ * @param {Function} callback - (store) => IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+const runRequest = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Generate a new plan ID
+ * @returns {string} Plan ID
+ */
+export const createPlanId = () => {
+  return `plan-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+};
+
+/**
+ * List stored plans, most recently updated first (without document data)
+ * @returns {Promise<Array<{id: string, name: string, createdAt: number, updatedAt: number}>>}
+ */
+export const listPlans = async () => {
+  const plans = await runRequest(PLANS_STORE, "readonly", (store) =>
+    store.getAll()
+  );
+
+  return plans
+    .map(({ id, name, createdAt, updatedAt }) => ({
+      id,
+      name,
+      createdAt,
+      updatedAt,
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Get a stored plan
+ * @param {string} id - Plan ID
+ * @returns {Promise<Object | null>} Plan record or null
+ */
+export const getPlan = async (id) => {
+  const plan = await runRequest(PLANS_STORE, "readonly", (store) =>
+    store.get(id)
+  );
+  return plan || null;
+};
+
+/**
+ * Create or update a stored plan
+ * @param {{id: string, name: string, data: Object, history?: Object}} plan - Plan to store
+ * @returns {Promise<Object>} Stored plan record
+ */
+export const savePlan = async ({ id, name, data, history = null }) => {
+  const existing = await getPlan(id);
+  const now = Date.now();
+
+  const record = {
+    id,
+    name,
+    data,
+    history,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  await runRequest(PLANS_STORE, "readwrite", (store) => store.put(record));
+  return record;
+};
+
+/**
+ * Rename a stored plan
+ * @param {string} id - Plan ID
+ * @param {string} name - New name
+ * @returns {Promise<void>}
+ */
+export const renamePlan = async (id, name) => {
+  const plan = await getPlan(id);
+  if (!plan) return;
+
+  await runRequest(PLANS_STORE, "readwrite", (store) =>
+    store.put({ ...plan, name, updatedAt: Date.now() })
+  );
+};
+
+/**
+ * Duplicate a stored plan
+ * @param {string} id - Plan ID to copy
+ * @returns {Promise<Object | null>} New plan record or null
+ */
+export const duplicatePlan = async (id) => {
+  const plan = await getPlan(id);
+  if (!plan) return null;
+
+  return savePlan({
+    id: createPlanId(),
+    name: `${plan.name} (copy)`,
+    data: plan.data,
+  });
+};
+
+/**
+ * Delete a stored plan
+ * @param {string} id - Plan ID
+ * @returns {Promise<void>}
+ */
+export const deletePlan = async (id) => {
+  await runRequest(PLANS_STORE, "readwrite", (store) => store.delete(id));
+
+  if ((await getLastSessionId()) === id) {
+    await runRequest(META_STORE, "readwrite", (store) =>
+      store.delete(LAST_SESSION_KEY)
+    );
+  }
+};
+
+/**
+ * Get the ID of the plan edited in the last session
+ * @returns {Promise<string | null>}
+ */
+export const getLastSessionId = async () => {
+  const entry = await runRequest(META_STORE, "readonly", (store) =>
+    store.get(LAST_SESSION_KEY)
+  );
+  return entry?.value || null;
+};
+
+/**
+ * Remember the plan being edited (restored on next startup)
+ * @param {string} id - Plan ID
+ * @returns {Promise<void>}
+ */
+export const setLastSessionId = async (id) => {
+  await runRequest(META_STORE, "readwrite", (store) =>
+    store.put({ key: LAST_SESSION_KEY, value: id })
+  );
+};
+
+/**
+ * Get the plan edited in the last session
+ * @returns {Promise<Object | null>} Plan record or null
+ */
+export const getLastSessionPlan = async () => {
+  const id = await getLastSessionId();
+  return id ? getPlan(id) : null;
+};
@@ -15,13 +15,24 @@ const toClippingFormat = (polygon) => {
   return [polygon];
 };
 
+/**
+ * Drop the closing point polygon-clipping repeats at the end of each ring
+ */
+const openRing = (ring) => {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return ring.length > 1 && first[0] === last[0] && first[1] === last[1]
+    ? ring.slice(0, -1)
+    : ring;
+};
+
 /**
  * Convert polygon-clipping format back to our format
  */
 const fromClippingFormat = (multiPolygon) => {
   // Return the first polygon (we typically work with single polygons)
   if (multiPolygon && multiPolygon.length > 0 && multiPolygon[0].length > 0) {
-    return multiPolygon[0][0];
+    return openRing(multiPolygon[0][0]);
   }
   return [];
 };
@@ -102,6 +113,30 @@ export const xorPolygons = (poly1, poly2) => {
   }
 };
 
+/**
+ * Boolean operation keeping every piece of the result
+ * @param {"union" | "difference" | "intersection" | "xor"} operation - polygon-clipping operation
+ * @param {Array<[number, number]>} poly1 - First polygon
+ * @param {Array<[number, number]>} poly2 - Second polygon
+ * @returns {Array<{polygon: Array<[number, number]>, holes: Array<Array<[number, number]>>}> | null}
+ *   Pieces with their holes, or null on error
+ */
+export const getPolygonPieces = (operation, poly1, poly2) => {
+  try {
+    const result = polygonClipping[operation](
+      toClippingFormat(poly1),
+      toClippingFormat(poly2)
+    );
+    return result.map(([outer, ...holes]) => ({
+      polygon: openRing(outer),
+      holes: holes.map(openRing),
+    }));
+  } catch (error) {
+    console.error(`Error in polygon ${operation}:`, error);
+    return null;
+  }
+};
+
 /**
  * Split polygon by a line
  * Simple implementation - finds intersection points and creates two polygons
@@ -121,7 +156,15 @@ export const splitPolygonByLine = (polygon, lineStart, lineEnd) => {
 
     const intersection = lineIntersection(lineStart, lineEnd, p1, p2);
 
-    if (intersection) {
+    // A line through a corner crosses both edges there: count it once
+    const isCounted = intersections.some(
+      ({ point }) =>
+        intersection &&
+        Math.abs(point[0] - intersection[0]) < 1e-6 &&
+        Math.abs(point[1] - intersection[1]) < 1e-6
+    );
+
+    if (intersection && !isCounted) {
       intersections.push({
         point: intersection,
         edgeIndex: i,
@@ -158,7 +201,17 @@ export const splitPolygonByLine = (polygon, lineStart, lineEnd) => {
   }
   poly2.push(int2.point);
 
-  return [poly1, poly2];
+  // Cuts through corners repeat them
+  const dropRepeats = (points) =>
+    points.filter((point, i) => {
+      const next = points[(i + 1) % points.length];
+      return (
+        Math.abs(point[0] - next[0]) > 1e-6 ||
+        Math.abs(point[1] - next[1]) > 1e-6
+      );
+    });
+
+  return [dropRepeats(poly1), dropRepeats(poly2)];
 };
 
 /**
@@ -255,7 +308,7 @@ export const getAllPolygons = (multiPolygon) => {
   if (multiPolygon && multiPolygon.length > 0) {
     for (const poly of multiPolygon) {
       if (poly.length > 0) {
-        result.push(poly[0]); // Take outer ring only
+        result.push(openRing(poly[0])); // Take outer ring only
       }
     }
   }
@@ -0,0 +1,169 @@
+/**
+ * Room boolean utilities for MiniCAD
+ * Merge, split and subtract room outlines (see polygonOps) and map the
+ * resulting polygons back onto vertex IDs
+ */
+
+import { ROOM_OPERATIONS } from "./constants";
+import { calculateArea, distance, pointToLineDistance } from "./geometry";
+import {
+  doPolygonsOverlap,
+  getPolygonPieces,
+  splitPolygonByLine,
+} from "./polygonOps";
+import { getRoomPolygon } from "./roomUtils";
+import { findVertexAt, findWallAlong } from "./wallGraph";
+
+/**
+ * Union rooms one at a time, each time with a room the result touches
+ * @param {Array<Array<[number, number]>>} polygons - Room outlines
+ * @returns {{polygon: Array<[number, number]>} | {error: string}}
+ */
+const mergeRoomPolygons = (polygons) => {
+  let [merged, ...remaining] = polygons;
+
+  while (remaining.length > 0) {
+    let nextIndex = -1;
+    for (let i = 0; i < remaining.length && nextIndex < 0; i++) {
+      const pieces = getPolygonPieces("union", merged, remaining[i]);
+      if (pieces?.length === 1 && pieces[0].holes.length === 0) {
+        merged = pieces[0].polygon;
+        nextIndex = i;
+      }
+    }
+    if (nextIndex < 0) {
+      return { error: "Rooms must share an edge or overlap to merge" };
+    }
+    remaining = remaining.filter((_, i) => i !== nextIndex);
+  }
+
+  return { polygon: merged };
+};
+
+/**
+ * Compute the outlines a room operation produces
+ * The largest piece keeps the first room's ID; other pieces are new rooms
+ * @param {Object} state - Editor state (vertices, rooms)
+ * @param {string} operation - ROOM_OPERATIONS value
+ * @param {string[]} roomIds - Rooms in selection order
+ * @param {[[number, number], [number, number]]} [line] - Cut line (split)
+ * @returns {{pieces: Array<{roomId: string | null, polygon: Array<[number, number]>}>, removedRoomIds: string[]} | {error: string}}
+ *   Resulting outlines and rooms merged away, or why the operation can't run
+ */
+export const getRoomOperationResult = (state, operation, roomIds, line) => {
+  const rooms = roomIds.map((id) => state.rooms[id]);
+  if (rooms.length === 0 || rooms.some((room) => !room)) {
+    return { error: "Select rooms first" };
+  }
+
+  // Outlines with fewer than 3 corners come back empty
+  const polygons = rooms.map((room) => getRoomPolygon(room, state.vertices));
+  if (polygons.some((p) => p.length < 3)) {
+    return { error: "Select rooms first" };
+  }
+
+  let pieces;
+  let removedRoomIds = [];
+
+  if (operation === ROOM_OPERATIONS.MERGE) {
+    if (roomIds.length < 2) return { error: "Select two or more rooms" };
+
+    const merged = mergeRoomPolygons(polygons);
+    if (merged.error) return merged;
+    pieces = [merged.polygon];
+    removedRoomIds = roomIds.slice(1);
+  } else if (operation === ROOM_OPERATIONS.SPLIT) {
+    if (roomIds.length !== 1) return { error: "Select one room" };
+
+    pieces = splitPolygonByLine(polygons[0], line[0], line[1]);
+    if (pieces.length < 2) {
+      return { error: "Draw the cut line across the room" };
+    }
+  } else if (operation === ROOM_OPERATIONS.SUBTRACT) {
+    if (roomIds.length !== 2) return { error: "Select two rooms" };
+    if (!doPolygonsOverlap(polygons[0], polygons[1])) {
+      return { error: "The rooms don't overlap" };
+    }
+
+    const result = getPolygonPieces("difference", polygons[0], polygons[1]);
+    if (!result) return { error: "Could not subtract the rooms" };
+    if (result.length === 0) {
+      return { error: "Nothing would be left of the first room" };
+    }
+    if (result.some(({ holes }) => holes.length > 0)) {
+      return { error: "Rooms can't have holes: the cut must reach an edge" };
+    }
+    pieces = result.map(({ polygon }) => polygon);
+  } else {
+    return { error: `Unknown room operation ${operation}` };
+  }
+
+  pieces = pieces
+    .filter((polygon) => calculateArea(polygon) > 0)
+    .sort((a, b) => calculateArea(b) - calculateArea(a));
+
+  return {
+    pieces: pieces.map((polygon, i) => ({
+      roomId: i === 0 ? roomIds[0] : null,
+      polygon,
+    })),
+    removedRoomIds,
+  };
+};
+
+/**
+ * Map a polygon onto vertices
+ * Corners reuse a vertex within the tolerance; vertices of the source rooms
+ * lying along an edge are kept on it, so walls still line up with edges
+ * @param {Array<[number, number]>} polygon - Result outline
+ * @param {Object} vertices - Vertices lookup
+ * @param {string[]} sourceVertexIds - Vertices of the rooms the outline came from
+ * @param {number} tolerance - Reuse distance (mm)
+ * @returns {Array<{id: string | null, point: [number, number]}>} Corners
+ *   (id null: a new vertex is needed)
+ */
+export const getPolygonCorners = (
+  polygon,
+  vertices,
+  sourceVertexIds,
+  tolerance
+) => {
+  const corners = [];
+
+  polygon.forEach((point, i) => {
+    const next = polygon[(i + 1) % polygon.length];
+    corners.push({ id: findVertexAt(point, vertices, tolerance), point });
+
+    const along = [...new Set(sourceVertexIds)]
+      .map((id) => ({ id, point: [vertices[id].x, vertices[id].y] }))
+      .filter(
+        (corner) =>
+          distance(corner.point, point) > tolerance &&
+          distance(corner.point, next) > tolerance &&
+          pointToLineDistance(corner.point, point, next) <= tolerance
+      )
+      .sort((a, b) => distance(a.point, point) - distance(b.point, point));
+    corners.push(...along);
+  });
+
+  // A vertex matched twice in a row (corners closer than the tolerance)
+  return corners.filter(
+    (corner, i) =>
+      !corner.id || corner.id !== corners[(i + 1) % corners.length].id
+  );
+};
+
+/**
+ * Find the walls along a room outline
+ * @param {string[]} vertexIds - Room corners
+ * @param {Object} walls - Walls lookup
+ * @param {Object} vertices - Vertices lookup
+ * @returns {string[] | null} Wall for each edge (see findWallAlong), or null
+ *   if an edge has none
+ */
+export const getRoomWallIds = (vertexIds, walls, vertices) => {
+  const wallIds = vertexIds.map((id, i) =>
+    findWallAlong(id, vertexIds[(i + 1) % vertexIds.length], walls, vertices)
+  );
+  return wallIds.every(Boolean) ? wallIds : null;
+};
@@ -0,0 +1,315 @@
+/**
+ * Room detection utilities for MiniCAD
+ * Find enclosed areas in the wall graph (vertices + walls as a planar graph)
+ */
+
+import {
+  calculateArea,
+  calculateSignedArea,
+  distance,
+  getBoundingBox,
+  lineIntersection,
+} from "./geometry";
+import { getRoomMeasurements } from "./roomUtils";
+import { findVertexAt, findWallAlong, findWallAt } from "./wallGraph";
+
+/**
+ * Get the IDs of vertices used by walls
+ * @param {Object} walls - Walls lookup
+ * @returns {Set<string>} Vertex IDs
+ */
+const getWallVertexIds = (walls) => {
+  const ids = new Set();
+  for (const wall of Object.values(walls)) {
+    ids.add(wall.vStart);
+    ids.add(wall.vEnd);
+  }
+  return ids;
+};
+
+/**
+ * Find the next place where the wall graph is not planar yet
+ * - A wall vertex lying inside another wall (T-junction): split at that vertex
+ * - Two walls crossing away from their ends (X-junction): split both at a new vertex
+ * @param {Object} state - Editor state (vertices, walls)
+ * @param {number} tolerance - Distance (mm) within which points coincide
+ * @returns {{wallIds: string[], vertexId: string | null, point: [number, number]} | null}
+ *   Walls to split at the point (vertexId null = new vertex), or null if planar
+ */
+export const findNextWallSplit = (state, tolerance) => {
+  const { vertices, walls } = state;
+
+  for (const vertexId of getWallVertexIds(walls)) {
+    const vertex = vertices[vertexId];
+    if (!vertex) continue;
+
+    const hit = findWallAt([vertex.x, vertex.y], walls, vertices, tolerance);
+    if (hit) {
+      const wall = walls[hit.wallId];
+      if (wall.vStart !== vertexId && wall.vEnd !== vertexId) {
+        return {
+          wallIds: [hit.wallId],
+          vertexId,
+          point: [vertex.x, vertex.y],
+        };
+      }
+    }
+  }
+
+  const segments = Object.entries(walls)
+    .map(([id, wall]) => {
+      const a = vertices[wall.vStart];
+      const b = vertices[wall.vEnd];
+      return a && b ? { id, wall, a: [a.x, a.y], b: [b.x, b.y] } : null;
+    })
+    .filter(Boolean);
+
+  for (let i = 0; i < segments.length; i++) {
+    for (let j = i + 1; j < segments.length; j++) {
+      const s1 = segments[i];
+      const s2 = segments[j];
+      const shared = [s1.wall.vStart, s1.wall.vEnd].some(
+        (id) => id === s2.wall.vStart || id === s2.wall.vEnd
+      );
+      if (shared) continue;
+
+      const point = lineIntersection(s1.a, s1.b, s2.a, s2.b);
+      if (!point) continue;
+
+      // Crossings at a wall end are T-junctions or gaps, not X-junctions
+      const nearEnd = [s1.a, s1.b, s2.a, s2.b].some(
+        (end) => distance(point, end) <= tolerance
+      );
+      if (!nearEnd) {
+        return { wallIds: [s1.id, s2.id], vertexId: null, point };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find the minimal enclosed faces of the wall graph
+ * Dangling walls are pruned first; faces are traced by turning as sharply
+ * as possible at each vertex, which walks every bounded face once clockwise
+ * on screen and every outer boundary counterclockwise (then skipped)
+ * Areas are measured inside the wall faces (see getRoomNetPolygon), so
+ * faces filled by justified or thick walls are ignored too
+ * @param {Object} state - Editor state (vertices, walls)
+ * @param {number} minArea - Faces with less net area than this (mm²) are ignored
+ * @returns {Array<{vertices: string[], walls: string[], area: number}>} Faces
+ *   with their net area
+ */
+export const findWallFaces = (state, minArea = 0) => {
+  const { vertices, walls } = state;
+
+  // Undirected adjacency (one edge per vertex pair)
+  const adjacency = new Map();
+  const link = (a, b) => {
+    if (!adjacency.has(a)) adjacency.set(a, new Set());
+    adjacency.get(a).add(b);
+  };
+  for (const wall of Object.values(walls)) {
+    const a = vertices[wall.vStart];
+    const b = vertices[wall.vEnd];
+    if (!a || !b || wall.vStart === wall.vEnd) continue;
+    if (a.x === b.x && a.y === b.y) continue;
+    link(wall.vStart, wall.vEnd);
+    link(wall.vEnd, wall.vStart);
+  }
+
+  // Prune dangling walls (they can't bound a face)
+  const stack = [...adjacency.keys()].filter(
+    (id) => adjacency.get(id).size < 2
+  );
+  while (stack.length > 0) {
+    const id = stack.pop();
+    const neighbours = adjacency.get(id);
+    if (!neighbours) continue;
+
+    adjacency.delete(id);
+    for (const other of neighbours) {
+      const otherNeighbours = adjacency.get(other);
+      if (!otherNeighbours) continue;
+      otherNeighbours.delete(id);
+      if (otherNeighbours.size < 2) stack.push(other);
+    }
+  }
+
+  // Neighbours sorted by angle (clockwise on screen, world Y points down)
+  const angleTo = (from, to) =>
+    Math.atan2(
+      vertices[to].y - vertices[from].y,
+      vertices[to].x - vertices[from].x
+    );
+  const sorted = new Map();
+  for (const [id, neighbours] of adjacency) {
+    sorted.set(
+      id,
+      [...neighbours].sort((a, b) => angleTo(id, a) - angleTo(id, b))
+    );
+  }
+
+  const visited = new Set();
+  const faces = [];
+
+  for (const [start, neighbours] of sorted) {
+    for (const first of neighbours) {
+      if (visited.has(`${start}>${first}`)) continue;
+
+      const face = [];
+      let from = start;
+      let to = first;
+      while (!visited.has(`${from}>${to}`)) {
+        visited.add(`${from}>${to}`);
+        face.push(from);
+
+        // Next edge: the one just counterclockwise of the way back
+        const around = sorted.get(to);
+        const back = around.indexOf(from);
+        const next = around[(back - 1 + around.length) % around.length];
+        from = to;
+        to = next;
+      }
+
+      const polygon = face.map((id) => [vertices[id].x, vertices[id].y]);
+      if (calculateSignedArea(polygon) <= 0) continue; // outer boundary
+
+      const faceWalls = face.map((id, i) =>
+        findWallAlong(id, face[(i + 1) % face.length], walls, vertices)
+      );
+      const { netArea } = getRoomMeasurements(
+        { vertices: face },
+        vertices,
+        walls
+      );
+      if (netArea <= 0 || netArea < minArea) continue;
+
+      faces.push({
+        vertices: face,
+        walls: faceWalls,
+        area: Math.round(netArea),
+      });
+    }
+  }
+
+  return faces;
+};
+
+/**
+ * Find open wall ends close to the rest of the graph (likely unclosed rooms)
+ * @param {Object} state - Editor state (vertices, walls)
+ * @param {number} gapTolerance - Gaps up to this distance (mm) are reported
+ * @returns {Array<{vertexId: string, point: [number, number], distance: number,
+ *   target: {type: string, id: string}}>} Gaps (open end → nearest vertex or wall)
+ */
+export const findWallGaps = (state, gapTolerance) => {
+  const { vertices, walls } = state;
+
+  const degree = {};
+  for (const wall of Object.values(walls)) {
+    degree[wall.vStart] = (degree[wall.vStart] || 0) + 1;
+    degree[wall.vEnd] = (degree[wall.vEnd] || 0) + 1;
+  }
+
+  const gaps = [];
+  for (const [vertexId, count] of Object.entries(degree)) {
+    const vertex = vertices[vertexId];
+    if (count !== 1 || !vertex) continue;
+
+    const point = [vertex.x, vertex.y];
+
+    // Other wall vertices, except this end and its own wall's other end
+    const ownWall = Object.values(walls).find(
+      (wall) => wall.vStart === vertexId || wall.vEnd === vertexId
+    );
+    const ownOtherEnd =
+      ownWall.vStart === vertexId ? ownWall.vEnd : ownWall.vStart;
+    const others = {};
+    for (const id of Object.keys(degree)) {
+      if (id !== vertexId && id !== ownOtherEnd && vertices[id]) {
+        others[id] = vertices[id];
+      }
+    }
+
+    const nearVertexId = findVertexAt(point, others, gapTolerance);
+    if (nearVertexId) {
+      // Two open ends facing each other are one gap
+      const isReported = gaps.some(
+        (gap) => gap.vertexId === nearVertexId && gap.target.id === vertexId
+      );
+      if (isReported) continue;
+
+      const near = vertices[nearVertexId];
+      gaps.push({
+        vertexId,
+        point,
+        distance: distance(point, [near.x, near.y]),
+        target: { type: "vertex", id: nearVertexId },
+      });
+      continue;
+    }
+
+    const otherWalls = Object.fromEntries(
+      Object.entries(walls).filter(([, wall]) => wall !== ownWall)
+    );
+    const hit = findWallAt(point, otherWalls, vertices, gapTolerance);
+    if (hit) {
+      gaps.push({
+        vertexId,
+        point,
+        distance: distance(point, hit.point),
+        target: { type: "wall", id: hit.wallId },
+      });
+    }
+  }
+
+  return gaps.filter((gap) => gap.distance > 0);
+};
+
+/**
+ * Find the existing room with the same footprint as a detected face
+ * Footprints match when the areas and the bounding boxes agree within a ratio
+ * @param {Array<[number, number]>} polygon - Face polygon
+ * @param {Object} rooms - Rooms lookup (candidates)
+ * @param {Object} vertices - Vertices lookup
+ * @param {number} ratio - Allowed relative difference (e.g. 0.05)
+ * @returns {string | null} Room ID
+ */
+export const findMatchingRoom = (polygon, rooms, vertices, ratio) => {
+  const area = calculateArea(polygon);
+  const box = getBoundingBox(polygon);
+  let bestId = null;
+  let bestScore = 1 - ratio;
+
+  for (const [id, room] of Object.entries(rooms)) {
+    const roomPolygon = (room.vertices || [])
+      .map((vId) => vertices[vId])
+      .filter(Boolean)
+      .map((v) => [v.x, v.y]);
+    if (roomPolygon.length < 3) continue;
+
+    const roomArea = calculateArea(roomPolygon);
+    if (Math.abs(roomArea - area) > ratio * Math.max(roomArea, area)) continue;
+
+    // Bounding box overlap (intersection over union)
+    const roomBox = getBoundingBox(roomPolygon);
+    const overlapX =
+      Math.min(box.maxX, roomBox.maxX) - Math.max(box.minX, roomBox.minX);
+    const overlapY =
+      Math.min(box.maxY, roomBox.maxY) - Math.max(box.minY, roomBox.minY);
+    if (overlapX <= 0 || overlapY <= 0) continue;
+
+    const boxArea = (b) => (b.maxX - b.minX) * (b.maxY - b.minY);
+    const overlap = overlapX * overlapY;
+    const score = overlap / (boxArea(box) + boxArea(roomBox) - overlap);
+
+    if (score >= bestScore) {
+      bestId = id;
+      bestScore = score;
+    }
+  }
+
+  return bestId;
+};
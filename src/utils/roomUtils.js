@@ -3,7 +3,16 @@
  * Calculate room areas, validate room geometry
  */
 
-import { calculateArea, getPolygonCenter, getBoundingBox } from "./geometry";
+import {
+  calculateArea,
+  calculatePerimeter,
+  calculateSignedArea,
+  getPolygonCenter,
+  getBoundingBox,
+  offsetPolygonEdges,
+} from "./geometry";
+import { findWallAlong } from "./wallGraph";
+import { getWallCenterOffset } from "./wallGeometry";
 
 /**
  * Calculate room area from vertices
@@ -88,6 +97,75 @@ export const getRoomPolygon = (room, vertices) => {
     .filter((p) => p !== null);
 };
 
+/**
+ * Get the net floor polygon of a room (inside the wall faces)
+ * Each edge that runs along a wall (its whole span or part of it, see
+ * findWallAlong) moves inward to the wall's inner face (half the thickness,
+ * plus or minus the justification offset); edges without a wall stay on
+ * the room outline
+ * @param {Object} room - Room object
+ * @param {Object} vertices - Vertices lookup
+ * @param {Object} walls - Walls lookup
+ * @returns {Array<[number, number]>} Net polygon (empty if the walls fill the room)
+ */
+export const getRoomNetPolygon = (room, vertices, walls = {}) => {
+  const polygon = getRoomPolygon(room, vertices);
+  if (polygon.length < 3 || polygon.length !== room.vertices.length) {
+    return polygon;
+  }
+
+  // The inside is to the right of each edge for clockwise outlines
+  const orientation = calculateSignedArea(polygon) < 0 ? -1 : 1;
+  const distances = room.vertices.map((vId, i) => {
+    const nextId = room.vertices[(i + 1) % room.vertices.length];
+    const wallId = findWallAlong(vId, nextId, walls, vertices);
+    if (!wallId) return 0;
+
+    // Justification offsets are to the left of the wall's own direction
+    const wall = walls[wallId];
+    const edge = [
+      polygon[(i + 1) % polygon.length][0] - polygon[i][0],
+      polygon[(i + 1) % polygon.length][1] - polygon[i][1],
+    ];
+    const wallStart = vertices[wall.vStart];
+    const wallEnd = vertices[wall.vEnd];
+    const isSameDirection =
+      edge[0] * (wallEnd.x - wallStart.x) +
+        edge[1] * (wallEnd.y - wallStart.y) >
+      0;
+    const leftShift = isSameDirection
+      ? getWallCenterOffset(wall)
+      : -getWallCenterOffset(wall);
+    const inwardShift = -orientation * leftShift;
+    return -((wall.thickness || 0) / 2 + inwardShift);
+  });
+  if (distances.every((d) => d === 0)) {
+    return polygon;
+  }
+
+  // Empty when the walls are thicker than the room
+  return offsetPolygonEdges(polygon, distances);
+};
+
+/**
+ * Measure a room for quantity reports
+ * @param {Object} room - Room object
+ * @param {Object} vertices - Vertices lookup
+ * @param {Object} walls - Walls lookup
+ * @returns {{grossArea: number, netArea: number, perimeter: number}}
+ *   Areas in mm² (gross on the wall centerlines, net inside the wall faces)
+ *   and the net perimeter in mm
+ */
+export const getRoomMeasurements = (room, vertices, walls = {}) => {
+  const net = getRoomNetPolygon(room, vertices, walls);
+
+  return {
+    grossArea: calculateRoomArea(room, vertices),
+    netArea: net.length >= 3 ? calculateArea(net) : 0,
+    perimeter: net.length >= 3 ? calculatePerimeter(net) : 0,
+  };
+};
+
 /**
  * Get room bounding box
  * @param {Object} room - Room object
@@ -100,23 +178,31 @@ export const getRoomBounds = (room, vertices) => {
 };
 
 /**
- * Recalculate areas for all rooms
+ * Recalculate the stored (net) areas of all rooms
  * @param {Object} rooms - Rooms lookup
  * @param {Object} vertices - Vertices lookup
- * @returns {Object} Updated rooms with new areas
+ * @param {Object} walls - Walls lookup
+ * @returns {Object} Updated rooms with new areas (the same object if no area changed)
  */
-export const recalculateAllRoomAreas = (rooms, vertices) => {
+export const recalculateAllRoomAreas = (rooms, vertices, walls = {}) => {
   const updatedRooms = {};
+  let changed = false;
 
   for (const [id, room] of Object.entries(rooms)) {
-    const area = calculateRoomArea(room, vertices);
+    const area = Math.round(getRoomMeasurements(room, vertices, walls).netArea);
+    if (room.area === area) {
+      updatedRooms[id] = room;
+      continue;
+    }
+
     updatedRooms[id] = {
       ...room,
       area,
     };
+    changed = true;
   }
 
-  return updatedRooms;
+  return changed ? updatedRooms : rooms;
 };
 
 /**
@@ -0,0 +1,60 @@
+/**
+ * Room measurement tests on the sample apartment (8m x 6m, four 4m x 3m
+ * rooms; 200mm outer walls, 150mm inner walls meeting at T-junctions)
+ */
+
+import { describe, expect, it } from "vitest";
+import { getRoomMeasurements, recalculateAllRoomAreas } from "./roomUtils";
+import { getRoomWallIds } from "./roomBoolean";
+import { findWallAlong } from "./wallGraph";
+import { sampleFloorPlan3 } from "./sampleData3";
+
+const { vertices, walls, rooms } = sampleFloorPlan3;
+
+// Each room loses half an outer wall (100) and half an inner wall (75)
+// on both axes: (4000 - 175) x (3000 - 175)
+const NET_AREA = 3825 * 2825;
+
+describe("getRoomMeasurements", () => {
+  it.each(Object.keys(rooms))("measures %s inside its wall faces", (id) => {
+    const { grossArea, netArea } = getRoomMeasurements(
+      rooms[id],
+      vertices,
+      walls
+    );
+    expect(grossArea).toBe(12000000);
+    expect(netArea).toBeCloseTo(NET_AREA, 3);
+  });
+
+  it("stores the net areas", () => {
+    const updated = recalculateAllRoomAreas(rooms, vertices, walls);
+    for (const room of Object.values(updated)) {
+      expect(room.area).toBe(NET_AREA);
+    }
+  });
+});
+
+describe("findWallAlong", () => {
+  it("finds walls joining both vertices", () => {
+    expect(findWallAlong("v5", "v8", walls, vertices)).toBe("w5");
+    expect(findWallAlong("v8", "v5", walls, vertices)).toBe("w5");
+  });
+
+  it("finds walls running past the vertices", () => {
+    expect(findWallAlong("v1", "v5", walls, vertices)).toBe("w1");
+    expect(findWallAlong("v7", "v1", walls, vertices)).toBe("w4");
+  });
+
+  it("ignores segments off every wall", () => {
+    expect(findWallAlong("v1", "v8", walls, vertices)).toBe(null);
+  });
+
+  it("gives every room edge a wall", () => {
+    expect(getRoomWallIds(rooms.r1.vertices, walls, vertices)).toEqual([
+      "w1",
+      "w5",
+      "w6",
+      "w4",
+    ]);
+  });
+});
@@ -0,0 +1,760 @@
+/**
+ * Floor plan schema validator
+ * Checks a document against the rules in DATA_FORMAT.md ("Quy Tắc Validation")
+ * and reports every problem as a structured issue:
+ * { path: "instances.d1.constraint.offsetFromStart", code, severity, message, target }
+ *
+ * - severity: "error" (document is broken) or "warning" (renders, but suspicious)
+ * - target: { type: "vertex" | "wall" | "room" | "instance", id } of the
+ *   offending object, or null for root fields and symbols
+ */
+
+import { CURRENT_SCHEMA_VERSION } from "../migrations";
+import { calculateArea } from "./geometry";
+import { calculateWallLength, canPlaceOnWall } from "./instanceUtils";
+import {
+  WALL_MIN_THICKNESS,
+  WALL_MAX_THICKNESS,
+  WALL_JUSTIFICATIONS,
+  ROOM_TYPE_VALUES,
+} from "./constants";
+
+export const ISSUE_CODES = {
+  REQUIRED: "required",
+  INVALID_TYPE: "invalid-type",
+  INVALID_VALUE: "invalid-value",
+  OUT_OF_RANGE: "out-of-range",
+  MISSING_REFERENCE: "missing-reference",
+  DEGENERATE: "degenerate",
+};
+
+// Allowed values from DATA_FORMAT.md
+const SYMBOL_TYPE_VALUES = ["anchored", "free"];
+const ANCHOR_VALUES = ["wall", "room"];
+const RENDER_TYPE_VALUES = ["arc+line", "rect", "polyline"];
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+const formatValue = (value) => JSON.stringify(value) ?? String(value);
+
+/**
+ * Create an issue list with helpers to report into it
+ * @returns {{issues: Array<Object>, error: Function, warning: Function}}
+ */
+const createIssueList = () => {
+  const issues = [];
+
+  const add =
+    (severity) =>
+    (path, code, message, target = null) => {
+      issues.push({ path, code, severity, message, target });
+    };
+
+  return { issues, error: add("error"), warning: add("warning") };
+};
+
+/**
+ * Get a collection from the document, reporting a non-object value
+ * @returns {Object | null} Collection, or null if it can't be validated
+ */
+const getCollection = (doc, key, report, required) => {
+  const collection = doc[key];
+
+  if (collection === undefined) {
+    if (required) {
+      report.error(key, ISSUE_CODES.REQUIRED, `Missing "${key}" collection`);
+    }
+    return null;
+  }
+
+  if (!isObject(collection)) {
+    report.error(
+      key,
+      ISSUE_CODES.INVALID_TYPE,
+      `"${key}" must be an object keyed by ID`
+    );
+    return null;
+  }
+
+  return collection;
+};
+
+const validateRoot = (doc, report) => {
+  if (doc.version === undefined) {
+    report.warning("version", ISSUE_CODES.REQUIRED, "Missing schema version");
+  } else if (doc.version !== CURRENT_SCHEMA_VERSION) {
+    report.error(
+      "version",
+      ISSUE_CODES.INVALID_VALUE,
+      `Unsupported schema version ${formatValue(doc.version)} (expected ${CURRENT_SCHEMA_VERSION})`
+    );
+  }
+
+  if (doc.units === undefined) {
+    report.warning(
+      "units",
+      ISSUE_CODES.REQUIRED,
+      'Missing units (assuming "mm")'
+    );
+  } else if (doc.units !== "mm") {
+    report.error(
+      "units",
+      ISSUE_CODES.INVALID_VALUE,
+      `Unsupported units ${formatValue(doc.units)} (only "mm")`
+    );
+  }
+};
+
+const validateVertices = (vertices, report) => {
+  for (const [id, vertex] of Object.entries(vertices)) {
+    const path = `vertices.${id}`;
+    const target = { type: "vertex", id };
+
+    if (!isObject(vertex)) {
+      report.error(
+        path,
+        ISSUE_CODES.INVALID_TYPE,
+        `Vertex ${id} must be an object`,
+        target
+      );
+      continue;
+    }
+
+    for (const axis of ["x", "y"]) {
+      if (vertex[axis] === undefined) {
+        report.error(
+          `${path}.${axis}`,
+          ISSUE_CODES.REQUIRED,
+          `Vertex ${id} has no ${axis} coordinate`,
+          target
+        );
+      } else if (!isFiniteNumber(vertex[axis])) {
+        report.error(
+          `${path}.${axis}`,
+          ISSUE_CODES.INVALID_TYPE,
+          `Vertex ${id} ${axis} must be a number`,
+          target
+        );
+      }
+    }
+  }
+};
+
+const validateWalls = (walls, vertices, report) => {
+  for (const [id, wall] of Object.entries(walls)) {
+    const path = `walls.${id}`;
+    const target = { type: "wall", id };
+
+    if (!isObject(wall)) {
+      report.error(
+        path,
+        ISSUE_CODES.INVALID_TYPE,
+        `Wall ${id} must be an object`,
+        target
+      );
+      continue;
+    }
+
+    let endsValid = true;
+    for (const end of ["vStart", "vEnd"]) {
+      const vertexId = wall[end];
+      if (vertexId === undefined) {
+        report.error(
+          `${path}.${end}`,
+          ISSUE_CODES.REQUIRED,
+          `Wall ${id} has no ${end}`,
+          target
+        );
+        endsValid = false;
+      } else if (typeof vertexId !== "string") {
+        report.error(
+          `${path}.${end}`,
+          ISSUE_CODES.INVALID_TYPE,
+          `Wall ${id} ${end} must be a vertex ID`,
+          target
+        );
+        endsValid = false;
+      } else if (!vertices[vertexId]) {
+        report.error(
+          `${path}.${end}`,
+          ISSUE_CODES.MISSING_REFERENCE,
+          `Wall ${id} references non-existent vertex ${vertexId}`,
+          target
+        );
+        endsValid = false;
+      }
+    }
+
+    if (endsValid) {
+      if (wall.vStart === wall.vEnd) {
+        report.error(
+          path,
+          ISSUE_CODES.DEGENERATE,
+          `Wall ${id} starts and ends at vertex ${wall.vStart}`,
+          target
+        );
+      } else if (calculateWallLength(wall, vertices) === 0) {
+        report.error(
+          path,
+          ISSUE_CODES.DEGENERATE,
+          `Wall ${id} has zero length`,
+          target
+        );
+      }
+    }
+
+    if (wall.thickness === undefined) {
+      report.error(
+        `${path}.thickness`,
+        ISSUE_CODES.REQUIRED,
+        `Wall ${id} has no thickness`,
+        target
+      );
+    } else if (!isFiniteNumber(wall.thickness) || wall.thickness <= 0) {
+      report.error(
+        `${path}.thickness`,
+        ISSUE_CODES.INVALID_VALUE,
+        `Wall ${id} thickness must be a positive number`,
+        target
+      );
+    } else if (
+      wall.thickness < WALL_MIN_THICKNESS ||
+      wall.thickness > WALL_MAX_THICKNESS
+    ) {
+      report.warning(
+        `${path}.thickness`,
+        ISSUE_CODES.OUT_OF_RANGE,
+        `Wall ${id} thickness ${wall.thickness}mm is outside ${WALL_MIN_THICKNESS}-${WALL_MAX_THICKNESS}mm`,
+        target
+      );
+    }
+
+    if (wall.isOuter === undefined) {
+      report.warning(
+        `${path}.isOuter`,
+        ISSUE_CODES.REQUIRED,
+        `Wall ${id} has no isOuter flag`,
+        target
+      );
+    } else if (typeof wall.isOuter !== "boolean") {
+      report.error(
+        `${path}.isOuter`,
+        ISSUE_CODES.INVALID_TYPE,
+        `Wall ${id} isOuter must be true or false`,
+        target
+      );
+    }
+
+    // Optional, centered when missing
+    if (
+      wall.justification !== undefined &&
+      !Object.values(WALL_JUSTIFICATIONS).includes(wall.justification)
+    ) {
+      report.error(
+        `${path}.justification`,
+        ISSUE_CODES.INVALID_VALUE,
+        `Wall ${id} justification ${formatValue(wall.justification)} must be one of ${Object.values(WALL_JUSTIFICATIONS).join(", ")}`,
+        target
+      );
+    }
+  }
+};
+
+const validateRooms = (rooms, vertices, walls, report) => {
+  for (const [id, room] of Object.entries(rooms)) {
+    const path = `rooms.${id}`;
+    const target = { type: "room", id };
+
+    if (!isObject(room)) {
+      report.error(
+        path,
+        ISSUE_CODES.INVALID_TYPE,
+        `Room ${id} must be an object`,
+        target
+      );
+      continue;
+    }
+
+    if (room.name === undefined) {
+      report.warning(
+        `${path}.name`,
+        ISSUE_CODES.REQUIRED,
+        `Room ${id} has no name`,
+        target
+      );
+    } else if (typeof room.name !== "string") {
+      report.error(
+        `${path}.name`,
+        ISSUE_CODES.INVALID_TYPE,
+        `Room ${id} name must be a string`,
+        target
+      );
+    }
+
+    if (room.type === undefined) {
+      report.warning(
+        `${path}.type`,
+        ISSUE_CODES.REQUIRED,
+        `Room ${id} has no type`,
+        target
+      );
+    } else if (!ROOM_TYPE_VALUES.includes(room.type)) {
+      // Unknown types still render (as "other"), so this doesn't block loading
+      report.warning(
+        `${path}.type`,
+        ISSUE_CODES.INVALID_VALUE,
+        `Room ${id} type ${formatValue(room.type)} is not one of ${ROOM_TYPE_VALUES.join(", ")}`,
+        target
+      );
+    }
+
+    if (
+      room.area !== undefined &&
+      (!isFiniteNumber(room.area) || room.area < 0)
+    ) {
+      report.error(
+        `${path}.area`,
+        ISSUE_CODES.INVALID_VALUE,
+        `Room ${id} area must be a non-negative number`,
+        target
+      );
+    }
+
+    if (room.vertices === undefined) {
+      report.error(
+        `${path}.vertices`,
+        ISSUE_CODES.REQUIRED,
+        `Room ${id} has no vertices`,
+        target
+      );
+    } else if (!Array.isArray(room.vertices)) {
+      report.error(
+        `${path}.vertices`,
+        ISSUE_CODES.INVALID_TYPE,
+        `Room ${id} vertices must be an array of vertex IDs`,
+        target
+      );
+    } else {
+      let verticesValid = true;
+      room.vertices.forEach((vertexId, index) => {
+        if (!vertices[vertexId]) {
+          report.error(
+            `${path}.vertices[${index}]`,
+            ISSUE_CODES.MISSING_REFERENCE,
+            `Room ${id} references non-existent vertex ${vertexId}`,
+            target
+          );
+          verticesValid = false;
+        } else if (room.vertices.indexOf(vertexId) !== index) {
+          report.error(
+            `${path}.vertices[${index}]`,
+            ISSUE_CODES.DEGENERATE,
+            `Room ${id} visits vertex ${vertexId} more than once`,
+            target
+          );
+          verticesValid = false;
+        }
+      });
+
+      if (room.vertices.length < 3) {
+        report.error(
+          `${path}.vertices`,
+          ISSUE_CODES.DEGENERATE,
+          `Room ${id} has less than 3 vertices`,
+          target
+        );
+      } else if (verticesValid) {
+        const polygon = room.vertices.map((vertexId) => [
+          vertices[vertexId].x,
+          vertices[vertexId].y,
+        ]);
+        if (calculateArea(polygon) === 0) {
+          report.warning(
+            `${path}.vertices`,
+            ISSUE_CODES.DEGENERATE,
+            `Room ${id} has zero area`,
+            target
+          );
+        }
+      }
+    }
+
+    // Optional list of bounding walls
+    if (room.walls !== undefined) {
+      if (!Array.isArray(room.walls)) {
+        report.error(
+          `${path}.walls`,
+          ISSUE_CODES.INVALID_TYPE,
+          `Room ${id} walls must be an array of wall IDs`,
+          target
+        );
+      } else {
+        room.walls.forEach((wallId, index) => {
+          if (!walls[wallId]) {
+            report.error(
+              `${path}.walls[${index}]`,
+              ISSUE_CODES.MISSING_REFERENCE,
+              `Room ${id} references non-existent wall ${wallId}`,
+              target
+            );
+          }
+        });
+      }
+    }
+  }
+};
+
+const validateSymbols = (symbols, report) => {
+  for (const [id, symbol] of Object.entries(symbols)) {
+    const path = `symbols.${id}`;
+
+    if (!isObject(symbol)) {
+      report.error(
+        path,
+        ISSUE_CODES.INVALID_TYPE,
+        `Symbol ${id} must be an object`
+      );
+      continue;
+    }
+
+    if (!SYMBOL_TYPE_VALUES.includes(symbol.type)) {
+      report.error(
+        `${path}.type`,
+        symbol.type === undefined
+          ? ISSUE_CODES.REQUIRED
+          : ISSUE_CODES.INVALID_VALUE,
+        `Symbol ${id} type must be "anchored" or "free"`
+      );
+    } else if (
+      symbol.type === "anchored" &&
+      !ANCHOR_VALUES.includes(symbol.anchor)
+    ) {
+      report.error(
+        `${path}.anchor`,
+        symbol.anchor === undefined
+          ? ISSUE_CODES.REQUIRED
+          : ISSUE_CODES.INVALID_VALUE,
+        `Anchored symbol ${id} anchor must be "wall" or "room"`
+      );
+    }
+
+    if (!isObject(symbol.geometry)) {
+      report.error(
+        `${path}.geometry`,
+        symbol.geometry === undefined
+          ? ISSUE_CODES.REQUIRED
+          : ISSUE_CODES.INVALID_TYPE,
+        `Symbol ${id} has no geometry`
+      );
+    } else if (symbol.geometry.width === undefined) {
+      report.error(
+        `${path}.geometry.width`,
+        ISSUE_CODES.REQUIRED,
+        `Symbol ${id} has no width`
+      );
+    } else if (
+      !isFiniteNumber(symbol.geometry.width) ||
+      symbol.geometry.width <= 0
+    ) {
+      report.error(
+        `${path}.geometry.width`,
+        ISSUE_CODES.INVALID_VALUE,
+        `Symbol ${id} width must be a positive number`
+      );
+    }
+
+    if (!isObject(symbol.render)) {
+      report.error(
+        `${path}.render`,
+        symbol.render === undefined
+          ? ISSUE_CODES.REQUIRED
+          : ISSUE_CODES.INVALID_TYPE,
+        `Symbol ${id} has no render settings`
+      );
+    } else if (!RENDER_TYPE_VALUES.includes(symbol.render.type)) {
+      report.error(
+        `${path}.render.type`,
+        symbol.render.type === undefined
+          ? ISSUE_CODES.REQUIRED
+          : ISSUE_CODES.INVALID_VALUE,
+        `Symbol ${id} render type must be one of ${RENDER_TYPE_VALUES.join(", ")}`
+      );
+    }
+  }
+};
+
+/**
+ * Validate where an instance sits: wall/room constraint or free transform
+ */
+const validateInstancePlacement = (id, instance, symbol, doc, report) => {
+  const path = `instances.${id}`;
+  const target = { type: "instance", id };
+  const { constraint, transform } = instance;
+
+  // Anchored symbols need a constraint, free symbols need a transform
+  const isFree = symbol ? symbol.type === "free" : !constraint;
+
+  // Anchored instances detached by a delete keep a free transform
+  const isDetached = !isFree && !constraint && isObject(transform);
+  if (isDetached) {
+    report.warning(
+      `${path}.constraint`,
+      ISSUE_CODES.REQUIRED,
+      `Instance ${id} is detached from its ${symbol?.anchor || "anchor"}`,
+      target
+    );
+  }
+
+  if (isFree || isDetached) {
+    if (!isObject(transform)) {
+      report.error(
+        `${path}.transform`,
+        ISSUE_CODES.REQUIRED,
+        `Free instance ${id} has no transform`,
+        target
+      );
+      return;
+    }
+
+    const { position, rotation } = transform;
+    if (
+      !Array.isArray(position) ||
+      position.length !== 2 ||
+      !position.every(isFiniteNumber)
+    ) {
+      report.error(
+        `${path}.transform.position`,
+        ISSUE_CODES.INVALID_VALUE,
+        `Instance ${id} position must be [x, y]`,
+        target
+      );
+    }
+
+    if (rotation !== undefined) {
+      if (!isFiniteNumber(rotation)) {
+        report.error(
+          `${path}.transform.rotation`,
+          ISSUE_CODES.INVALID_TYPE,
+          `Instance ${id} rotation must be a number`,
+          target
+        );
+      } else if (rotation < 0 || rotation > 360) {
+        report.warning(
+          `${path}.transform.rotation`,
+          ISSUE_CODES.OUT_OF_RANGE,
+          `Instance ${id} rotation ${rotation}° is outside 0-360°`,
+          target
+        );
+      }
+    }
+    return;
+  }
+
+  if (!isObject(constraint)) {
+    report.error(
+      `${path}.constraint`,
+      ISSUE_CODES.REQUIRED,
+      `Anchored instance ${id} has no constraint`,
+      target
+    );
+    return;
+  }
+
+  const { attachTo, offsetFromStart } = constraint;
+  if (!isObject(attachTo)) {
+    report.error(
+      `${path}.constraint.attachTo`,
+      ISSUE_CODES.REQUIRED,
+      `Instance ${id} is not attached to anything`,
+      target
+    );
+    return;
+  }
+
+  if (!ANCHOR_VALUES.includes(attachTo.kind)) {
+    report.error(
+      `${path}.constraint.attachTo.kind`,
+      ISSUE_CODES.INVALID_VALUE,
+      `Instance ${id} must attach to a "wall" or "room"`,
+      target
+    );
+    return;
+  }
+
+  if (symbol?.anchor && symbol.anchor !== attachTo.kind) {
+    report.error(
+      `${path}.constraint.attachTo.kind`,
+      ISSUE_CODES.INVALID_VALUE,
+      `Instance ${id} is attached to a ${attachTo.kind}, but symbol ${instance.symbol} anchors to a ${symbol.anchor}`,
+      target
+    );
+  }
+
+  const collection = attachTo.kind === "wall" ? doc.walls : doc.rooms;
+  if (!collection?.[attachTo.id]) {
+    report.error(
+      `${path}.constraint.attachTo.id`,
+      ISSUE_CODES.MISSING_REFERENCE,
+      `Instance ${id} references non-existent ${attachTo.kind} ${attachTo.id}`,
+      target
+    );
+    return;
+  }
+
+  if (attachTo.kind !== "wall") return;
+
+  if (offsetFromStart === undefined) {
+    report.error(
+      `${path}.constraint.offsetFromStart`,
+      ISSUE_CODES.REQUIRED,
+      `Instance ${id} has no offsetFromStart`,
+      target
+    );
+    return;
+  }
+
+  if (!isFiniteNumber(offsetFromStart)) {
+    report.error(
+      `${path}.constraint.offsetFromStart`,
+      ISSUE_CODES.INVALID_TYPE,
+      `Instance ${id} offsetFromStart must be a number`,
+      target
+    );
+    return;
+  }
+
+  const wall = doc.walls[attachTo.id];
+  const vertices = isObject(doc.vertices) ? doc.vertices : {};
+  const wallLength = calculateWallLength(wall, vertices);
+  // Broken walls are reported on the wall itself
+  if (wallLength === 0) return;
+
+  if (offsetFromStart < 0 || offsetFromStart > wallLength) {
+    report.error(
+      `${path}.constraint.offsetFromStart`,
+      ISSUE_CODES.OUT_OF_RANGE,
+      `Instance ${id} offset ${Math.round(offsetFromStart)}mm is outside wall ${attachTo.id} (0-${Math.round(wallLength)}mm)`,
+      target
+    );
+    return;
+  }
+
+  const width = instance.props?.width ?? symbol?.geometry?.width;
+  if (
+    isFiniteNumber(width) &&
+    !canPlaceOnWall(wall, vertices, offsetFromStart, width)
+  ) {
+    report.warning(
+      `${path}.constraint.offsetFromStart`,
+      ISSUE_CODES.OUT_OF_RANGE,
+      `Instance ${id} (${width}mm wide) extends past the ends of wall ${attachTo.id}`,
+      target
+    );
+  }
+};
+
+const validateInstances = (instances, doc, report) => {
+  const symbols = isObject(doc.symbols) ? doc.symbols : {};
+
+  for (const [id, instance] of Object.entries(instances)) {
+    const path = `instances.${id}`;
+    const target = { type: "instance", id };
+
+    if (!isObject(instance)) {
+      report.error(
+        path,
+        ISSUE_CODES.INVALID_TYPE,
+        `Instance ${id} must be an object`,
+        target
+      );
+      continue;
+    }
+
+    const symbol = symbols[instance.symbol];
+    if (instance.symbol === undefined) {
+      report.error(
+        `${path}.symbol`,
+        ISSUE_CODES.REQUIRED,
+        `Instance ${id} has no symbol`,
+        target
+      );
+    } else if (!symbol) {
+      report.error(
+        `${path}.symbol`,
+        ISSUE_CODES.MISSING_REFERENCE,
+        `Instance ${id} references non-existent symbol ${instance.symbol}`,
+        target
+      );
+    }
+
+    validateInstancePlacement(id, instance, symbol, doc, report);
+
+    if (instance.props !== undefined && instance.props !== null) {
+      if (!isObject(instance.props)) {
+        report.error(
+          `${path}.props`,
+          ISSUE_CODES.INVALID_TYPE,
+          `Instance ${id} props must be an object`,
+          target
+        );
+      } else if (
+        instance.props.width !== undefined &&
+        (!isFiniteNumber(instance.props.width) || instance.props.width <= 0)
+      ) {
+        report.error(
+          `${path}.props.width`,
+          ISSUE_CODES.INVALID_VALUE,
+          `Instance ${id} width must be a positive number`,
+          target
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Validate a floor plan document against the schema
+ * @param {Object} doc - Floor plan document (see DATA_FORMAT.md)
+ * @returns {Array<{path: string, code: string, severity: string, message: string, target: Object | null}>}
+ */
+export const validateDocument = (doc) => {
+  const report = createIssueList();
+
+  if (!isObject(doc)) {
+    report.error(
+      "",
+      ISSUE_CODES.INVALID_TYPE,
+      "Document must be a JSON object"
+    );
+    return report.issues;
+  }
+
+  validateRoot(doc, report);
+
+  const vertices = getCollection(doc, "vertices", report, true);
+  const walls = getCollection(doc, "walls", report, true);
+  const rooms = getCollection(doc, "rooms", report, false);
+  const symbols = getCollection(doc, "symbols", report, false);
+  const instances = getCollection(doc, "instances", report, false);
+
+  if (vertices) validateVertices(vertices, report);
+  if (walls) validateWalls(walls, vertices || {}, report);
+  if (rooms) validateRooms(rooms, vertices || {}, walls || {}, report);
+  if (symbols) validateSymbols(symbols, report);
+  if (instances) validateInstances(instances, doc, report);
+
+  return report.issues;
+};
+
+/**
+ * Format an issue as a single line ("path: message")
+ * @param {Object} issue - Validation issue
+ * @returns {string}
+ */
+export const formatIssue = (issue) => {
+  return issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+};
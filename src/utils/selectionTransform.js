@@ -0,0 +1,260 @@
+/**
+ * Selection transform utilities for MiniCAD
+ * Move, rotate, scale and mirror a mixed selection
+ *
+ * Transforms act on the unique vertices under the selection, so a vertex
+ * shared by several selected walls/rooms moves once. Wall-anchored instances
+ * follow their wall: their offset scales with it and is clamped to its new
+ * length. Free instances move with the selection and keep their size
+ * (symbols are not scaled). Mirrored walls swap left/right justification
+ * so their body stays on the mirrored side
+ */
+
+import { TRANSFORM_TYPES, WALL_JUSTIFICATIONS } from "./constants";
+import {
+  distance,
+  getBoundingBox,
+  mirrorPoint,
+  rotatePoint,
+  scalePoint,
+  translatePoint,
+} from "./geometry";
+
+/**
+ * Normalize an angle to [0, 360)
+ * @param {number} angle - Angle in degrees
+ * @returns {number} Normalized angle
+ */
+const normalizeDegrees = (angle) => ((angle % 360) + 360) % 360;
+
+/**
+ * Drop floating-point noise (e.g. 1e-14 after a 90° rotation)
+ * @param {[number, number]} point - Point
+ * @returns {[number, number]} Point rounded to 1e-6 mm (+ 0 turns -0 into 0)
+ */
+const cleanPoint = (point) =>
+  point.map((value) => Math.round(value * 1e6) / 1e6 + 0);
+
+/**
+ * Get the unique vertices under a selection
+ * @param {Array<{type: string, id: string}>} selection - Selected objects
+ * @param {Object} state - Editor state (vertices, walls, rooms)
+ * @returns {string[]} Vertex IDs
+ */
+export const getSelectionVertexIds = (selection, state) => {
+  const vertexIds = new Set();
+
+  for (const { type, id } of selection) {
+    if (type === "vertex") {
+      vertexIds.add(id);
+    } else if (type === "wall" && state.walls[id]) {
+      vertexIds.add(state.walls[id].vStart);
+      vertexIds.add(state.walls[id].vEnd);
+    } else if (type === "room" && state.rooms[id]) {
+      (state.rooms[id].vertices || []).forEach((vId) => vertexIds.add(vId));
+    }
+  }
+
+  return Array.from(vertexIds).filter((id) => state.vertices[id]);
+};
+
+/**
+ * Get the selected free instances (wall-anchored ones follow their wall)
+ * @param {Array<{type: string, id: string}>} selection - Selected objects
+ * @param {Object} state - Editor state (instances)
+ * @returns {string[]} Instance IDs
+ */
+export const getSelectionFreeInstanceIds = (selection, state) => {
+  return selection
+    .filter(
+      ({ type, id }) =>
+        type === "instance" &&
+        state.instances[id]?.transform &&
+        !state.instances[id].constraint
+    )
+    .map(({ id }) => id);
+};
+
+/**
+ * Get the bounding box of what a transform moves
+ * @param {Array<{type: string, id: string}>} selection - Selected objects
+ * @param {Object} state - Editor state
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number, center: [number, number]} | null}
+ *   Bounds or null if nothing in the selection can be transformed
+ */
+export const getSelectionBounds = (selection, state) => {
+  const points = [
+    ...getSelectionVertexIds(selection, state).map((id) => [
+      state.vertices[id].x,
+      state.vertices[id].y,
+    ]),
+    ...getSelectionFreeInstanceIds(selection, state).map(
+      (id) => state.instances[id].transform.position
+    ),
+  ];
+  if (points.length === 0) {
+    return null;
+  }
+
+  const box = getBoundingBox(points);
+  return {
+    ...box,
+    center: [(box.minX + box.maxX) / 2, (box.minY + box.maxY) / 2],
+  };
+};
+
+/**
+ * Apply a transform to a point
+ * @param {[number, number]} point - Point
+ * @param {Object} transform - { type, ... } (see TRANSFORM_TYPES)
+ * @returns {[number, number]} Transformed point
+ */
+export const transformPoint = (point, transform) => {
+  switch (transform.type) {
+    case TRANSFORM_TYPES.MOVE:
+      return translatePoint(point, transform.delta);
+    case TRANSFORM_TYPES.ROTATE:
+      return rotatePoint(
+        point,
+        (transform.angle * Math.PI) / 180,
+        transform.pivot
+      );
+    case TRANSFORM_TYPES.SCALE:
+      return scalePoint(point, transform.factor, transform.pivot);
+    case TRANSFORM_TYPES.MIRROR:
+      return mirrorPoint(
+        point,
+        (transform.angle * Math.PI) / 180,
+        transform.pivot
+      );
+    default:
+      throw new Error(`Unknown transform type "${transform.type}"`);
+  }
+};
+
+/**
+ * Apply a transform to a free instance rotation
+ * Mirroring reflects the facing direction (symbols themselves are not flipped)
+ * @param {number} rotation - Rotation in degrees
+ * @param {Object} transform - { type, ... } (see TRANSFORM_TYPES)
+ * @returns {number} Rotation in degrees [0, 360)
+ */
+export const transformRotation = (rotation, transform) => {
+  switch (transform.type) {
+    case TRANSFORM_TYPES.ROTATE:
+      return normalizeDegrees(rotation + transform.angle);
+    case TRANSFORM_TYPES.MIRROR:
+      return normalizeDegrees(2 * transform.angle - rotation);
+    default:
+      return rotation;
+  }
+};
+
+/**
+ * Check whether a transform leaves everything in place
+ * @param {Object} transform - { type, ... } (see TRANSFORM_TYPES)
+ * @returns {boolean} True for a no-op
+ */
+export const isIdentityTransform = (transform) => {
+  switch (transform.type) {
+    case TRANSFORM_TYPES.MOVE:
+      return transform.delta[0] === 0 && transform.delta[1] === 0;
+    case TRANSFORM_TYPES.ROTATE:
+      return normalizeDegrees(transform.angle) === 0;
+    case TRANSFORM_TYPES.SCALE:
+      return transform.factor === 1;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Compute the vertex and instance data a transform changes
+ * @param {Object} state - Editor state (vertices, walls, rooms, instances)
+ * @param {Array<{type: string, id: string}>} selection - Selected objects
+ * @param {Object} transform - { type, ... } (see TRANSFORM_TYPES)
+ * @returns {{
+ *   before: {vertices: Object, walls: Object, instances: Object},
+ *   after: {vertices: Object, walls: Object, instances: Object}
+ * }} Old and new data of the changed vertices, walls and instances
+ */
+export const computeSelectionTransform = (state, selection, transform) => {
+  const before = { vertices: {}, walls: {}, instances: {} };
+  const after = { vertices: {}, walls: {}, instances: {} };
+
+  const vertexIds = new Set(getSelectionVertexIds(selection, state));
+  for (const id of vertexIds) {
+    const vertex = state.vertices[id];
+    const [x, y] = cleanPoint(transformPoint([vertex.x, vertex.y], transform));
+
+    before.vertices[id] = vertex;
+    after.vertices[id] = { ...vertex, x, y };
+  }
+
+  for (const id of getSelectionFreeInstanceIds(selection, state)) {
+    const instance = state.instances[id];
+    const { position, rotation = 0 } = instance.transform;
+
+    before.instances[id] = instance;
+    after.instances[id] = {
+      ...instance,
+      transform: {
+        ...instance.transform,
+        position: cleanPoint(transformPoint(position, transform)),
+        rotation: transformRotation(rotation, transform),
+      },
+    };
+  }
+
+  // Wall-anchored instances: the offset scales with a wall scaled as a
+  // whole, and stays within walls whose length changed
+  const getPosition = (id) => {
+    const vertex = after.vertices[id] || state.vertices[id];
+    return [vertex.x, vertex.y];
+  };
+  for (const [id, instance] of Object.entries(state.instances || {})) {
+    const { attachTo, offsetFromStart } = instance.constraint || {};
+    const wall = attachTo?.kind === "wall" && state.walls[attachTo.id];
+    if (!wall || typeof offsetFromStart !== "number") continue;
+
+    const isStartMoved = vertexIds.has(wall.vStart);
+    const isEndMoved = vertexIds.has(wall.vEnd);
+    if (!isStartMoved && !isEndMoved) continue;
+
+    const isScaled =
+      transform.type === TRANSFORM_TYPES.SCALE && isStartMoved && isEndMoved;
+    const length = distance(getPosition(wall.vStart), getPosition(wall.vEnd));
+    const offset = Math.min(
+      Math.max(
+        isScaled ? offsetFromStart * transform.factor : offsetFromStart,
+        0
+      ),
+      length
+    );
+    if (offset === offsetFromStart) continue;
+
+    before.instances[id] = instance;
+    after.instances[id] = {
+      ...instance,
+      constraint: { ...instance.constraint, offsetFromStart: offset },
+    };
+  }
+
+  // Walls mirrored as a whole keep their direction, so their sides swap
+  if (transform.type === TRANSFORM_TYPES.MIRROR) {
+    const swapped = {
+      [WALL_JUSTIFICATIONS.LEFT]: WALL_JUSTIFICATIONS.RIGHT,
+      [WALL_JUSTIFICATIONS.RIGHT]: WALL_JUSTIFICATIONS.LEFT,
+    };
+    for (const [id, wall] of Object.entries(state.walls)) {
+      const justification = swapped[wall.justification];
+      if (!justification) continue;
+      if (!vertexIds.has(wall.vStart) || !vertexIds.has(wall.vEnd)) continue;
+
+      before.walls[id] = wall;
+      after.walls[id] = { ...wall, justification };
+    }
+  }
+
+  return { before, after };
+};
@@ -0,0 +1,73 @@
+/**
+ * Selection transform tests on the sample apartment (8m x 6m, walls w1-w4
+ * around it, w5-w7 inside)
+ */
+
+import { describe, expect, it } from "vitest";
+import { computeSelectionTransform } from "./selectionTransform";
+import { TRANSFORM_TYPES } from "./constants";
+import { calculateWallLength } from "./instanceUtils";
+import { sampleFloorPlan3 } from "./sampleData3";
+
+const state = sampleFloorPlan3;
+const allWalls = Object.keys(state.walls).map((id) => ({ type: "wall", id }));
+
+/**
+ * Apply the "after" data of a transform to the sample
+ * @param {Object} transform - { type, ... } (see TRANSFORM_TYPES)
+ * @returns {Object} Transformed vertices, walls and instances
+ */
+const applyTransform = (transform) => {
+  const { after } = computeSelectionTransform(state, allWalls, transform);
+  return {
+    vertices: { ...state.vertices, ...after.vertices },
+    walls: { ...state.walls, ...after.walls },
+    instances: { ...state.instances, ...after.instances },
+  };
+};
+
+describe("computeSelectionTransform", () => {
+  it("scales wall-anchored offsets with their wall", () => {
+    const { instances } = applyTransform({
+      type: TRANSFORM_TYPES.SCALE,
+      pivot: [0, 0],
+      factor: 0.5,
+    });
+
+    expect(instances.d1.constraint.offsetFromStart).toBe(750);
+    for (const [id, instance] of Object.entries(state.instances)) {
+      if (instance.constraint?.attachTo?.kind !== "wall") continue;
+      expect(instances[id].constraint.offsetFromStart).toBe(
+        instance.constraint.offsetFromStart * 0.5
+      );
+    }
+  });
+
+  it("keeps wall-anchored instances on their wall", () => {
+    const result = applyTransform({
+      type: TRANSFORM_TYPES.SCALE,
+      pivot: [0, 0],
+      factor: 0.5,
+    });
+
+    for (const instance of Object.values(result.instances)) {
+      const { attachTo, offsetFromStart } = instance.constraint || {};
+      if (attachTo?.kind !== "wall") continue;
+      const wall = result.walls[attachTo.id];
+      expect(offsetFromStart).toBeGreaterThanOrEqual(0);
+      expect(offsetFromStart).toBeLessThanOrEqual(
+        calculateWallLength(wall, result.vertices)
+      );
+    }
+  });
+
+  it("leaves offsets alone when walls keep their length", () => {
+    const { after } = computeSelectionTransform(state, allWalls, {
+      type: TRANSFORM_TYPES.ROTATE,
+      pivot: [4000, 3000],
+      angle: 90,
+    });
+
+    expect(after.instances).toEqual({});
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Shape utilities for MiniCAD
+ * Outlines drawn by the shape tools (rectangle, rotated rectangle, regular
+ * polygon, circle) from the points picked on the canvas
+ *
+ * Outlines run clockwise on screen (see calculateSignedArea), so wall
+ * justification puts the same face on the outline for every shape
+ */
+
+import { TOOLS } from "./constants";
+import { calculateSignedArea, distance } from "./geometry";
+
+// Shape tools: name (command labels) and what each picked point is,
+// the last point ends the shape
+export const SHAPE_TOOLS = {
+  [TOOLS.DRAW_RECTANGLE]: {
+    name: "rectangle",
+    steps: ["Click or drag from a corner", "Click the opposite corner"],
+  },
+  [TOOLS.DRAW_ROTATED_RECTANGLE]: {
+    name: "rectangle",
+    steps: [
+      "Click the start of the base edge",
+      "Click the end of the base edge",
+      "Click the far side",
+    ],
+  },
+  [TOOLS.DRAW_POLYGON]: {
+    name: "polygon",
+    steps: ["Click or drag from the center", "Click a corner"],
+  },
+  [TOOLS.DRAW_CIRCLE]: {
+    name: "circle",
+    steps: ["Click or drag from the center", "Click a point on the circle"],
+  },
+};
+
+/**
+ * Check whether a tool is one of the shape tools
+ * @param {string} tool - TOOLS value
+ * @returns {boolean} True for the shape tools
+ */
+export const isShapeTool = (tool) => tool in SHAPE_TOOLS;
+
+/**
+ * Get how many points a shape tool picks
+ * @param {string} tool - Shape tool (TOOLS value)
+ * @returns {number} Point count
+ */
+export const getShapePointCount = (tool) => SHAPE_TOOLS[tool].steps.length;
+
+/**
+ * Make an outline run clockwise on screen
+ * @param {Array<[number, number]>} polygon - Outline
+ * @returns {Array<[number, number]>} Clockwise outline
+ */
+const toClockwise = (polygon) =>
+  calculateSignedArea(polygon) < 0 ? [...polygon].reverse() : polygon;
+
+/**
+ * Axis-aligned rectangle from two opposite corners
+ * @param {[number, number]} a - First corner
+ * @param {[number, number]} b - Opposite corner
+ * @returns {Array<[number, number]>} Corners
+ */
+export const getRectanglePoints = (a, b) =>
+  toClockwise([a, [b[0], a[1]], b, [a[0], b[1]]]);
+
+/**
+ * Rectangle on a base edge, as deep as a third point is from its line
+ * @param {[number, number]} a - Start of the base edge
+ * @param {[number, number]} b - End of the base edge
+ * @param {[number, number]} c - Point on the far side
+ * @returns {Array<[number, number]>} Corners (degenerate if a = b)
+ */
+export const getRotatedRectanglePoints = (a, b, c) => {
+  const length = distance(a, b);
+  if (length === 0) return [a, b, c, a];
+
+  // Unit normal of the base edge and the signed depth along it
+  const normal = [-(b[1] - a[1]) / length, (b[0] - a[0]) / length];
+  const depth = (c[0] - a[0]) * normal[0] + (c[1] - a[1]) * normal[1];
+  const offset = [normal[0] * depth, normal[1] * depth];
+
+  return toClockwise([
+    a,
+    b,
+    [b[0] + offset[0], b[1] + offset[1]],
+    [a[0] + offset[0], a[1] + offset[1]],
+  ]);
+};
+
+/**
+ * Regular polygon around a center, with one corner on a given point
+ * @param {[number, number]} center - Center
+ * @param {[number, number]} corner - First corner (sets radius and rotation)
+ * @param {number} sides - Number of sides
+ * @returns {Array<[number, number]>} Corners
+ */
+export const getRegularPolygonPoints = (center, corner, sides) => {
+  const radius = distance(center, corner);
+  const start = Math.atan2(corner[1] - center[1], corner[0] - center[0]);
+
+  // Increasing angles run clockwise on screen (world Y points down)
+  return Array.from({ length: sides }, (_, i) => {
+    const angle = start + (2 * Math.PI * i) / sides;
+    return [
+      center[0] + radius * Math.cos(angle),
+      center[1] + radius * Math.sin(angle),
+    ];
+  });
+};
+
+/**
+ * Outline of the shape a tool draws through picked points
+ * @param {string} tool - Shape tool (TOOLS value)
+ * @param {Array<[number, number]>} points - Picked points (see getShapePointCount)
+ * @param {{sides: number, segments: number}} settings - Shape settings
+ * @returns {Array<[number, number]> | null} Outline, or null if it has no area
+ */
+export const getShapePoints = (tool, points, settings) => {
+  if (!isShapeTool(tool) || points.length < getShapePointCount(tool)) {
+    return null;
+  }
+
+  let outline;
+  switch (tool) {
+    case TOOLS.DRAW_RECTANGLE:
+      outline = getRectanglePoints(points[0], points[1]);
+      break;
+    case TOOLS.DRAW_ROTATED_RECTANGLE:
+      outline = getRotatedRectanglePoints(points[0], points[1], points[2]);
+      break;
+    case TOOLS.DRAW_POLYGON:
+      outline = getRegularPolygonPoints(points[0], points[1], settings.sides);
+      break;
+    case TOOLS.DRAW_CIRCLE:
+      // Corners on the circle, starting at the picked point
+      outline = getRegularPolygonPoints(
+        points[0],
+        points[1],
+        settings.segments
+      );
+      break;
+    default:
+      return null;
+  }
+
+  return Math.abs(calculateSignedArea(outline)) > 0 ? outline : null;
+};
+
+/**
+ * Parse a number typed by the user (empty text is not a number)
+ * @param {string} text - Raw text
+ * @returns {number} Parsed number or NaN
+ */
+const parseNumber = (text) => {
+  const trimmed = text.trim();
+  return trimmed === "" ? NaN : Number(trimmed);
+};
+
+/**
+ * Get the typed size a shape tool asks for next
+ * @param {string} tool - Shape tool (TOOLS value)
+ * @param {number} pointCount - Points picked so far
+ * @returns {string | null} Placeholder for the size, or null if the next
+ *   point is typed as a coordinate (see parseDimensionInput)
+ */
+export const getShapeSizePrompt = (tool, pointCount) => {
+  if (!isShapeTool(tool) || pointCount !== getShapePointCount(tool) - 1) {
+    return null;
+  }
+
+  switch (tool) {
+    case TOOLS.DRAW_RECTANGLE:
+      return "width,height (mm)";
+    case TOOLS.DRAW_ROTATED_RECTANGLE:
+      return "depth (mm)";
+    default:
+      return "radius (mm)";
+  }
+};
+
+/**
+ * Resolve a typed size to the last point of a shape
+ * Sizes go toward the cursor (negative: the other way):
+ * - Rectangle "4000,3000" (or "4000x3000"): width along X, height along Y
+ * - Rotated rectangle "3000": depth from the base edge
+ * - Polygon / circle "2000": radius, first corner toward the cursor
+ * @param {string} tool - Shape tool (TOOLS value)
+ * @param {string} text - Typed text
+ * @param {Array<[number, number]>} points - Points picked so far
+ * @param {[number, number] | null} cursorPoint - Cursor (direction of the size)
+ * @returns {{point: [number, number] | null, error: string | null}} Last point or error message
+ */
+export const parseShapeSize = (tool, text, points, cursorPoint) => {
+  const input = text.trim();
+  const origin = points[0];
+  const cursor = cursorPoint || origin;
+
+  if (tool === TOOLS.DRAW_RECTANGLE) {
+    const size = input.split(/[,x×]/i).map(parseNumber);
+    if (size.length !== 2 || !size.every(Number.isFinite)) {
+      return { point: null, error: `Invalid width,height "${input}"` };
+    }
+    if (size[0] === 0 || size[1] === 0) {
+      return { point: null, error: "Width and height must not be zero" };
+    }
+
+    const signX = Math.sign(cursor[0] - origin[0]) || 1;
+    const signY = Math.sign(cursor[1] - origin[1]) || 1;
+    return {
+      point: [origin[0] + signX * size[0], origin[1] + signY * size[1]],
+      error: null,
+    };
+  }
+
+  const value = parseNumber(input);
+  if (!Number.isFinite(value)) {
+    return { point: null, error: `Invalid size "${input}"` };
+  }
+  if (value === 0) {
+    return { point: null, error: "Size must not be zero" };
+  }
+
+  if (tool === TOOLS.DRAW_ROTATED_RECTANGLE) {
+    const [a, b] = points;
+    const length = distance(a, b);
+    if (length === 0) {
+      return { point: null, error: "The base edge has no length" };
+    }
+
+    const normal = [-(b[1] - a[1]) / length, (b[0] - a[0]) / length];
+    const side =
+      Math.sign(
+        (cursor[0] - a[0]) * normal[0] + (cursor[1] - a[1]) * normal[1]
+      ) || 1;
+    return {
+      point: [b[0] + normal[0] * side * value, b[1] + normal[1] * side * value],
+      error: null,
+    };
+  }
+
+  // Polygon / circle: +X when the cursor is on the center
+  const reach = distance(origin, cursor);
+  const direction =
+    reach > 0
+      ? [(cursor[0] - origin[0]) / reach, (cursor[1] - origin[1]) / reach]
+      : [1, 0];
+  return {
+    point: [origin[0] + direction[0] * value, origin[1] + direction[1] * value],
+    error: null,
+  };
+};
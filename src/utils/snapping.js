@@ -1,6 +1,7 @@
 /**
  * Snapping utilities for MiniCAD
- * Handles endpoint, midpoint, intersection, and perpendicular snapping
+ * Handles endpoint, midpoint, intersection, perpendicular and grid snapping
+ * on the graph data model (vertices, walls, rooms)
  */
 
 import {
@@ -9,13 +10,63 @@ import {
   lineIntersection,
   closestPointOnLine,
 } from "./geometry";
-import { SNAP_THRESHOLD, SNAP_TYPES } from "./constants";
+import {
+  SNAP_THRESHOLD,
+  SNAP_TYPES,
+  SNAP_PRIORITY,
+  GRID_SPACING,
+} from "./constants";
+
+/**
+ * Collect the line segments of walls and room edges
+ * @param {Object} state - Editor state (vertices, walls, rooms)
+ * @param {Array<string>} excludeVertexIds - Skip segments touching these vertices
+ * @returns {Array<{start, end, entityType, entityId}>} Segments
+ */
+export const getSnapSegments = (state, excludeVertexIds = []) => {
+  const { vertices, walls = {}, rooms = {} } = state;
+  const excluded = new Set(excludeVertexIds);
+  const segments = [];
+
+  const addSegment = (v1Id, v2Id, entityType, entityId) => {
+    if (excluded.has(v1Id) || excluded.has(v2Id)) return;
+
+    const v1 = vertices[v1Id];
+    const v2 = vertices[v2Id];
+    if (!v1 || !v2) return;
+
+    segments.push({
+      start: [v1.x, v1.y],
+      end: [v2.x, v2.y],
+      entityType,
+      entityId,
+    });
+  };
+
+  // From walls
+  for (const [wallId, wall] of Object.entries(walls)) {
+    addSegment(wall.vStart, wall.vEnd, "wall", wallId);
+  }
+
+  // From room edges
+  for (const [roomId, room] of Object.entries(rooms)) {
+    const ids = room.vertices || [];
+    if (ids.length < 2) continue;
+
+    for (let i = 0; i < ids.length; i++) {
+      addSegment(ids[i], ids[(i + 1) % ids.length], "room", roomId);
+    }
+  }
+
+  return segments;
+};
 
 /**
- * Find the closest snap point near the mouse position
+ * Find the best snap target near the mouse position
+ * Targets of a higher priority type win over closer targets of lower priority
  * @param {[number, number]} mousePos - Current mouse position (world coords)
  * @param {Array} snapTargets - Array of snap target objects
- * @param {number} threshold - Snap threshold in world units (default from constants)
+ * @param {number} threshold - Snap threshold in world units
  * @returns {Object | null} Snap point object or null
  */
 export const findSnapPoint = (
@@ -24,12 +75,16 @@ export const findSnapPoint = (
   threshold = SNAP_THRESHOLD
 ) => {
   let closestSnap = null;
+  let closestRank = Infinity;
   let minDistance = Infinity;
 
   for (const target of snapTargets) {
     const dist = distance(mousePos, target.point);
+    if (dist >= threshold) continue;
 
-    if (dist < threshold && dist < minDistance) {
+    const rank = SNAP_PRIORITY.indexOf(target.type);
+    if (rank < closestRank || (rank === closestRank && dist < minDistance)) {
+      closestRank = rank;
       minDistance = dist;
       closestSnap = target;
     }
@@ -39,96 +94,38 @@ export const findSnapPoint = (
 };
 
 /**
- * Generate all snap targets from rooms, walls, and openings
- * @param {Array} rooms - Room objects
- * @param {Array} walls - Wall objects
- * @param {Array} openings - Opening objects
+ * Generate snap targets from vertices, walls and room edges
+ * @param {Object} state - Editor state (vertices, walls, rooms)
  * @param {Object} options - Options for snap generation
  * @returns {Array} Array of snap target objects
  */
-export const generateSnapTargets = (rooms, walls, openings, options = {}) => {
+export const generateSnapTargets = (state, options = {}) => {
   const {
     includeEndpoints = true,
     includeMidpoints = true,
     includeIntersections = true,
+    excludeVertexIds = [],
   } = options;
 
   const targets = [];
+  const segments = getSnapSegments(state, excludeVertexIds);
 
-  // Collect all line segments
-  const segments = [];
-
-  // From rooms
-  if (rooms && rooms.length > 0) {
-    rooms.forEach((room) => {
-      if (!room.polygon || room.polygon.length < 2) return;
-
-      const polygon = room.polygon;
-      for (let i = 0; i < polygon.length; i++) {
-        const start = polygon[i];
-        const end = polygon[(i + 1) % polygon.length];
-        segments.push({
-          start,
-          end,
-          entityType: "room",
-          entityId: room.id,
-        });
-      }
-    });
-  }
-
-  // From walls
-  if (walls && walls.length > 0) {
-    walls.forEach((wall) => {
-      if (!wall.polyline || wall.polyline.length < 2) return;
-
-      const polyline = wall.polyline;
-      for (let i = 0; i < polyline.length - 1; i++) {
-        const start = polyline[i];
-        const end = polyline[i + 1];
-        segments.push({
-          start,
-          end,
-          entityType: "wall",
-          entityId: wall.id,
-        });
-      }
-    });
-  }
-
-  // Generate endpoints
+  // Endpoints: every vertex (shared by walls and rooms)
   if (includeEndpoints) {
-    segments.forEach((segment) => {
-      targets.push({
-        type: SNAP_TYPES.ENDPOINT,
-        point: segment.start,
-        entityType: segment.entityType,
-        entityId: segment.entityId,
-      });
+    const excluded = new Set(excludeVertexIds);
+    for (const [vertexId, vertex] of Object.entries(state.vertices)) {
+      if (excluded.has(vertexId)) continue;
 
       targets.push({
         type: SNAP_TYPES.ENDPOINT,
-        point: segment.end,
-        entityType: segment.entityType,
-        entityId: segment.entityId,
+        point: [vertex.x, vertex.y],
+        entityType: "vertex",
+        entityId: vertexId,
       });
-    });
-  }
-
-  // Generate midpoints
-  if (includeMidpoints) {
-    segments.forEach((segment) => {
-      const mid = midpoint(segment.start, segment.end);
-      targets.push({
-        type: SNAP_TYPES.MIDPOINT,
-        point: mid,
-        entityType: segment.entityType,
-        entityId: segment.entityId,
-      });
-    });
+    }
   }
 
-  // Generate intersections
+  // Generate intersections (crossings only: shared endpoints are endpoints)
   if (includeIntersections) {
     for (let i = 0; i < segments.length; i++) {
       for (let j = i + 1; j < segments.length; j++) {
@@ -142,7 +139,12 @@ export const generateSnapTargets = (rooms, walls, openings, options = {}) => {
           seg2.end
         );
 
-        if (intersection) {
+        if (
+          intersection &&
+          ![seg1.start, seg1.end, seg2.start, seg2.end].some(
+            (end) => distance(end, intersection) < 1
+          )
+        ) {
           targets.push({
             type: SNAP_TYPES.INTERSECTION,
             point: intersection,
@@ -154,90 +156,57 @@ export const generateSnapTargets = (rooms, walls, openings, options = {}) => {
     }
   }
 
-  // Add opening positions
-  if (openings && openings.length > 0) {
-    openings.forEach((opening) => {
-      if (opening.at) {
-        targets.push({
-          type: SNAP_TYPES.ENDPOINT,
-          point: opening.at,
-          entityType: "opening",
-          entityId: opening.id,
-        });
-      }
+  // Generate midpoints
+  if (includeMidpoints) {
+    segments.forEach((segment) => {
+      targets.push({
+        type: SNAP_TYPES.MIDPOINT,
+        point: midpoint(segment.start, segment.end),
+        entityType: segment.entityType,
+        entityId: segment.entityId,
+      });
     });
   }
 
-  return targets;
+  // Coincident targets keep the higher priority type (pushed first)
+  return deduplicateSnapTargets(targets);
 };
 
 /**
- * Find snap point on nearest line segment (perpendicular snap)
+ * Find the foot of the perpendicular from a point onto a nearby segment
  * @param {[number, number]} mousePos - Current mouse position
- * @param {Array} rooms - Room objects
- * @param {Array} walls - Wall objects
+ * @param {[number, number]} fromPoint - Point the perpendicular is drawn from (previous point)
+ * @param {Array} segments - Segments from getSnapSegments
  * @param {number} threshold - Snap threshold
  * @returns {Object | null} Snap point object or null
  */
 export const findPerpendicularSnap = (
   mousePos,
-  rooms,
-  walls,
+  fromPoint,
+  segments,
   threshold = SNAP_THRESHOLD
 ) => {
   let closestSnap = null;
   let minDistance = Infinity;
 
-  const segments = [];
-
-  // Collect segments from rooms
-  if (rooms) {
-    rooms.forEach((room) => {
-      if (!room.polygon || room.polygon.length < 2) return;
-
-      const polygon = room.polygon;
-      for (let i = 0; i < polygon.length; i++) {
-        const start = polygon[i];
-        const end = polygon[(i + 1) % polygon.length];
-        segments.push({
-          start,
-          end,
-          entityType: "room",
-          entityId: room.id,
-        });
-      }
-    });
-  }
-
-  // Collect segments from walls
-  if (walls) {
-    walls.forEach((wall) => {
-      if (!wall.polyline || wall.polyline.length < 2) return;
-
-      const polyline = wall.polyline;
-      for (let i = 0; i < polyline.length - 1; i++) {
-        const start = polyline[i];
-        const end = polyline[i + 1];
-        segments.push({
-          start,
-          end,
-          entityType: "wall",
-          entityId: wall.id,
-        });
-      }
-    });
-  }
-
-  // Find closest point on any segment
   segments.forEach((segment) => {
-    const closestPt = closestPointOnLine(mousePos, segment.start, segment.end);
-    const dist = distance(mousePos, closestPt);
+    const foot = closestPointOnLine(fromPoint, segment.start, segment.end);
+
+    // Foot clamped to a segment end is not a perpendicular
+    if (
+      distance(foot, segment.start) < 1 ||
+      distance(foot, segment.end) < 1 ||
+      distance(foot, fromPoint) < 1
+    ) {
+      return;
+    }
 
+    const dist = distance(mousePos, foot);
     if (dist < threshold && dist < minDistance) {
       minDistance = dist;
       closestSnap = {
         type: SNAP_TYPES.PERPENDICULAR,
-        point: closestPt,
+        point: foot,
         entityType: segment.entityType,
         entityId: segment.entityId,
       };
@@ -287,6 +256,56 @@ export const snapToGrid = (point, gridSize) => {
   ];
 };
 
+/**
+ * Find the snap for a cursor position using the enabled snap types
+ * Object snaps (in SNAP_PRIORITY order) win over the grid, which always applies
+ * @param {[number, number]} mousePos - Cursor position (world coords)
+ * @param {Object} options
+ * @param {Array} options.targets - Targets from generateSnapTargets
+ * @param {Array} options.segments - Segments from getSnapSegments (for perpendicular)
+ * @param {Object} options.settings - Enabled snap types { endpoint: true, ... }
+ * @param {number} options.threshold - Snap threshold in world units
+ * @param {[number, number] | null} options.fromPoint - Previous point (for perpendicular)
+ * @param {number} options.gridSize - Grid spacing
+ * @returns {{type: string, point: [number, number]} | null} Snap or null
+ */
+export const findSnap = (
+  mousePos,
+  {
+    targets = [],
+    segments = [],
+    settings,
+    threshold = SNAP_THRESHOLD,
+    fromPoint = null,
+    gridSize = GRID_SPACING,
+  }
+) => {
+  const candidates = targets.filter((target) => settings[target.type]);
+
+  if (settings[SNAP_TYPES.PERPENDICULAR] && fromPoint) {
+    const perpendicular = findPerpendicularSnap(
+      mousePos,
+      fromPoint,
+      segments,
+      threshold
+    );
+    if (perpendicular) {
+      candidates.push(perpendicular);
+    }
+  }
+
+  const snap = findSnapPoint(mousePos, candidates, threshold);
+  if (snap) {
+    return snap;
+  }
+
+  if (settings[SNAP_TYPES.GRID]) {
+    return { type: SNAP_TYPES.GRID, point: snapToGrid(mousePos, gridSize) };
+  }
+
+  return null;
+};
+
 /**
  * Apply snap to a point if snap point exists, otherwise return original
  * @param {[number, number]} point - Original point
@@ -0,0 +1,159 @@
+/**
+ * Wall editing utilities for MiniCAD
+ * Where the Trim, Extend and Split tools cut or reach a wall
+ */
+
+import {
+  closestPointOnLine,
+  distance,
+  lineIntersection,
+  lineIntersectionInfinite,
+  pointToLineDistance,
+} from "./geometry";
+import { getWallOpenings } from "./wallGeometry";
+
+const ON_WALL_TOLERANCE = 1; // mm: rounding slack when a point must lie on a wall
+
+/**
+ * Get the end points of a wall
+ * @param {Object} wall - Wall object
+ * @param {Object} vertices - Vertices lookup
+ * @returns {[[number, number], [number, number]] | null} [start, end], or null if a vertex is missing
+ */
+const getWallPoints = (wall, vertices) => {
+  const a = vertices[wall?.vStart];
+  const b = vertices[wall?.vEnd];
+  return a && b
+    ? [
+        [a.x, a.y],
+        [b.x, b.y],
+      ]
+    : null;
+};
+
+/**
+ * Get the offset of a point along a segment, as a fraction of its length
+ * @param {[number, number]} point - Point
+ * @param {[number, number]} start - Segment start
+ * @param {[number, number]} end - Segment end
+ * @returns {number} 0 at the start, 1 at the end
+ */
+const getSegmentParam = (point, start, end) => {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  return (
+    ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) /
+    (dx * dx + dy * dy)
+  );
+};
+
+/**
+ * Get the wall end closest to a point
+ * @param {Object} wall - Wall object
+ * @param {Object} vertices - Vertices lookup
+ * @param {[number, number]} point - Point (e.g. the click)
+ * @returns {"vStart" | "vEnd"} End field name
+ */
+export const getNearestWallEnd = (wall, vertices, point) => {
+  const [start, end] = getWallPoints(wall, vertices);
+  return distance(point, start) <= distance(point, end) ? "vStart" : "vEnd";
+};
+
+/**
+ * Find where a wall end reaches a boundary wall when extended
+ * The wall keeps its direction; the boundary is taken as drawn (not extended)
+ * @param {Object} state - Editor state (vertices, walls)
+ * @param {string} wallId - Wall to extend
+ * @param {"vStart" | "vEnd"} end - End to extend
+ * @param {string} boundaryId - Wall to extend to
+ * @returns {[number, number] | null} New end point, or null if the wall
+ *   does not point at the boundary
+ */
+export const getExtendPoint = (state, wallId, end, boundaryId) => {
+  if (wallId === boundaryId) return null;
+
+  const points = getWallPoints(state.walls[wallId], state.vertices);
+  const boundary = getWallPoints(state.walls[boundaryId], state.vertices);
+  if (!points || !boundary) return null;
+
+  const [from, to] = end === "vEnd" ? points : [points[1], points[0]];
+  const point = lineIntersectionInfinite(from, to, boundary[0], boundary[1]);
+  if (!point) return null;
+
+  // Past the end (not back along the wall) and on the boundary wall
+  const isAhead = getSegmentParam(point, from, to) > 1;
+  const isOnBoundary =
+    pointToLineDistance(point, boundary[0], boundary[1]) <= ON_WALL_TOLERANCE;
+  if (!isAhead || !isOnBoundary || distance(point, to) < ON_WALL_TOLERANCE) {
+    return null;
+  }
+
+  return point;
+};
+
+/**
+ * Find how a wall is trimmed back to a cutting wall
+ * The part of the wall on the clicked side of the crossing is cut away
+ * @param {Object} state - Editor state (vertices, walls)
+ * @param {string} wallId - Wall to trim
+ * @param {string} cutterId - Wall that cuts it
+ * @param {[number, number]} point - Click on the part to cut away
+ * @returns {{end: "vStart" | "vEnd", point: [number, number]} | null}
+ *   End that moves and where it moves to, or null if the walls don't cross
+ */
+export const getTrimPoint = (state, wallId, cutterId, point) => {
+  if (wallId === cutterId) return null;
+
+  const points = getWallPoints(state.walls[wallId], state.vertices);
+  const cutter = getWallPoints(state.walls[cutterId], state.vertices);
+  if (!points || !cutter) return null;
+
+  const crossing = lineIntersection(points[0], points[1], cutter[0], cutter[1]);
+  if (!crossing) return null;
+
+  // Crossing at an end: nothing to cut away
+  if (
+    distance(crossing, points[0]) < ON_WALL_TOLERANCE ||
+    distance(crossing, points[1]) < ON_WALL_TOLERANCE
+  ) {
+    return null;
+  }
+
+  const clicked = getSegmentParam(point, points[0], points[1]);
+  const cut = getSegmentParam(crossing, points[0], points[1]);
+  return { end: clicked < cut ? "vStart" : "vEnd", point: crossing };
+};
+
+/**
+ * Find where a click splits a wall
+ * Splits near an end or inside a door/window opening are refused
+ * @param {Object} state - Editor state (vertices, walls, instances, symbols)
+ * @param {string} wallId - Wall to split
+ * @param {[number, number]} point - Click (or snapped) point
+ * @param {number} tolerance - Splits closer than this (mm) to an end are refused
+ * @returns {[number, number] | null} Split point on the wall, or null
+ */
+export const getSplitPoint = (state, wallId, point, tolerance) => {
+  const points = getWallPoints(state.walls[wallId], state.vertices);
+  if (!points) return null;
+
+  const split = closestPointOnLine(point, points[0], points[1]);
+  if (
+    distance(split, points[0]) < tolerance ||
+    distance(split, points[1]) < tolerance
+  ) {
+    return null;
+  }
+
+  const offset = distance(split, points[0]);
+  const openings = getWallOpenings(
+    wallId,
+    state.instances || {},
+    state.symbols || {}
+  );
+  if (openings.some(([from, to]) => offset > from && offset < to)) {
+    return null;
+  }
+
+  return split;
+};
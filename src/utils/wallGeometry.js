@@ -0,0 +1,452 @@
+/**
+ * Wall geometry utilities for MiniCAD
+ * Build wall outlines (drawn line + thickness, offset by the justification)
+ * with clean joins at shared vertices, and cut door/window openings into them
+ *
+ * Shared by WallLayer, hit testing and SVG export, so what you see is what
+ * you click and what you export
+ */
+
+import {
+  WALL_DEFAULT_THICKNESS,
+  WALL_EDGE_TOLERANCE,
+  WALL_JUSTIFICATIONS,
+  WALL_MITER_LIMIT,
+} from "./constants";
+import { distance, lineIntersectionInfinite, midpoint } from "./geometry";
+import { findWallAt } from "./wallGraph";
+
+/**
+ * Half the thickness of a wall
+ * @param {Object} wall - Wall object
+ * @returns {number} Half thickness in mm
+ */
+const getHalfThickness = (wall) =>
+  (wall.thickness || WALL_DEFAULT_THICKNESS) / 2;
+
+/**
+ * How far the wall centerline lies from the drawn line (vStart → vEnd)
+ * @param {Object} wall - Wall object
+ * @returns {number} Offset in mm towards the left of the wall direction on
+ *   screen (negative = to the right; 0 for centered walls)
+ */
+export const getWallCenterOffset = (wall) => {
+  switch (wall.justification) {
+    case WALL_JUSTIFICATIONS.LEFT:
+      return -getHalfThickness(wall);
+    case WALL_JUSTIFICATIONS.RIGHT:
+      return getHalfThickness(wall);
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Offset a point sideways from a vertex
+ * @param {Object} vertex - Vertex {x, y}
+ * @param {[number, number]} normal - Unit normal
+ * @param {number} length - Offset
+ * @returns {[number, number]} Point
+ */
+const offsetFrom = (vertex, normal, length) => [
+  vertex.x + normal[0] * length,
+  vertex.y + normal[1] * length,
+];
+
+/**
+ * Collect the wall ends at each vertex, sorted by direction
+ * @param {Object} walls - Walls lookup
+ * @param {Object} vertices - Vertices lookup
+ * @returns {Map<string, Array<{wallId: string, dir: [number, number], angle: number,
+ *   half: number, plus: number, minus: number}>>}
+ *   Ends per vertex ID; dir points from the vertex along the wall, plus/minus
+ *   are the distances from the vertex to the faces on each side
+ */
+const getWallEnds = (walls, vertices) => {
+  const ends = new Map();
+  const addEnd = (vertexId, end) => {
+    if (!ends.has(vertexId)) ends.set(vertexId, []);
+    ends.get(vertexId).push(end);
+  };
+
+  for (const [wallId, wall] of Object.entries(walls)) {
+    const vStart = vertices[wall.vStart];
+    const vEnd = vertices[wall.vEnd];
+    if (!vStart || !vEnd) continue;
+
+    const length = distance([vStart.x, vStart.y], [vEnd.x, vEnd.y]);
+    if (length === 0) continue;
+
+    const dir = [(vEnd.x - vStart.x) / length, (vEnd.y - vStart.y) / length];
+    const half = getHalfThickness(wall);
+    // The plus side is the wall's right at vStart and its left at vEnd
+    const shift = getWallCenterOffset(wall);
+    addEnd(wall.vStart, {
+      wallId,
+      dir,
+      angle: Math.atan2(dir[1], dir[0]),
+      half,
+      plus: half - shift,
+      minus: half + shift,
+    });
+    addEnd(wall.vEnd, {
+      wallId,
+      dir: [-dir[0], -dir[1]],
+      angle: Math.atan2(-dir[1], -dir[0]),
+      half,
+      plus: half + shift,
+      minus: half - shift,
+    });
+  }
+
+  for (const list of ends.values()) {
+    list.sort((a, b) => a.angle - b.angle);
+  }
+
+  return ends;
+};
+
+// Side normals of a wall end: "plus" turns towards larger angles
+const plusNormal = (dir) => [-dir[1], dir[0]];
+const minusNormal = (dir) => [dir[1], -dir[0]];
+
+/**
+ * Join two neighbouring wall ends at a vertex
+ * The join fills the gap between end A's plus side and end B's minus side
+ * @param {Object} vertex - Shared vertex {x, y}
+ * @param {Object} a - Wall end before the gap
+ * @param {Object} b - Wall end after the gap
+ * @param {number} gap - Angle from a to b (radians, 0..2π)
+ * @returns {{a: Array<[number, number]>, b: Array<[number, number]>}}
+ *   Corner points for each end, listed from end A's side towards end B's side
+ */
+const joinWallEnds = (vertex, a, b, gap) => {
+  const pointA = offsetFrom(vertex, plusNormal(a.dir), a.plus);
+  const pointB = offsetFrom(vertex, minusNormal(b.dir), b.minus);
+
+  const corner = lineIntersectionInfinite(
+    pointA,
+    [pointA[0] + a.dir[0], pointA[1] + a.dir[1]],
+    pointB,
+    [pointB[0] + b.dir[0], pointB[1] + b.dir[1]]
+  );
+
+  // Collinear walls: square step between the two faces
+  if (!corner) {
+    return { a: [pointA], b: [pointB] };
+  }
+
+  // Outside of a sharp corner: bevel instead of a long spike
+  const isLong =
+    distance(corner, [vertex.x, vertex.y]) >
+    WALL_MITER_LIMIT * Math.max(a.half, b.half);
+  if (gap > Math.PI && isLong) {
+    const middle = midpoint(pointA, pointB);
+    return { a: [pointA, middle], b: [middle, pointB] };
+  }
+
+  return { a: [corner], b: [corner] };
+};
+
+/**
+ * Point where a wall end's face meets a line
+ * @param {Object} vertex - Vertex of the end {x, y}
+ * @param {Object} end - Wall end (see getWallEnds)
+ * @param {"plus" | "minus"} side - Face of the end
+ * @param {{point: [number, number], dir: [number, number]}} line - Line to meet
+ * @returns {[number, number]} Corner point
+ */
+const meetFace = (vertex, end, side, line) => {
+  const normal = side === "plus" ? plusNormal(end.dir) : minusNormal(end.dir);
+  const point = offsetFrom(vertex, normal, end[side]);
+  return (
+    lineIntersectionInfinite(
+      point,
+      [point[0] + end.dir[0], point[1] + end.dir[1]],
+      line.point,
+      [line.point[0] + line.dir[0], line.point[1] + line.dir[1]]
+    ) || point
+  );
+};
+
+/**
+ * Join the wall ends at a T-junction: a vertex on the span of another wall
+ * Ends on each side of that wall stop at its face there (mitered with each
+ * other when several share a side), so they tile with it like a joined vertex
+ * @param {Object} vertex - Junction vertex {x, y}
+ * @param {Array<Object>} list - Wall ends at the vertex (see getWallEnds)
+ * @param {Object} wall - Wall passing through the vertex
+ * @param {Object} vertices - Vertices lookup
+ * @returns {Object | null} Corners per wall ID ({minus, plus, center}), or
+ *   null if an end runs along the wall
+ */
+const joinTeeEnds = (vertex, list, wall, vertices) => {
+  const vStart = vertices[wall.vStart];
+  const vEnd = vertices[wall.vEnd];
+  const length = distance([vStart.x, vStart.y], [vEnd.x, vEnd.y]);
+  const dir = [(vEnd.x - vStart.x) / length, (vEnd.y - vStart.y) / length];
+  const half = getHalfThickness(wall);
+  const shift = getWallCenterOffset(wall);
+
+  // Ends by side of the wall, ordered by angle from its direction
+  const sides = new Map();
+  for (const end of list) {
+    const across = dir[0] * end.dir[1] - dir[1] * end.dir[0];
+    if (Math.abs(across) < 1e-6) return null;
+
+    const angle = Math.atan2(across, dir[0] * end.dir[0] + dir[1] * end.dir[1]);
+    const side = Math.sign(across);
+    if (!sides.has(side)) sides.set(side, []);
+    sides.get(side).push({ ...end, angle });
+  }
+
+  const corners = {};
+  for (const [side, group] of sides) {
+    group.sort((a, b) => a.angle - b.angle);
+
+    // Face on this side (plus side for positive angles), and the point on it
+    // across from the vertex
+    const normal = side > 0 ? plusNormal(dir) : minusNormal(dir);
+    const along =
+      (vertex.x - vStart.x) * dir[0] + (vertex.y - vStart.y) * dir[1];
+    const center = offsetFrom(
+      { x: vStart.x + dir[0] * along, y: vStart.y + dir[1] * along },
+      normal,
+      side > 0 ? half - shift : half + shift
+    );
+    const face = { point: center, dir };
+
+    // Neighbours mitered with each other, unless their faces cross inside
+    // the wall (then both stop at its face)
+    const joins = group.slice(0, -1).map((a, i) => {
+      const b = group[i + 1];
+      const join = joinWallEnds(vertex, a, b, b.angle - a.angle);
+      const [corner] = join.a;
+      const depth =
+        (corner[0] - face.point[0]) * normal[0] +
+        (corner[1] - face.point[1]) * normal[1];
+      return depth < 0 ? null : join;
+    });
+    group.forEach((end, i) => {
+      const before = joins[i - 1];
+      const after = joins[i];
+      corners[end.wallId] = {
+        minus: before
+          ? [...before.b].reverse()
+          : [meetFace(vertex, end, "minus", face)],
+        plus: after
+          ? [...after.a].reverse()
+          : [meetFace(vertex, end, "plus", face)],
+        center: before || after ? center : null,
+      };
+    });
+  }
+
+  return corners;
+};
+
+/**
+ * Build the outline polygon of every wall
+ * - Faces follow the justification (centered, or on one side of the drawn line)
+ * - Free wall ends are square
+ * - Ends meeting at a vertex are mitered (beveled past WALL_MITER_LIMIT);
+ *   each outline reaches the vertex, so joined walls tile without overlap
+ * - Ends on the span of another wall (T-junctions) stop at its face, so the
+ *   two outlines meet along it instead of overlapping
+ * @param {Object} walls - Walls lookup
+ * @param {Object} vertices - Vertices lookup
+ * @returns {Object} Outline polygon per wall ID (walls with no length are left out)
+ */
+export const getWallOutlines = (walls, vertices) => {
+  const ends = getWallEnds(walls, vertices);
+
+  // Corner points per wall end:
+  // { [`${wallId}:${vertexId}`]: { minus, plus, center } }
+  const corners = {};
+  for (const [vertexId, list] of ends) {
+    const vertex = vertices[vertexId];
+
+    const tee = findWallAt(
+      [vertex.x, vertex.y],
+      walls,
+      vertices,
+      WALL_EDGE_TOLERANCE
+    );
+    const teeCorners =
+      tee && joinTeeEnds(vertex, list, walls[tee.wallId], vertices);
+    if (teeCorners) {
+      for (const [wallId, corner] of Object.entries(teeCorners)) {
+        corners[`${wallId}:${vertexId}`] = corner;
+      }
+      continue;
+    }
+
+    if (list.length === 1) {
+      const [end] = list;
+      corners[`${end.wallId}:${vertexId}`] = {
+        minus: [offsetFrom(vertex, minusNormal(end.dir), end.minus)],
+        plus: [offsetFrom(vertex, plusNormal(end.dir), end.plus)],
+        center: null,
+      };
+      continue;
+    }
+
+    const joins = list.map((a, i) => {
+      const b = list[(i + 1) % list.length];
+      const gap =
+        i === list.length - 1
+          ? b.angle + 2 * Math.PI - a.angle
+          : b.angle - a.angle;
+      return joinWallEnds(vertex, a, b, gap);
+    });
+
+    list.forEach((end, i) => {
+      const before = joins[(i - 1 + list.length) % list.length];
+      const after = joins[i];
+      // In outline order: towards the vertex on the minus side, away on the plus side
+      corners[`${end.wallId}:${vertexId}`] = {
+        minus: [...before.b].reverse(),
+        plus: [...after.a].reverse(),
+        center: [vertex.x, vertex.y],
+      };
+    });
+  }
+
+  const outlines = {};
+  for (const [wallId, wall] of Object.entries(walls)) {
+    const start = corners[`${wallId}:${wall.vStart}`];
+    const end = corners[`${wallId}:${wall.vEnd}`];
+    if (!start || !end) continue;
+
+    // Right side towards the start, around it, left side towards the end, around it
+    const around = ({ minus, plus, center }) => [
+      ...minus,
+      ...(center ? [center] : []),
+      ...plus,
+    ];
+    // Faces on the drawn line pass through the vertex: drop repeated points
+    const outline = [...around(start), ...around(end)];
+    outlines[wallId] = outline.filter((point, i) => {
+      const prev = outline[(i - 1 + outline.length) % outline.length];
+      return distance(point, prev) > 1e-9;
+    });
+  }
+
+  return outlines;
+};
+
+/**
+ * Get the spans of the openings cut into a wall by doors and windows
+ * Doors run from their anchor along the wall (hinge at the anchor),
+ * windows are centered on it (same as the instance drawings)
+ * @param {string} wallId - Wall ID
+ * @param {Object} instances - Instances lookup
+ * @param {Object} symbols - Symbols lookup
+ * @returns {Array<[number, number]>} [from, to] offsets from the wall start (mm), sorted
+ */
+export const getWallOpenings = (wallId, instances, symbols) => {
+  const spans = [];
+
+  for (const instance of Object.values(instances)) {
+    const attachTo = instance.constraint?.attachTo;
+    if (attachTo?.kind !== "wall" || attachTo.id !== wallId) continue;
+
+    const symbol = symbols[instance.symbol];
+    if (symbol?.anchor !== "wall") continue;
+
+    const width = instance.props?.width || symbol.geometry?.width || 0;
+    if (width <= 0) continue;
+
+    const offset = instance.constraint.offsetFromStart;
+    spans.push(
+      instance.symbol.startsWith("door.")
+        ? [offset, offset + width]
+        : [offset - width / 2, offset + width / 2]
+    );
+  }
+
+  return spans.sort((a, b) => a[0] - b[0]);
+};
+
+/**
+ * Clip a polygon to the part between two offsets along a direction
+ * (Sutherland-Hodgman against the two half-planes)
+ * @param {Array<[number, number]>} polygon - Polygon
+ * @param {[number, number]} origin - Where offsets are measured from
+ * @param {[number, number]} dir - Unit direction
+ * @param {number} from - Start offset (-Infinity for none)
+ * @param {number} to - End offset (Infinity for none)
+ * @returns {Array<[number, number]>} Clipped polygon (may be empty)
+ */
+const clipPolygonToSpan = (polygon, origin, dir, from, to) => {
+  const offsetOf = (p) =>
+    (p[0] - origin[0]) * dir[0] + (p[1] - origin[1]) * dir[1];
+
+  const clip = (points, keep, limit) => {
+    const result = [];
+    points.forEach((curr, i) => {
+      const prev = points[(i - 1 + points.length) % points.length];
+      const currIn = keep(offsetOf(curr));
+      const prevIn = keep(offsetOf(prev));
+
+      if (currIn !== prevIn) {
+        const t = (limit - offsetOf(prev)) / (offsetOf(curr) - offsetOf(prev));
+        result.push([
+          prev[0] + t * (curr[0] - prev[0]),
+          prev[1] + t * (curr[1] - prev[1]),
+        ]);
+      }
+      if (currIn) result.push(curr);
+    });
+    return result;
+  };
+
+  let result = polygon;
+  if (from > -Infinity) result = clip(result, (s) => s >= from, from);
+  if (to < Infinity && result.length > 0) {
+    result = clip(result, (s) => s <= to, to);
+  }
+  return result.length >= 3 ? result : [];
+};
+
+/**
+ * Build the drawn shape of every wall: its outline with the openings cut out
+ * @param {Object} state - Editor state or floor plan document
+ *   (vertices, walls, instances, symbols)
+ * @returns {Object} Polygons per wall ID (one per solid piece between openings)
+ */
+export const getWallPolygons = (state) => {
+  const { walls, vertices, instances = {}, symbols = {} } = state;
+  const outlines = getWallOutlines(walls, vertices);
+
+  const result = {};
+  for (const [wallId, outline] of Object.entries(outlines)) {
+    const openings = getWallOpenings(wallId, instances, symbols);
+    if (openings.length === 0) {
+      result[wallId] = [outline];
+      continue;
+    }
+
+    const wall = walls[wallId];
+    const vStart = vertices[wall.vStart];
+    const vEnd = vertices[wall.vEnd];
+    const origin = [vStart.x, vStart.y];
+    const length = distance(origin, [vEnd.x, vEnd.y]);
+    const dir = [(vEnd.x - vStart.x) / length, (vEnd.y - vStart.y) / length];
+
+    // Solid spans between the openings (the ends reach past the joins)
+    const pieces = [];
+    let from = -Infinity;
+    for (const [openFrom, openTo] of openings) {
+      if (openFrom > from) {
+        pieces.push(clipPolygonToSpan(outline, origin, dir, from, openFrom));
+      }
+      from = Math.max(from, openTo);
+    }
+    pieces.push(clipPolygonToSpan(outline, origin, dir, from, Infinity));
+
+    result[wallId] = pieces.filter((piece) => piece.length > 0);
+  }
+
+  return result;
+};
@@ -0,0 +1,104 @@
+/**
+ * Wall outline tests on the sample apartment (8m x 6m; 200mm outer walls,
+ * 150mm inner walls ending on the middle of other walls)
+ */
+
+import { describe, expect, it } from "vitest";
+import { distance } from "./geometry";
+import { getWallOutlines } from "./wallGeometry";
+import { sampleFloorPlan3 } from "./sampleData3";
+
+const { vertices, walls } = sampleFloorPlan3;
+
+/**
+ * Bounding box of an outline
+ * @param {Array<[number, number]>} outline - Outline polygon
+ * @returns {[number, number, number, number]} [minX, minY, maxX, maxY]
+ */
+const getBox = (outline) => {
+  const xs = outline.map(([x]) => x);
+  const ys = outline.map(([, y]) => y);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+describe("getWallOutlines", () => {
+  const outlines = getWallOutlines(walls, vertices);
+
+  it("miters the outer corners", () => {
+    expect(getBox(outlines.w1)).toEqual([-100, -100, 8100, 100]);
+    expect(getBox(outlines.w4)).toEqual([-100, -100, 100, 6100]);
+  });
+
+  it("stops T-junction ends at the face of the wall they meet", () => {
+    // w5 runs between w1 and w3, w6/w7 from the outer walls to w5
+    expect(getBox(outlines.w5)).toEqual([3925, 100, 4075, 5900]);
+    expect(getBox(outlines.w6)).toEqual([100, 2925, 3925, 3075]);
+    expect(getBox(outlines.w7)).toEqual([4075, 2925, 7900, 3075]);
+  });
+
+  it("stops at the face on the side of a justified wall", () => {
+    const teeVertices = {
+      a: { x: 0, y: 0 },
+      b: { x: 1000, y: 0 },
+      m: { x: 500, y: 0 },
+      n: { x: 500, y: 800 },
+    };
+    const teeWalls = {
+      through: {
+        vStart: "a",
+        vEnd: "b",
+        thickness: 200,
+        justification: "left",
+      },
+      branch: { vStart: "m", vEnd: "n", thickness: 100 },
+    };
+
+    // The drawn line is the upper face, the body lies below it
+    const { branch } = getWallOutlines(teeWalls, teeVertices);
+    expect(getBox(branch)).toEqual([450, 200, 550, 800]);
+  });
+
+  describe("ends sharing a side of a T-junction", () => {
+    const teeVertices = {
+      a: { x: 0, y: 0 },
+      b: { x: 1000, y: 0 },
+      m: { x: 500, y: 0 },
+    };
+    const teeWalls = {
+      through: { vStart: "a", vEnd: "b", thickness: 200 },
+      left: { vStart: "m", vEnd: "p", thickness: 100 },
+      right: { vStart: "m", vEnd: "q", thickness: 100 },
+    };
+
+    /**
+     * Outlines of the two branches for given far ends
+     * @param {number} spread - Distance of the far ends from the middle
+     * @returns {Object} Outline per wall ID
+     */
+    const getBranches = (spread) =>
+      getWallOutlines(teeWalls, {
+        ...teeVertices,
+        p: { x: 500 - spread, y: 1000 },
+        q: { x: 500 + spread, y: 1000 },
+      });
+
+    it("miter with each other below the face", () => {
+      const { left, right } = getBranches(200);
+      const isShared = (point) =>
+        right.some((other) => distance(point, other) < 1e-6);
+
+      // The miter corner and the point on the face between them
+      expect(left.filter(isShared)).toHaveLength(2);
+      expect(left).toContainEqual([500, 100]);
+      expect(Math.min(...left.map(([, y]) => y))).toBeCloseTo(100);
+    });
+
+    it("stop at the face when they part inside the wall", () => {
+      const { left, right } = getBranches(1000);
+
+      expect(Math.min(...left.map(([, y]) => y))).toBeCloseTo(100);
+      expect(Math.min(...right.map(([, y]) => y))).toBeCloseTo(100);
+      expect(getBox(left)[2]).toBeLessThan(getBox(right)[0]);
+    });
+  });
+});
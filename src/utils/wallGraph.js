@@ -0,0 +1,237 @@
+/**
+ * Wall graph utilities for MiniCAD
+ * Query vertices and walls as a connected graph (shared vertices, wall splits)
+ */
+
+import { WALL_EDGE_TOLERANCE } from "./constants";
+import { closestPointOnLine, distance, pointToLineDistance } from "./geometry";
+
+/**
+ * Find the nearest vertex within tolerance of a point
+ * @param {[number, number]} point - Point in world coordinates
+ * @param {Object} vertices - Vertices lookup
+ * @param {number} tolerance - Max distance in mm
+ * @returns {string | null} Vertex ID
+ */
+export const findVertexAt = (point, vertices, tolerance) => {
+  let nearestId = null;
+  let nearestDist = tolerance;
+
+  for (const [id, vertex] of Object.entries(vertices)) {
+    const dist = distance(point, [vertex.x, vertex.y]);
+    if (dist <= nearestDist) {
+      nearestId = id;
+      nearestDist = dist;
+    }
+  }
+
+  return nearestId;
+};
+
+/**
+ * Find the nearest wall whose centerline passes within tolerance of a point
+ * Only hits strictly between the wall ends count (ends are vertices)
+ * @param {[number, number]} point - Point in world coordinates
+ * @param {Object} walls - Walls lookup
+ * @param {Object} vertices - Vertices lookup
+ * @param {number} tolerance - Max distance in mm
+ * @returns {{wallId: string, point: [number, number], offset: number} | null}
+ *   Wall hit, foot of the point on the wall and its offset from the wall start
+ */
+export const findWallAt = (point, walls, vertices, tolerance) => {
+  let nearest = null;
+  let nearestDist = tolerance;
+
+  for (const [wallId, wall] of Object.entries(walls)) {
+    const vStart = vertices[wall.vStart];
+    const vEnd = vertices[wall.vEnd];
+    if (!vStart || !vEnd) continue;
+
+    const start = [vStart.x, vStart.y];
+    const end = [vEnd.x, vEnd.y];
+    const foot = closestPointOnLine(point, start, end);
+    const offset = distance(start, foot);
+    const wallLength = distance(start, end);
+
+    if (offset <= tolerance || offset >= wallLength - tolerance) continue;
+
+    const dist = distance(point, foot);
+    if (dist <= nearestDist) {
+      nearest = { wallId, point: foot, offset };
+      nearestDist = dist;
+    }
+  }
+
+  return nearest;
+};
+
+/**
+ * Find a wall connecting two vertices (in either direction)
+ * @param {string} v1Id - Vertex ID
+ * @param {string} v2Id - Vertex ID
+ * @param {Object} walls - Walls lookup
+ * @returns {string | null} Wall ID
+ */
+export const findWallBetween = (v1Id, v2Id, walls) => {
+  for (const [wallId, wall] of Object.entries(walls)) {
+    if (
+      (wall.vStart === v1Id && wall.vEnd === v2Id) ||
+      (wall.vStart === v2Id && wall.vEnd === v1Id)
+    ) {
+      return wallId;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find the wall a segment between two vertices runs along
+ * The wall joining the two vertices if there is one, otherwise a wall whose
+ * centerline contains the whole segment (e.g. a room edge ending at a
+ * T-junction in the middle of a longer wall)
+ * @param {string} v1Id - Vertex ID
+ * @param {string} v2Id - Vertex ID
+ * @param {Object} walls - Walls lookup
+ * @param {Object} vertices - Vertices lookup
+ * @param {number} tolerance - Max distance (mm) of the segment ends from the centerline
+ * @returns {string | null} Wall ID
+ */
+export const findWallAlong = (
+  v1Id,
+  v2Id,
+  walls,
+  vertices,
+  tolerance = WALL_EDGE_TOLERANCE
+) => {
+  const exactId = findWallBetween(v1Id, v2Id, walls);
+  if (exactId) return exactId;
+
+  const v1 = vertices[v1Id];
+  const v2 = vertices[v2Id];
+  if (!v1 || !v2 || v1Id === v2Id) return null;
+
+  const a = [v1.x, v1.y];
+  const b = [v2.x, v2.y];
+  if (distance(a, b) <= tolerance) return null;
+
+  for (const [wallId, wall] of Object.entries(walls)) {
+    const vStart = vertices[wall.vStart];
+    const vEnd = vertices[wall.vEnd];
+    if (!vStart || !vEnd) continue;
+
+    const start = [vStart.x, vStart.y];
+    const end = [vEnd.x, vEnd.y];
+    if (
+      pointToLineDistance(a, start, end) <= tolerance &&
+      pointToLineDistance(b, start, end) <= tolerance
+    ) {
+      return wallId;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the vertices joined to a vertex by a wall or a room edge
+ * @param {string} vertexId - Vertex ID
+ * @param {Object} walls - Walls lookup
+ * @param {Object} rooms - Rooms lookup
+ * @returns {Array<string>} Adjacent vertex IDs (walls first, no duplicates)
+ */
+export const getAdjacentVertexIds = (vertexId, walls, rooms = {}) => {
+  const adjacent = new Set();
+
+  for (const wall of Object.values(walls)) {
+    if (wall.vStart === vertexId) adjacent.add(wall.vEnd);
+    if (wall.vEnd === vertexId) adjacent.add(wall.vStart);
+  }
+
+  for (const room of Object.values(rooms)) {
+    const ids = room.vertices || [];
+    const index = ids.indexOf(vertexId);
+    if (index === -1 || ids.length < 2) continue;
+
+    adjacent.add(ids[(index - 1 + ids.length) % ids.length]);
+    adjacent.add(ids[(index + 1) % ids.length]);
+  }
+
+  adjacent.delete(vertexId);
+  return Array.from(adjacent);
+};
+
+/**
+ * Get the run of walls connected to a wall through plain corners
+ * The chain grows from both ends of the wall while the next vertex joins
+ * exactly two walls; it stops at free ends and junctions
+ * @param {string} wallId - Wall ID
+ * @param {Object} walls - Walls lookup
+ * @returns {{vertices: string[], walls: string[], isClosed: boolean} | null}
+ *   Ordered vertices and walls (wall i runs from vertex i to vertex i + 1,
+ *   the last wall of a closed chain back to vertex 0), or null if no wall
+ */
+export const getWallChain = (wallId, walls) => {
+  const wall = walls[wallId];
+  if (!wall) return null;
+
+  const wallIdsAt = new Map();
+  for (const [id, { vStart, vEnd }] of Object.entries(walls)) {
+    if (vStart === vEnd) continue;
+    for (const vertexId of [vStart, vEnd]) {
+      if (!wallIdsAt.has(vertexId)) wallIdsAt.set(vertexId, []);
+      wallIdsAt.get(vertexId).push(id);
+    }
+  }
+
+  const otherEnd = (id, vertexId) =>
+    walls[id].vStart === vertexId ? walls[id].vEnd : walls[id].vStart;
+
+  // Walls beyond a vertex, away from the wall we came along
+  const follow = (vertexId) => {
+    const steps = []; // [{ wallId, vertexId }] each wall and its far end
+    let current = wallId;
+    let at = vertexId;
+
+    while (wallIdsAt.get(at)?.length === 2) {
+      const [first, second] = wallIdsAt.get(at);
+      const next = first === current ? second : first;
+      if (next === wallId) return { steps, isClosed: true };
+
+      at = otherEnd(next, at);
+      current = next;
+      steps.push({ wallId: next, vertexId: at });
+    }
+
+    return { steps, isClosed: false };
+  };
+
+  const forward = follow(wall.vEnd);
+  if (forward.isClosed) {
+    return {
+      vertices: [
+        wall.vStart,
+        wall.vEnd,
+        ...forward.steps.slice(0, -1).map((step) => step.vertexId),
+      ],
+      walls: [wallId, ...forward.steps.map((step) => step.wallId)],
+      isClosed: true,
+    };
+  }
+
+  const backward = [...follow(wall.vStart).steps].reverse();
+  return {
+    vertices: [
+      ...backward.map((step) => step.vertexId),
+      wall.vStart,
+      wall.vEnd,
+      ...forward.steps.map((step) => step.vertexId),
+    ],
+    walls: [
+      ...backward.map((step) => step.wallId),
+      wallId,
+      ...forward.steps.map((step) => step.wallId),
+    ],
+    isClosed: false,
+  };
+};
@@ -0,0 +1,60 @@
+/**
+ * Wall offset utilities for MiniCAD
+ * Parallel copies of wall chains (see getWallChain) for the Offset tool
+ *
+ * Distances are signed: positive = right of the chain direction on screen,
+ * negative = left (the side convention of offsetPolygon / offsetPolyline)
+ */
+
+import { offsetPolygon, offsetPolyline } from "./geometry";
+
+/**
+ * Get the signed distance from one wall of a chain to a point
+ * @param {Object} chain - Wall chain {vertices, walls, isClosed}
+ * @param {Object} vertices - Vertices lookup
+ * @param {string} wallId - Wall of the chain to measure from
+ * @param {[number, number]} point - Point in world coordinates
+ * @returns {number} Signed distance (mm), 0 if the wall has no length
+ */
+export const getChainOffsetDistance = (chain, vertices, wallId, point) => {
+  const index = Math.max(0, chain.walls.indexOf(wallId));
+  const a = vertices[chain.vertices[index]];
+  const b = vertices[chain.vertices[(index + 1) % chain.vertices.length]];
+
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  if (length === 0) return 0;
+
+  return (
+    ((point[0] - a.x) * -(b.y - a.y) + (point[1] - a.y) * (b.x - a.x)) / length
+  );
+};
+
+/**
+ * Compute the points of a chain offset by a distance
+ * Corners are mitered so the copy meets itself cleanly; closed chains go
+ * through offsetPolygon, open chains through offsetPolyline
+ * @param {Object} chain - Wall chain {vertices, walls, isClosed}
+ * @param {Object} vertices - Vertices lookup
+ * @param {number} distance - Signed offset (mm)
+ * @returns {Array<[number, number]> | null} One point per chain vertex, or
+ *   null if the offset folds a wall over (distance past a corner)
+ */
+export const getOffsetChainPoints = (chain, vertices, distance) => {
+  const points = chain.vertices.map((id) => [vertices[id].x, vertices[id].y]);
+  const offset = chain.isClosed
+    ? offsetPolygon(points, distance)
+    : offsetPolyline(points, distance);
+
+  // Every offset wall must still run the same way as its source
+  const n = points.length;
+  const count = chain.isClosed ? n : n - 1;
+  for (let i = 0; i < count; i++) {
+    const j = (i + 1) % n;
+    const dot =
+      (offset[j][0] - offset[i][0]) * (points[j][0] - points[i][0]) +
+      (offset[j][1] - offset[i][1]) * (points[j][1] - points[i][1]);
+    if (dot <= 0) return null;
+  }
+
+  return offset;
+};